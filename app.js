@@ -0,0 +1,67 @@
+const express = require('express');
+const oltTelnetRouter = require('./routes/oltTelnet');
+const oltsRouter = require('./routes/olts');
+const onusRouter = require('./routes/onus');
+const configBackupsRouter = require('./routes/configBackups');
+const jobsRouter = require('./routes/jobs');
+const metricsRouter = require('./routes/metrics');
+const authRouter = require('./routes/auth');
+const auditRouter = require('./routes/audit');
+const { authenticate } = require('./middleware/auth');
+const { TERMINAL_PATH } = require('./services/TerminalBridge');
+const logger = require('./utils/logger');
+
+// Crear la aplicación Express (el servidor HTTP, la terminal y las tareas programadas los arranca index.js)
+const app = express();
+
+// Middleware para parsear JSON
+app.use(express.json());
+logger.info('Middleware JSON configurado');
+
+// Middleware para logging de solicitudes HTTP
+app.use((req, res, next) => {
+  logger.info(`${req.method} ${req.url}`);
+  const start = Date.now();
+  res.on('finish', () => {
+    const duration = Date.now() - start;
+    logger.info(`${req.method} ${req.url} ${res.statusCode} ${duration}ms`);
+  });
+  next();
+});
+
+// Autenticación (clave de API o JWT) para toda la API y las métricas
+app.use('/api', authenticate);
+app.use('/metrics', authenticate);
+
+// Rutas
+app.use('/api/auth', authRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/olt/:oltId/onus', onusRouter);
+app.use('/api/olt/:oltId/config-backups', configBackupsRouter);
+app.use('/api/olt', oltTelnetRouter);
+app.use('/api/olts', oltsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/metrics', metricsRouter);
+
+// Ruta base
+app.get('/', (req, res) => {
+  res.json({
+    message: 'API OLT Telnet funcionando correctamente',
+    endpoints: {
+      connect: '/api/olt/connect',
+      sendCommand: '/api/olt/send-command',
+      disconnect: '/api/olt/disconnect',
+      execute: '/api/olt/execute',
+      terminal: TERMINAL_PATH,
+      onus: '/api/olt/:oltId/onus',
+      configBackups: '/api/olt/:oltId/config-backups',
+      olts: '/api/olts',
+      jobs: '/api/jobs',
+      auth: '/api/auth',
+      audit: '/api/audit',
+      metrics: '/metrics'
+    }
+  });
+});
+
+module.exports = app;
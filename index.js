@@ -1,46 +1,20 @@
-const express = require('express');
-const dotenv = require('dotenv');
-const oltTelnetRouter = require('./routes/oltTelnet');
+// Cargar variables de entorno antes que cualquier módulo: varios leen process.env al cargarse
+require('dotenv').config();
+
+const app = require('./app');
+const authService = require('./services/AuthService');
+const configBackup = require('./services/ConfigBackupService');
+const jobScheduler = require('./services/JobScheduler');
+const { attachTerminalServer } = require('./services/TerminalBridge');
 const logger = require('./utils/logger');
 
-// Cargar variables de entorno
-dotenv.config();
 logger.info('Variables de entorno cargadas');
 
-// Crear la aplicación Express
-const app = express();
 const PORT = process.env.PORT || 3000;
 logger.info(`Puerto configurado: ${PORT}`);
 
-// Middleware para parsear JSON
-app.use(express.json());
-logger.info('Middleware JSON configurado');
-
-// Middleware para logging de solicitudes HTTP
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url}`);
-  const start = Date.now();
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    logger.info(`${req.method} ${req.url} ${res.statusCode} ${duration}ms`);
-  });
-  next();
-});
-
-// Rutas
-app.use('/api/olt', oltTelnetRouter);
-
-// Ruta base
-app.get('/', (req, res) => {
-  res.json({
-    message: 'API OLT Telnet funcionando correctamente',
-    endpoints: {
-      connect: '/api/olt/connect',
-      sendCommand: '/api/olt/send-command',
-      disconnect: '/api/olt/disconnect'
-    }
-  });
-});
+// Avisar si la autenticación no tiene ninguna credencial configurada
+authService.checkConfiguration();
 
 // Manejo de errores no capturados
 process.on('uncaughtException', (error) => {
@@ -52,7 +26,16 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Iniciar el servidor
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Servidor iniciado en el puerto ${PORT}`);
   console.log(`Servidor iniciado en el puerto ${PORT}`);
 });
+
+// Terminal interactiva (WebSocket) sobre el mismo servidor HTTP
+attachTerminalServer(server);
+
+// Copias de configuración programadas (si CONFIG_BACKUP_INTERVAL_MS está definido)
+configBackup.startScheduledBackups();
+
+// Trabajos de consulta programados (data/jobs.json)
+jobScheduler.startScheduler();
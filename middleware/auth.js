@@ -0,0 +1,71 @@
+const authService = require('../services/AuthService');
+const auditLog = require('../services/AuditLogService');
+const logger = require('../utils/logger');
+
+/**
+ * Obtiene el token de una petición (Authorization: Bearer <token> o X-API-Key)
+ * @param {Object} req - Petición HTTP
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return match[1];
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Middleware que autentica la petición y guarda la identidad en req.auth ({ id, name, role, type }).
+ * Los comandos que se envíen a la OLT durante la petición se auditan con esa identidad.
+ * @param {Object} req - Petición HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @param {Function} next - Siguiente middleware
+ */
+function authenticate(req, res, next) {
+  const principal = authService.authenticateToken(getRequestToken(req));
+  if (!principal) {
+    logger.warn(`Petición no autenticada: ${req.method} ${req.originalUrl}`);
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      message: 'Se requiere una clave de API o un token válido (Authorization: Bearer <token>)'
+    });
+  }
+
+  req.auth = principal;
+  logger.debug(`Petición autenticada: ${principal.id} (${principal.role})`);
+  auditLog.runWithActor(principal.id, next);
+}
+
+/**
+ * Crea un middleware que exige un rol mínimo (read-only < operator < admin)
+ * @param {string} role - Rol mínimo requerido
+ * @returns {Function}
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        message: 'Se requiere una clave de API o un token válido (Authorization: Bearer <token>)'
+      });
+    }
+    if (!authService.hasRole(req.auth.role, role)) {
+      logger.warn(`Acceso denegado a ${req.auth.id} (${req.auth.role}): ${req.method} ${req.originalUrl} requiere el rol ${role}`);
+      return res.status(403).json({
+        success: false,
+        message: `Esta operación requiere el rol ${role}`
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  getRequestToken,
+  authenticate,
+  requireRole
+};
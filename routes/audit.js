@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../services/AuditLogService');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Formatos de exportación y su tipo de contenido
+const EXPORT_FORMATS = {
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Responde 400 si los filtros de la consulta no son válidos
+ * @param {Object} res - Respuesta HTTP
+ * @param {Object} query - Parámetros recibidos
+ * @returns {boolean} - true si se respondió con el error
+ */
+function sendIfInvalidQuery(res, query) {
+  const errors = auditLog.validateQuery(query);
+  if (errors.length === 0) {
+    return false;
+  }
+
+  logger.warn('Consulta de auditoría no válida', { errors });
+  res.status(400).json({
+    success: false,
+    message: `Filtros no válidos: ${errors.join(', ')}`
+  });
+  return true;
+}
+
+// Endpoint para consultar la auditoría de comandos (de la entrada más reciente a la más antigua)
+router.get('/', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: GET /audit');
+  try {
+    if (sendIfInvalidQuery(res, req.query)) {
+      return;
+    }
+
+    const entries = auditLog.queryEntries(req.query, Number(req.query.limit || 100));
+    logger.debug(`Entradas de auditoría devueltas: ${entries.length}`);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error(`Error al consultar la auditoría: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al consultar la auditoría: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para exportar la auditoría de comandos en JSON Lines o CSV (en orden cronológico)
+router.get('/export', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: GET /audit/export');
+  try {
+    const { format = 'jsonl' } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      logger.warn(`Formato de exportación no válido: ${format}`);
+      return res.status(400).json({
+        success: false,
+        message: `format debe ser uno de: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    if (sendIfInvalidQuery(res, req.query)) {
+      return;
+    }
+
+    const entries = auditLog.queryEntries(req.query, req.query.limit ? Number(req.query.limit) : undefined);
+    logger.info(`Exportando ${entries.length} entradas de auditoría en ${format}`);
+
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.send(auditLog.exportEntries(entries, format));
+  } catch (error) {
+    logger.error(`Error al exportar la auditoría: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al exportar la auditoría: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/AuthService');
+const commandPolicy = require('../services/CommandPolicyService');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Endpoint para consultar la identidad y el rol con los que se autentica la petición
+router.get('/me', (req, res) => {
+  logger.info('Solicitud recibida: GET /auth/me');
+  res.json({
+    success: true,
+    principal: req.auth
+  });
+});
+
+// Endpoint para listar las claves de API
+router.get('/keys', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: GET /auth/keys');
+  try {
+    res.json({
+      success: true,
+      keys: authService.listApiKeys()
+    });
+  } catch (error) {
+    logger.error(`Error al listar las claves de API: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al listar las claves de API: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para crear una clave de API (la clave sólo se devuelve en esta respuesta)
+router.post('/keys', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: POST /auth/keys');
+  try {
+    const data = req.body || {};
+    logger.debug('Datos de clave de API recibidos', { name: data.name, role: data.role });
+
+    // Validar los datos de la clave
+    const errors = authService.validateApiKey(data);
+    if (errors.length > 0) {
+      logger.warn('Alta de clave de API con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de la clave no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    const { apiKey, key } = authService.createApiKey(data, req.auth.id);
+    res.status(201).json({
+      success: true,
+      message: 'Guarda la clave: no se volverá a mostrar',
+      apiKey,
+      key
+    });
+  } catch (error) {
+    logger.error(`Error al crear la clave de API: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al crear la clave de API: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para revocar una clave de API
+router.delete('/keys/:keyId', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: DELETE /auth/keys/:keyId');
+  try {
+    if (!authService.revokeApiKey(req.params.keyId)) {
+      logger.warn(`Clave de API no encontrada: ${req.params.keyId}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Clave de API no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Clave de API revocada'
+    });
+  } catch (error) {
+    logger.error(`Error al revocar la clave de API: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al revocar la clave de API: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para consultar la política de comandos en vigor
+router.get('/policy', (req, res) => {
+  logger.info('Solicitud recibida: GET /auth/policy');
+  try {
+    res.json({
+      success: true,
+      policy: commandPolicy.getPolicy()
+    });
+  } catch (error) {
+    logger.error(`Error al obtener la política de comandos: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al obtener la política de comandos: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para reemplazar la política de comandos
+router.put('/policy', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: PUT /auth/policy');
+  try {
+    const data = req.body || {};
+
+    // Validar la política
+    const errors = commandPolicy.validatePolicy(data);
+    if (errors.length > 0) {
+      logger.warn('Política de comandos no válida', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Política de comandos no válida: ${errors.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      policy: commandPolicy.updatePolicy(data)
+    });
+  } catch (error) {
+    logger.error(`Error al actualizar la política de comandos: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al actualizar la política de comandos: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
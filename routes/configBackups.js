@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const configBackup = require('../services/ConfigBackupService');
+const configPush = require('../services/ConfigPushService');
+const { requireRole } = require('../middleware/auth');
+const { redactConfig } = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+/**
+ * Responde con el error de una operación sobre las copias de configuración
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} action - Descripción de la operación (para el mensaje)
+ * @param {Error} error - Error producido
+ */
+function sendBackupError(res, action, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    logger.error(`Error al ${action}: ${error.message}`, { error: error.stack });
+  } else {
+    logger.warn(`No se pudo ${action}: ${error.message}`);
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? `Error al ${action}: ${error.message}` : error.message
+  });
+}
+
+/**
+ * Convierte un número de versión recibido en la URL
+ * @param {string} value - Valor recibido
+ * @returns {number|null} - Número de versión o null si no es un entero positivo
+ */
+function parseVersion(value) {
+  return /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null;
+}
+
+// Endpoint para hacer una copia de la configuración en este momento
+router.post('/', requireRole('operator'), async (req, res) => {
+  logger.info('Solicitud recibida: POST /olt/:oltId/config-backups');
+  try {
+    const { oltId } = req.params;
+    const { created, version } = await configBackup.backupConfig(oltId, 'manual');
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      oltId,
+      created,
+      message: created ? `Configuración guardada como versión ${version.version}` : `La configuración no ha cambiado desde la versión ${version.version}`,
+      version
+    });
+  } catch (error) {
+    sendBackupError(res, 'copiar la configuración', error);
+  }
+});
+
+// Endpoint para listar las versiones guardadas
+router.get('/', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /olt/:oltId/config-backups');
+  try {
+    const { oltId } = req.params;
+    const versions = configBackup.listVersions(oltId);
+    logger.debug(`Versiones de configuración de la OLT ${oltId}: ${versions.length}`);
+
+    res.json({
+      success: true,
+      oltId,
+      versions
+    });
+  } catch (error) {
+    sendBackupError(res, 'listar las copias de configuración', error);
+  }
+});
+
+// Endpoint para comparar dos versiones (por defecto, la última con la anterior)
+router.get('/diff', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /olt/:oltId/config-backups/diff');
+  try {
+    const { oltId } = req.params;
+    const { format = 'unified' } = req.query;
+    logger.debug('Parámetros de comparación recibidos', { oltId, from: req.query.from, to: req.query.to, format });
+
+    // Validar el formato y las versiones
+    if (!['unified', 'sections'].includes(format)) {
+      logger.warn(`Formato de diff no válido: ${format}`);
+      return res.status(400).json({
+        success: false,
+        message: 'format debe ser "unified" o "sections"'
+      });
+    }
+    const from = req.query.from !== undefined ? parseVersion(req.query.from) : undefined;
+    const to = req.query.to !== undefined ? parseVersion(req.query.to) : undefined;
+    if (from === null || to === null) {
+      logger.warn('Versiones de diff no válidas', { from: req.query.from, to: req.query.to });
+      return res.status(400).json({
+        success: false,
+        message: 'from y to deben ser números de versión'
+      });
+    }
+
+    // Sin versiones explícitas se compara la última con la anterior a ella
+    const versions = configBackup.listVersions(oltId).map(entry => entry.version);
+    const toVersion = to || versions[versions.length - 1];
+    const fromVersion = from || versions[versions.indexOf(toVersion) - 1];
+    if (!toVersion || !fromVersion) {
+      logger.warn(`No hay versiones suficientes para comparar en la OLT ${oltId}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Se necesitan dos versiones para comparar: indica from y to o haz otra copia'
+      });
+    }
+
+    const result = configBackup.diffVersions(oltId, fromVersion, toVersion, format);
+
+    res.json({
+      success: true,
+      oltId,
+      ...result
+    });
+  } catch (error) {
+    sendBackupError(res, 'comparar las copias de configuración', error);
+  }
+});
+
+// Endpoint para enviar a la OLT una versión guardada o un fragmento de configuración (o simularlo con dryRun)
+router.post('/push', requireRole('admin'), async (req, res) => {
+  logger.info('Solicitud recibida: POST /olt/:oltId/config-backups/push');
+  try {
+    const { oltId } = req.params;
+    const data = req.body || {};
+    logger.debug('Parámetros de envío recibidos', { oltId, version: data.version, sections: data.sections, dryRun: data.dryRun });
+
+    // Validar los datos antes de conectar con la OLT
+    const errors = configPush.validatePush(data);
+    if (errors.length > 0) {
+      logger.warn(`Envío de configuración no válido: ${errors.join('; ')}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de envío no válidos',
+        errors
+      });
+    }
+
+    const result = await configPush.pushConfig(oltId, data, req.auth);
+
+    if (result.dryRun) {
+      return res.json({
+        success: true,
+        oltId,
+        message: `${result.summary.toApply} línea(s) cambiarían en la OLT`,
+        ...result
+      });
+    }
+
+    // Alguna línea rechazada: se informa con 422 junto con el resultado de cada línea
+    const { applied, rejected } = result.summary;
+    res.status(rejected > 0 ? 422 : 200).json({
+      success: rejected === 0,
+      oltId,
+      message: rejected > 0
+        ? `La OLT rechazó ${rejected} línea(s) de configuración (${applied} aplicadas)`
+        : `${applied} línea(s) de configuración aplicadas`,
+      ...result
+    });
+  } catch (error) {
+    sendBackupError(res, 'enviar la configuración', error);
+  }
+});
+
+// Endpoint para obtener una versión con su contenido
+router.get('/:version', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /olt/:oltId/config-backups/:version');
+  try {
+    const { oltId } = req.params;
+    const versionNumber = parseVersion(req.params.version);
+    if (versionNumber === null) {
+      logger.warn(`Versión no válida: ${req.params.version}`);
+      return res.status(400).json({
+        success: false,
+        message: 'La versión debe ser un número entero positivo'
+      });
+    }
+
+    const { version, content } = configBackup.getVersion(oltId, versionNumber);
+
+    // La copia guarda los secretos para poder volver a enviarla; la respuesta se devuelve sin ellos
+    res.json({
+      success: true,
+      oltId,
+      version,
+      content: redactConfig(content)
+    });
+  } catch (error) {
+    sendBackupError(res, 'obtener la copia de configuración', error);
+  }
+});
+
+module.exports = router;
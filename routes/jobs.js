@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const jobScheduler = require('../services/JobScheduler');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Responde con el error de una operación sobre los trabajos programados
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} action - Descripción de la operación (para el mensaje)
+ * @param {Error} error - Error producido
+ */
+function sendJobError(res, action, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    logger.error(`Error al ${action}: ${error.message}`, { error: error.stack });
+  } else {
+    logger.warn(`No se pudo ${action}: ${error.message}`);
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? `Error al ${action}: ${error.message}` : error.message
+  });
+}
+
+// Endpoint para listar los trabajos programados
+router.get('/', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /jobs');
+  try {
+    const jobs = jobScheduler.listJobs();
+    logger.debug(`Trabajos programados: ${jobs.length}`);
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    sendJobError(res, 'listar los trabajos', error);
+  }
+});
+
+// Endpoint para listar las plantillas de consulta disponibles
+router.get('/templates', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /jobs/templates');
+  res.json({
+    success: true,
+    templates: jobScheduler.listTemplates()
+  });
+});
+
+// Endpoint para obtener un trabajo programado
+router.get('/:jobId', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /jobs/:jobId');
+  try {
+    res.json({
+      success: true,
+      job: jobScheduler.getJob(req.params.jobId)
+    });
+  } catch (error) {
+    sendJobError(res, 'obtener el trabajo', error);
+  }
+});
+
+// Endpoint para crear un trabajo programado
+router.post('/', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: POST /jobs');
+  try {
+    const data = req.body || {};
+    logger.debug('Datos de trabajo recibidos', { id: data.id, schedule: data.schedule, command: data.command, template: data.template });
+
+    // Validar los datos del trabajo
+    const errors = jobScheduler.validateJob(data);
+    if (errors.length > 0) {
+      logger.warn('Alta de trabajo con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de trabajo no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      job: jobScheduler.createJob(data, req.auth)
+    });
+  } catch (error) {
+    sendJobError(res, 'crear el trabajo', error);
+  }
+});
+
+// Endpoint para modificar un trabajo programado
+router.patch('/:jobId', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: PATCH /jobs/:jobId');
+  try {
+    const { id, ...data } = req.body || {};
+
+    // Validar los datos del trabajo
+    const errors = jobScheduler.validateJob(data, true);
+    if (errors.length > 0) {
+      logger.warn('Modificación de trabajo con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de trabajo no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobScheduler.updateJob(req.params.jobId, data, req.auth)
+    });
+  } catch (error) {
+    sendJobError(res, 'modificar el trabajo', error);
+  }
+});
+
+// Endpoint para eliminar un trabajo programado y su historial
+router.delete('/:jobId', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: DELETE /jobs/:jobId');
+  try {
+    jobScheduler.deleteJob(req.params.jobId);
+
+    res.json({
+      success: true,
+      message: 'Trabajo eliminado'
+    });
+  } catch (error) {
+    sendJobError(res, 'eliminar el trabajo', error);
+  }
+});
+
+// Endpoint para ejecutar un trabajo en este momento (espera a que termine)
+router.post('/:jobId/run', requireRole('admin'), async (req, res) => {
+  logger.info('Solicitud recibida: POST /jobs/:jobId/run');
+  try {
+    const run = await jobScheduler.runJob(req.params.jobId, 'manual');
+
+    res.json({
+      success: run.status !== 'failed',
+      run
+    });
+  } catch (error) {
+    sendJobError(res, 'ejecutar el trabajo', error);
+  }
+});
+
+// Endpoint para consultar el historial de ejecuciones (de la más reciente a la más antigua)
+router.get('/:jobId/runs', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /jobs/:jobId/runs');
+  try {
+    const { limit = '20' } = req.query;
+    if (!/^\d+$/.test(limit) || Number(limit) < 1) {
+      logger.warn(`Límite de ejecuciones no válido: ${limit}`);
+      return res.status(400).json({
+        success: false,
+        message: 'limit debe ser un entero positivo'
+      });
+    }
+
+    const runs = jobScheduler.listRuns(req.params.jobId, Number(limit));
+    logger.debug(`Ejecuciones devueltas del trabajo ${req.params.jobId}: ${runs.length}`);
+
+    res.json({
+      success: true,
+      jobId: req.params.jobId,
+      runs
+    });
+  } catch (error) {
+    sendJobError(res, 'consultar el historial del trabajo', error);
+  }
+});
+
+// Endpoint para obtener una ejecución con el resultado de cada OLT
+router.get('/:jobId/runs/:runId', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /jobs/:jobId/runs/:runId');
+  try {
+    const { runId } = req.params;
+    if (!/^\d+$/.test(runId)) {
+      logger.warn(`Ejecución no válida: ${runId}`);
+      return res.status(400).json({
+        success: false,
+        message: 'La ejecución debe ser un número entero positivo'
+      });
+    }
+
+    res.json({
+      success: true,
+      run: jobScheduler.getRun(req.params.jobId, Number(runId))
+    });
+  } catch (error) {
+    sendJobError(res, 'obtener la ejecución', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { CONTENT_TYPE } = require('../utils/metrics');
+const oltMetrics = require('../services/OltMetrics');
+const sessionRegistry = require('../services/SessionRegistry');
+const poolRegistry = require('../services/OltPoolRegistry');
+const logger = require('../utils/logger');
+
+// Endpoint con las métricas en formato Prometheus
+router.get('/', (req, res) => {
+  logger.debug('Solicitud recibida: GET /metrics');
+  try {
+    // Los indicadores de sesiones y pools se toman en el momento de la consulta
+    const { sessionsActive, poolConnections } = oltMetrics.metrics;
+    sessionsActive.set({}, sessionRegistry.getSessionCount());
+    poolConnections.reset();
+    for (const stats of poolRegistry.getAllStats()) {
+      poolConnections.set({ olt_id: stats.oltId, state: 'idle' }, stats.idle);
+      poolConnections.set({ olt_id: stats.oltId, state: 'borrowed' }, stats.borrowed);
+    }
+
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(oltMetrics.registry.render());
+  } catch (error) {
+    logger.error(`Error al generar las métricas: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al generar las métricas: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
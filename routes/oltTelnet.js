@@ -1,29 +1,243 @@
 const express = require('express');
 const router = express.Router();
 const OltTelnetManager = require('../services/OltTelnetManager');
+const poolRegistry = require('../services/OltPoolRegistry');
+const oltInventory = require('../services/OltInventory');
+const sessionRegistry = require('../services/SessionRegistry');
 const logger = require('../utils/logger');
+const { isSupportedProtocol, getDefaultPort } = require('../services/transports');
+const deviceProfiles = require('../services/deviceProfiles');
+const commandBatch = require('../services/CommandBatchService');
+const authService = require('../services/AuthService');
+const commandPolicy = require('../services/CommandPolicyService');
+const { requireRole } = require('../middleware/auth');
 
-// Almacenamiento de sesiones activas (en producción debería usarse Redis u otra solución)
-const activeSessions = {};
+/**
+ * Construye los campos de respuesta de un comando según venga formateado (objeto) o como texto plano
+ * @param {string|Object} response - Respuesta devuelta por OltTelnetManager.sendCommand
+ * @returns {Object} - Campos response, formatted y data para la respuesta HTTP
+ */
+function buildCommandPayload(response) {
+  if (response && typeof response === 'object' && response.data) {
+    logger.debug(`Respuesta formateada recibida con ${response.data.length} registros`);
+    logger.silly(`Respuesta formateada: ${JSON.stringify(response)}`);
+    return {
+      response: response.raw, // Respuesta limpia pero sin formato de tabla
+      formatted: response.formatted, // Respuesta con formato de tabla
+      data: response.data // Datos estructurados
+    };
+  }
+  
+  // Respuesta de texto simple
+  const text = response && typeof response === 'object' ? response.raw : response;
+  logger.debug(`Respuesta de texto recibida (${text.length} caracteres)`);
+  logger.silly(`Respuesta completa: ${text}`);
+  return { response: text };
+}
+
+/**
+ * Responde 422 si la OLT rechazó el comando (% Unknown command, % Invalid input...)
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} command - Comando enviado
+ * @param {string|Object} response - Respuesta devuelta por OltTelnetManager.sendCommand
+ * @param {Object} [extra] - Campos adicionales para la respuesta HTTP (oltId, status...)
+ * @returns {boolean} - true si se respondió con el error del dispositivo
+ */
+function sendDeviceErrorIfRejected(res, command, response, extra = {}) {
+  if (!response || !response.deviceError) {
+    return false;
+  }
+
+  const { deviceError } = response;
+  logger.warn(`Comando rechazado por la OLT: ${command}`, { deviceError });
+  res.status(422).json({ 
+    success: false, 
+    message: `La OLT rechazó el comando: ${deviceError.message}`,
+    ...extra,
+    deviceError,
+    response: response.raw
+  });
+  return true;
+}
+
+/**
+ * Responde 423 si la sesión tiene una terminal interactiva conectada (la API no puede enviarle comandos)
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} sessionId - ID de la sesión
+ * @param {OltTelnetManager} oltManager - Gestor de la sesión
+ * @returns {boolean} - true si se respondió con el bloqueo
+ */
+function sendIfTerminalAttached(res, sessionId, oltManager) {
+  if (!oltManager.isTerminalAttached()) {
+    return false;
+  }
+
+  logger.warn(`Sesión en uso por una terminal interactiva: ${sessionId}`);
+  res.status(423).json({ 
+    success: false, 
+    message: 'La sesión está en uso por una terminal interactiva' 
+  });
+  return true;
+}
+
+/**
+ * Responde 403 si quien hace la petición no abrió la sesión (los administradores pueden usar cualquiera)
+ * @param {Object} req - Petición HTTP (autenticada)
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} sessionId - ID de la sesión
+ * @returns {boolean} - true si se respondió con el rechazo
+ */
+function sendIfNotSessionOwner(req, res, sessionId) {
+  if (authService.canUseSession(req.auth, sessionRegistry.getSessionOwner(sessionId))) {
+    return false;
+  }
+
+  logger.warn(`Acceso denegado a la sesión ${sessionId} para ${req.auth.id}`);
+  res.status(403).json({ 
+    success: false, 
+    message: 'La sesión pertenece a otro usuario' 
+  });
+  return true;
+}
+
+/**
+ * Aplica la política de comandos antes de enviarlos: responde 403 si alguno no está permitido,
+ * o 428 con un token de confirmación si alguno es destructivo y la petición no trae un token válido
+ * @param {Object} req - Petición HTTP (autenticada)
+ * @param {Object} res - Respuesta HTTP
+ * @param {Object} target - Destino de los comandos
+ * @param {string} target.key - Identificador del destino ("session:<id>" u "olt:<id>")
+ * @param {string|null} target.oltId - OLT del inventario (para sus reglas)
+ * @param {Array<{command: string, configMode: boolean}>} commands - Comandos que se van a enviar
+ * @param {string} [confirmationToken] - Token de confirmación recibido
+ * @returns {boolean} - true si se respondió con el rechazo o la petición de confirmación
+ */
+function sendIfCommandNotAllowed(req, res, target, commands, confirmationToken) {
+  const confirmCommands = [];
+  for (const { command, configMode } of commands) {
+    const result = commandPolicy.evaluateCommand(req.auth, command, { oltId: target.oltId, configMode });
+    if (!result.allowed) {
+      logger.warn(`Comando no autorizado para ${req.auth.id} (${req.auth.role}): ${command}`);
+      res.status(403).json({ 
+        success: false, 
+        message: `Comando no autorizado: ${result.reason}`,
+        command
+      });
+      return true;
+    }
+    if (result.confirmRequired) {
+      confirmCommands.push(command);
+    }
+  }
+  if (confirmCommands.length === 0) {
+    return false;
+  }
+
+  const scope = { target: target.key, commands };
+  if (confirmationToken && commandPolicy.consumeConfirmation(confirmationToken, req.auth, scope)) {
+    logger.warn(`Comandos destructivos confirmados por ${req.auth.id} en ${target.key}: ${confirmCommands.join(', ')}`);
+    return false;
+  }
+
+  logger.warn(`Comandos destructivos pendientes de confirmación (${target.key}): ${confirmCommands.join(', ')}`);
+  res.status(428).json({ 
+    success: false, 
+    message: confirmationToken
+      ? 'El token de confirmación no es válido o ha caducado: repite la petición con el nuevo confirmationToken'
+      : 'Comando destructivo: repite la misma petición con confirmationToken para confirmarlo',
+    confirmationRequired: true,
+    commands: confirmCommands,
+    ...commandPolicy.requestConfirmation(req.auth, scope)
+  });
+  return true;
+}
+
+/**
+ * Destino de los comandos enviados a una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @returns {{key: string, oltId: string|null}}
+ */
+function getSessionTarget(sessionId) {
+  return { key: `session:${sessionId}`, oltId: sessionRegistry.getSessionOltId(sessionId) };
+}
 
-// Endpoint para conectar a la OLT
-router.post('/connect', async (req, res) => {
+// Intervalo (ms) de los comentarios que mantienen abierto un stream SSE mientras la OLT no envía datos
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Escribe un evento Server-Sent Events
+ * @param {Object} res - Respuesta HTTP (ya abierta como text/event-stream)
+ * @param {string} event - Nombre del evento
+ * @param {Object} data - Datos del evento (se envían como JSON)
+ */
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Endpoint para conectar a la OLT (abre una sesión propia con la OLT: no basta con read-only)
+router.post('/connect', requireRole('operator'), async (req, res) => {
   logger.info('Solicitud recibida: POST /connect');
   try {
-    const { ip, port, username, password, enablePassword } = req.body;
-    logger.debug('Parámetros de conexión recibidos', { ip, port, username: '***' });
+    const { oltId, autoReconnect } = req.body;
+    let target;
     
-    // Validar parámetros obligatorios
-    if (!ip || !username || !password || !enablePassword) {
-      logger.warn('Solicitud de conexión con parámetros incompletos', { ip, username: username ? 'presente' : 'ausente' });
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Se requieren los parámetros: ip, username, password y enablePassword' 
-      });
+    if (oltId) {
+      // Tomar los datos de conexión (y las credenciales cifradas) del inventario
+      logger.debug('Conexión solicitada para OLT del inventario', { oltId });
+      target = oltInventory.getConnectionTarget(oltId);
+      if (!target) {
+        logger.warn(`OLT no encontrada: ${oltId}`);
+        return res.status(404).json({ 
+          success: false, 
+          message: 'OLT no encontrada' 
+        });
+      }
+    } else {
+      const { ip, port, username, password, enablePassword, protocol = 'telnet', deviceProfile = 'auto', hostKeyFingerprint } = req.body;
+      logger.debug('Parámetros de conexión recibidos', { ip, port, protocol, deviceProfile, username: '***' });
+      
+      // Validar parámetros obligatorios
+      if (!ip || !username || !password || !enablePassword) {
+        logger.warn('Solicitud de conexión con parámetros incompletos', { ip, username: username ? 'presente' : 'ausente' });
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Se requieren los parámetros: oltId, o bien ip, username, password y enablePassword' 
+        });
+      }
+      
+      // Validar el protocolo de transporte
+      if (!isSupportedProtocol(protocol)) {
+        logger.warn(`Solicitud de conexión con protocolo no soportado: ${protocol}`);
+        return res.status(400).json({ 
+          success: false, 
+          message: 'El parámetro protocol debe ser "telnet" o "ssh"' 
+        });
+      }
+      
+      // Validar el perfil de dispositivo
+      if (deviceProfile !== 'auto' && !deviceProfiles.isSupportedProfile(deviceProfile)) {
+        logger.warn(`Solicitud de conexión con perfil de dispositivo no soportado: ${deviceProfile}`);
+        return res.status(400).json({ 
+          success: false, 
+          message: `El parámetro deviceProfile debe ser "auto" o uno de: ${deviceProfiles.listProfiles().map(profile => profile.name).join(', ')}` 
+        });
+      }
+      
+      // Validar la huella fijada de la clave de host SSH
+      if (hostKeyFingerprint !== undefined && (typeof hostKeyFingerprint !== 'string' || !/^SHA256:[A-Za-z0-9+/]{43}$/.test(hostKeyFingerprint))) {
+        logger.warn('Solicitud de conexión con una huella de clave de host no válida');
+        return res.status(400).json({ 
+          success: false, 
+          message: 'El parámetro hostKeyFingerprint debe ser una huella SHA256 de OpenSSH ("SHA256:..." en base64 sin relleno)' 
+        });
+      }
+      
+      target = { host: ip, port: port || getDefaultPort(protocol), protocol, deviceProfile, username, password, enablePassword, hostKeyFingerprint };
     }
+    const { host, port, protocol, deviceProfile, username, password, enablePassword, hostKeyFingerprint } = target;
 
     // Crear un ID único para esta sesión
-    const sessionId = `${ip}-${Date.now()}`;
+    const sessionId = `${oltId || host}-${Date.now()}`;
     logger.debug(`ID de sesión generado: ${sessionId}`);
     
     // Crear una nueva instancia del gestor de Telnet
@@ -31,12 +245,17 @@ router.post('/connect', async (req, res) => {
     logger.debug('Instancia de OltTelnetManager creada');
     
     // Iniciar la conexión
-    logger.info(`Iniciando conexión a OLT: ${ip}:${port || 23}`);
-    await oltManager.connect(ip, port || 23, username, password, enablePassword);
-    logger.info(`Conexión establecida con éxito a OLT: ${ip}`);
+    logger.info(`Iniciando conexión ${protocol} a OLT: ${host}:${port}`);
+    await oltManager.connect(host, port, username, password, enablePassword, {
+      protocol,
+      deviceProfile,
+      autoReconnect: autoReconnect === true,
+      transportOptions: hostKeyFingerprint ? { hostFingerprint: hostKeyFingerprint } : undefined
+    });
+    logger.info(`Conexión establecida con éxito a OLT: ${host}`);
     
     // Guardar la sesión
-    activeSessions[sessionId] = oltManager;
+    sessionRegistry.addSession(sessionId, oltManager, { oltId, owner: req.auth.id });
     logger.debug(`Sesión guardada con ID: ${sessionId}`);
     
     const status = oltManager.getStatus();
@@ -63,7 +282,7 @@ router.post('/connect', async (req, res) => {
 router.post('/send-command', async (req, res) => {
   logger.info('Solicitud recibida: POST /send-command');
   try {
-    const { sessionId, command, configMode } = req.body;
+    const { sessionId, command, configMode, confirmationToken } = req.body;
     logger.debug('Parámetros de comando recibidos', { sessionId, command, configMode });
     
     // Validar parámetros obligatorios
@@ -75,16 +294,32 @@ router.post('/send-command', async (req, res) => {
       });
     }
     
+    // El comando debe ser texto (no un número, una lista o un objeto del JSON)
+    if (typeof command !== 'string') {
+      logger.warn('Solicitud de comando con un comando que no es texto', { type: Array.isArray(command) ? 'array' : typeof command });
+      return res.status(400).json({ 
+        success: false, 
+        message: 'command debe ser un texto' 
+      });
+    }
+    
     // Verificar que la sesión exista
-    if (!activeSessions[sessionId]) {
+    const oltManager = sessionRegistry.getSession(sessionId);
+    if (!oltManager) {
       logger.warn(`Sesión no encontrada: ${sessionId}`);
       return res.status(404).json({ 
         success: false, 
         message: 'Sesión no encontrada o expirada' 
       });
     }
+    if (sendIfNotSessionOwner(req, res, sessionId) || sendIfTerminalAttached(res, sessionId, oltManager)) {
+      return;
+    }
+    const commands = [{ command, configMode: configMode === true || oltManager.isInConfigMode() }];
+    if (sendIfCommandNotAllowed(req, res, getSessionTarget(sessionId), commands, confirmationToken)) {
+      return;
+    }
     
-    const oltManager = activeSessions[sessionId];
     logger.debug(`Sesión encontrada: ${sessionId}`);
     
     // Si se solicita entrar en modo configuración y no estamos en él
@@ -94,48 +329,230 @@ router.post('/send-command', async (req, res) => {
       logger.debug('Modo configuración activado');
     }
     
-    // Enviar el comando y esperar la respuesta
+    // Cancelar el comando si el cliente cierra la conexión antes de recibir la respuesta
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        logger.warn(`Cliente desconectado, cancelando comando: ${command}`);
+        abortController.abort();
+      }
+    });
+    
+    // Enviar el comando (se encola si la sesión está ocupada) y esperar la respuesta
     logger.info(`Enviando comando: ${command}`);
-    const response = await oltManager.sendCommand(command);
+    const response = await oltManager.sendCommand(command, { signal: abortController.signal });
     
-    // Verificar si la respuesta está formateada (objeto) o es texto plano
-    if (response && typeof response === 'object' && response.data) {
-      logger.debug(`Respuesta formateada recibida con ${response.data.length} registros`);
-      logger.silly(`Respuesta formateada: ${JSON.stringify(response)}`);
-      
-      const status = oltManager.getStatus();
-      logger.info(`Estado actual de la sesión: ${JSON.stringify(status)}`);
-      
-      res.json({ 
-        success: true, 
-        response: response.raw, // Respuesta limpia pero sin formato de tabla
-        formatted: response.formatted, // Respuesta con formato de tabla
-        data: response.data, // Datos estructurados
+    const status = oltManager.getStatus();
+    logger.info(`Estado actual de la sesión: ${JSON.stringify(status)}`);
+    
+    if (sendDeviceErrorIfRejected(res, command, response, { status })) {
+      return;
+    }
+    
+    res.json({ 
+      success: true, 
+      ...buildCommandPayload(response),
+      status
+    });
+    
+    logger.debug('Respuesta de comando exitosa enviada');
+  } catch (error) {
+    logger.error(`Error al enviar comando: ${error.message}`, { error: error.stack });
+    res.status(500).json({ 
+      success: false, 
+      message: `Error al enviar comando: ${error.message}` 
+    });
+    logger.debug('Respuesta de error enviada');
+  }
+});
+
+// Endpoint para enviar un lote de comandos en orden sobre una misma sesión
+router.post('/send-commands', async (req, res) => {
+  logger.info('Solicitud recibida: POST /send-commands');
+  try {
+    const { sessionId, commands, stopOnError, confirmationToken } = req.body;
+    logger.debug('Parámetros del lote recibidos', { sessionId, commands: Array.isArray(commands) ? commands.length : commands, stopOnError });
+    
+    // Validar parámetros obligatorios
+    if (!sessionId) {
+      logger.warn('Solicitud de lote sin sessionId');
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Se requieren los parámetros: sessionId y commands' 
+      });
+    }
+    
+    const errors = commandBatch.validateBatch(req.body);
+    if (errors.length > 0) {
+      logger.warn('Lote de comandos no válido', { errors });
+      return res.status(400).json({ 
+        success: false, 
+        message: `Lote de comandos no válido: ${errors.join(', ')}` 
+      });
+    }
+    
+    // Verificar que la sesión exista
+    const oltManager = sessionRegistry.getSession(sessionId);
+    if (!oltManager) {
+      logger.warn(`Sesión no encontrada: ${sessionId}`);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sesión no encontrada o expirada' 
+      });
+    }
+    if (sendIfNotSessionOwner(req, res, sessionId) || sendIfTerminalAttached(res, sessionId, oltManager)) {
+      return;
+    }
+    
+    // Autorizar todos los comandos del lote (y sus rollback) antes de enviar el primero
+    const inConfigMode = oltManager.isInConfigMode();
+    const stepCommands = commandBatch.normalizeSteps(commands).flatMap(step => {
+      const configMode = step.mode === 'config' || (step.mode === null && inConfigMode);
+      return [step.command, ...step.rollback].map(command => ({ command, configMode }));
+    });
+    if (sendIfCommandNotAllowed(req, res, getSessionTarget(sessionId), stepCommands, confirmationToken)) {
+      return;
+    }
+    
+    // Cancelar el lote si el cliente cierra la conexión antes de recibir la respuesta
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        logger.warn(`Cliente desconectado, cancelando lote de la sesión: ${sessionId}`);
+        abortController.abort();
+      }
+    });
+    
+    const result = await commandBatch.runBatch(oltManager, commands, { stopOnError, signal: abortController.signal });
+    const status = oltManager.getStatus();
+    
+    if (!result.success) {
+      const failed = result.results[result.failedStep];
+      const reason = failed.deviceError ? failed.deviceError.message : failed.error;
+      logger.warn(`Lote con errores: falló el comando #${result.failedStep} (${failed.command})`);
+      return res.status(422).json({ 
+        success: false, 
+        message: `Falló el comando #${result.failedStep} (${failed.command}): ${reason}`,
+        ...result,
+        status
+      });
+    }
+    
+    res.json({ 
+      ...result,
+      status
+    });
+    logger.debug('Respuesta del lote enviada');
+  } catch (error) {
+    logger.error(`Error al ejecutar el lote de comandos: ${error.message}`, { error: error.stack });
+    res.status(500).json({ 
+      success: false, 
+      message: `Error al ejecutar el lote de comandos: ${error.message}` 
+    });
+    logger.debug('Respuesta de error enviada');
+  }
+});
+
+// Endpoint para enviar un comando y recibir su salida página a página (Server-Sent Events)
+router.get('/stream-command', async (req, res) => {
+  logger.info('Solicitud recibida: GET /stream-command');
+  const { sessionId, command, confirmationToken } = req.query;
+  const configMode = req.query.configMode === 'true';
+  logger.debug('Parámetros de comando recibidos', { sessionId, command, configMode });
+  
+  // Validar parámetros obligatorios
+  if (!sessionId || !command) {
+    logger.warn('Solicitud de stream con parámetros incompletos', { sessionId: !!sessionId, command: !!command });
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Se requieren los parámetros: sessionId y command' 
+    });
+  }
+  
+  // Un parámetro repetido (?command=a&command=b) llega como una lista
+  if (typeof command !== 'string') {
+    logger.warn('Solicitud de stream con un comando que no es texto', { type: Array.isArray(command) ? 'array' : typeof command });
+    return res.status(400).json({ 
+      success: false, 
+      message: 'command debe ser un texto' 
+    });
+  }
+  
+  // Verificar que la sesión exista
+  const oltManager = sessionRegistry.getSession(sessionId);
+  if (!oltManager) {
+    logger.warn(`Sesión no encontrada: ${sessionId}`);
+    return res.status(404).json({ 
+      success: false, 
+      message: 'Sesión no encontrada o expirada' 
+    });
+  }
+  if (sendIfNotSessionOwner(req, res, sessionId) || sendIfTerminalAttached(res, sessionId, oltManager)) {
+    return;
+  }
+  const commands = [{ command, configMode: configMode || oltManager.isInConfigMode() }];
+  if (sendIfCommandNotAllowed(req, res, getSessionTarget(sessionId), commands, confirmationToken)) {
+    return;
+  }
+  
+  // Abrir el stream: a partir de aquí los errores se envían como evento "error"
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+  
+  // Cerrar el stream cancela el comando (en cola o en ejecución)
+  const abortController = new AbortController();
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) {
+      logger.warn(`Cliente desconectado, cancelando comando: ${command}`);
+      abortController.abort();
+    }
+  });
+  
+  try {
+    if (configMode && !oltManager.isInConfigMode()) {
+      logger.info('Entrando en modo configuración antes de enviar comando');
+      await oltManager.enterConfigMode({ signal: abortController.signal });
+    }
+    
+    logger.info(`Enviando comando con salida en streaming: ${command}`);
+    const response = await oltManager.sendCommand(command, {
+      signal: abortController.signal,
+      onPage: page => writeSseEvent(res, 'page', page)
+    });
+    
+    const status = oltManager.getStatus();
+    if (response && response.deviceError) {
+      logger.warn(`Comando rechazado por la OLT: ${command}`, { deviceError: response.deviceError });
+      writeSseEvent(res, 'result', { 
+        success: false, 
+        message: `La OLT rechazó el comando: ${response.deviceError.message}`,
+        deviceError: response.deviceError,
+        response: response.raw,
         status
       });
     } else {
-      // Respuesta de texto simple
-      logger.debug(`Respuesta de texto recibida (${response.length} caracteres)`);
-      logger.silly(`Respuesta completa: ${response}`);
-      
-      const status = oltManager.getStatus();
-      logger.info(`Estado actual de la sesión: ${JSON.stringify(status)}`);
-      
-      res.json({ 
+      writeSseEvent(res, 'result', { 
         success: true, 
-        response,
+        ...buildCommandPayload(response),
         status
       });
     }
-    
-    logger.debug('Respuesta de comando exitosa enviada');
+    logger.debug('Stream de comando finalizado');
   } catch (error) {
     logger.error(`Error al enviar comando: ${error.message}`, { error: error.stack });
-    res.status(500).json({ 
+    writeSseEvent(res, 'error', { 
       success: false, 
       message: `Error al enviar comando: ${error.message}` 
     });
-    logger.debug('Respuesta de error enviada');
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 });
 
@@ -156,15 +573,18 @@ router.post('/disconnect', async (req, res) => {
     }
     
     // Verificar que la sesión exista
-    if (!activeSessions[sessionId]) {
+    const oltManager = sessionRegistry.getSession(sessionId);
+    if (!oltManager) {
       logger.warn(`Sesión no encontrada para desconexión: ${sessionId}`);
       return res.status(404).json({ 
         success: false, 
         message: 'Sesión no encontrada o ya cerrada' 
       });
     }
+    if (sendIfNotSessionOwner(req, res, sessionId)) {
+      return;
+    }
     
-    const oltManager = activeSessions[sessionId];
     logger.debug(`Sesión encontrada para desconexión: ${sessionId}`);
     
     // Cerrar la conexión
@@ -173,7 +593,7 @@ router.post('/disconnect', async (req, res) => {
     logger.debug('Desconexión completada');
     
     // Eliminar la sesión
-    delete activeSessions[sessionId];
+    sessionRegistry.removeSession(sessionId);
     logger.info(`Sesión eliminada: ${sessionId}`);
     
     res.json({ 
@@ -192,7 +612,7 @@ router.post('/disconnect', async (req, res) => {
 });
 
 // Endpoint para entrar en modo privilegiado (enable)
-router.post('/enable', async (req, res) => {
+router.post('/enable', requireRole('operator'), async (req, res) => {
   logger.info('Solicitud recibida: POST /enable');
   try {
     const { sessionId } = req.body;
@@ -208,15 +628,18 @@ router.post('/enable', async (req, res) => {
     }
     
     // Verificar que la sesión exista
-    if (!activeSessions[sessionId]) {
+    const oltManager = sessionRegistry.getSession(sessionId);
+    if (!oltManager) {
       logger.warn(`Sesión no encontrada: ${sessionId}`);
       return res.status(404).json({ 
         success: false, 
         message: 'Sesión no encontrada o expirada' 
       });
     }
+    if (sendIfNotSessionOwner(req, res, sessionId) || sendIfTerminalAttached(res, sessionId, oltManager)) {
+      return;
+    }
     
-    const oltManager = activeSessions[sessionId];
     logger.debug(`Sesión encontrada: ${sessionId}`);
     
     // Entrar en modo privilegiado
@@ -243,21 +666,38 @@ router.post('/enable', async (req, res) => {
   }
 });
 
+// Endpoint para listar las sesiones activas
+router.get('/sessions', (req, res) => {
+  logger.info('Solicitud recibida: GET /sessions');
+  // Cada usuario sólo ve sus sesiones; los administradores ven todas
+  const sessions = sessionRegistry.listSessions()
+    .filter(session => authService.canUseSession(req.auth, session.owner));
+  logger.debug(`Sesiones activas: ${sessions.length}`);
+  
+  res.json({ 
+    success: true, 
+    sessions
+  });
+});
+
 // Endpoint para verificar el estado de una sesión
 router.get('/status/:sessionId', (req, res) => {
   logger.info('Solicitud recibida: GET /status/:sessionId');
   const { sessionId } = req.params;
   logger.debug(`Verificando estado de sesión: ${sessionId}`);
   
-  if (!activeSessions[sessionId]) {
+  const oltManager = sessionRegistry.getSession(sessionId);
+  if (!oltManager) {
     logger.warn(`Sesión no encontrada para status: ${sessionId}`);
     return res.status(404).json({ 
       success: false, 
       message: 'Sesión no encontrada' 
     });
   }
+  if (sendIfNotSessionOwner(req, res, sessionId)) {
+    return;
+  }
   
-  const oltManager = activeSessions[sessionId];
   logger.debug(`Sesión encontrada: ${sessionId}`);
   
   const status = oltManager.getStatus();
@@ -270,4 +710,93 @@ router.get('/status/:sessionId', (req, res) => {
   logger.debug('Respuesta de status enviada');
 });
 
+// Endpoint para ejecutar un comando usando una conexión del pool de la OLT (sin gestionar sesiones)
+router.post('/execute', async (req, res) => {
+  logger.info('Solicitud recibida: POST /execute');
+  try {
+    const { oltId, command, configMode, confirmationToken } = req.body;
+    logger.debug('Parámetros de ejecución recibidos', { oltId, command, configMode });
+    
+    // Validar parámetros obligatorios
+    if (!oltId || !command) {
+      logger.warn('Solicitud de ejecución con parámetros incompletos', { oltId: !!oltId, command: !!command });
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Se requieren los parámetros: oltId y command' 
+      });
+    }
+    
+    // El comando debe ser texto (no un número, una lista o un objeto del JSON)
+    if (typeof command !== 'string') {
+      logger.warn('Solicitud de ejecución con un comando que no es texto', { type: Array.isArray(command) ? 'array' : typeof command });
+      return res.status(400).json({ 
+        success: false, 
+        message: 'command debe ser un texto' 
+      });
+    }
+    
+    // Obtener el pool de conexiones de la OLT
+    const pool = poolRegistry.getPool(oltId);
+    if (!pool) {
+      logger.warn(`OLT no encontrada: ${oltId}`);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'OLT no encontrada' 
+      });
+    }
+    const commands = [{ command, configMode: configMode === true }];
+    if (sendIfCommandNotAllowed(req, res, { key: `olt:${oltId}`, oltId }, commands, confirmationToken)) {
+      return;
+    }
+    
+    // Tomar una conexión del pool, ejecutar el comando y devolverla
+    const response = await pool.withConnection(async (oltManager) => {
+      if (configMode === true && !oltManager.isInConfigMode()) {
+        logger.info('Entrando en modo configuración antes de ejecutar comando');
+        await oltManager.enterConfigMode();
+      }
+      
+      logger.info(`Ejecutando comando en OLT ${oltId}: ${command}`);
+      return oltManager.sendCommand(command);
+    });
+    
+    if (sendDeviceErrorIfRejected(res, command, response, { oltId })) {
+      return;
+    }
+    
+    res.json({ 
+      success: true, 
+      oltId,
+      ...buildCommandPayload(response)
+    });
+    logger.debug('Respuesta de ejecución exitosa enviada');
+  } catch (error) {
+    logger.error(`Error al ejecutar comando: ${error.message}`, { error: error.stack });
+    res.status(500).json({ 
+      success: false, 
+      message: `Error al ejecutar comando: ${error.message}` 
+    });
+    logger.debug('Respuesta de error enviada');
+  }
+});
+
+// Endpoint para listar los perfiles de dispositivo disponibles
+router.get('/device-profiles', (req, res) => {
+  logger.info('Solicitud recibida: GET /device-profiles');
+  res.json({ 
+    success: true, 
+    defaultProfile: deviceProfiles.DEFAULT_PROFILE,
+    profiles: deviceProfiles.listProfiles()
+  });
+});
+
+// Endpoint para consultar el estado de los pools de conexiones
+router.get('/pools', (req, res) => {
+  logger.info('Solicitud recibida: GET /pools');
+  res.json({ 
+    success: true, 
+    pools: poolRegistry.getAllStats()
+  });
+});
+
 module.exports = router;
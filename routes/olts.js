@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const oltInventory = require('../services/OltInventory');
+const poolRegistry = require('../services/OltPoolRegistry');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Endpoint para listar las OLT del inventario
+router.get('/', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /olts');
+  try {
+    const { tag, site, model } = req.query;
+    const olts = oltInventory.listOlts({ tag, site, model });
+    logger.debug(`OLT encontradas en el inventario: ${olts.length}`);
+
+    res.json({
+      success: true,
+      olts
+    });
+  } catch (error) {
+    logger.error(`Error al listar OLT: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al listar OLT: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para obtener una OLT del inventario
+router.get('/:oltId', requireRole('read-only'), (req, res) => {
+  logger.info('Solicitud recibida: GET /olts/:oltId');
+  try {
+    const { oltId } = req.params;
+    const olt = oltInventory.getOlt(oltId);
+
+    if (!olt) {
+      logger.warn(`OLT no encontrada: ${oltId}`);
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      olt
+    });
+  } catch (error) {
+    logger.error(`Error al obtener OLT: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al obtener OLT: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para dar de alta una OLT en el inventario
+router.post('/', requireRole('admin'), (req, res) => {
+  logger.info('Solicitud recibida: POST /olts');
+  try {
+    const data = req.body;
+    logger.debug('Datos de OLT recibidos', { id: data.id, host: data.host, protocol: data.protocol });
+
+    // Validar los datos de la OLT
+    const errors = oltInventory.validateOlt(data);
+    if (errors.length > 0) {
+      logger.warn('Alta de OLT con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de OLT no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    const olt = oltInventory.createOlt(data);
+    if (!olt) {
+      logger.warn(`Ya existe una OLT con el id: ${data.id}`);
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una OLT con ese id'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      olt
+    });
+  } catch (error) {
+    logger.error(`Error al crear OLT: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al crear OLT: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para modificar una OLT del inventario
+router.patch('/:oltId', requireRole('admin'), async (req, res) => {
+  logger.info('Solicitud recibida: PATCH /olts/:oltId');
+  try {
+    const { oltId } = req.params;
+    const { id, ...data } = req.body;
+
+    // Validar los datos de la OLT
+    const errors = oltInventory.validateOlt(data, true);
+    if (errors.length > 0) {
+      logger.warn('Modificación de OLT con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de OLT no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    const olt = oltInventory.updateOlt(oltId, data);
+    if (!olt) {
+      logger.warn(`OLT no encontrada: ${oltId}`);
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    // Las conexiones del pool usan los datos anteriores: se cierran para que se recreen
+    await poolRegistry.removePool(oltId);
+
+    res.json({
+      success: true,
+      olt
+    });
+  } catch (error) {
+    logger.error(`Error al modificar OLT: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al modificar OLT: ${error.message}`
+    });
+  }
+});
+
+// Endpoint para eliminar una OLT del inventario
+router.delete('/:oltId', requireRole('admin'), async (req, res) => {
+  logger.info('Solicitud recibida: DELETE /olts/:oltId');
+  try {
+    const { oltId } = req.params;
+
+    if (!oltInventory.deleteOlt(oltId)) {
+      logger.warn(`OLT no encontrada: ${oltId}`);
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    await poolRegistry.removePool(oltId);
+
+    res.json({
+      success: true,
+      message: 'OLT eliminada'
+    });
+  } catch (error) {
+    logger.error(`Error al eliminar OLT: ${error.message}`, { error: error.stack });
+    res.status(500).json({
+      success: false,
+      message: `Error al eliminar OLT: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
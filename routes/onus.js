@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const poolRegistry = require('../services/OltPoolRegistry');
+const oltInventory = require('../services/OltInventory');
+const onuProvisioning = require('../services/OnuProvisioningService');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Obtiene el pool de la OLT de la ruta o responde 404 si no está en el inventario
+ * @param {Object} req - Solicitud HTTP
+ * @param {Object} res - Respuesta HTTP
+ * @returns {OltConnectionPool|null}
+ */
+function getPoolOrRespond(req, res) {
+  const { oltId } = req.params;
+  const pool = poolRegistry.getPool(oltId);
+  if (!pool) {
+    logger.warn(`OLT no encontrada: ${oltId}`);
+    res.status(404).json({
+      success: false,
+      message: 'OLT no encontrada'
+    });
+  }
+  return pool;
+}
+
+/**
+ * Responde con el error de una operación de aprovisionamiento
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} action - Descripción de la operación (para el mensaje)
+ * @param {Error} error - Error producido
+ */
+function sendProvisioningError(res, action, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) {
+    logger.error(`Error al ${action}: ${error.message}`, { error: error.stack });
+  } else {
+    logger.warn(`No se pudo ${action}: ${error.message}`);
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? `Error al ${action}: ${error.message}` : error.message,
+    commands: error.commands || []
+  });
+}
+
+// Endpoint para listar las ONU detectadas en los puertos PON y no autorizadas
+router.get('/unauthorized', requireRole('read-only'), async (req, res) => {
+  logger.info('Solicitud recibida: GET /olt/:oltId/onus/unauthorized');
+  try {
+    const { oltId } = req.params;
+    const { port } = req.query;
+    logger.debug('Parámetros de búsqueda recibidos', { oltId, port });
+
+    // Validar el filtro de puerto
+    if (port !== undefined && !/^\d+\/\d+$/.test(port)) {
+      logger.warn(`Filtro de puerto no válido: ${port}`);
+      return res.status(400).json({
+        success: false,
+        message: 'port debe tener el formato <slot>/<puerto> (p. ej. "0/1")'
+      });
+    }
+
+    const pool = getPoolOrRespond(req, res);
+    if (!pool) {
+      return;
+    }
+
+    const ponPorts = port ? [port] : (oltInventory.getOlt(oltId) || {}).ponPorts;
+    const result = await pool.withConnection(oltManager => onuProvisioning.listUnauthorizedOnus(oltManager, oltId, ponPorts, req.auth));
+
+    res.json({
+      success: true,
+      oltId,
+      ...result
+    });
+  } catch (error) {
+    sendProvisioningError(res, 'listar las ONU sin autorizar', error);
+  }
+});
+
+// Endpoint para autorizar una ONU por número de serie
+router.post('/', requireRole('operator'), async (req, res) => {
+  logger.info('Solicitud recibida: POST /olt/:oltId/onus');
+  try {
+    const { oltId } = req.params;
+    const data = req.body;
+    logger.debug('Datos de autorización recibidos', { oltId, ponPort: data.ponPort, serialNumber: data.serialNumber, onuId: data.onuId });
+
+    // Validar los datos de la ONU
+    const errors = onuProvisioning.validateAuthorization(data);
+    if (errors.length > 0) {
+      logger.warn('Autorización de ONU con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de ONU no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    const pool = getPoolOrRespond(req, res);
+    if (!pool) {
+      return;
+    }
+
+    const result = await pool.withConnection(oltManager => onuProvisioning.authorizeOnu(oltManager, data, req.auth));
+
+    res.status(201).json({
+      success: true,
+      oltId,
+      ...result
+    });
+  } catch (error) {
+    sendProvisioningError(res, 'autorizar la ONU', error);
+  }
+});
+
+// Endpoint para modificar el perfil, la descripción o la VLAN de una ONU
+router.patch('/:slot/:port/:onuId', requireRole('operator'), async (req, res) => {
+  logger.info('Solicitud recibida: PATCH /olt/:oltId/onus/:slot/:port/:onuId');
+  try {
+    const { oltId, slot, port } = req.params;
+    const ponPort = `${slot}/${port}`;
+    const onuId = Number(req.params.onuId);
+    const data = req.body;
+    logger.debug('Datos de modificación recibidos', { oltId, ponPort, onuId, fields: Object.keys(data) });
+
+    // Validar los datos de la ONU
+    const errors = onuProvisioning.validateUpdate(ponPort, onuId, data);
+    if (errors.length > 0) {
+      logger.warn('Modificación de ONU con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de ONU no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    const pool = getPoolOrRespond(req, res);
+    if (!pool) {
+      return;
+    }
+
+    const result = await pool.withConnection(oltManager => onuProvisioning.updateOnu(oltManager, ponPort, onuId, data, req.auth));
+
+    res.json({
+      success: true,
+      oltId,
+      ...result
+    });
+  } catch (error) {
+    sendProvisioningError(res, 'modificar la ONU', error);
+  }
+});
+
+// Endpoint para desautorizar una ONU
+router.delete('/:slot/:port/:onuId', requireRole('operator'), async (req, res) => {
+  logger.info('Solicitud recibida: DELETE /olt/:oltId/onus/:slot/:port/:onuId');
+  try {
+    const { oltId, slot, port } = req.params;
+    const ponPort = `${slot}/${port}`;
+    const onuId = Number(req.params.onuId);
+
+    // Validar la ubicación de la ONU
+    const errors = onuProvisioning.validateLocation(ponPort, onuId);
+    if (errors.length > 0) {
+      logger.warn('Desautorización de ONU con datos no válidos', { errors });
+      return res.status(400).json({
+        success: false,
+        message: `Datos de ONU no válidos: ${errors.join(', ')}`
+      });
+    }
+
+    const pool = getPoolOrRespond(req, res);
+    if (!pool) {
+      return;
+    }
+
+    const result = await pool.withConnection(oltManager => onuProvisioning.deauthorizeOnu(oltManager, ponPort, onuId, req.auth));
+
+    res.json({
+      success: true,
+      oltId,
+      ...result
+    });
+  } catch (error) {
+    sendProvisioningError(res, 'desautorizar la ONU', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+const { getDataPath } = require('../utils/jsonStore');
+
+// Directorio de la auditoría: un fichero JSON Lines por día (UTC), al que sólo se añaden líneas
+const AUDIT_DIR = 'audit';
+const FILE_PATTERN = /^commands-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Identidad a la que se atribuyen los comandos lanzados por la propia aplicación (reconexiones, pools...)
+const SYSTEM_ACTOR = 'system';
+
+// Resultados de un comando auditado (los mismos que las métricas)
+const OUTCOMES = ['ok', 'device_error', 'timeout', 'cancelled', 'error'];
+
+// Orígenes de un comando auditado: la API o la terminal interactiva
+const SOURCES = ['api', 'terminal'];
+
+// Máximo de entradas que devuelve una consulta
+const MAX_QUERY_LIMIT = 1000;
+
+// Longitud máxima del texto que se busca en los comandos
+const MAX_COMMAND_FILTER_LENGTH = 200;
+
+// Columnas de la exportación CSV
+const CSV_FIELDS = ['at', 'user', 'oltId', 'host', 'sessionId', 'source', 'mode', 'command', 'outcome', 'durationMs', 'responseHash', 'error'];
+
+// Identidad de la petición en curso: se propaga por todas las llamadas asíncronas que hace
+const actorStorage = new AsyncLocalStorage();
+
+/**
+ * Ejecuta una función atribuyendo a una identidad los comandos que envíe (también los de sus llamadas asíncronas)
+ * @param {string} actor - Identidad (p. ej. "key:3f9a1c2b7d4e" o "scheduler:job:onu-state")
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} - Resultado de la función
+ */
+function runWithActor(actor, fn) {
+  return actorStorage.run(actor, fn);
+}
+
+/**
+ * Obtiene la identidad a la que se atribuyen los comandos en el contexto actual
+ * @returns {string}
+ */
+function getActor() {
+  return actorStorage.getStore() || SYSTEM_ACTOR;
+}
+
+/**
+ * Calcula el hash de la respuesta de un comando (permite comprobar respuestas sin guardarlas)
+ * @param {string} response - Respuesta cruda
+ * @returns {string|null}
+ */
+function hashResponse(response) {
+  return typeof response === 'string' ? crypto.createHash('sha256').update(response).digest('hex') : null;
+}
+
+/**
+ * Añade un comando ejecutado a la auditoría. Un fallo al escribir se registra en el log pero no afecta al comando.
+ * @param {Object} record - Datos del comando
+ * @param {string} record.user - Identidad que lo envió
+ * @param {string|null} record.oltId - OLT del inventario
+ * @param {string} record.host - Host de la OLT
+ * @param {string|null} record.sessionId - Sesión en la que se envió
+ * @param {string} [record.source='api'] - Origen del comando: 'api' o 'terminal' (tecleado en la terminal interactiva)
+ * @param {string|null} record.mode - Modo de la sesión al enviarlo
+ * @param {string} record.command - Comando (sin contraseñas)
+ * @param {string|null} record.outcome - 'ok', 'device_error', 'timeout', 'cancelled' o 'error' (null si no se conoce, como en la terminal)
+ * @param {number|null} record.durationMs - Tiempo desde el envío hasta la respuesta
+ * @param {string} [record.response] - Respuesta cruda (sólo se guarda su hash)
+ * @param {string} [record.error] - Mensaje de error o código del error de la OLT
+ */
+function recordCommand({ response, ...record }) {
+  const entry = {
+    at: new Date().toISOString(),
+    source: 'api',
+    ...record,
+    responseHash: hashResponse(response),
+    error: record.error || null
+  };
+
+  try {
+    const filePath = getDataPath(AUDIT_DIR, `commands-${entry.at.slice(0, 10)}.jsonl`);
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (error) {
+    logger.error(`Error al escribir la auditoría del comando "${record.command}": ${error.message}`);
+  }
+}
+
+/**
+ * Valida los filtros de una consulta de la auditoría
+ * @param {Object} query - Parámetros recibidos (oltId, user, sessionId, source, outcome, from, to, command, limit)
+ * @returns {string[]} - Lista de errores de validación (vacía si los filtros son válidos)
+ */
+function validateQuery(query) {
+  const errors = [];
+  ['from', 'to'].forEach(field => {
+    if (query[field] !== undefined && Number.isNaN(Date.parse(query[field]))) {
+      errors.push(`${field} debe ser una fecha ISO 8601`);
+    }
+  });
+  if (query.command !== undefined && (typeof query.command !== 'string' || query.command.length > MAX_COMMAND_FILTER_LENGTH)) {
+    errors.push(`command debe ser un texto de como máximo ${MAX_COMMAND_FILTER_LENGTH} caracteres`);
+  }
+  if (query.source !== undefined && !SOURCES.includes(query.source)) {
+    errors.push(`source debe ser uno de: ${SOURCES.join(', ')}`);
+  }
+  if (query.outcome !== undefined && !OUTCOMES.includes(query.outcome)) {
+    errors.push(`outcome debe ser uno de: ${OUTCOMES.join(', ')}`);
+  }
+  if (query.limit !== undefined && (!/^\d+$/.test(query.limit) || Number(query.limit) < 1 || Number(query.limit) > MAX_QUERY_LIMIT)) {
+    errors.push(`limit debe ser un entero entre 1 y ${MAX_QUERY_LIMIT}`);
+  }
+  return errors;
+}
+
+/**
+ * Crea la función que comprueba si una entrada cumple los filtros (ya validados)
+ * @param {Object} query - Filtros
+ * @returns {Function}
+ */
+function buildFilter(query) {
+  const from = query.from !== undefined ? new Date(query.from).toISOString() : null;
+  const to = query.to !== undefined ? new Date(query.to).toISOString() : null;
+  // El texto se busca literalmente (sin distinguir mayúsculas): una expresión regular del usuario podría bloquear el proceso
+  const command = query.command !== undefined ? query.command.toLowerCase() : null;
+
+  return entry => (!query.oltId || entry.oltId === query.oltId)
+    && (!query.user || entry.user === query.user)
+    && (!query.sessionId || entry.sessionId === query.sessionId)
+    && (!query.source || (entry.source || 'api') === query.source)
+    && (!query.outcome || entry.outcome === query.outcome)
+    && (!from || entry.at >= from)
+    && (!to || entry.at <= to)
+    && (!command || String(entry.command).toLowerCase().includes(command));
+}
+
+/**
+ * Lista los ficheros de auditoría de los días que abarca el rango, del más antiguo al más reciente
+ * @param {Object} query - Filtros (from, to)
+ * @returns {string[]} - Rutas de los ficheros
+ */
+function listAuditFiles(query) {
+  const dir = path.dirname(getDataPath(AUDIT_DIR, 'commands.jsonl'));
+  const fromDay = query.from !== undefined ? new Date(query.from).toISOString().slice(0, 10) : null;
+  const toDay = query.to !== undefined ? new Date(query.to).toISOString().slice(0, 10) : null;
+
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(FILE_PATTERN) }))
+    .filter(({ match }) => match && (!fromDay || match[1] >= fromDay) && (!toDay || match[1] <= toDay))
+    .map(({ name }) => name)
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Lee las entradas de un fichero de auditoría (las líneas dañadas se ignoran)
+ * @param {string} filePath - Ruta del fichero
+ * @returns {Object[]}
+ */
+function readAuditFile(filePath) {
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Línea de auditoría no válida en ${filePath}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Consulta la auditoría, de la entrada más reciente a la más antigua
+ * @param {Object} query - Filtros (ya validados)
+ * @param {number} [limit] - Número máximo de entradas (sin límite si no se indica)
+ * @returns {Object[]}
+ */
+function queryEntries(query, limit = Infinity) {
+  const matches = buildFilter(query);
+  const results = [];
+  for (const filePath of listAuditFiles(query).reverse()) {
+    const entries = readAuditFile(filePath).filter(matches).reverse();
+    for (const entry of entries) {
+      if (results.length >= limit) {
+        return results;
+      }
+      results.push(entry);
+    }
+  }
+  return results;
+}
+
+/**
+ * Escapa un valor para una celda CSV
+ * @param {*} value - Valor
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta entradas de la auditoría en orden cronológico
+ * @param {Object[]} entries - Entradas (de la más reciente a la más antigua, como las devuelve queryEntries)
+ * @param {string} format - 'jsonl' o 'csv'
+ * @returns {string}
+ */
+function exportEntries(entries, format) {
+  const ordered = [...entries].reverse();
+  if (format === 'csv') {
+    const lines = ordered.map(entry => CSV_FIELDS.map(field => toCsvCell(entry[field])).join(','));
+    return [CSV_FIELDS.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+  return ordered.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+module.exports = {
+  OUTCOMES,
+  MAX_QUERY_LIMIT,
+  runWithActor,
+  getActor,
+  recordCommand,
+  validateQuery,
+  queryEntries,
+  exportEntries
+};
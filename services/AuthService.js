@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createJsonStore } = require('../utils/jsonStore');
+const { verifyJwt } = require('../utils/jwt');
+
+// Claves de API persistidas en data/api-keys.json (sólo se guarda el hash SHA-256 de cada clave)
+const store = createJsonStore('api-keys.json', {});
+
+// Roles de menor a mayor privilegio: cada rol incluye los permisos de los anteriores
+const ROLES = ['read-only', 'operator', 'admin'];
+
+// Prefijo de las claves generadas (permite reconocerlas en ficheros de configuración y logs)
+const API_KEY_PREFIX = 'olt_';
+
+// Identidad de las peticiones con la autenticación desactivada (AUTH_DISABLED=true)
+const ANONYMOUS_PRINCIPAL = { id: 'anonymous', name: 'anonymous', role: 'admin', type: 'none' };
+
+/**
+ * Indica si la autenticación está desactivada (sólo para desarrollo)
+ * @returns {boolean}
+ */
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+/**
+ * Calcula el hash con el que se guarda una clave de API
+ * @param {string} key - Clave
+ * @returns {string}
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Compara dos textos en tiempo constante
+ * @param {string} a - Texto
+ * @param {string} b - Texto
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(hashKey(a), 'hex');
+  const bufferB = Buffer.from(hashKey(b), 'hex');
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Indica si un rol tiene al menos los permisos de otro
+ * @param {string} role - Rol del usuario
+ * @param {string} requiredRole - Rol mínimo requerido
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) !== -1 && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Autentica un token: la clave de administración (AUTH_ADMIN_KEY), una clave de API o un JWT (AUTH_JWT_SECRET)
+ * @param {string} token - Token recibido en la petición
+ * @returns {Object|null} - Identidad ({ id, name, role, type }) o null si el token no es válido
+ */
+function authenticateToken(token) {
+  if (isAuthDisabled()) {
+    return ANONYMOUS_PRINCIPAL;
+  }
+  if (!token) {
+    return null;
+  }
+
+  if (process.env.AUTH_ADMIN_KEY && safeEqual(token, process.env.AUTH_ADMIN_KEY)) {
+    return { id: 'admin-key', name: 'AUTH_ADMIN_KEY', role: 'admin', type: 'admin-key' };
+  }
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const keyHash = hashKey(token);
+    const apiKey = Object.values(store.read()).find(entry => entry.keyHash === keyHash);
+    return apiKey ? { id: `key:${apiKey.id}`, name: apiKey.name, role: apiKey.role, type: 'api-key' } : null;
+  }
+
+  if (process.env.AUTH_JWT_SECRET && token.split('.').length === 3) {
+    try {
+      const claims = verifyJwt(token, process.env.AUTH_JWT_SECRET);
+      if (!claims.sub || !ROLES.includes(claims.role)) {
+        logger.warn('Token JWT sin sub o con un rol no válido');
+        return null;
+      }
+      return { id: `jwt:${claims.sub}`, name: claims.name || claims.sub, role: claims.role, type: 'jwt' };
+    } catch (error) {
+      logger.warn(`Token JWT rechazado: ${error.message}`);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Indica si una identidad puede usar una sesión (la que la abrió, o un administrador)
+ * @param {Object} principal - Identidad autenticada
+ * @param {string|null} owner - Identidad que abrió la sesión
+ * @returns {boolean}
+ */
+function canUseSession(principal, owner) {
+  return owner === principal.id || hasRole(principal.role, 'admin');
+}
+
+/**
+ * Valida los datos de una clave de API
+ * @param {Object} data - Datos recibidos
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateApiKey(data) {
+  const errors = [];
+  if (typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > 64) {
+    errors.push('name debe ser un texto no vacío de como máximo 64 caracteres');
+  }
+  if (!ROLES.includes(data.role)) {
+    errors.push(`role debe ser uno de: ${ROLES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Devuelve la representación pública de una clave (sin su hash)
+ * @param {Object} record - Clave almacenada
+ * @returns {Object}
+ */
+function toPublic(record) {
+  const { keyHash, ...apiKey } = record;
+  return apiKey;
+}
+
+/**
+ * Crea una clave de API. La clave sólo se devuelve en este momento: después únicamente se guarda su hash.
+ * @param {Object} data - Datos de la clave (ya validados)
+ * @param {string} createdBy - Identidad que crea la clave
+ * @returns {{apiKey: Object, key: string}}
+ */
+function createApiKey(data, createdBy) {
+  const keys = store.read();
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  keys[id] = {
+    id,
+    name: data.name.trim(),
+    role: data.role,
+    keyPrefix: key.slice(0, API_KEY_PREFIX.length + 4),
+    keyHash: hashKey(key),
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  store.write(keys);
+  logger.info(`Clave de API creada: ${id} (${data.role}) por ${createdBy}`);
+  return { apiKey: toPublic(keys[id]), key };
+}
+
+/**
+ * Lista las claves de API (sin sus hash)
+ * @returns {Object[]}
+ */
+function listApiKeys() {
+  return Object.values(store.read()).map(toPublic);
+}
+
+/**
+ * Revoca una clave de API
+ * @param {string} id - Identificador de la clave
+ * @returns {boolean} - true si la clave existía
+ */
+function revokeApiKey(id) {
+  const keys = store.read();
+  if (!Object.hasOwn(keys, id)) {
+    return false;
+  }
+  delete keys[id];
+  store.write(keys);
+  logger.info(`Clave de API revocada: ${id}`);
+  return true;
+}
+
+/**
+ * Avisa al arrancar si no hay ninguna forma de autenticarse
+ */
+function checkConfiguration() {
+  if (isAuthDisabled()) {
+    logger.warn('Autenticación desactivada (AUTH_DISABLED=true): todas las peticiones tienen rol admin');
+  } else if (!process.env.AUTH_ADMIN_KEY && !process.env.AUTH_JWT_SECRET && listApiKeys().length === 0) {
+    logger.warn('No hay credenciales configuradas: define AUTH_ADMIN_KEY o AUTH_JWT_SECRET para poder usar la API');
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  authenticateToken,
+  canUseSession,
+  validateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  checkConfiguration
+};
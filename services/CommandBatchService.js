@@ -0,0 +1,212 @@
+const logger = require('../utils/logger');
+
+// Máximo de comandos por lote (un aprovisionamiento completo ocupa 5-15 líneas)
+const MAX_BATCH_COMMANDS = 100;
+
+// Modos en los que se puede ejecutar un paso del lote
+const STEP_MODES = ['exec', 'config'];
+
+/**
+ * Comprueba que un comando sea una única línea de texto no vacía
+ * @param {*} command - Comando a comprobar
+ * @returns {boolean}
+ */
+function isSingleLineCommand(command) {
+  return typeof command === 'string' && command.trim() !== '' && !/[\r\n]/.test(command);
+}
+
+/**
+ * Valida los parámetros de un lote de comandos
+ * @param {Object} data - Datos recibidos
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateBatch(data) {
+  const errors = [];
+  const { commands, stopOnError } = data;
+
+  if (!Array.isArray(commands) || commands.length === 0) {
+    errors.push('commands debe ser una lista no vacía de comandos');
+    return errors;
+  }
+  if (commands.length > MAX_BATCH_COMMANDS) {
+    errors.push(`commands admite como máximo ${MAX_BATCH_COMMANDS} comandos`);
+  }
+  if (stopOnError !== undefined && typeof stopOnError !== 'boolean') {
+    errors.push('stopOnError debe ser booleano');
+  }
+
+  commands.forEach((step, index) => {
+    const { command, mode, rollback } = typeof step === 'string' ? { command: step } : (step || {});
+    if (!isSingleLineCommand(command)) {
+      errors.push(`commands[${index}].command debe ser un comando de una sola línea`);
+    }
+    if (mode !== undefined && !STEP_MODES.includes(mode)) {
+      errors.push(`commands[${index}].mode debe ser "exec" o "config"`);
+    }
+    const rollbackCommands = typeof rollback === 'string' ? [rollback] : rollback;
+    if (rollbackCommands !== undefined && (!Array.isArray(rollbackCommands) || !rollbackCommands.every(isSingleLineCommand))) {
+      errors.push(`commands[${index}].rollback debe ser un comando o una lista de comandos de una sola línea`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Normaliza los pasos de un lote ya validado
+ * @param {Array<string|Object>} commands - Comandos recibidos (texto u objeto { command, mode, rollback })
+ * @returns {Array<{command: string, mode: string|null, rollback: string[]}>}
+ */
+function normalizeSteps(commands) {
+  return commands.map(step => {
+    const { command, mode = null, rollback = [] } = typeof step === 'string' ? { command: step } : step;
+    return {
+      command,
+      mode,
+      rollback: typeof rollback === 'string' ? [rollback] : rollback
+    };
+  });
+}
+
+/**
+ * Cambia la sesión al modo que pide el paso (sin modo, el paso se ejecuta en el modo actual)
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string|null} mode - 'exec', 'config' o null
+ * @param {AbortSignal} [signal] - Señal para cancelar el lote
+ */
+async function switchMode(manager, mode, signal) {
+  if (mode === 'config' && !manager.isInConfigMode()) {
+    await manager.enterConfigMode({ signal });
+  } else if (mode === 'exec' && manager.isInConfigMode()) {
+    await manager.exitConfigMode({ signal });
+  }
+}
+
+/**
+ * Ejecuta un comando y construye su resultado con la respuesta y el tiempo empleado
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} command - Comando a enviar
+ * @param {string|null} mode - Modo en el que se ejecuta
+ * @param {AbortSignal} [signal] - Señal para cancelar el lote
+ * @returns {Promise<Object>} - Resultado del comando
+ */
+async function runCommand(manager, command, mode, signal) {
+  const startedAt = Date.now();
+  try {
+    await switchMode(manager, mode, signal);
+    const response = await manager.sendCommand(command, { signal });
+    const isObject = response && typeof response === 'object';
+    const text = isObject ? response.raw : response;
+    const deviceError = isObject && response.deviceError ? response.deviceError : null;
+
+    return {
+      command,
+      mode,
+      status: deviceError ? 'failed' : 'ok',
+      response: text,
+      formatted: isObject ? response.formatted : text,
+      data: isObject ? response.data : null,
+      deviceError,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    logger.warn(`Error al ejecutar el comando "${command}" del lote: ${error.message}`);
+    return {
+      command,
+      mode,
+      status: 'failed',
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+/**
+ * Deshace los pasos completados ejecutando sus comandos de rollback en orden inverso.
+ * Se ejecutan todos aunque alguno falle, para deshacer todo lo posible.
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {Object[]} completedSteps - Pasos completados (en el orden en que se ejecutaron)
+ * @returns {Promise<{success: boolean, results: Object[]}>}
+ */
+async function rollbackSteps(manager, completedSteps) {
+  const results = [];
+
+  for (const step of completedSteps.slice().reverse()) {
+    for (const command of step.rollback) {
+      if (!manager.getStatus().connected) {
+        results.push({ command, mode: step.mode, status: 'skipped' });
+        continue;
+      }
+      logger.info(`Rollback del paso #${step.index}: ${command}`);
+      results.push({ step: step.index, ...(await runCommand(manager, command, step.mode)) });
+    }
+  }
+
+  return {
+    success: results.every(result => result.status === 'ok'),
+    results
+  };
+}
+
+/**
+ * Ejecuta un lote de comandos en orden sobre una misma sesión
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {Array<string|Object>} commands - Comandos validados con validateBatch
+ * @param {Object} [options] - Opciones del lote
+ * @param {boolean} [options.stopOnError=true] - Detener el lote en el primer comando que falle (y ejecutar el rollback)
+ * @param {AbortSignal} [options.signal] - Señal para cancelar el lote
+ * @returns {Promise<{success: boolean, failedStep: number|null, results: Object[], rollback: Object|null}>}
+ */
+async function runBatch(manager, commands, options = {}) {
+  const { stopOnError = true, signal } = options;
+  const steps = normalizeSteps(commands);
+  const results = [];
+  const completedSteps = [];
+  let failedStep = null;
+  let stopped = false;
+  logger.info(`Ejecutando lote de ${steps.length} comando(s) (stopOnError: ${stopOnError})`);
+
+  for (const [index, step] of steps.entries()) {
+    if (stopped) {
+      results.push({ index, command: step.command, mode: step.mode, status: 'skipped' });
+      continue;
+    }
+
+    const result = await runCommand(manager, step.command, step.mode, signal);
+    results.push({ index, ...result });
+    logger.debug(`Paso #${index} (${step.command}): ${result.status} en ${result.durationMs}ms`);
+
+    if (result.status === 'ok') {
+      completedSteps.push({ index, ...step });
+      continue;
+    }
+
+    if (failedStep === null) {
+      failedStep = index;
+    }
+    // Sin conexión o con el lote cancelado no tiene sentido seguir, aunque stopOnError sea false
+    stopped = stopOnError || !manager.getStatus().connected || (signal && signal.aborted);
+  }
+
+  // El rollback sólo se ejecuta si el lote se detuvo por un fallo y algún paso completado lo define
+  let rollback = null;
+  if (failedStep !== null && stopOnError && completedSteps.some(step => step.rollback.length > 0)) {
+    logger.warn(`El paso #${failedStep} falló, deshaciendo ${completedSteps.length} paso(s) completado(s)`);
+    rollback = await rollbackSteps(manager, completedSteps);
+  }
+
+  logger.info(`Lote finalizado: ${completedSteps.length}/${steps.length} comando(s) correctos`);
+  return {
+    success: failedStep === null,
+    failedStep,
+    results,
+    rollback
+  };
+}
+
+module.exports = {
+  MAX_BATCH_COMMANDS,
+  validateBatch,
+  normalizeSteps,
+  runBatch
+};
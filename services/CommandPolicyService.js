@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createJsonStore } = require('../utils/jsonStore');
+const { ROLES } = require('./AuthService');
+
+// Comandos de consulta, los únicos que pueden enviar por defecto los roles read-only y operator
+const READ_COMMANDS = '^(show|display)\\b';
+
+/**
+ * Construye la expresión que reconoce una palabra clave y cualquiera de sus abreviaturas, ya que
+ * la CLI de las OLT acepta un prefijo de la palabra: "reload" -> "r(?:e(?:l(?:o(?:a(?:d)?)?)?)?)?"
+ * @param {string} keyword - Palabra clave completa
+ * @returns {string}
+ */
+function abbreviable(keyword) {
+  return [...keyword].reduceRight((pattern, char, index) => (index === 0 ? `${char}${pattern}` : `(?:${char}${pattern})?`), '');
+}
+
+// Política por defecto: se aplica a los roles (o la lista de confirmación) que no define data/command-policy.json
+const DEFAULT_POLICY = {
+  roles: {
+    'read-only': { allow: [READ_COMMANDS], deny: [], configMode: false },
+    operator: { allow: [READ_COMMANDS], deny: [], configMode: false },
+    admin: { allow: [], deny: [], configMode: true }
+  },
+  olts: {},
+  // Comandos destructivos: requieren una segunda petición con un token de confirmación
+  confirm: [
+    `^(${['reboot', 'reload', 'restart'].map(abbreviable).join('|')})\\b`,
+    `^(${['erase', 'format'].map(abbreviable).join('|')})\\b`,
+    `^${abbreviable('write')}\\s+${abbreviable('erase')}\\b`,
+    `^${abbreviable('delete')}\\b`,
+    `^(${['restore', 'reset'].map(abbreviable).join('|')})\\b`
+  ]
+};
+
+// Política de comandos persistida en data/command-policy.json
+const store = createJsonStore('command-policy.json', {});
+
+// Vigencia (ms) de un token de confirmación
+const CONFIRMATION_TTL = Number(process.env.COMMAND_CONFIRMATION_TTL_MS) || 120000;
+
+// Tokens de confirmación pendientes: token -> { principalId, fingerprint, expiresAt }
+const confirmations = new Map();
+
+/**
+ * Comprueba que un valor sea una lista de expresiones regulares válidas
+ * @param {*} patterns - Valor a comprobar
+ * @returns {boolean}
+ */
+function isPatternList(patterns) {
+  if (!Array.isArray(patterns)) {
+    return false;
+  }
+  return patterns.every(pattern => {
+    if (typeof pattern !== 'string' || pattern === '') {
+      return false;
+    }
+    try {
+      new RegExp(pattern, 'i');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Valida las reglas de un rol o de una OLT
+ * @param {*} rules - Reglas ({ allow, deny, configMode })
+ * @param {string} field - Nombre del campo (para los mensajes de error)
+ * @returns {string[]} - Lista de errores
+ */
+function validateRules(rules, field) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [`${field} debe ser un objeto { allow, deny }`];
+  }
+  const errors = [];
+  ['allow', 'deny'].forEach(list => {
+    if (rules[list] !== undefined && !isPatternList(rules[list])) {
+      errors.push(`${field}.${list} debe ser una lista de expresiones regulares válidas`);
+    }
+  });
+  if (rules.configMode !== undefined && typeof rules.configMode !== 'boolean') {
+    errors.push(`${field}.configMode debe ser booleano`);
+  }
+  return errors;
+}
+
+/**
+ * Valida una política de comandos
+ * @param {Object} data - Política recibida ({ roles, olts, confirm })
+ * @returns {string[]} - Lista de errores de validación (vacía si la política es válida)
+ */
+function validatePolicy(data) {
+  const errors = [];
+  const { roles = {}, olts = {}, confirm } = data;
+
+  if (typeof roles !== 'object' || Array.isArray(roles)) {
+    errors.push('roles debe ser un objeto con las reglas de cada rol');
+  } else {
+    Object.entries(roles).forEach(([role, rules]) => {
+      if (!ROLES.includes(role)) {
+        errors.push(`roles.${role} no es un rol válido (${ROLES.join(', ')})`);
+      } else {
+        errors.push(...validateRules(rules, `roles.${role}`));
+      }
+    });
+  }
+
+  if (typeof olts !== 'object' || Array.isArray(olts)) {
+    errors.push('olts debe ser un objeto con las reglas de cada OLT');
+  } else {
+    Object.entries(olts).forEach(([oltId, rules]) => errors.push(...validateRules(rules, `olts.${oltId}`)));
+  }
+
+  if (confirm !== undefined && !isPatternList(confirm)) {
+    errors.push('confirm debe ser una lista de expresiones regulares válidas');
+  }
+  return errors;
+}
+
+/**
+ * Obtiene la política en vigor: la guardada, completada con la política por defecto
+ * @returns {{roles: Object, olts: Object, confirm: string[]}}
+ */
+function getPolicy() {
+  const stored = store.read();
+  const roles = {};
+  ROLES.forEach(role => {
+    roles[role] = { ...DEFAULT_POLICY.roles[role], ...((stored.roles || {})[role]) };
+  });
+  return {
+    roles,
+    olts: stored.olts || {},
+    confirm: stored.confirm || DEFAULT_POLICY.confirm
+  };
+}
+
+/**
+ * Reemplaza la política de comandos
+ * @param {Object} data - Política (ya validada)
+ * @returns {Object} - Política en vigor
+ */
+function updatePolicy(data) {
+  store.write({
+    roles: data.roles || {},
+    olts: data.olts || {},
+    ...(data.confirm !== undefined && { confirm: data.confirm })
+  });
+  logger.info('Política de comandos actualizada');
+  return getPolicy();
+}
+
+/**
+ * Busca la primera expresión de una lista que coincide con un comando
+ * @param {string[]} patterns - Expresiones regulares
+ * @param {string} command - Comando (sin espacios al inicio ni al final)
+ * @returns {string|undefined}
+ */
+function findMatch(patterns = [], command) {
+  return patterns.find(pattern => new RegExp(pattern, 'i').test(command));
+}
+
+/**
+ * Evalúa un comando con la política: primero las reglas del rol y después las de la OLT.
+ * En cada una, deny prevalece sobre allow; una lista allow vacía permite cualquier comando.
+ * @param {Object} principal - Identidad autenticada
+ * @param {string} command - Comando
+ * @param {Object} [options] - Contexto del envío
+ * @param {string|null} [options.oltId] - OLT del inventario a la que se envía
+ * @param {boolean} [options.configMode] - El comando se envía en modo configuración
+ * @param {boolean} [options.generated] - Comando generado por la API para una operación que el rol ya tiene permitida
+ *   (aprovisionamiento de ONU): sólo se le aplica la lista deny del rol, no su lista allow ni su modo configuración
+ * @returns {{allowed: boolean, reason: string|null, confirmRequired: boolean}}
+ */
+function evaluateCommand(principal, command, options = {}) {
+  if (typeof command !== 'string') {
+    return { allowed: false, reason: 'El comando debe ser un texto', confirmRequired: false };
+  }
+  // Un salto de línea enviaría varios comandos en uno
+  if (/[\r\n]/.test(command)) {
+    return { allowed: false, reason: 'El comando no puede contener saltos de línea', confirmRequired: false };
+  }
+
+  const policy = getPolicy();
+  const text = command.trim();
+  const roleRules = policy.roles[principal.role];
+  const scopes = [[`el rol ${principal.role}`, options.generated ? { deny: roleRules.deny } : roleRules]];
+  if (options.oltId && Object.hasOwn(policy.olts, options.oltId)) {
+    scopes.push([`la OLT ${options.oltId}`, policy.olts[options.oltId]]);
+  }
+
+  for (const [scope, rules] of scopes) {
+    const denied = findMatch(rules.deny, text);
+    if (denied) {
+      return { allowed: false, reason: `Comando prohibido para ${scope} (${denied})`, confirmRequired: false };
+    }
+    if (rules.allow && rules.allow.length > 0 && !findMatch(rules.allow, text)) {
+      return { allowed: false, reason: `Comando no permitido para ${scope}`, confirmRequired: false };
+    }
+  }
+  if (options.configMode && !options.generated && roleRules.configMode === false) {
+    return { allowed: false, reason: `El rol ${principal.role} no puede enviar comandos en modo configuración`, confirmRequired: false };
+  }
+
+  return { allowed: true, reason: null, confirmRequired: Boolean(findMatch(policy.confirm, text)) };
+}
+
+/**
+ * Calcula la huella de lo que se confirma (destino y comandos), para que un token no sirva para otra petición
+ * @param {Object} scope - Destino y comandos
+ * @returns {string}
+ */
+function getFingerprint(scope) {
+  return crypto.createHash('sha256').update(JSON.stringify(scope)).digest('hex');
+}
+
+/**
+ * Elimina los tokens de confirmación caducados
+ */
+function purgeConfirmations() {
+  const now = Date.now();
+  for (const [token, confirmation] of confirmations) {
+    if (confirmation.expiresAt <= now) {
+      confirmations.delete(token);
+    }
+  }
+}
+
+/**
+ * Crea un token de confirmación para repetir una petición con comandos destructivos
+ * @param {Object} principal - Identidad autenticada
+ * @param {Object} scope - Destino y comandos que se confirman ({ target, commands })
+ * @returns {{confirmationToken: string, expiresAt: string}}
+ */
+function requestConfirmation(principal, scope) {
+  purgeConfirmations();
+  const token = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + CONFIRMATION_TTL;
+  confirmations.set(token, { principalId: principal.id, fingerprint: getFingerprint(scope), expiresAt });
+  logger.info(`Confirmación requerida a ${principal.id} para ${scope.target}`);
+  return { confirmationToken: token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Consume un token de confirmación: sólo es válido una vez, antes de caducar,
+ * para la misma identidad y exactamente el mismo destino y comandos
+ * @param {string} token - Token recibido
+ * @param {Object} principal - Identidad autenticada
+ * @param {Object} scope - Destino y comandos de la petición
+ * @returns {boolean}
+ */
+function consumeConfirmation(token, principal, scope) {
+  purgeConfirmations();
+  const confirmation = confirmations.get(token);
+  if (!confirmation || confirmation.principalId !== principal.id || confirmation.fingerprint !== getFingerprint(scope)) {
+    return false;
+  }
+  confirmations.delete(token);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  validatePolicy,
+  getPolicy,
+  updatePolicy,
+  evaluateCommand,
+  requestConfirmation,
+  consumeConfirmation
+};
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { getDataPath, createJsonStore } = require('../utils/jsonStore');
+const { formatRunningConfig } = require('../utils/responseFormatter');
+const { redactConfig } = require('../utils/redaction');
+const { diffLines, formatUnifiedDiff } = require('../utils/textDiff');
+const deviceProfiles = require('./deviceProfiles');
+const oltInventory = require('./OltInventory');
+const poolRegistry = require('./OltPoolRegistry');
+const auditLog = require('./AuditLogService');
+
+// Versiones que se conservan por OLT (las más antiguas se borran)
+const MAX_VERSIONS = Number(process.env.CONFIG_BACKUP_MAX_VERSIONS) || 30;
+
+// Intervalo (ms) de las copias programadas de todas las OLT del inventario (0 = desactivadas)
+const BACKUP_INTERVAL = Number(process.env.CONFIG_BACKUP_INTERVAL_MS) || 0;
+
+// Timeout (ms) del comando que muestra la configuración (puede ocupar cientos de páginas)
+const BACKUP_COMMAND_TIMEOUT = 120000;
+
+// Copias en curso por OLT: una segunda petición espera a la que ya está en marcha
+const inFlight = new Map();
+
+let scheduleTimer = null;
+let scheduledRunActive = false;
+
+/**
+ * Crea un error de copia de configuración con el código HTTP de la respuesta
+ * @param {string} message - Mensaje del error
+ * @param {number} statusCode - Código HTTP de la respuesta
+ * @returns {Error}
+ */
+function createBackupError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Obtiene el índice de versiones de una OLT (data/config-backups/<oltId>/index.json)
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {{read: Function, write: Function}}
+ */
+function getIndexStore(oltId) {
+  return createJsonStore(`config-backups/${oltId}/index.json`, { lastVersion: 0, versions: [] });
+}
+
+/**
+ * Ruta del fichero con el contenido de una versión
+ * @param {string} oltId - Identificador de la OLT
+ * @param {number} version - Número de versión
+ * @returns {string}
+ */
+function getVersionPath(oltId, version) {
+  return getDataPath('config-backups', oltId, `v${version}.cfg`);
+}
+
+/**
+ * Obtiene el perfil con el que se guardó una versión (para sus líneas volátiles)
+ * @param {string} name - Nombre del perfil
+ * @returns {Object}
+ */
+function getVersionProfile(name) {
+  return deviceProfiles.isSupportedProfile(name) ? deviceProfiles.getProfile(name) : deviceProfiles.getDefaultProfile();
+}
+
+/**
+ * Quita de la configuración las líneas volátiles del perfil (fechas, uptime...)
+ * @param {string} content - Configuración
+ * @param {Object} profile - Perfil del dispositivo
+ * @returns {string}
+ */
+function stripVolatileLines(content, profile) {
+  return content
+    .split('\n')
+    .filter(line => !profile.volatileConfigPatterns.some(pattern => pattern.test(line)))
+    .join('\n');
+}
+
+/**
+ * Comprueba que la OLT esté en el inventario
+ * @param {string} oltId - Identificador de la OLT
+ */
+function assertOltExists(oltId) {
+  if (!oltInventory.getOlt(oltId)) {
+    throw createBackupError('OLT no encontrada', 404);
+  }
+}
+
+/**
+ * Descarga la configuración en ejecución de la OLT
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @returns {Promise<string>} - Configuración (sin eco, paginación ni prompt)
+ */
+async function fetchRunningConfig(manager) {
+  const command = manager.profile.commands.showRunningConfig;
+  logger.info(`Descargando la configuración de ${manager.host} (${command})`);
+  // La copia conserva los secretos de la configuración: sin ellos no se podría volver a enviar
+  const response = await manager.sendCommand(command, { timeout: BACKUP_COMMAND_TIMEOUT, redact: false });
+  if (response && response.deviceError) {
+    throw createBackupError(`La OLT rechazó el comando "${command}": ${response.deviceError.message}`, 422);
+  }
+  const text = response && typeof response === 'object' ? response.raw : response;
+  return text || '';
+}
+
+/**
+ * Descarga la configuración en ejecución de la OLT y la guarda como versión nueva.
+ * Si no ha cambiado (sin contar las líneas volátiles) no se crea una versión.
+ * @param {string} oltId - Identificador de la OLT
+ * @param {string} trigger - Origen de la copia ('manual' o 'scheduled')
+ * @returns {Promise<{created: boolean, version: Object}>}
+ */
+async function runBackup(oltId, trigger) {
+  const pool = poolRegistry.getPool(oltId);
+  if (!pool) {
+    throw createBackupError('OLT no encontrada', 404);
+  }
+
+  const { content, profile } = await pool.withConnection(async (manager) => ({
+    content: await fetchRunningConfig(manager),
+    profile: manager.profile
+  }));
+
+  if (content.trim() === '') {
+    throw createBackupError('La OLT devolvió una configuración vacía', 502);
+  }
+
+  const store = getIndexStore(oltId);
+  const index = store.read();
+  const checksum = crypto.createHash('sha256').update(stripVolatileLines(content, profile)).digest('hex');
+  const latest = index.versions[index.versions.length - 1];
+  if (latest && latest.checksum === checksum) {
+    logger.info(`La configuración de la OLT ${oltId} no ha cambiado desde la versión ${latest.version}`);
+    return { created: false, version: latest };
+  }
+
+  const version = {
+    version: index.lastVersion + 1,
+    createdAt: new Date().toISOString(),
+    trigger,
+    deviceProfile: profile.name,
+    checksum,
+    size: Buffer.byteLength(content),
+    lines: content.split('\n').length
+  };
+  fs.writeFileSync(getVersionPath(oltId, version.version), content, { mode: 0o600 });
+
+  index.lastVersion = version.version;
+  index.versions.push(version);
+
+  // Retención: borrar las versiones más antiguas
+  while (index.versions.length > MAX_VERSIONS) {
+    const removed = index.versions.shift();
+    fs.rmSync(getVersionPath(oltId, removed.version), { force: true });
+    logger.debug(`Versión ${removed.version} de la OLT ${oltId} eliminada por retención`);
+  }
+  store.write(index);
+
+  logger.info(`Copia de configuración de la OLT ${oltId} guardada como versión ${version.version} (${trigger})`);
+  return { created: true, version };
+}
+
+/**
+ * Hace una copia de la configuración de una OLT (una sola copia a la vez por OLT)
+ * @param {string} oltId - Identificador de la OLT
+ * @param {string} [trigger='manual'] - Origen de la copia ('manual' o 'scheduled')
+ * @returns {Promise<{created: boolean, version: Object}>}
+ */
+function backupConfig(oltId, trigger = 'manual') {
+  if (inFlight.has(oltId)) {
+    logger.debug(`Copia de configuración de la OLT ${oltId} ya en curso, esperando su resultado`);
+    return inFlight.get(oltId);
+  }
+
+  const promise = runBackup(oltId, trigger).finally(() => inFlight.delete(oltId));
+  inFlight.set(oltId, promise);
+  return promise;
+}
+
+/**
+ * Lista las versiones guardadas de una OLT
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {Object[]} - Versiones, de la más antigua a la más reciente
+ */
+function listVersions(oltId) {
+  assertOltExists(oltId);
+  return getIndexStore(oltId).read().versions;
+}
+
+/**
+ * Obtiene una versión guardada con su contenido
+ * @param {string} oltId - Identificador de la OLT
+ * @param {number} versionNumber - Número de versión
+ * @returns {{version: Object, content: string}}
+ */
+function getVersion(oltId, versionNumber) {
+  assertOltExists(oltId);
+  const version = getIndexStore(oltId).read().versions.find(entry => entry.version === versionNumber);
+  if (!version) {
+    throw createBackupError(`Versión no encontrada: ${versionNumber}`, 404);
+  }
+  return {
+    version,
+    content: fs.readFileSync(getVersionPath(oltId, versionNumber), 'utf8')
+  };
+}
+
+/**
+ * Compara las secciones de dos configuraciones (según formatRunningConfig)
+ * @param {Object} oldSections - Secciones de la versión original
+ * @param {Object} newSections - Secciones de la versión nueva
+ * @returns {Array<{section: string, status: string, added: string[], removed: string[]}>} - Secciones añadidas, eliminadas o modificadas
+ */
+function diffSections(oldSections, newSections) {
+  const names = [...new Set([...Object.keys(oldSections), ...Object.keys(newSections)])];
+  const changes = [];
+
+  for (const section of names) {
+    const operations = diffLines(oldSections[section] || [], newSections[section] || []);
+    const added = operations.filter(operation => operation.type === 'insert').map(operation => operation.text);
+    const removed = operations.filter(operation => operation.type === 'delete').map(operation => operation.text);
+    if (added.length === 0 && removed.length === 0) {
+      continue;
+    }
+
+    let status = 'changed';
+    if (!oldSections[section]) {
+      status = 'added';
+    } else if (!newSections[section]) {
+      status = 'removed';
+    }
+    changes.push({ section, status, added, removed });
+  }
+
+  return changes;
+}
+
+/**
+ * Compara dos versiones de la configuración sin tener en cuenta las líneas volátiles.
+ * La comparación se hace con los secretos (un cambio de contraseña cuenta como cambio), pero el diff se devuelve sin ellos.
+ * @param {string} oltId - Identificador de la OLT
+ * @param {number} fromVersion - Versión original
+ * @param {number} toVersion - Versión nueva
+ * @param {string} [format='unified'] - 'unified' (diff unificado) o 'sections' (cambios por sección)
+ * @returns {Object} - Versiones comparadas, estadísticas y diff
+ */
+function diffVersions(oltId, fromVersion, toVersion, format = 'unified') {
+  const from = getVersion(oltId, fromVersion);
+  const to = getVersion(oltId, toVersion);
+  const oldContent = stripVolatileLines(from.content, getVersionProfile(from.version.deviceProfile));
+  const newContent = stripVolatileLines(to.content, getVersionProfile(to.version.deviceProfile));
+
+  const operations = diffLines(oldContent.split('\n'), newContent.split('\n'));
+  const stats = {
+    added: operations.filter(operation => operation.type === 'insert').length,
+    removed: operations.filter(operation => operation.type === 'delete').length
+  };
+  const result = {
+    from: from.version,
+    to: to.version,
+    format,
+    changed: stats.added + stats.removed > 0,
+    stats
+  };
+
+  if (format === 'sections') {
+    result.sections = diffSections(
+      formatRunningConfig(oldContent, { redact: false }).data.sections,
+      formatRunningConfig(newContent, { redact: false }).data.sections
+    ).map(change => ({
+      ...change,
+      added: change.added.map(line => redactConfig(line)),
+      removed: change.removed.map(line => redactConfig(line))
+    }));
+  } else {
+    result.diff = redactConfig(formatUnifiedDiff(operations, {
+      fromLabel: `${oltId} v${fromVersion} (${from.version.createdAt})`,
+      toLabel: `${oltId} v${toVersion} (${to.version.createdAt})`
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Hace una copia programada de todas las OLT del inventario, de una en una
+ */
+async function runScheduledBackups() {
+  if (scheduledRunActive) {
+    logger.warn('La copia programada anterior sigue en curso, se omite esta ejecución');
+    return;
+  }
+
+  scheduledRunActive = true;
+  try {
+    const olts = oltInventory.listOlts();
+    logger.info(`Copia programada de la configuración de ${olts.length} OLT`);
+    for (const { id } of olts) {
+      try {
+        await backupConfig(id, 'scheduled');
+      } catch (error) {
+        logger.error(`Error en la copia programada de la OLT ${id}: ${error.message}`);
+      }
+    }
+  } finally {
+    scheduledRunActive = false;
+  }
+}
+
+/**
+ * Inicia las copias programadas si CONFIG_BACKUP_INTERVAL_MS está definido
+ */
+function startScheduledBackups() {
+  if (!BACKUP_INTERVAL || scheduleTimer) {
+    return;
+  }
+  logger.info(`Copias de configuración programadas cada ${BACKUP_INTERVAL}ms (se conservan ${MAX_VERSIONS} versiones por OLT)`);
+  scheduleTimer = setInterval(() => {
+    auditLog.runWithActor('scheduler:config-backup', runScheduledBackups)
+      .catch(error => logger.error(`Error en la copia programada: ${error.message}`));
+  }, BACKUP_INTERVAL);
+  scheduleTimer.unref();
+}
+
+/**
+ * Detiene las copias programadas
+ */
+function stopScheduledBackups() {
+  clearInterval(scheduleTimer);
+  scheduleTimer = null;
+}
+
+module.exports = {
+  createBackupError,
+  fetchRunningConfig,
+  backupConfig,
+  listVersions,
+  getVersion,
+  diffVersions,
+  diffSections,
+  stripVolatileLines,
+  runScheduledBackups,
+  startScheduledBackups,
+  stopScheduledBackups
+};
@@ -0,0 +1,290 @@
+const logger = require('../utils/logger');
+const { formatRunningConfig } = require('../utils/responseFormatter');
+const { redactConfig } = require('../utils/redaction');
+const deviceProfiles = require('./deviceProfiles');
+const poolRegistry = require('./OltPoolRegistry');
+const configBackup = require('./ConfigBackupService');
+
+// Tamaño máximo (caracteres) de un fragmento de configuración recibido en la petición
+const MAX_CONTENT_LENGTH = 512 * 1024;
+
+// Comentarios y separadores de la configuración ("!" en VSOL/ZTE/C-Data, "#" en Huawei)
+const COMMENT_PATTERN = /^[!#]/;
+
+// Comandos de cambio de modo que aparecen en la configuración guardada: el modo se gestiona al enviar cada línea
+const STRUCTURAL_PATTERN = /^(exit|end|quit|return)$/i;
+
+// Máximo de comandos de salida para volver al modo configuración desde un submodo anidado
+const MAX_EXIT_COMMANDS = 5;
+
+/**
+ * Valida los parámetros de un envío de configuración
+ * @param {Object} data - Datos recibidos
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validatePush(data) {
+  const errors = [];
+  const { version, content, sections, dryRun, stopOnError } = data;
+
+  if ((version === undefined) === (content === undefined)) {
+    errors.push('Se requiere uno de los campos: version o content');
+  }
+  if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+    errors.push('version debe ser un número de versión');
+  }
+  if (content !== undefined && (typeof content !== 'string' || content.trim() === '' || content.length > MAX_CONTENT_LENGTH)) {
+    errors.push(`content debe ser un texto no vacío de como máximo ${MAX_CONTENT_LENGTH} caracteres`);
+  }
+  if (sections !== undefined && (!Array.isArray(sections) || sections.length === 0 || sections.some(section => typeof section !== 'string'))) {
+    errors.push('sections debe ser una lista no vacía de nombres de sección (p. ej. "interface:gpon 0/1")');
+  }
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    errors.push('dryRun debe ser booleano');
+  }
+  if (stopOnError !== undefined && typeof stopOnError !== 'boolean') {
+    errors.push('stopOnError debe ser booleano');
+  }
+
+  return errors;
+}
+
+/**
+ * Divide una configuración en líneas enviables, con su sección (según formatRunningConfig)
+ * y si están al nivel global o dentro de un bloque (interface, line...)
+ * @param {string} content - Configuración
+ * @param {Object} profile - Perfil del dispositivo (para quitar las líneas volátiles)
+ * @returns {Array<{section: string, line: string, topLevel: boolean, opener: boolean}>}
+ */
+function parseConfigLines(content, profile) {
+  const text = configBackup.stripVolatileLines(content.replace(/\r\n/g, '\n'), profile);
+  const rawLines = text.split('\n');
+  const seenSections = new Set();
+
+  return formatRunningConfig(text, { redact: false }).data.configData
+    .map(({ section, command }, index) => {
+      const topLevel = !/^\s/.test(rawLines[index]);
+      // La primera línea de cada bloque es la que entra en él (p. ej. "interface gpon 0/1")
+      const opener = section !== 'global' && topLevel && !seenSections.has(section);
+      seenSections.add(section);
+      return { section, line: command, topLevel, opener };
+    })
+    .filter(({ line }) => line !== '' && !COMMENT_PATTERN.test(line) && !STRUCTURAL_PATTERN.test(line));
+}
+
+/**
+ * Marca las líneas que ya están en la configuración actual (en la misma sección)
+ * @param {Object[]} targetLines - Líneas a enviar (parseConfigLines)
+ * @param {Object[]} currentLines - Líneas de la configuración actual (parseConfigLines)
+ * @returns {Object[]} - Líneas a enviar con el campo present
+ */
+function planPush(targetLines, currentLines) {
+  const current = new Set(currentLines.map(({ section, line }) => `${section}\n${line}`));
+  return targetLines.map(entry => ({ ...entry, present: current.has(`${entry.section}\n${entry.line}`) }));
+}
+
+/**
+ * Obtiene las líneas a enviar: una versión guardada o un fragmento, opcionalmente limitado a algunas secciones
+ * @param {string} oltId - Identificador de la OLT
+ * @param {Object} data - Datos validados con validatePush
+ * @returns {{source: Object, lines: Object[]}}
+ */
+function resolveTarget(oltId, data) {
+  let content;
+  let profile;
+  let source;
+  if (data.version !== undefined) {
+    const stored = configBackup.getVersion(oltId, data.version);
+    content = stored.content;
+    profile = deviceProfiles.isSupportedProfile(stored.version.deviceProfile)
+      ? deviceProfiles.getProfile(stored.version.deviceProfile)
+      : deviceProfiles.getDefaultProfile();
+    source = { type: 'version', version: data.version };
+  } else {
+    content = data.content;
+    profile = deviceProfiles.getDefaultProfile();
+    source = { type: 'content' };
+  }
+
+  let lines = parseConfigLines(content, profile);
+  if (data.sections) {
+    const missing = data.sections.filter(section => !lines.some(entry => entry.section === section));
+    if (missing.length > 0) {
+      throw configBackup.createBackupError(`Sección no encontrada en la configuración: ${missing.join(', ')}`, 404);
+    }
+    lines = lines.filter(entry => data.sections.includes(entry.section));
+    source.sections = data.sections;
+  }
+
+  return { source, lines };
+}
+
+/**
+ * Vuelve al modo configuración si la sesión está dentro de un bloque (interfaz, ONU...)
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string[]} commands - Comandos enviados en la operación
+ */
+async function leaveBlock(manager, commands) {
+  for (let attempt = 0; attempt < MAX_EXIT_COMMANDS && manager.isInConfigMode() && manager.getMode() !== 'config'; attempt++) {
+    await manager.sendCommand(manager.profile.commands.exitInterface, { transcript: commands });
+  }
+}
+
+/**
+ * Envía una línea y devuelve el error de la OLT, si la rechazó
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} line - Línea de configuración
+ * @param {string[]} commands - Comandos enviados en la operación
+ * @param {Object} principal - Identidad que envía la configuración (se evalúa con la política de comandos)
+ * @returns {Promise<Object|null>} - { deviceError } o { error } si la línea no se aplicó, o null
+ */
+async function sendLine(manager, line, commands, principal) {
+  try {
+    const response = await manager.sendCommand(line, { transcript: commands, principal });
+    return response && response.deviceError ? { deviceError: response.deviceError } : null;
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Envía las líneas que faltan en la configuración de la OLT, línea a línea en modo configuración
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {Object[]} plan - Líneas con el campo present (planPush)
+ * @param {boolean} stopOnError - Dejar de enviar líneas tras el primer rechazo
+ * @param {Object} principal - Identidad que envía la configuración
+ * @returns {Promise<{results: Object[], commands: string[]}>}
+ */
+async function applyPlan(manager, plan, stopOnError, principal) {
+  const commands = [];
+  const results = [];
+  const openers = new Map(plan.filter(entry => entry.opener).map(entry => [entry.section, entry.line]));
+  let openSection = null;
+  let stopped = false;
+
+  await manager.enterConfigMode({ transcript: commands });
+
+  for (const entry of plan) {
+    const { section, line } = entry;
+    if (stopped) {
+      results.push({ section, line, status: 'skipped', reason: 'stopped' });
+      continue;
+    }
+    if (entry.present) {
+      results.push({ section, line, status: 'skipped', reason: 'already-present' });
+      continue;
+    }
+
+    let failure = null;
+    try {
+      if (entry.opener || entry.topLevel) {
+        // Las líneas globales y las que abren un bloque se envían desde el modo configuración
+        await leaveBlock(manager, commands);
+        openSection = null;
+        failure = await sendLine(manager, line, commands, principal);
+        if (!failure && entry.opener) {
+          openSection = section;
+        }
+      } else {
+        // Las líneas de un bloque necesitan estar dentro de él: se entra con su primera línea
+        if (openSection !== section && openers.has(section)) {
+          await leaveBlock(manager, commands);
+          openSection = null;
+          failure = await sendLine(manager, openers.get(section), commands, principal);
+          if (!failure) {
+            openSection = section;
+          }
+        }
+        if (!failure) {
+          failure = await sendLine(manager, line, commands, principal);
+        }
+      }
+    } catch (error) {
+      // No se pudo salir del bloque anterior (p. ej. conexión perdida)
+      failure = { error: error.message };
+    }
+
+    if (failure) {
+      logger.warn(`Línea de configuración rechazada (${section}): ${line}`);
+      results.push({ section, line, status: 'rejected', ...failure });
+      stopped = stopOnError || !manager.getStatus().connected;
+    } else {
+      results.push({ section, line, status: 'applied' });
+    }
+  }
+
+  if (manager.getStatus().connected) {
+    try {
+      await manager.exitConfigMode({ transcript: commands });
+    } catch (error) {
+      logger.warn(`No se pudo salir del modo configuración tras el envío: ${error.message}`);
+    }
+  }
+  return { results, commands };
+}
+
+/**
+ * Cuenta los resultados por estado
+ * @param {Object[]} results - Resultados de cada línea
+ * @returns {{applied: number, skipped: number, rejected: number}}
+ */
+function summarize(results) {
+  return {
+    applied: results.filter(result => result.status === 'applied').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    rejected: results.filter(result => result.status === 'rejected').length
+  };
+}
+
+/**
+ * Envía a una OLT una configuración guardada o un fragmento (o compara sin enviar, con dryRun).
+ * Sólo se envían las líneas que no están ya en la configuración actual de la misma sección.
+ * @param {string} oltId - Identificador de la OLT
+ * @param {Object} data - Datos validados con validatePush
+ * @param {Object} principal - Identidad que envía la configuración (sus líneas se evalúan con la política de comandos)
+ * @returns {Promise<Object>} - Resultado del envío o de la simulación
+ */
+async function pushConfig(oltId, data, principal) {
+  const { dryRun = false, stopOnError = true } = data;
+  const pool = poolRegistry.getPool(oltId);
+  if (!pool) {
+    throw configBackup.createBackupError('OLT no encontrada', 404);
+  }
+
+  const { source, lines } = resolveTarget(oltId, data);
+  logger.info(`${dryRun ? 'Simulando el envío' : 'Enviando'} de ${lines.length} línea(s) de configuración a la OLT ${oltId}`);
+
+  return pool.withConnection(async (manager) => {
+    const current = parseConfigLines(await configBackup.fetchRunningConfig(manager), manager.profile);
+    const plan = planPush(lines, current);
+
+    // Las líneas se envían con sus secretos, pero el resultado se devuelve sin ellos
+    if (dryRun) {
+      const changes = plan.filter(entry => !entry.present).map(({ section, line }) => ({ section, line: redactConfig(line) }));
+      logger.info(`Simulación: ${changes.length} línea(s) cambiarían en la OLT ${oltId}`);
+      return {
+        dryRun: true,
+        source,
+        changes,
+        summary: { toApply: changes.length, unchanged: plan.length - changes.length }
+      };
+    }
+
+    const { results, commands } = await applyPlan(manager, plan, stopOnError, principal);
+    const summary = summarize(results);
+    logger.info(`Configuración enviada a la OLT ${oltId}: ${summary.applied} aplicadas, ${summary.skipped} omitidas, ${summary.rejected} rechazadas`);
+    return {
+      dryRun: false,
+      source,
+      results: results.map(result => ({ ...result, line: redactConfig(result.line) })),
+      summary,
+      commands: commands.map(command => redactConfig(command))
+    };
+  });
+}
+
+module.exports = {
+  validatePush,
+  parseConfigLines,
+  planPush,
+  pushConfig
+};
@@ -0,0 +1,571 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { createJsonStore } = require('../utils/jsonStore');
+const { parseCron, matchesCron, getNextRun } = require('../utils/cronSchedule');
+const oltInventory = require('./OltInventory');
+const poolRegistry = require('./OltPoolRegistry');
+const { DEFAULT_PON_PORTS } = require('./OnuProvisioningService');
+const auditLog = require('./AuditLogService');
+const commandPolicy = require('./CommandPolicyService');
+
+// Trabajos programados persistidos en data/jobs.json
+const store = createJsonStore('jobs.json', {});
+
+// Ejecuciones que se conservan por trabajo (las más antiguas se borran)
+const MAX_RUNS = Number(process.env.JOB_RUN_MAX_RUNS) || 50;
+
+// Timeout (ms) de cada comando de un trabajo
+const JOB_COMMAND_TIMEOUT = Number(process.env.JOB_COMMAND_TIMEOUT_MS) || 60000;
+
+// Consultas predefinidas. Las marcadas con perPonPort se ejecutan en la interfaz de cada puerto PON (sintaxis de VSOL)
+const JOB_TEMPLATES = {
+  'onu-info': {
+    description: 'ONU registradas en cada puerto PON (modelo, perfil y número de serie)',
+    command: 'show onu info',
+    perPonPort: true
+  },
+  'onu-state': {
+    description: 'Estado de las ONU de cada puerto PON (admin, OMCC, fase y causa de la última caída)',
+    command: 'show onu state',
+    perPonPort: true
+  },
+  'optical-power': {
+    description: 'Potencia óptica de las ONU de cada puerto PON (rx, tx y rx en la OLT, en dBm)',
+    command: 'show onu optical-info',
+    perPonPort: true
+  },
+  'mac-table': {
+    description: 'Tabla de direcciones MAC de la OLT',
+    command: 'show mac address-table',
+    perPonPort: false
+  }
+};
+
+// Trabajos en ejecución (un trabajo no se ejecuta dos veces a la vez)
+const running = new Set();
+
+let schedulerTimer = null;
+
+/**
+ * Crea un error de trabajo programado con el código HTTP de la respuesta
+ * @param {string} message - Mensaje del error
+ * @param {number} statusCode - Código HTTP de la respuesta
+ * @returns {Error}
+ */
+function createJobError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Valida los datos de un trabajo
+ * @param {Object} data - Datos recibidos
+ * @param {boolean} partial - true si es una actualización parcial
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateJob(data, partial = false) {
+  const errors = [];
+
+  if (data.id !== undefined && !/^[A-Za-z0-9._-]{1,64}$/.test(data.id)) {
+    errors.push('id sólo puede contener letras, números, ".", "_" y "-" (máximo 64 caracteres)');
+  } else if (data.id !== undefined && /^\.+$/.test(data.id)) {
+    // El id forma parte de la ruta del historial (job-runs/<id>.json)
+    errors.push('id no puede estar formado sólo por puntos');
+  }
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim() === '')) {
+    errors.push('name debe ser un texto no vacío');
+  }
+  if (!partial && data.schedule === undefined) {
+    errors.push('schedule es obligatorio');
+  }
+  if (data.schedule !== undefined) {
+    try {
+      parseCron(data.schedule);
+    } catch (error) {
+      errors.push(`schedule no válido: ${error.message}`);
+    }
+  }
+  if (data.command !== undefined && data.template !== undefined) {
+    errors.push('Indica command o template, no ambos');
+  } else if (!partial && data.command === undefined && data.template === undefined) {
+    errors.push('Se requiere uno de los campos: command o template');
+  }
+  if (data.command !== undefined && (typeof data.command !== 'string' || data.command.trim() === '' || /[\r\n]/.test(data.command))) {
+    errors.push('command debe ser un comando no vacío de una sola línea');
+  }
+  if (data.template !== undefined && !JOB_TEMPLATES[data.template]) {
+    errors.push(`template debe ser uno de: ${Object.keys(JOB_TEMPLATES).join(', ')}`);
+  }
+  if (data.oltIds !== undefined && (!Array.isArray(data.oltIds) || data.oltIds.some(oltId => typeof oltId !== 'string'))) {
+    errors.push('oltIds debe ser una lista de identificadores de OLT');
+  }
+  if (data.tag !== undefined && data.tag !== null && (typeof data.tag !== 'string' || data.tag === '')) {
+    errors.push('tag debe ser un texto no vacío');
+  }
+  if (!partial && (!data.oltIds || data.oltIds.length === 0) && !data.tag) {
+    errors.push('Se requiere al menos un destino: oltIds o tag');
+  }
+  if (data.configMode !== undefined && typeof data.configMode !== 'boolean') {
+    errors.push('configMode debe ser booleano');
+  }
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    errors.push('enabled debe ser booleano');
+  }
+
+  return errors;
+}
+
+/**
+ * Devuelve la representación pública de un trabajo (con su próxima ejecución)
+ * @param {Object} job - Trabajo almacenado
+ * @returns {Object}
+ */
+function toPublic(job) {
+  const nextRun = job.enabled ? getNextRun(parseCron(job.schedule)) : null;
+  return { ...job, nextRunAt: nextRun ? nextRun.toISOString() : null };
+}
+
+/**
+ * Obtiene el almacén de ejecuciones de un trabajo (data/job-runs/<jobId>.json)
+ * @param {string} jobId - Identificador del trabajo
+ * @returns {{read: Function, write: Function, filePath: string}}
+ */
+function getRunStore(jobId) {
+  return createJsonStore(`job-runs/${jobId}.json`, []);
+}
+
+/**
+ * Lista los trabajos programados
+ * @returns {Object[]}
+ */
+function listJobs() {
+  return Object.values(store.read()).map(toPublic);
+}
+
+/**
+ * Busca un trabajo por id sin confundirlo con las propiedades heredadas del objeto (p. ej. "constructor")
+ * @param {Object} jobs - Trabajos leídos del almacén
+ * @param {string} jobId - Identificador del trabajo
+ * @returns {Object|null} - Trabajo o null si no existe
+ */
+function findJob(jobs, jobId) {
+  return Object.hasOwn(jobs, jobId) ? jobs[jobId] : null;
+}
+
+/**
+ * Obtiene un trabajo programado
+ * @param {string} jobId - Identificador del trabajo
+ * @returns {Object}
+ */
+function getJob(jobId) {
+  const job = findJob(store.read(), jobId);
+  if (!job) {
+    throw createJobError('Trabajo no encontrado', 404);
+  }
+  return toPublic(job);
+}
+
+/**
+ * Comprueba con la política de comandos que quien define el trabajo puede enviar su comando a cada OLT de destino.
+ * Nadie confirma las ejecuciones programadas, por lo que tampoco se admiten comandos que requieren confirmación.
+ * @param {Object} job - Trabajo
+ * @param {Object} principal - Identidad que crea o modifica el trabajo
+ */
+function assertCommandAllowed(job, principal) {
+  const command = job.template ? JOB_TEMPLATES[job.template].command : job.command;
+  const targets = resolveTargets(job);
+  for (const oltId of targets.length > 0 ? targets : [null]) {
+    const result = commandPolicy.evaluateCommand(principal, command, { oltId, configMode: job.configMode });
+    if (!result.allowed) {
+      throw createJobError(`Comando no autorizado: ${result.reason}`, 403);
+    }
+    if (result.confirmRequired) {
+      throw createJobError('Comando no autorizado: un trabajo programado no puede enviar comandos que requieren confirmación', 403);
+    }
+  }
+}
+
+/**
+ * Da de alta un trabajo programado
+ * @param {Object} data - Datos del trabajo (ya validados)
+ * @param {Object} principal - Identidad que crea el trabajo; el trabajo se ejecutará con su rol
+ * @returns {Object} - Trabajo creado
+ */
+function createJob(data, principal) {
+  // Objeto sin prototipo: un id como "__proto__" se guarda como una entrada más
+  const jobs = Object.assign(Object.create(null), store.read());
+  const id = data.id || crypto.randomUUID();
+  if (findJob(jobs, id)) {
+    throw createJobError('Ya existe un trabajo con ese id', 409);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    name: data.name || id,
+    schedule: data.schedule.trim(),
+    command: data.command ? data.command.trim() : null,
+    template: data.template || null,
+    oltIds: data.oltIds || [],
+    tag: data.tag || null,
+    configMode: data.configMode === true,
+    enabled: data.enabled !== false,
+    createdBy: principal.id,
+    updatedBy: principal.id,
+    role: principal.role,
+    lastRunId: 0,
+    lastRun: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  assertCommandAllowed(job, principal);
+  jobs[id] = job;
+
+  store.write(jobs);
+  logger.info(`Trabajo programado creado: ${id} (${jobs[id].schedule})`);
+  return toPublic(jobs[id]);
+}
+
+/**
+ * Actualiza parcialmente un trabajo programado
+ * @param {string} jobId - Identificador del trabajo
+ * @param {Object} data - Campos a modificar (ya validados)
+ * @param {Object} principal - Identidad que modifica el trabajo; desde ese momento el trabajo se ejecuta con su rol
+ * @returns {Object} - Trabajo actualizado
+ */
+function updateJob(jobId, data, principal) {
+  const jobs = store.read();
+  const job = findJob(jobs, jobId);
+  if (!job) {
+    throw createJobError('Trabajo no encontrado', 404);
+  }
+
+  for (const field of ['name', 'oltIds', 'tag', 'configMode', 'enabled']) {
+    if (data[field] !== undefined) {
+      job[field] = data[field];
+    }
+  }
+  if (data.schedule !== undefined) {
+    job.schedule = data.schedule.trim();
+  }
+  // command y template son excluyentes: indicar uno sustituye al otro
+  if (data.command !== undefined) {
+    job.command = data.command.trim();
+    job.template = null;
+  } else if (data.template !== undefined) {
+    job.template = data.template;
+    job.command = null;
+  }
+  if (job.oltIds.length === 0 && !job.tag) {
+    throw createJobError('Se requiere al menos un destino: oltIds o tag', 400);
+  }
+  assertCommandAllowed(job, principal);
+
+  job.updatedBy = principal.id;
+  job.role = principal.role;
+  job.updatedAt = new Date().toISOString();
+  store.write(jobs);
+  logger.info(`Trabajo programado actualizado: ${jobId}`);
+  return toPublic(job);
+}
+
+/**
+ * Elimina un trabajo programado y su historial de ejecuciones
+ * @param {string} jobId - Identificador del trabajo
+ */
+function deleteJob(jobId) {
+  const jobs = store.read();
+  if (!findJob(jobs, jobId)) {
+    throw createJobError('Trabajo no encontrado', 404);
+  }
+
+  delete jobs[jobId];
+  store.write(jobs);
+  fs.rmSync(getRunStore(jobId).filePath, { force: true });
+  logger.info(`Trabajo programado eliminado: ${jobId}`);
+}
+
+/**
+ * Obtiene las OLT de destino de un trabajo (las de oltIds más las que tienen la etiqueta tag)
+ * @param {Object} job - Trabajo
+ * @returns {string[]}
+ */
+function resolveTargets(job) {
+  const oltIds = new Set(job.oltIds);
+  if (job.tag) {
+    oltInventory.listOlts({ tag: job.tag }).forEach(olt => oltIds.add(olt.id));
+  }
+  return [...oltIds];
+}
+
+/**
+ * Ejecuta un comando de un trabajo y construye su resultado
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} command - Comando
+ * @param {Object} target - Campos que identifican el destino (oltId y, en su caso, ponPort)
+ * @param {Object} principal - Identidad con la que se evalúa el comando en la política de comandos
+ * @returns {Promise<Object>} - Resultado con la respuesta, los datos estructurados y el error de la OLT
+ */
+async function runStep(manager, command, target, principal) {
+  const start = Date.now();
+  const response = await manager.sendCommand(command, { timeout: JOB_COMMAND_TIMEOUT, principal });
+  const raw = response && typeof response === 'object' ? response.raw : response;
+  const result = {
+    ...target,
+    command,
+    status: response && response.deviceError ? 'failed' : 'ok',
+    response: raw,
+    data: response && typeof response === 'object' ? response.data : null,
+    durationMs: Date.now() - start
+  };
+  if (response && response.deviceError) {
+    result.deviceError = response.deviceError;
+  }
+  return result;
+}
+
+/**
+ * Ejecuta el comando o la plantilla de un trabajo en una OLT con una conexión de su pool
+ * @param {Object} job - Trabajo
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {Promise<Object[]>} - Resultado de cada comando (uno por puerto PON en las plantillas perPonPort)
+ */
+async function runOnOlt(job, oltId) {
+  const template = job.template ? JOB_TEMPLATES[job.template] : null;
+  const command = template ? template.command : job.command;
+  const results = [];
+  // Los comandos se evalúan con el rol de quien definió el trabajo (los trabajos anteriores a este campo los crearon administradores)
+  const principal = { id: `scheduler:job:${job.id}`, role: job.role || 'admin' };
+
+  const pool = poolRegistry.getPool(oltId);
+  if (!pool) {
+    return [{ oltId, command, status: 'failed', error: 'OLT no encontrada' }];
+  }
+
+  try {
+    await pool.withConnection(async (manager) => {
+      if (template && template.perPonPort) {
+        if (manager.profile.name !== 'vsol') {
+          throw new Error(`La plantilla ${job.template} no está disponible para OLT ${manager.profile.vendor}`);
+        }
+
+        const olt = oltInventory.getOlt(oltId);
+        const ports = olt && olt.ponPorts && olt.ponPorts.length > 0 ? olt.ponPorts : DEFAULT_PON_PORTS;
+        for (const ponPort of ports) {
+          try {
+            await manager.enterInterfaceMode(`gpon ${ponPort}`);
+            results.push(await runStep(manager, command, { oltId, ponPort }, principal));
+          } catch (error) {
+            // Un puerto inexistente no impide recorrer el resto; una conexión perdida, sí
+            if (!manager.getStatus().connected) {
+              throw error;
+            }
+            logger.warn(`Trabajo ${job.id}: no se pudo consultar el puerto PON ${ponPort} de la OLT ${oltId}: ${error.message}`);
+            results.push({ oltId, ponPort, command, status: 'failed', error: error.message });
+          }
+        }
+        await manager.exitConfigMode();
+        return;
+      }
+
+      if (job.configMode && !manager.isInConfigMode()) {
+        await manager.enterConfigMode();
+      }
+      results.push(await runStep(manager, command, { oltId }, principal));
+      if (job.configMode) {
+        await manager.exitConfigMode();
+      }
+    });
+  } catch (error) {
+    logger.warn(`Trabajo ${job.id}: error en la OLT ${oltId}: ${error.message}`);
+    results.push({ oltId, command, status: 'failed', error: error.message });
+  }
+
+  return results;
+}
+
+/**
+ * Guarda una ejecución en el historial del trabajo, aplicando la retención
+ * @param {string} jobId - Identificador del trabajo
+ * @param {Object} run - Ejecución (sin id)
+ * @returns {Object} - Ejecución guardada con su id, o sin guardar si el trabajo se eliminó mientras se ejecutaba
+ */
+function saveRun(jobId, run) {
+  const jobs = store.read();
+  const job = findJob(jobs, jobId);
+  if (!job) {
+    logger.warn(`El trabajo ${jobId} se eliminó durante su ejecución, no se guarda el resultado`);
+    return run;
+  }
+
+  const saved = { id: job.lastRunId + 1, ...run };
+  const runStore = getRunStore(jobId);
+  const runs = runStore.read();
+  runs.push(saved);
+  runStore.write(runs.slice(-MAX_RUNS));
+
+  job.lastRunId = saved.id;
+  job.lastRun = {
+    id: saved.id,
+    trigger: saved.trigger,
+    status: saved.status,
+    startedAt: saved.startedAt,
+    finishedAt: saved.finishedAt
+  };
+  store.write(jobs);
+  return saved;
+}
+
+/**
+ * Ejecuta un trabajo en todas sus OLT de destino y guarda el resultado en su historial
+ * @param {string} jobId - Identificador del trabajo
+ * @param {string} [trigger='manual'] - Origen de la ejecución ('manual' o 'scheduled')
+ * @returns {Promise<Object>} - Ejecución con el resultado de cada OLT
+ */
+async function runJob(jobId, trigger = 'manual') {
+  const job = findJob(store.read(), jobId);
+  if (!job) {
+    throw createJobError('Trabajo no encontrado', 404);
+  }
+  if (running.has(jobId)) {
+    throw createJobError('El trabajo ya se está ejecutando', 409);
+  }
+
+  running.add(jobId);
+  try {
+    const startedAt = new Date();
+    const targets = resolveTargets(job);
+    logger.info(`Ejecutando el trabajo ${jobId} (${trigger}) en ${targets.length} OLT`);
+
+    // Cada OLT usa su propio pool, por lo que se consultan en paralelo
+    const results = (await Promise.all(targets.map(oltId => runOnOlt(job, oltId)))).flat();
+    const ok = results.filter(result => result.status === 'ok').length;
+    let status = 'partial';
+    if (ok === results.length && results.length > 0) {
+      status = 'success';
+    } else if (ok === 0) {
+      status = 'failed';
+    }
+
+    const finishedAt = new Date();
+    const run = saveRun(jobId, {
+      jobId,
+      trigger,
+      status,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      summary: { targets: targets.length, ok, failed: results.length - ok },
+      results
+    });
+    logger.info(`Trabajo ${jobId} terminado: ${status} (${ok}/${results.length} comandos correctos)`);
+    return run;
+  } finally {
+    running.delete(jobId);
+  }
+}
+
+/**
+ * Lista las ejecuciones de un trabajo, de la más reciente a la más antigua
+ * @param {string} jobId - Identificador del trabajo
+ * @param {number} [limit=20] - Número máximo de ejecuciones
+ * @returns {Object[]}
+ */
+function listRuns(jobId, limit = 20) {
+  getJob(jobId);
+  return getRunStore(jobId).read().slice(-limit).reverse();
+}
+
+/**
+ * Obtiene una ejecución de un trabajo
+ * @param {string} jobId - Identificador del trabajo
+ * @param {number} runId - Número de ejecución
+ * @returns {Object}
+ */
+function getRun(jobId, runId) {
+  getJob(jobId);
+  const run = getRunStore(jobId).read().find(entry => entry.id === runId);
+  if (!run) {
+    throw createJobError(`Ejecución no encontrada: ${runId}`, 404);
+  }
+  return run;
+}
+
+/**
+ * Lista las plantillas disponibles para los trabajos
+ * @returns {Object[]}
+ */
+function listTemplates() {
+  return Object.entries(JOB_TEMPLATES).map(([name, template]) => ({ name, ...template }));
+}
+
+/**
+ * Lanza los trabajos activos cuya expresión coincide con el minuto indicado
+ * @param {Date} date - Minuto a comprobar
+ */
+function runDueJobs(date) {
+  for (const job of Object.values(store.read())) {
+    if (!job.enabled || !matchesCron(parseCron(job.schedule), date)) {
+      continue;
+    }
+    if (running.has(job.id)) {
+      logger.warn(`La ejecución anterior del trabajo ${job.id} sigue en curso, se omite esta ejecución`);
+      continue;
+    }
+    auditLog.runWithActor(`scheduler:job:${job.id}`, () => runJob(job.id, 'scheduled'))
+      .catch(error => logger.error(`Error en el trabajo programado ${job.id}: ${error.message}`));
+  }
+}
+
+/**
+ * Programa la comprobación de trabajos al comienzo del siguiente minuto
+ */
+function scheduleNextTick() {
+  const now = Date.now();
+  schedulerTimer = setTimeout(() => {
+    try {
+      runDueJobs(new Date());
+    } catch (error) {
+      logger.error(`Error al comprobar los trabajos programados: ${error.message}`, { error: error.stack });
+    }
+    scheduleNextTick();
+  }, 60000 - (now % 60000));
+  schedulerTimer.unref();
+}
+
+/**
+ * Inicia el planificador de trabajos
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+  logger.info(`Planificador de trabajos iniciado (${Object.keys(store.read()).length} trabajos, se conservan ${MAX_RUNS} ejecuciones por trabajo)`);
+  scheduleNextTick();
+}
+
+/**
+ * Detiene el planificador de trabajos
+ */
+function stopScheduler() {
+  clearTimeout(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  validateJob,
+  listJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+  runJob,
+  listRuns,
+  getRun,
+  listTemplates,
+  runDueJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,329 @@
+const logger = require('../utils/logger');
+const OltTelnetManager = require('./OltTelnetManager');
+
+/**
+ * Pool de conexiones autenticadas (OltTelnetManager) hacia una misma OLT.
+ * Mantiene un mínimo de conexiones abiertas, limita el máximo de conexiones
+ * simultáneas, cierra las conexiones ociosas y comprueba periódicamente su salud.
+ */
+class OltConnectionPool {
+  /**
+   * @param {string} oltId - Identificador de la OLT
+   * @param {Object} target - Datos de conexión de la OLT
+   * @param {string} target.host - Dirección IP de la OLT
+   * @param {number} [target.port] - Puerto Telnet/SSH
+   * @param {string} [target.protocol] - Protocolo de transporte ('telnet' o 'ssh')
+   * @param {string} target.username - Nombre de usuario para el login
+   * @param {string} target.password - Contraseña para el login
+   * @param {string} target.enablePassword - Contraseña para el modo privilegiado
+   * @param {Object} [options] - Opciones del pool
+   * @param {number} [options.min] - Número mínimo de conexiones abiertas
+   * @param {number} [options.max] - Número máximo de conexiones simultáneas
+   * @param {number} [options.idleTimeout] - Tiempo (ms) tras el cual se cierra una conexión ociosa
+   * @param {number} [options.acquireTimeout] - Tiempo máximo (ms) de espera por una conexión libre
+   * @param {number} [options.healthCheckInterval] - Intervalo (ms) de mantenimiento y comprobación de salud
+   * @param {string} [options.healthCheckCommand] - Comando enviado para comprobar la salud de las conexiones ociosas
+   */
+  constructor(oltId, target, options = {}) {
+    this.oltId = oltId;
+    this.target = target;
+    this.min = options.min !== undefined ? options.min : 1;
+    this.max = options.max || 3;
+    this.idleTimeout = options.idleTimeout || 300000; // 5 minutos
+    this.acquireTimeout = options.acquireTimeout || 30000; // 30 segundos
+    this.healthCheckInterval = options.healthCheckInterval || 60000; // 1 minuto
+    this.healthCheckCommand = options.healthCheckCommand || '';
+    this.idle = []; // Conexiones libres: { manager, lastUsedAt }
+    this.borrowed = new Set(); // Conexiones prestadas
+    this.creating = 0; // Conexiones en proceso de creación
+    this.checking = 0; // Conexiones libres en comprobación de salud
+    this.maintaining = false;
+    this.waiters = []; // Peticiones esperando una conexión libre
+    this.closed = false;
+
+    this.maintenanceTimer = setInterval(() => this.runMaintenance(), this.healthCheckInterval);
+    this.maintenanceTimer.unref();
+
+    logger.info(`Pool de conexiones creado para OLT ${oltId} (min: ${this.min}, max: ${this.max})`);
+    this.ensureMinimum();
+  }
+
+  /**
+   * Número total de conexiones gestionadas por el pool
+   * @returns {number}
+   */
+  get size() {
+    return this.idle.length + this.borrowed.size + this.creating + this.checking;
+  }
+
+  /**
+   * Crea y autentica una nueva conexión hacia la OLT
+   * @returns {Promise<OltTelnetManager>}
+   */
+  async createConnection() {
+    const { host, port, protocol, deviceProfile, username, password, enablePassword } = this.target;
+    this.creating++;
+    logger.debug(`Creando conexión para el pool de ${this.oltId} (${this.size} en total)`);
+    try {
+      const manager = new OltTelnetManager();
+      manager.setAuditContext({ oltId: this.oltId });
+      await manager.connect(host, port, username, password, enablePassword, { protocol, deviceProfile });
+      logger.info(`Conexión añadida al pool de ${this.oltId}`);
+      return manager;
+    } finally {
+      this.creating--;
+    }
+  }
+
+  /**
+   * Indica si una conexión sigue autenticada y utilizable
+   * @param {OltTelnetManager} manager
+   * @returns {boolean}
+   */
+  isHealthy(manager) {
+    const status = manager.getStatus();
+    return status.connected && status.loggedIn;
+  }
+
+  /**
+   * Obtiene una conexión del pool, creando una nueva o esperando a que se libere una
+   * @returns {Promise<OltTelnetManager>}
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new Error('El pool de conexiones está cerrado');
+    }
+
+    // Reutilizar la conexión libre más reciente que siga sana
+    while (this.idle.length > 0) {
+      const { manager } = this.idle.pop();
+      if (this.isHealthy(manager)) {
+        this.borrowed.add(manager);
+        logger.debug(`Conexión reutilizada del pool de ${this.oltId}`);
+        return manager;
+      }
+      logger.warn(`Descartando conexión no válida del pool de ${this.oltId}`);
+      this.discard(manager);
+    }
+
+    // Crear una nueva conexión si no se ha alcanzado el máximo
+    if (this.size < this.max) {
+      const manager = await this.createConnection();
+      if (this.closed) {
+        this.discard(manager);
+        throw new Error('El pool de conexiones está cerrado');
+      }
+      this.borrowed.add(manager);
+      return manager;
+    }
+
+    // Esperar a que se libere una conexión
+    logger.debug(`Pool de ${this.oltId} lleno, esperando una conexión libre (${this.waiters.length + 1} en espera)`);
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timeoutId: null };
+      waiter.timeoutId = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        logger.error(`Timeout esperando una conexión libre del pool de ${this.oltId}`);
+        reject(new Error('Timeout esperando una conexión libre'));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Devuelve una conexión al pool, volviendo antes al modo privilegiado si es necesario
+   * @param {OltTelnetManager} manager
+   */
+  async release(manager) {
+    if (!this.borrowed.has(manager)) {
+      return;
+    }
+
+    if (this.isHealthy(manager) && manager.isInConfigMode()) {
+      try {
+        await manager.exitConfigMode();
+      } catch (error) {
+        logger.warn(`No se pudo salir del modo configuración al devolver la conexión: ${error.message}`);
+        this.borrowed.delete(manager);
+        this.discard(manager);
+        this.replenish();
+        return;
+      }
+    }
+
+    this.borrowed.delete(manager);
+
+    if (this.closed || !this.isHealthy(manager)) {
+      this.discard(manager);
+      this.replenish();
+      return;
+    }
+
+    this.makeAvailable(manager, Date.now());
+  }
+
+  /**
+   * Entrega una conexión libre a la primera petición en espera o la deja en la lista de libres
+   * @param {OltTelnetManager} manager
+   * @param {number} lastUsedAt - Momento del último uso de la conexión
+   */
+  makeAvailable(manager, lastUsedAt) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timeoutId);
+      this.borrowed.add(manager);
+      logger.debug(`Conexión entregada a una petición en espera del pool de ${this.oltId}`);
+      waiter.resolve(manager);
+      return;
+    }
+
+    this.idle.push({ manager, lastUsedAt });
+    logger.debug(`Conexión devuelta al pool de ${this.oltId} (${this.idle.length} libres)`);
+  }
+
+  /**
+   * Ejecuta una función con una conexión prestada y la devuelve al terminar
+   * @param {Function} fn - Función que recibe el OltTelnetManager
+   * @returns {Promise<*>} - Resultado de la función
+   */
+  async withConnection(fn) {
+    const manager = await this.acquire();
+    try {
+      return await fn(manager);
+    } finally {
+      await this.release(manager);
+    }
+  }
+
+  /**
+   * Cierra una conexión y la saca del pool
+   * @param {OltTelnetManager} manager
+   */
+  discard(manager) {
+    manager.disconnect().catch(error => {
+      logger.warn(`Error al cerrar conexión del pool de ${this.oltId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Crea una conexión para una petición en espera o para mantener el mínimo
+   */
+  replenish() {
+    if (this.closed) {
+      return;
+    }
+
+    if (this.waiters.length > 0 && this.size < this.max) {
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timeoutId);
+      this.createConnection()
+        .then(manager => {
+          this.borrowed.add(manager);
+          waiter.resolve(manager);
+        })
+        .catch(error => waiter.reject(error));
+      return;
+    }
+
+    this.ensureMinimum();
+  }
+
+  /**
+   * Abre conexiones hasta alcanzar el mínimo configurado
+   */
+  ensureMinimum() {
+    while (!this.closed && this.size < this.min) {
+      this.createConnection()
+        .then(manager => {
+          if (this.closed) {
+            this.discard(manager);
+            return;
+          }
+          this.makeAvailable(manager, Date.now());
+        })
+        .catch(error => {
+          logger.error(`No se pudo crear la conexión mínima del pool de ${this.oltId}: ${error.message}`);
+        });
+    }
+  }
+
+  /**
+   * Cierra las conexiones ociosas que superan el mínimo y comprueba la salud del resto
+   */
+  async runMaintenance() {
+    if (this.maintaining || this.closed) {
+      return;
+    }
+    this.maintaining = true;
+    const now = Date.now();
+    logger.debug(`Mantenimiento del pool de ${this.oltId}: ${this.idle.length} libres, ${this.borrowed.size} prestadas`);
+
+    // Desalojar conexiones ociosas (las más antiguas primero) mientras se supere el mínimo
+    this.idle.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    while (this.idle.length > 0 && this.size > this.min && now - this.idle[0].lastUsedAt > this.idleTimeout) {
+      const { manager } = this.idle.shift();
+      logger.info(`Cerrando conexión ociosa del pool de ${this.oltId}`);
+      this.discard(manager);
+    }
+
+    // Comprobar la salud de las conexiones libres
+    const entries = this.idle.splice(0);
+    this.checking = entries.length;
+    for (const entry of entries) {
+      let healthy = this.isHealthy(entry.manager);
+      if (healthy) {
+        try {
+          await entry.manager.sendCommand(this.healthCheckCommand, { timeout: 10000 });
+        } catch (error) {
+          logger.warn(`Comprobación de salud fallida en el pool de ${this.oltId}: ${error.message}`);
+          healthy = false;
+        }
+      }
+
+      this.checking--;
+      if (healthy && !this.closed) {
+        this.makeAvailable(entry.manager, entry.lastUsedAt);
+      } else {
+        this.discard(entry.manager);
+      }
+    }
+
+    this.maintaining = false;
+    this.ensureMinimum();
+  }
+
+  /**
+   * Obtiene estadísticas del pool
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      oltId: this.oltId,
+      host: this.target.host,
+      min: this.min,
+      max: this.max,
+      idle: this.idle.length,
+      borrowed: this.borrowed.size,
+      creating: this.creating,
+      waiting: this.waiters.length
+    };
+  }
+
+  /**
+   * Cierra el pool y todas sus conexiones
+   */
+  async close() {
+    logger.info(`Cerrando pool de conexiones de ${this.oltId}`);
+    this.closed = true;
+    clearInterval(this.maintenanceTimer);
+    this.waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timeoutId);
+      waiter.reject(new Error('El pool de conexiones está cerrado'));
+    });
+    const managers = this.idle.splice(0).map(entry => entry.manager).concat([...this.borrowed]);
+    this.borrowed.clear();
+    await Promise.all(managers.map(manager => manager.disconnect()));
+  }
+}
+
+module.exports = OltConnectionPool;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { createJsonStore } = require('../utils/jsonStore');
+const secretBox = require('../utils/secretBox');
+const { isSupportedProtocol, getDefaultPort } = require('./transports');
+const deviceProfiles = require('./deviceProfiles');
+
+// Inventario de OLT persistido en data/olts.json
+const store = createJsonStore('olts.json', {});
+
+// Campos de credenciales (se guardan cifrados y nunca se devuelven)
+const CREDENTIAL_FIELDS = ['username', 'password', 'enablePassword'];
+
+/**
+ * Valida los datos de una OLT
+ * @param {Object} data - Datos recibidos
+ * @param {boolean} partial - true si es una actualización parcial
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateOlt(data, partial = false) {
+  const errors = [];
+
+  if (data.id !== undefined && !/^[A-Za-z0-9._-]{1,64}$/.test(data.id)) {
+    errors.push('id sólo puede contener letras, números, ".", "_" y "-" (máximo 64 caracteres)');
+  } else if (data.id !== undefined && /^\.+$/.test(data.id)) {
+    errors.push('id no puede estar formado sólo por puntos');
+  }
+  if (!partial && data.host === undefined) {
+    errors.push('host es obligatorio');
+  }
+  if (data.host !== undefined && (typeof data.host !== 'string' || data.host.trim() === '')) {
+    errors.push('host debe ser un texto no vacío');
+  }
+  if (data.port !== undefined && (!Number.isInteger(data.port) || data.port < 1 || data.port > 65535)) {
+    errors.push('port debe ser un entero entre 1 y 65535');
+  }
+  if (data.protocol !== undefined && !isSupportedProtocol(data.protocol)) {
+    errors.push('protocol debe ser "telnet" o "ssh"');
+  }
+  if (data.deviceProfile !== undefined && data.deviceProfile !== 'auto' && !deviceProfiles.isSupportedProfile(data.deviceProfile)) {
+    errors.push(`deviceProfile debe ser "auto" o uno de: ${deviceProfiles.listProfiles().map(profile => profile.name).join(', ')}`);
+  }
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('tags debe ser una lista de textos');
+  }
+  if (data.ponPorts !== undefined && (!Array.isArray(data.ponPorts) || data.ponPorts.some(port => typeof port !== 'string' || !/^\d+\/\d+$/.test(port)))) {
+    errors.push('ponPorts debe ser una lista de puertos PON con el formato <slot>/<puerto>');
+  }
+  for (const field of CREDENTIAL_FIELDS) {
+    if (!partial && !data[field]) {
+      errors.push(`${field} es obligatorio`);
+    }
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      errors.push(`${field} debe ser un texto`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Devuelve la representación pública de una OLT (sin credenciales)
+ * @param {Object} record - Registro almacenado
+ * @returns {Object} - OLT sin credenciales
+ */
+function toPublic(record) {
+  const { credentials, ...olt } = record;
+  return { ...olt, hasCredentials: Boolean(credentials) };
+}
+
+/**
+ * Lista las OLT del inventario
+ * @param {Object} [filters] - Filtros opcionales
+ * @param {string} [filters.tag] - Etiqueta que debe tener la OLT
+ * @param {string} [filters.site] - Sitio de la OLT
+ * @param {string} [filters.model] - Modelo de la OLT
+ * @returns {Object[]} - OLT sin credenciales
+ */
+function listOlts(filters = {}) {
+  return Object.values(store.read())
+    .filter(olt => !filters.tag || (olt.tags || []).includes(filters.tag))
+    .filter(olt => !filters.site || olt.site === filters.site)
+    .filter(olt => !filters.model || olt.model === filters.model)
+    .map(toPublic);
+}
+
+/**
+ * Busca una OLT por id sin confundirla con las propiedades heredadas del objeto (p. ej. "constructor")
+ * @param {Object} olts - Inventario leído del almacén
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {Object|null} - Registro de la OLT o null si no existe
+ */
+function findRecord(olts, oltId) {
+  return Object.hasOwn(olts, oltId) ? olts[oltId] : null;
+}
+
+/**
+ * Obtiene una OLT del inventario
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {Object|null} - OLT sin credenciales o null si no existe
+ */
+function getOlt(oltId) {
+  const record = findRecord(store.read(), oltId);
+  return record ? toPublic(record) : null;
+}
+
+/**
+ * Da de alta una OLT en el inventario
+ * @param {Object} data - Datos de la OLT (ya validados)
+ * @returns {Object|null} - OLT creada sin credenciales, o null si el id ya existe
+ */
+function createOlt(data) {
+  // Objeto sin prototipo: un id como "__proto__" se guarda como una entrada más
+  const olts = Object.assign(Object.create(null), store.read());
+  const id = data.id || crypto.randomUUID();
+  if (findRecord(olts, id)) {
+    return null;
+  }
+
+  const protocol = data.protocol || 'telnet';
+  const now = new Date().toISOString();
+  olts[id] = {
+    id,
+    name: data.name || id,
+    host: data.host,
+    port: data.port || getDefaultPort(protocol),
+    protocol,
+    model: data.model || null,
+    deviceProfile: data.deviceProfile || 'auto',
+    site: data.site || null,
+    tags: data.tags || [],
+    ponPorts: data.ponPorts || null,
+    credentials: secretBox.encrypt({
+      username: data.username,
+      password: data.password,
+      enablePassword: data.enablePassword
+    }),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  store.write(olts);
+  logger.info(`OLT añadida al inventario: ${id} (${data.host})`);
+  return toPublic(olts[id]);
+}
+
+/**
+ * Actualiza parcialmente una OLT del inventario
+ * @param {string} oltId - Identificador de la OLT
+ * @param {Object} data - Campos a modificar (ya validados)
+ * @returns {Object|null} - OLT actualizada sin credenciales, o null si no existe
+ */
+function updateOlt(oltId, data) {
+  const olts = store.read();
+  const record = findRecord(olts, oltId);
+  if (!record) {
+    return null;
+  }
+
+  for (const field of ['name', 'host', 'port', 'protocol', 'model', 'deviceProfile', 'site', 'tags', 'ponPorts']) {
+    if (data[field] !== undefined) {
+      record[field] = data[field];
+    }
+  }
+
+  // Las credenciales se descifran, se combinan con los cambios y se vuelven a cifrar
+  if (CREDENTIAL_FIELDS.some(field => data[field] !== undefined)) {
+    const credentials = secretBox.decrypt(record.credentials);
+    for (const field of CREDENTIAL_FIELDS) {
+      if (data[field] !== undefined) {
+        credentials[field] = data[field];
+      }
+    }
+    record.credentials = secretBox.encrypt(credentials);
+    logger.info(`Credenciales actualizadas para la OLT: ${oltId}`);
+  }
+
+  record.updatedAt = new Date().toISOString();
+  store.write(olts);
+  logger.info(`OLT actualizada en el inventario: ${oltId}`);
+  return toPublic(record);
+}
+
+/**
+ * Elimina una OLT del inventario
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {boolean} - true si la OLT existía
+ */
+function deleteOlt(oltId) {
+  const olts = store.read();
+  if (!findRecord(olts, oltId)) {
+    return false;
+  }
+
+  delete olts[oltId];
+  store.write(olts);
+  logger.info(`OLT eliminada del inventario: ${oltId}`);
+  return true;
+}
+
+/**
+ * Obtiene los datos de conexión de una OLT con las credenciales descifradas.
+ * Uso interno: el resultado nunca debe devolverse en una respuesta ni registrarse en el log.
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {Object|null} - Datos de conexión o null si la OLT no existe
+ */
+function getConnectionTarget(oltId) {
+  const record = findRecord(store.read(), oltId);
+  if (!record) {
+    return null;
+  }
+
+  const { username, password, enablePassword } = secretBox.decrypt(record.credentials);
+  return {
+    host: record.host,
+    port: record.port,
+    protocol: record.protocol,
+    deviceProfile: record.deviceProfile || 'auto',
+    username,
+    password,
+    enablePassword
+  };
+}
+
+module.exports = {
+  validateOlt,
+  listOlts,
+  getOlt,
+  createOlt,
+  updateOlt,
+  deleteOlt,
+  getConnectionTarget
+};
@@ -0,0 +1,198 @@
+const { Registry } = require('../utils/metrics');
+
+// Registro de métricas de la aplicación (expuesto en /metrics)
+const registry = new Registry();
+
+// Indicadores de dispositivo obtenidos de las salidas parseadas (opcional: crean una serie por ONU)
+const DEVICE_GAUGES_ENABLED = process.env.METRICS_DEVICE_GAUGES === 'true';
+
+// Familias de comandos distintas que se etiquetan; el resto se agrupa en "other" (limita la cardinalidad)
+const MAX_COMMAND_FAMILIES = 50;
+
+// Comandos cuya familia incluye la segunda palabra ("show onu", "display board"...)
+const TWO_WORD_COMMANDS = ['show', 'display', 'no', 'undo'];
+
+// Estados de fase de una ONU que cuentan como en línea
+const ONLINE_STATE_PATTERN = /^(working|online|up|active|operational|ready)$/i;
+
+const knownFamilies = new Set();
+
+const metrics = {
+  sessionsActive: registry.gauge({
+    name: 'olt_sessions_active',
+    help: 'Sesiones abiertas con /connect o la terminal interactiva'
+  }),
+  poolConnections: registry.gauge({
+    name: 'olt_pool_connections',
+    help: 'Conexiones de los pools por OLT y estado',
+    labelNames: ['olt_id', 'state']
+  }),
+  connectAttempts: registry.counter({
+    name: 'olt_connect_attempts_total',
+    help: 'Intentos de conexión y login con una OLT (incluye reconexiones)',
+    labelNames: ['protocol']
+  }),
+  connectFailures: registry.counter({
+    name: 'olt_connect_failures_total',
+    help: 'Intentos de conexión fallidos por motivo',
+    labelNames: ['protocol', 'reason']
+  }),
+  commands: registry.counter({
+    name: 'olt_commands_total',
+    help: 'Comandos ejecutados por familia y resultado',
+    labelNames: ['family', 'outcome']
+  }),
+  commandDuration: registry.histogram({
+    name: 'olt_command_duration_seconds',
+    help: 'Tiempo desde el envío del comando hasta su respuesta completa',
+    labelNames: ['family'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+  }),
+  commandPages: registry.histogram({
+    name: 'olt_command_pages',
+    help: 'Páginas (--More--) recibidas por comando',
+    labelNames: ['family'],
+    buckets: [0, 1, 2, 5, 10, 25, 50, 100]
+  }),
+  commandTimeouts: registry.counter({
+    name: 'olt_command_timeouts_total',
+    help: 'Comandos que agotaron su timeout (con o sin respuesta parcial)',
+    labelNames: ['family']
+  }),
+  onuCount: registry.gauge({
+    name: 'olt_onu_count',
+    help: 'ONU por puerto PON y estado según la última consulta de estado (requiere METRICS_DEVICE_GAUGES=true)',
+    labelNames: ['host', 'pon_port', 'status']
+  }),
+  onuRxPower: registry.gauge({
+    name: 'olt_onu_rx_power_dbm',
+    help: 'Potencia óptica recibida por cada ONU según la última consulta (requiere METRICS_DEVICE_GAUGES=true)',
+    labelNames: ['host', 'pon_port', 'onu_id']
+  })
+};
+
+/**
+ * Obtiene la familia de un comando para etiquetar sus métricas ("show onu state gpon 0/1" -> "show onu")
+ * @param {string} command - Comando
+ * @returns {string}
+ */
+function getCommandFamily(command) {
+  const words = String(command).trim().toLowerCase().split(/\s+/);
+  if (!/^[a-z][a-z_-]*$/.test(words[0])) {
+    return 'other';
+  }
+
+  const family = TWO_WORD_COMMANDS.includes(words[0]) && /^[a-z][a-z_-]*$/.test(words[1] || '')
+    ? `${words[0]} ${words[1]}`
+    : words[0];
+  if (!knownFamilies.has(family)) {
+    if (knownFamilies.size >= MAX_COMMAND_FAMILIES) {
+      return 'other';
+    }
+    knownFamilies.add(family);
+  }
+  return family;
+}
+
+/**
+ * Clasifica el motivo de un fallo de conexión
+ * @param {Error} error - Error de la conexión
+ * @returns {string} - 'timeout', 'auth', 'refused', 'dns', 'unreachable', 'closed' u 'other'
+ */
+function getConnectFailureReason(error) {
+  if (error.message === 'Timeout de conexión') return 'timeout';
+  if (error.message === 'Credenciales incorrectas' || error.level === 'client-authentication') return 'auth';
+  if (error.code === 'ECONNREFUSED') return 'refused';
+  if (['ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) return 'dns';
+  if (['EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT'].includes(error.code)) return 'unreachable';
+  if (error.code === 'ECONNRESET' || error.message === 'Conexión cerrada por la OLT') return 'closed';
+  return 'other';
+}
+
+/**
+ * Registra un intento de conexión
+ * @param {string} protocol - 'telnet' o 'ssh'
+ */
+function recordConnectAttempt(protocol) {
+  metrics.connectAttempts.inc({ protocol });
+}
+
+/**
+ * Registra un intento de conexión fallido
+ * @param {string} protocol - 'telnet' o 'ssh'
+ * @param {Error} error - Error de la conexión
+ */
+function recordConnectFailure(protocol, error) {
+  metrics.connectFailures.inc({ protocol, reason: getConnectFailureReason(error) });
+}
+
+/**
+ * Registra un comando terminado
+ * @param {string} command - Comando
+ * @param {Object} result - Resultado del comando
+ * @param {string} result.outcome - 'ok', 'device_error', 'timeout', 'cancelled' o 'error'
+ * @param {number} result.durationMs - Tiempo desde el envío hasta la respuesta
+ * @param {number} result.pages - Páginas recibidas
+ */
+function recordCommand(command, { outcome, durationMs, pages }) {
+  const family = getCommandFamily(command);
+  metrics.commands.inc({ family, outcome });
+  metrics.commandDuration.observe({ family }, durationMs / 1000);
+  metrics.commandPages.observe({ family }, pages);
+}
+
+/**
+ * Registra un comando que agotó su timeout
+ * @param {string} command - Comando
+ */
+function recordCommandTimeout(command) {
+  metrics.commandTimeouts.inc({ family: getCommandFamily(command) });
+}
+
+/**
+ * Actualiza los indicadores de ONU con los registros de un parser de ONU (show onu state, show onu optical-info...).
+ * Cada consulta sustituye los valores anteriores de los puertos PON que incluye.
+ * @param {string} host - OLT consultada
+ * @param {Object[]} records - Registros parseados (con ponPort, onuId, operState y rxPower)
+ */
+function recordOnuTelemetry(host, records) {
+  if (!DEVICE_GAUGES_ENABLED || !Array.isArray(records)) {
+    return;
+  }
+
+  const byPort = new Map();
+  for (const record of records) {
+    if (record && record.ponPort && record.onuId !== undefined && record.onuId !== null) {
+      if (!byPort.has(record.ponPort)) {
+        byPort.set(record.ponPort, []);
+      }
+      byPort.get(record.ponPort).push(record);
+    }
+  }
+
+  for (const [ponPort, onus] of byPort) {
+    const states = onus.filter(onu => onu.operState);
+    if (states.length > 0) {
+      const online = states.filter(onu => ONLINE_STATE_PATTERN.test(onu.operState)).length;
+      metrics.onuCount.set({ host, pon_port: ponPort, status: 'online' }, online);
+      metrics.onuCount.set({ host, pon_port: ponPort, status: 'offline' }, states.length - online);
+    }
+
+    const powers = onus.filter(onu => typeof onu.rxPower === 'number');
+    if (powers.length > 0) {
+      metrics.onuRxPower.remove({ host, pon_port: ponPort });
+      powers.forEach(onu => metrics.onuRxPower.set({ host, pon_port: ponPort, onu_id: onu.onuId }, onu.rxPower));
+    }
+  }
+}
+
+module.exports = {
+  registry,
+  metrics,
+  getCommandFamily,
+  recordConnectAttempt,
+  recordConnectFailure,
+  recordCommand,
+  recordCommandTimeout,
+  recordOnuTelemetry
+};
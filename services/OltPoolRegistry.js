@@ -0,0 +1,77 @@
+const OltConnectionPool = require('./OltConnectionPool');
+const oltInventory = require('./OltInventory');
+
+// Pools de conexiones activos, indexados por oltId
+const pools = new Map();
+
+/**
+ * Lee la configuración del pool desde las variables de entorno
+ * @returns {Object} - Opciones para OltConnectionPool
+ */
+function getPoolOptions() {
+  const readNumber = (name) => (process.env[name] !== undefined ? Number(process.env[name]) : undefined);
+  return {
+    min: readNumber('OLT_POOL_MIN'),
+    max: readNumber('OLT_POOL_MAX'),
+    idleTimeout: readNumber('OLT_POOL_IDLE_TIMEOUT_MS'),
+    acquireTimeout: readNumber('OLT_POOL_ACQUIRE_TIMEOUT_MS'),
+    healthCheckInterval: readNumber('OLT_POOL_HEALTH_CHECK_INTERVAL_MS'),
+    healthCheckCommand: process.env.OLT_POOL_HEALTH_CHECK_COMMAND
+  };
+}
+
+/**
+ * Obtiene (o crea) el pool de conexiones de una OLT
+ * @param {string} oltId - Identificador de la OLT
+ * @returns {OltConnectionPool|null} - Pool de la OLT o null si la OLT no está en el inventario
+ */
+function getPool(oltId) {
+  if (pools.has(oltId)) {
+    return pools.get(oltId);
+  }
+
+  const target = oltInventory.getConnectionTarget(oltId);
+  if (!target) {
+    return null;
+  }
+
+  const pool = new OltConnectionPool(oltId, target, getPoolOptions());
+  pools.set(oltId, pool);
+  return pool;
+}
+
+/**
+ * Cierra y elimina el pool de una OLT (por ejemplo, tras cambiar sus credenciales)
+ * @param {string} oltId - Identificador de la OLT
+ */
+async function removePool(oltId) {
+  const pool = pools.get(oltId);
+  if (pool) {
+    pools.delete(oltId);
+    await pool.close();
+  }
+}
+
+/**
+ * Obtiene las estadísticas de todos los pools activos
+ * @returns {Object[]}
+ */
+function getAllStats() {
+  return [...pools.values()].map(pool => pool.getStats());
+}
+
+/**
+ * Cierra todos los pools activos
+ */
+async function closeAll() {
+  const activePools = [...pools.values()];
+  pools.clear();
+  await Promise.all(activePools.map(pool => pool.close()));
+}
+
+module.exports = {
+  getPool,
+  removePool,
+  getAllStats,
+  closeAll
+};
@@ -1,46 +1,166 @@
-const net = require('net');
 const logger = require('../utils/logger');
 const responseFormatter = require('../utils/responseFormatter');
+const { createTransport } = require('./transports');
+const deviceProfiles = require('./deviceProfiles');
+const oltMetrics = require('./OltMetrics');
+const auditLog = require('./AuditLogService');
+const redaction = require('../utils/redaction');
+const commandPolicy = require('./CommandPolicyService');
+
+// Comandos que cambian el hostname (y por tanto el prompt) de la OLT
+const HOSTNAME_COMMAND_PATTERN = /^\s*(hostname|sysname)\s+\S+/i;
+
+// Caracteres de la salida de la terminal interactiva que se conservan para reconocer el prompt al desconectarla
+const TERMINAL_BUFFER_SIZE = 4096;
+
+// Silencio (ms) tras el prompt con el que se da por terminada la salida de un comando abandonado
+const DRAIN_QUIET_TIME = 100;
+
+// Modos base y su pila: el resto de modos son submodos de configuración
+const BASE_MODE_STACKS = {
+  user: ['user'],
+  enable: ['user', 'enable'],
+  config: ['user', 'enable', 'config']
+};
 
 /**
- * Clase que gestiona la conexión Telnet a un dispositivo OLT VSOL
- * Maneja el estado de la sesión, login, envío de comandos y detección de prompts
+ * Construye la pila de un modo base
+ * @param {string} mode - 'user', 'enable' o 'config'
+ * @returns {Array<{mode: string, context: string|null}>}
+ */
+function buildBaseStack(mode) {
+  return BASE_MODE_STACKS[mode].map(baseMode => ({ mode: baseMode, context: baseMode === 'config' ? 'config' : null }));
+}
+
+/**
+ * Clase que gestiona la conexión Telnet (o SSH) a un dispositivo OLT
+ * Maneja el estado de la sesión, login, envío de comandos y detección de prompts.
+ * Los textos propios de cada fabricante (prompts, paginación, comandos de modo, errores
+ * y parsers) se toman del perfil de dispositivo (services/deviceProfiles).
  */
 class OltTelnetManager {
   constructor() {
     this.client = null;
+    this.protocol = null;
+    this.profile = deviceProfiles.getDefaultProfile(); // Perfil del dispositivo (VSOL, Huawei, ZTE, C-Data)
+    this.autoDetectProfile = false; // true si el perfil debe detectarse a partir del banner
+    this.banner = ''; // Texto recibido antes de completar el login
     this.buffer = '';
     this.connected = false;
     this.loggedIn = false;
-    this.inConfigMode = false;
-    this.currentPrompt = '';
+    this.inConfigMode = false; // Se deriva de la pila de modos
+    this.currentInterface = null; // Interfaz activa dentro del modo configuración (p. ej. "gpon 0/1")
+    this.currentPrompt = ''; // Última línea de prompt recibida (p. ej. "OLT(config)#")
+    this.hostname = null; // Hostname aprendido del prompt tras el login
+    this.modeStack = []; // Pila de modos ({ mode, context }), p. ej. user > enable > config > interface
     this.waitingForResponse = false;
-    this.responseResolver = null;
     this.enablePassword = '';
     this.lastCommand = '';
     this.connectionTimeout = 30000; // 30 segundos de timeout para conexión
     this.commandTimeout = 30000; // 30 segundos de timeout para comandos
+    this.drainTimeout = 10000; // 10 segundos para que la OLT vuelva al prompt tras abandonar un comando
     this.accumulatedResponse = ''; // Para acumular respuestas paginadas
     this.pageCount = 0; // Contador de páginas recibidas
     this.maxPages = 100; // Límite máximo de páginas para evitar bucles infinitos
+    this.commandQueue = []; // Cola FIFO de comandos pendientes
+    this.currentCommand = null; // Comando que se está ejecutando actualmente
+    this.draining = null; // Recuperación del prompt tras cancelar un comando en curso o agotar su timeout ({ timeoutId, quietTimer })
+    this.sessionDirty = false; // true si la OLT no volvió al prompt tras abandonar un comando (la sesión se reconecta)
+    this.commandCounter = 0; // Contador para asignar IDs a los comandos
+    this.host = null;
+    this.port = null;
+    this.connectedAt = null; // Momento en que se completó el login
+    this.lastActivityAt = null; // Momento de la última actividad (comando enviado o respondido)
+    this.credentials = null; // Usuario y contraseña, necesarios para reconectar
+    this.transportOptions = undefined;
+    this.disconnecting = false; // true cuando el cierre lo ha solicitado el cliente
+    this.autoReconnect = false;
+    this.reconnectOptions = { maxAttempts: 5, initialDelay: 1000, maxDelay: 30000 };
+    this.reconnecting = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnectCount = 0; // Reconexiones completadas con éxito
+    this.lastReconnectAt = null;
+    this.reconnectEvents = []; // Últimos eventos de reconexión
+    this.modeBeforeDrop = null; // Modo de la sesión antes de perder la conexión
+    this.terminal = null; // Terminal interactiva conectada ({ onOutput, onDetach, attachedAt }); bloquea sendCommand
+    this.auditContext = { oltId: null, sessionId: null }; // OLT del inventario y sesión con las que se auditan los comandos
+    this.registeredSecrets = null; // Contraseñas registradas para ocultarlas en los logs (utils/redaction)
+  }
+
+  /**
+   * Fija la OLT del inventario y la sesión con las que se auditan los comandos de esta conexión
+   * @param {Object} context - { oltId, sessionId }
+   */
+  setAuditContext(context) {
+    this.auditContext = { ...this.auditContext, ...context };
   }
 
   /**
-   * Establece una conexión Telnet con la OLT
+   * Establece una conexión con la OLT (Telnet o SSH) y realiza el login
    * @param {string} host - Dirección IP de la OLT
-   * @param {number} port - Puerto Telnet (generalmente 23)
+   * @param {number} port - Puerto Telnet/SSH (generalmente 23 o 22)
    * @param {string} username - Nombre de usuario para el login
    * @param {string} password - Contraseña para el login
    * @param {string} enablePassword - Contraseña para el modo privilegiado/configuración
+   * @param {Object} [options] - Opciones de conexión
+   * @param {string} [options.protocol] - Protocolo de transporte: 'telnet' (por defecto) o 'ssh'
+   * @param {string} [options.deviceProfile] - Perfil del dispositivo ('vsol', 'huawei', 'zte', 'cdata'); 'auto' o sin indicar lo detecta por el banner
+   * @param {Object} [options.transportOptions] - Opciones específicas del transporte
+   * @param {boolean} [options.autoReconnect] - Reconectar automáticamente si la OLT cierra la conexión
+   * @param {Object} [options.reconnect] - Parámetros de la reconexión
+   * @param {number} [options.reconnect.maxAttempts] - Número máximo de intentos
+   * @param {number} [options.reconnect.initialDelay] - Espera (ms) antes del primer intento
+   * @param {number} [options.reconnect.maxDelay] - Espera (ms) máxima entre intentos
    * @returns {Promise<void>} - Promesa que se resuelve cuando la conexión está establecida y el login es exitoso
    */
-  connect(host, port, username, password, enablePassword) {
-    logger.info(`Iniciando conexión a OLT: ${host}:${port}`, { host, port });
-    return new Promise((resolve, reject) => {
-      // Guardar la contraseña de habilitación para usarla más tarde
-      this.enablePassword = enablePassword;
-      logger.debug('Contraseña de habilitación guardada');
-      
+  connect(host, port, username, password, enablePassword, options = {}) {
+    // Guardar los datos de conexión para usarlos más tarde (modo privilegiado y reconexión)
+    this.enablePassword = enablePassword;
+    this.credentials = { username, password };
+    this.registerSecrets();
+    this.protocol = options.protocol || 'telnet';
+    this.transportOptions = options.transportOptions;
+    this.host = host;
+    this.port = port;
+    this.autoReconnect = options.autoReconnect === true;
+    this.reconnectOptions = { ...this.reconnectOptions, ...options.reconnect };
+    this.disconnecting = false;
+    logger.debug('Contraseña de habilitación guardada');
+
+    // Elegir el perfil del dispositivo o dejar que se detecte al conectar
+    if (options.deviceProfile && options.deviceProfile !== 'auto') {
+      try {
+        this.profile = deviceProfiles.getProfile(options.deviceProfile);
+      } catch (error) {
+        this.unregisterSecrets();
+        return Promise.reject(error);
+      }
+      this.autoDetectProfile = false;
+      logger.debug(`Perfil de dispositivo: ${this.profile.name}`);
+    } else {
+      this.profile = deviceProfiles.getDefaultProfile();
+      this.autoDetectProfile = true;
+      logger.debug('El perfil de dispositivo se detectará a partir del banner');
+    }
+    
+    // Si la conexión falla la sesión no llega a existir: sus contraseñas dejan de ocultarse
+    return this.openConnection().catch((error) => {
+      this.unregisterSecrets();
+      throw error;
+    });
+  }
+
+  /**
+   * Abre el transporte hacia la OLT con los datos guardados y realiza el login
+   * @returns {Promise<void>} - Promesa que se resuelve cuando el login es exitoso
+   */
+  openConnection() {
+    const { host, port, protocol } = this;
+    const { username, password } = this.credentials;
+    logger.info(`Iniciando conexión ${protocol} a OLT: ${host}:${port}`, { host, port, protocol });
+    oltMetrics.recordConnectAttempt(protocol);
+    const attempt = new Promise((resolve, reject) => {
       // Crear un timeout para la conexión
       logger.debug(`Configurando timeout de conexión: ${this.connectionTimeout}ms`);
       const connectionTimeoutId = setTimeout(() => {
@@ -51,44 +171,233 @@ class OltTelnetManager {
         reject(new Error('Timeout de conexión'));
       }, this.connectionTimeout);
       
-      // Crear el cliente Telnet usando el módulo net
-      logger.debug(`Creando conexión Telnet a ${host}:${port}`);
-      this.client = net.createConnection({
-        host,
-        port
-      }, () => {
+      // Crear el transporte para el protocolo solicitado
+      let client;
+      try {
+        client = createTransport(protocol, this.transportOptions);
+      } catch (error) {
+        clearTimeout(connectionTimeoutId);
+        reject(error);
+        return;
+      }
+      this.client = client;
+      this.buffer = '';
+      this.banner = '';
+      this.hostname = null;
+
+      client.on('connect', () => {
         logger.info(`Conexión establecida a ${host}:${port}`);
         this.connected = true;
         clearTimeout(connectionTimeoutId);
       });
 
-      // Configurar el encoding para manejar texto
-      this.client.setEncoding('utf8');
-      logger.debug('Encoding configurado a utf8');
-
-      // Manejar datos recibidos
-      this.client.on('data', (data) => {
-        logger.debug(`Datos recibidos (${data.length} bytes)`);
-        logger.silly(`Datos raw: ${data.replace(/\n/g, '\\n')}`);
-        this.handleData(data, username, password, resolve, reject);
+      // Manejar texto recibido (el transporte ya ha eliminado los datos de protocolo)
+      client.on('data', (text) => {
+        if (client !== this.client) {
+          return;
+        }
+        logger.silly(`Datos raw: ${text.replace(/\n/g, '\\n')}`);
+        // Con una terminal interactiva conectada la salida va directamente a ella
+        if (this.terminal) {
+          this.handleTerminalData(text);
+          return;
+        }
+        this.handleData(text, username, password, resolve, reject);
       });
 
       // Manejar errores
-      this.client.on('error', (err) => {
+      client.on('error', (err) => {
         logger.error(`Error de conexión: ${err.message}`, { error: err.stack });
         clearTimeout(connectionTimeoutId);
-        this.connected = false;
+        if (client === this.client) {
+          this.connected = false;
+        }
         reject(err);
       });
 
       // Manejar cierre de conexión
-      this.client.on('close', () => {
-        logger.info('Conexión cerrada');
-        this.connected = false;
-        this.loggedIn = false;
-        this.inConfigMode = false;
+      client.on('close', () => {
+        clearTimeout(connectionTimeoutId);
+        // Si la conexión se cierra antes de completar el login, la promesa se rechaza
+        reject(new Error('Conexión cerrada por la OLT'));
+        if (client === this.client) {
+          this.handleConnectionClosed();
+        }
       });
+
+      // Abrir la conexión
+      client.connect({ host, port, username, password });
     });
+
+    return attempt.catch((error) => {
+      oltMetrics.recordConnectFailure(protocol, error);
+      throw error;
+    });
+  }
+
+  /**
+   * Gestiona el cierre del transporte: limpia el estado e inicia la reconexión si procede
+   */
+  handleConnectionClosed() {
+    logger.info('Conexión cerrada');
+    const wasLoggedIn = this.loggedIn;
+    const previousMode = {
+      enable: this.isPrivileged(),
+      config: this.inConfigMode,
+      interface: this.currentInterface
+    };
+
+    this.connected = false;
+    this.loggedIn = false;
+    this.inConfigMode = false;
+    this.currentInterface = null;
+    this.modeStack = [];
+    this.stopDraining();
+    this.detachTerminal('Conexión cerrada');
+
+    // Durante un intento de reconexión, el propio intento gestiona el fallo
+    if (this.reconnecting) {
+      return;
+    }
+
+    // Una sesión que quedó sucia (la OLT no volvió al prompt) se reconecta aunque no se pidiera la reconexión automática
+    if (!wasLoggedIn || this.disconnecting || !(this.autoReconnect || this.sessionDirty)) {
+      this.rejectAllCommands(new Error('Conexión cerrada'));
+      return;
+    }
+
+    if (this.sessionDirty) {
+      logger.warn(`Reconectando con ${this.host} para recuperar una sesión sin prompt`);
+    } else {
+      logger.warn(`Conexión con ${this.host} perdida durante la sesión, iniciando reconexión automática`);
+      this.recordReconnectEvent('dropped', 'Conexión cerrada por la OLT');
+    }
+    this.requeueInterruptedCommand();
+    this.reconnecting = true;
+    this.reconnectAttempts = 0;
+    this.modeBeforeDrop = previousMode;
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Devuelve a la cola el comando interrumpido si es seguro repetirlo (sólo una vez);
+   * en caso contrario lo rechaza
+   */
+  requeueInterruptedCommand() {
+    const entry = this.currentCommand;
+    if (!entry) {
+      return;
+    }
+
+    this.currentCommand = null;
+    this.waitingForResponse = false;
+    this.accumulatedResponse = '';
+    this.pageCount = 0;
+    if (entry.timeoutId) {
+      clearTimeout(entry.timeoutId);
+      entry.timeoutId = null;
+    }
+
+    // Un comando que ya entregó páginas por onPage no se repite: el cliente recibiría la salida duplicada
+    if (!entry.replayed && entry.streamedPages === 0 && this.isReplaySafe(entry.command)) {
+      logger.info(`El comando interrumpido se repetirá tras la reconexión: ${entry.command}`);
+      entry.replayed = true;
+      this.commandQueue.unshift(entry);
+    } else {
+      logger.warn(`El comando interrumpido no se repetirá: ${entry.command}`);
+      this.settleCommand(entry, new Error('Conexión perdida durante la ejecución del comando'));
+    }
+  }
+
+  /**
+   * Indica si un comando puede repetirse sin efectos secundarios (comandos de consulta)
+   * @param {string} command - Comando a comprobar
+   * @returns {boolean} - true si es seguro repetirlo
+   */
+  isReplaySafe(command) {
+    return /^\s*(show|display)\b/i.test(command);
+  }
+
+  /**
+   * Programa el siguiente intento de reconexión con espera exponencial
+   */
+  scheduleReconnect() {
+    const { maxAttempts, initialDelay, maxDelay } = this.reconnectOptions;
+
+    if (this.reconnectAttempts >= maxAttempts) {
+      logger.error(`No se pudo reconectar con ${this.host} tras ${maxAttempts} intentos`);
+      this.recordReconnectEvent('failed', `Reconexión abandonada tras ${maxAttempts} intentos`);
+      this.reconnecting = false;
+      this.rejectAllCommands(new Error('Conexión perdida y no se pudo reconectar'));
+      return;
+    }
+
+    const delay = Math.min(initialDelay * Math.pow(2, this.reconnectAttempts), maxDelay);
+    this.reconnectAttempts++;
+    logger.info(`Intento de reconexión ${this.reconnectAttempts}/${maxAttempts} en ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+  }
+
+  /**
+   * Realiza un intento de reconexión, restaura el modo anterior y reanuda la cola
+   */
+  async attemptReconnect() {
+    this.reconnectTimer = null;
+    this.recordReconnectEvent('attempt', `Intento ${this.reconnectAttempts}`);
+
+    try {
+      await this.openConnection();
+    } catch (error) {
+      logger.warn(`Intento de reconexión ${this.reconnectAttempts} fallido: ${error.message}`);
+      if (this.client) {
+        this.client.destroy();
+      }
+      this.connected = false;
+      if (this.reconnecting && !this.disconnecting) {
+        this.scheduleReconnect();
+      }
+      return;
+    }
+
+    try {
+      // Restaurar el modo en el que estaba la sesión antes del corte
+      if (this.modeBeforeDrop.config) {
+        logger.info('Restaurando modo configuración tras la reconexión');
+        await this.enterConfigMode({ restore: true });
+        if (this.modeBeforeDrop.interface) {
+          await this.enterInterfaceMode(this.modeBeforeDrop.interface, { restore: true });
+        }
+      } else if (this.modeBeforeDrop.enable) {
+        logger.info('Restaurando modo privilegiado tras la reconexión');
+        await this.enterEnableMode({ restore: true });
+      }
+    } catch (error) {
+      logger.error(`No se pudo restaurar el modo de la sesión tras la reconexión: ${error.message}`);
+      this.recordReconnectEvent('failed', `No se pudo restaurar el modo: ${error.message}`);
+      this.reconnecting = false;
+      this.rejectAllCommands(new Error('No se pudo restaurar el modo de la sesión tras la reconexión'));
+      return;
+    }
+
+    logger.info(`Sesión con ${this.host} restablecida tras ${this.reconnectAttempts} intento(s)`);
+    this.recordReconnectEvent('reconnected', `Sesión restablecida tras ${this.reconnectAttempts} intento(s)`);
+    this.reconnecting = false;
+    this.sessionDirty = false;
+    this.reconnectCount++;
+    this.lastReconnectAt = Date.now();
+    this.processQueue();
+  }
+
+  /**
+   * Registra un evento de reconexión para mostrarlo en el estado de la sesión
+   * @param {string} type - Tipo de evento: 'dropped', 'dirty', 'attempt', 'reconnected' o 'failed'
+   * @param {string} message - Descripción del evento
+   */
+  recordReconnectEvent(type, message) {
+    this.reconnectEvents.push({ type, message, at: new Date().toISOString() });
+    if (this.reconnectEvents.length > 20) {
+      this.reconnectEvents.shift();
+    }
   }
 
   /**
@@ -103,25 +412,39 @@ class OltTelnetManager {
     // Añadir los datos recibidos al buffer
     this.buffer += data;
     
-    logger.debug(`Buffer actual: ${this.buffer.replace(/\n/g, '\\n')}`);
+    // Durante el login el buffer incluye el eco del usuario (las contraseñas las oculta el logger)
+    const dump = !this.loggedIn && username ? this.buffer.split(username).join(redaction.MASK) : this.buffer;
+    logger.debug(`Buffer actual: ${dump.replace(/\n/g, '\\n')}`);
 
     // Detectar prompts y responder adecuadamente
     if (!this.loggedIn) {
       logger.debug('Estado: No logueado, procesando login');
+      // Detectar el fabricante a partir del banner antes de interpretar los prompts
+      if (this.autoDetectProfile) {
+        this.banner += data;
+        this.detectDeviceProfile();
+      }
+
       // Proceso de login
-      if (this.buffer.includes('Username:') || this.buffer.includes('Login:')) {
+      if (this.profile.login.usernamePattern.test(this.buffer)) {
         logger.info('Prompt de usuario detectado, enviando nombre de usuario');
         this.client.write(username + '\n');
-        logger.debug(`Nombre de usuario enviado: ${username}`);
+        logger.debug('Nombre de usuario enviado (valor oculto)');
         this.buffer = '';
-      } else if (this.buffer.includes('Password:')) {
+      } else if (this.profile.login.passwordPattern.test(this.buffer)) {
         logger.info('Prompt de contraseña detectado, enviando contraseña');
         this.client.write(password + '\n');
         logger.debug('Contraseña enviada (valor oculto)');
         this.buffer = '';
       } else if (this.detectLoginSuccess()) {
         logger.info('Login exitoso detectado');
+        if (this.autoDetectProfile) {
+          this.autoDetectProfile = false;
+          logger.info(`Perfil de dispositivo en uso: ${this.profile.name}`);
+        }
         this.loggedIn = true;
+        this.connectedAt = Date.now();
+        this.lastActivityAt = this.connectedAt;
         this.updateCurrentPrompt();
         logger.debug(`Prompt actual actualizado a: ${this.currentPrompt}`);
         resolve(); // Resolvemos la promesa de conexión
@@ -139,61 +462,26 @@ class OltTelnetManager {
       if (this.detectCommandPrompt()) {
         logger.info('Prompt de comando detectado, procesando respuesta');
         
-        // Cancelar el timeout del comando actual si existe
-        if (this.currentCommandTimeout) {
-          clearTimeout(this.currentCommandTimeout);
-          this.currentCommandTimeout = null;
-          logger.debug('Timeout de comando cancelado');
-        }
-        
         // Si hemos estado acumulando respuestas paginadas, añadir la última parte
         if (this.accumulatedResponse) {
           this.accumulatedResponse += this.buffer;
           logger.debug(`Respuesta paginada completa acumulada (${this.accumulatedResponse.length} caracteres)`);
-          // Extraer la respuesta del comando acumulado
-          const response = this.extractCommandResponse(this.accumulatedResponse);
-          logger.debug(`Respuesta paginada extraida (${response.length} caracteres)`);
-          logger.silly(`Respuesta paginada completa: ${response}`);
-          
-          // Actualizar el prompt actual
-          this.updateCurrentPrompt();
-          logger.debug(`Prompt actual actualizado a: ${this.currentPrompt}`);
-          
-          // Resolver la promesa pendiente con la respuesta
-          if (this.responseResolver) {
-            logger.debug('Resolviendo promesa de comando paginado');
-            this.responseResolver(response);
-            this.responseResolver = null;
-          }
-          
-          // Limpiar estado de paginación
-          this.accumulatedResponse = '';
-          this.pageCount = 0;
-          this.waitingForResponse = false;
-          this.buffer = '';
-        } else {
-          // Extraer la respuesta del comando (excluyendo el comando enviado y el prompt final)
-          const response = this.extractCommandResponse();
-          logger.debug(`Respuesta extraida (${response.length} caracteres)`);
-          logger.silly(`Respuesta completa: ${response}`);
-          
-          // Actualizar el prompt actual
-          this.updateCurrentPrompt();
-          logger.debug(`Prompt actual actualizado a: ${this.currentPrompt}`);
-          
-          // Resolver la promesa pendiente con la respuesta
-          if (this.responseResolver) {
-            logger.debug('Resolviendo promesa de comando');
-            this.responseResolver(response);
-            this.responseResolver = null;
-          }
-          
-          this.waitingForResponse = false;
-          this.buffer = '';
         }
-      } else if (this.buffer.includes('--More--')) {
+        
+        // Extraer la respuesta del comando (excluyendo el comando enviado y el prompt final)
+        const response = this.extractCommandResponse(this.accumulatedResponse || this.buffer);
+        logger.debug(`Respuesta extraida (${response.length} caracteres)`);
+        logger.silly(`Respuesta completa: ${response}`);
+        
+        // Actualizar el prompt actual
+        this.updateCurrentPrompt();
+        logger.debug(`Prompt actual actualizado a: ${this.currentPrompt}`);
+        
+        // Resolver el comando en curso y continuar con la cola
+        this.completeCurrentCommand(null, response);
+      } else if (this.profile.pager.pattern.test(this.buffer)) {
         // Detectamos paginación en la respuesta
-        logger.info('Paginación detectada (--More--), enviando espacio para continuar');
+        logger.info('Paginación detectada, enviando tecla para continuar');
         
         // Incrementar contador de páginas
         this.pageCount++;
@@ -205,23 +493,14 @@ class OltTelnetManager {
           // Acumular la última parte
           this.accumulatedResponse += this.buffer;
           
-          // Resolver la promesa con lo que tenemos hasta ahora
-          if (this.responseResolver) {
-            logger.debug('Resolviendo promesa de comando paginado (límite alcanzado)');
-            this.responseResolver(this.accumulatedResponse);
-            this.responseResolver = null;
-          }
-          
-          // Limpiar estado de paginación
-          this.accumulatedResponse = '';
-          this.pageCount = 0;
-          this.waitingForResponse = false;
-          this.buffer = '';
+          // Resolver el comando con lo que tenemos hasta ahora (la OLT sigue paginando: se interrumpe)
+          logger.debug('Resolviendo comando paginado (límite alcanzado)');
+          this.completeCurrentCommand(null, this.extractCommandResponse(this.accumulatedResponse), true);
           return;
         }
         
-        // Acumular la respuesta actual (sin el --More--)
-        const moreIndex = this.buffer.indexOf('--More--');
+        // Acumular la respuesta actual (sin el marcador de paginación)
+        const moreIndex = this.buffer.search(this.profile.pager.pattern);
         if (moreIndex !== -1) {
           this.accumulatedResponse += this.buffer.substring(0, moreIndex);
         } else {
@@ -229,16 +508,28 @@ class OltTelnetManager {
         }
         
         logger.debug(`Página ${this.pageCount} acumulada (${this.accumulatedResponse.length} caracteres totales)`);
+        const entry = this.currentCommand;
+        this.emitPage(entry, this.extractCommandResponse(this.accumulatedResponse), false);
+        if (this.currentCommand !== entry) {
+          // El comando se canceló desde onPage: la paginación ya se está interrumpiendo
+          return;
+        }
         
-        // Enviar espacio para continuar con la siguiente página
-        this.client.write(' ');
-        logger.debug('Espacio enviado para continuar paginación');
+        // Enviar la tecla de continuación para recibir la siguiente página
+        this.client.write(this.profile.pager.key);
+        logger.debug('Tecla de continuación enviada');
         
         // Limpiar el buffer para la siguiente página
         this.buffer = '';
-      } else if (this.buffer.includes('Password:')) {
-        // Detectamos solicitud de contraseña después de 'configure terminal' o 'enable'
-        if (this.lastCommand.includes('configure terminal') || this.lastCommand.includes('enable')) {
+      } else if (this.profile.interactivePrompts.some(({ pattern }) => pattern.test(this.buffer))) {
+        // La OLT pide confirmar el comando (p. ej. "{ <cr>||<K> }:" en Huawei)
+        const { reply } = this.profile.interactivePrompts.find(({ pattern }) => pattern.test(this.buffer));
+        logger.info('Pregunta interactiva detectada, enviando respuesta automática');
+        this.client.write(reply);
+      } else if (this.profile.login.passwordPattern.test(this.buffer)) {
+        // Detectamos solicitud de contraseña después del comando de modo privilegiado o de configuración
+        const { enable, configure } = this.profile.commands;
+        if ([enable, configure].includes(this.lastCommand.trim())) {
           logger.info(`Prompt de contraseña detectado después de comando: ${this.lastCommand}`);
           logger.debug('Enviando contraseña de habilitación');
           this.client.write(this.enablePassword + '\n');
@@ -248,42 +539,86 @@ class OltTelnetManager {
           logger.warn(`Prompt de contraseña detectado pero no se reconoce el contexto. Último comando: ${this.lastCommand}`);
         }
       }
+    } else if (this.draining) {
+      this.handleDrainData();
     } else {
       logger.debug('Estado: Logueado, pero no esperando respuesta. Buffer ignorado.');
     }
   }
 
   /**
-   * Detecta si el login fue exitoso basado en prompts típicos
+   * Descarta la salida de un comando abandonado hasta que la OLT vuelve al prompt.
+   * El prompt debe ir seguido de un breve silencio: un Ctrl+C que llega tras el final del
+   * comando hace que la OLT muestre otro prompt, que no debe tomarse como el del siguiente comando.
+   */
+  handleDrainData() {
+    this.buffer = this.buffer.slice(-TERMINAL_BUFFER_SIZE);
+    clearTimeout(this.draining.quietTimer);
+    this.draining.quietTimer = null;
+
+    if (this.matchPrompt(this.buffer)) {
+      this.draining.quietTimer = setTimeout(() => this.finishDraining(), DRAIN_QUIET_TIME);
+    } else if (this.profile.pager.pattern.test(this.buffer)) {
+      logger.debug('Paginación de un comando abandonado, enviando tecla para interrumpirla');
+      this.client.write(this.profile.pager.quitKey);
+      this.buffer = '';
+    }
+  }
+
+  /**
+   * Actualiza el perfil del dispositivo si el banner recibido identifica al fabricante
+   */
+  detectDeviceProfile() {
+    const detected = deviceProfiles.detectProfile(this.banner);
+    if (detected && detected !== this.profile) {
+      logger.info(`Perfil de dispositivo detectado por el banner: ${detected.name}`);
+      this.profile = detected;
+    }
+  }
+
+  /**
+   * Comprueba si la última línea de un texto es un prompt de la OLT.
+   * Una vez aprendido el hostname, sólo se aceptan los prompts de ese hostname, de modo que
+   * una línea de salida que termine en "#" o ">" no se confunde con el final del comando.
+   * @param {string} text - Texto recibido
+   * @returns {{hostname: string, context: string|null, mode: string, prompt: string}|null} - Prompt encontrado o null
+   */
+  matchPrompt(text) {
+    const lines = text.replace(/\s+$/, '').split(/\r?\n|\r/);
+    const prompt = deviceProfiles.parsePrompt(this.profile, lines[lines.length - 1].trim());
+    if (!prompt) {
+      return null;
+    }
+
+    // Tras un cambio de hostname se acepta el nuevo prompt (y se aprende en updateCurrentPrompt)
+    if (this.hostname && prompt.hostname !== this.hostname && !HOSTNAME_COMMAND_PATTERN.test(this.lastCommand)) {
+      return null;
+    }
+    return prompt;
+  }
+
+  /**
+   * Detecta si el login fue exitoso basado en los prompts del perfil
    * @returns {boolean} - true si el login fue exitoso
    */
   detectLoginSuccess() {
-    // Buscar prompts típicos que indican login exitoso
-    const successPrompts = ['>', '#', '$'];
-    const result = successPrompts.some(prompt => this.buffer.trim().endsWith(prompt));
-    if (result) {
-      logger.debug(`Login exitoso detectado, prompt encontrado: ${this.buffer.trim().slice(-1)}`);
+    const match = this.matchPrompt(this.buffer);
+    if (match) {
+      logger.debug(`Login exitoso detectado, prompt encontrado: ${match.prompt}`);
     }
-    return result;
+    return match !== null;
   }
 
   /**
-   * Detecta si el login falló basado en mensajes típicos
+   * Detecta si el login falló basado en los mensajes del perfil
    * @returns {boolean} - true si el login falló
    */
   detectLoginFailure() {
-    const failureMessages = [
-      'Login incorrect',
-      'Authentication failed',
-      'Login failed',
-      'Invalid username or password'
-    ];
-    const result = failureMessages.some(msg => this.buffer.includes(msg));
-    if (result) {
-      const foundMessage = failureMessages.find(msg => this.buffer.includes(msg));
-      logger.debug(`Fallo de login detectado, mensaje encontrado: ${foundMessage}`);
+    const foundPattern = this.profile.login.failurePatterns.find(pattern => pattern.test(this.buffer));
+    if (foundPattern) {
+      logger.debug(`Fallo de login detectado, mensaje encontrado: ${foundPattern}`);
     }
-    return result;
+    return Boolean(foundPattern);
   }
 
   /**
@@ -291,13 +626,11 @@ class OltTelnetManager {
    * @returns {boolean} - true si se detectó un prompt de comando
    */
   detectCommandPrompt() {
-    const prompts = ['>', '#', '(config)#', '(config-if)#'];
-    const result = prompts.some(prompt => this.buffer.trim().endsWith(prompt));
-    if (result) {
-      const foundPrompt = prompts.find(prompt => this.buffer.trim().endsWith(prompt));
-      logger.debug(`Prompt de comando detectado: ${foundPrompt}`);
+    const match = this.matchPrompt(this.buffer);
+    if (match) {
+      logger.debug(`Prompt de comando detectado: ${match.prompt} (modo ${match.mode})`);
     }
-    return result;
+    return match !== null;
   }
 
   /**
@@ -318,150 +651,572 @@ class OltTelnetManager {
       }
     }
     
-    // Eliminar cualquier indicador de paginación (--More--)
+    // Eliminar cualquier indicador de paginación del perfil
     let moreIndex;
-    while ((moreIndex = response.indexOf('--More--')) !== -1) {
-      // Eliminar el --More-- y cualquier texto hasta el siguiente salto de línea
+    while ((moreIndex = response.search(this.profile.pager.pattern)) !== -1) {
+      // Eliminar el marcador y cualquier texto hasta el siguiente salto de línea
       const nextNewline = response.indexOf('\n', moreIndex);
       if (nextNewline !== -1) {
         response = response.substring(0, moreIndex) + response.substring(nextNewline + 1);
       } else {
-        // Si no hay más saltos de línea, eliminar todo desde --More--
+        // Si no hay más saltos de línea, eliminar todo desde el marcador
         response = response.substring(0, moreIndex);
       }
     }
     
-    // Eliminar el prompt final
-    const prompts = ['>', '#', '(config)#', '(config-if)#'];
-    for (const prompt of prompts) {
-      if (response.trim().endsWith(prompt)) {
-        response = response.substring(0, response.lastIndexOf(prompt));
-        break;
-      }
+    // Eliminar la línea del prompt final
+    const match = this.matchPrompt(response);
+    if (match) {
+      response = response.substring(0, response.lastIndexOf(match.prompt));
     }
     
-    return response.trim();
+    // Quitar sólo las líneas vacías del principio: la sangría de la primera línea sitúa el marcador "^" de los errores
+    return response.replace(/^(\s*\n)+/, '').trimEnd();
   }
 
   /**
    * Actualiza el prompt actual basado en el contenido del buffer
    */
   updateCurrentPrompt() {
-    const buffer = this.buffer.trim();
     const oldPrompt = this.currentPrompt;
+    const match = this.matchPrompt(this.buffer);
+    if (!match) {
+      return;
+    }
     
-    if (buffer.endsWith('(config)#')) {
-      this.currentPrompt = '(config)#';
-      this.inConfigMode = true;
-    } else if (buffer.endsWith('(config-if)#')) {
-      this.currentPrompt = '(config-if)#';
-      this.inConfigMode = true;
-    } else if (buffer.endsWith('#')) {
-      this.currentPrompt = '#';
-    } else if (buffer.endsWith('>')) {
-      this.currentPrompt = '>';
+    if (this.hostname !== match.hostname) {
+      logger.info(`Hostname de la OLT: ${match.hostname}`);
+      this.hostname = match.hostname;
     }
+    this.currentPrompt = match.prompt;
+    this.updateModeStack(match);
     
     if (oldPrompt !== this.currentPrompt) {
       logger.info(`Prompt cambiado: ${oldPrompt || 'ninguno'} -> ${this.currentPrompt}`);
-      if (this.inConfigMode) {
-        logger.debug('Modo de configuración activado');
+      logger.debug(`Pila de modos: ${this.getModeStack().join(' > ')}`);
+    }
+  }
+
+  /**
+   * Actualiza la pila de modos a partir del último prompt recibido
+   * @param {{mode: string, context: string|null}} prompt - Prompt reconocido
+   */
+  updateModeStack({ mode, context }) {
+    if (BASE_MODE_STACKS[mode]) {
+      this.modeStack = buildBaseStack(mode);
+    } else {
+      const existingIndex = this.modeStack.findIndex(entry => entry.context === context);
+      const topMode = this.getMode();
+      if (existingIndex !== -1) {
+        // Se ha vuelto a un submodo anterior (exit)
+        this.modeStack = this.modeStack.slice(0, existingIndex + 1);
+      } else if (topMode === 'config' || (topMode && !BASE_MODE_STACKS[topMode])) {
+        // Se ha entrado en un submodo desde el modo actual
+        this.modeStack.push({ mode, context });
+      } else {
+        this.modeStack = [...buildBaseStack('config'), { mode, context }];
       }
     }
+    
+    this.inConfigMode = this.modeStack.some(entry => entry.mode === 'config');
+    if (!this.modeStack.some(entry => !BASE_MODE_STACKS[entry.mode])) {
+      this.currentInterface = null;
+    }
   }
 
   /**
-   * Envía un comando a la OLT y espera por la respuesta
+   * Obtiene el modo actual de la sesión (el último de la pila)
+   * @returns {string|null} - 'user', 'enable', 'config', 'interface', 'onu'... o null sin sesión
+   */
+  getMode() {
+    return this.modeStack.length > 0 ? this.modeStack[this.modeStack.length - 1].mode : null;
+  }
+
+  /**
+   * Obtiene la pila de modos de la sesión
+   * @returns {string[]} - Modos desde el de usuario hasta el actual
+   */
+  getModeStack() {
+    return this.modeStack.map(entry => entry.mode);
+  }
+
+  /**
+   * Indica si la sesión está en modo privilegiado (o en un modo que lo incluye)
+   * @returns {boolean}
+   */
+  isPrivileged() {
+    return this.modeStack.some(entry => entry.mode === 'enable');
+  }
+
+  /**
+   * Envía un comando a la OLT y espera por la respuesta.
+   * Los comandos se encolan (FIFO) y se ejecutan de uno en uno: cada comando
+   * espera a que el anterior reciba su prompt antes de enviarse.
    * @param {string} command - Comando a enviar
-   * @returns {Promise<string>} - Promesa que se resuelve con la respuesta al comando
+   * @param {Object} [options] - Opciones de ejecución
+   * @param {number} [options.timeout] - Timeout en ms para este comando (por defecto según el tipo de comando)
+   * @param {AbortSignal} [options.signal] - Señal para cancelar el comando (en cola o en ejecución)
+   * @param {string[]} [options.transcript] - Lista en la que se anota el comando cuando se envía a la OLT
+   * @param {Function} [options.onPage] - Callback ({ page, text, last }) que recibe cada página de la respuesta según llega
+   * @param {boolean} [options.redact=true] - Ocultar los secretos si la respuesta es la configuración en ejecución
+   * @param {Object} [options.principal] - Identidad en cuyo nombre envía el comando un servicio (trabajos, envíos de
+   *   configuración, aprovisionamiento): el comando se evalúa con la política de comandos antes de encolarse
+   * @param {boolean} [options.generated] - El comando lo genera la API (ver CommandPolicyService.evaluateCommand)
+   * @returns {Promise<string|Object>} - Promesa que se resuelve con la respuesta al comando
+   *   (con deviceError { code, message, column } si la OLT lo rechazó)
    */
-  sendCommand(command) {
+  sendCommand(command, options = {}) {
     return new Promise((resolve, reject) => {
-      if (!this.connected || !this.loggedIn) {
+      // Durante una reconexión los comandos se encolan y se ejecutan al restablecer la sesión
+      if ((!this.connected || !this.loggedIn) && !this.reconnecting) {
         logger.error('Intento de enviar comando sin sesión activa');
         reject(new Error('No hay una sesión activa'));
         return;
       }
 
-      // Reiniciar el estado de paginación
-      this.accumulatedResponse = '';
-      this.pageCount = 0;
-      
-      // Guardar el comando actual
-      this.lastCommand = command;
-      logger.debug(`Comando guardado: ${command}`);
-      
-      // Configurar el estado para esperar respuesta
-      this.waitingForResponse = true;
-      
-      // Reemplazar el resolver original para procesar la respuesta
-      const originalResolver = resolve;
-      this.responseResolver = (rawResponse) => {
-        try {
-          // Formatear la respuesta según el tipo de comando
-          logger.debug(`Formateando respuesta para comando: ${command}`);
-          const formattedResponse = responseFormatter.formatResponse(command, rawResponse);
-          
-          // Resolver con la respuesta formateada
-          originalResolver(formattedResponse);
-        } catch (error) {
-          logger.error(`Error al formatear respuesta: ${error.message}`);
-          // Si hay error en el formateo, devolver la respuesta sin formato
-          originalResolver(rawResponse);
+      // La terminal interactiva tiene el control exclusivo de la sesión
+      if (this.terminal) {
+        logger.warn(`Comando rechazado, la sesión tiene una terminal interactiva conectada: ${command}`);
+        reject(new Error('La sesión está en uso por una terminal interactiva'));
+        return;
+      }
+
+      if (options.principal) {
+        const policyError = this.checkCommandPolicy(command, options.principal, options.generated === true);
+        if (policyError) {
+          reject(policyError);
+          return;
         }
+      }
+
+      const { signal } = options;
+      if (signal && signal.aborted) {
+        logger.warn(`Comando cancelado antes de encolarse: ${command}`);
+        reject(new Error('Comando cancelado'));
+        return;
+      }
+
+      const entry = {
+        id: ++this.commandCounter,
+        command,
+        timeout: options.timeout || this.getCommandTimeout(command),
+        resolve,
+        reject,
+        signal,
+        abortHandler: null,
+        timeoutId: null,
+        enqueuedAt: Date.now(),
+        replayed: false,
+        restore: options.restore === true,
+        transcript: options.transcript || null,
+        onPage: options.onPage || null,
+        actor: auditLog.getActor(),
+        redact: options.redact !== false,
+        streamedLength: 0,
+        streamedPages: 0
       };
+
+      // Permitir cancelar el comando mediante un AbortSignal
+      if (signal) {
+        entry.abortHandler = () => this.cancelCommand(entry.id);
+        signal.addEventListener('abort', entry.abortHandler, { once: true });
+      }
+
+      // Los comandos de restauración tras una reconexión se anteponen al resto
+      if (entry.restore) {
+        this.commandQueue.unshift(entry);
+      } else {
+        this.commandQueue.push(entry);
+      }
+      this.lastActivityAt = entry.enqueuedAt;
+      logger.debug(`Comando #${entry.id} encolado: ${command} (pendientes: ${this.commandQueue.length})`);
+
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Evalúa con la política de comandos un comando que envía un servicio en nombre de una identidad.
+   * Nadie puede confirmar los comandos destructivos, por lo que también se rechazan.
+   * @param {string} command - Comando a enviar
+   * @param {Object} principal - Identidad ({ id, role })
+   * @param {boolean} generated - El comando lo genera la API
+   * @returns {Error|null} - Error con statusCode 403 si el comando no está permitido
+   */
+  checkCommandPolicy(command, principal, generated) {
+    const result = commandPolicy.evaluateCommand(principal, command, {
+      oltId: this.auditContext.oltId,
+      configMode: this.isInConfigMode(),
+      generated
+    });
+    if (result.allowed && !result.confirmRequired) {
+      return null;
+    }
+
+    const reason = result.allowed ? 'comando destructivo, sólo puede confirmarse en una petición de comandos' : result.reason;
+    logger.warn(`Comando no autorizado para ${principal.id} (${principal.role}): ${command}`);
+    const error = new Error(`Comando no autorizado: ${reason}`);
+    error.statusCode = 403;
+    error.command = command;
+    return error;
+  }
+
+  /**
+   * Calcula el timeout por defecto para un comando
+   * @param {string} command - Comando a enviar
+   * @returns {number} - Timeout en milisegundos
+   */
+  getCommandTimeout(command) {
+    return command === 'list' || command.includes('show') ? 120000 : this.commandTimeout;
+  }
+
+  /**
+   * Ejecuta el siguiente comando de la cola si no hay ninguno en curso
+   */
+  processQueue() {
+    // Tras abandonar un comando no se envía otro hasta que la OLT vuelve al prompt
+    if (this.currentCommand || this.draining || this.commandQueue.length === 0) {
+      return;
+    }
+
+    if (!this.connected || !this.loggedIn) {
+      if (!this.reconnecting) {
+        this.rejectAllCommands(new Error('No hay una sesión activa'));
+      }
+      return;
+    }
+
+    // Mientras se restaura el modo tras una reconexión sólo se ejecutan los comandos de restauración
+    if (this.reconnecting && !this.commandQueue[0].restore) {
+      return;
+    }
+
+    const entry = this.commandQueue.shift();
+    this.currentCommand = entry;
+    const { command } = entry;
+    logger.debug(`Comando #${entry.id} extraído de la cola tras ${Date.now() - entry.enqueuedAt}ms de espera`);
+
+    // Reiniciar el estado de paginación
+    this.accumulatedResponse = '';
+    this.pageCount = 0;
+    
+    // Guardar el comando actual y el prompt tras el que se escribe (para situar los marcadores de error)
+    this.lastCommand = command;
+    entry.prompt = this.currentPrompt;
+    entry.mode = this.getMode();
+    logger.debug(`Comando guardado: ${command}`);
+    
+    // Configurar el estado para esperar respuesta
+    this.waitingForResponse = true;
+    this.buffer = '';
+    logger.debug('Estado configurado para esperar respuesta');
+    
+    // Enviar el comando
+    logger.info(`Enviando comando: ${command}`);
+    entry.sentAt = Date.now();
+    this.client.write(command + '\n');
+    logger.debug('Comando enviado al socket');
+    if (entry.transcript) {
+      entry.transcript.push(command);
+    }
+    
+    // Establecer un timeout para la respuesta
+    logger.debug(`Configurando timeout para respuesta de comando: ${entry.timeout}ms`);
+    entry.timeoutId = setTimeout(() => {
+      if (this.currentCommand !== entry) {
+        return;
+      }
+
+      logger.error(`Timeout esperando respuesta al comando: ${command}`);
+      entry.timedOut = true;
+      oltMetrics.recordCommandTimeout(command);
       
-      this.buffer = '';
-      logger.debug('Estado configurado para esperar respuesta');
-      
-      // Enviar el comando
-      logger.info(`Enviando comando: ${command}`);
-      this.client.write(command + '\n');
-      logger.debug('Comando enviado al socket');
-      
-      // Establecer un timeout para la respuesta
-      const timeoutDuration = command === 'list' || command.includes('show') ? 120000 : this.commandTimeout;
-      logger.debug(`Configurando timeout para respuesta de comando: ${timeoutDuration}ms`);
-      
-      const timeoutId = setTimeout(() => {
-        if (this.waitingForResponse) {
-          logger.error(`Timeout esperando respuesta al comando: ${command}`);
-          
-          // Si tenemos respuesta acumulada de paginación, la devolvemos aunque esté incompleta
-          if (this.accumulatedResponse && this.accumulatedResponse.length > 0) {
-            logger.warn(`Devolviendo respuesta parcial acumulada (${this.accumulatedResponse.length} caracteres)`);
-            const partialResponse = this.extractCommandResponse(this.accumulatedResponse);
-            
-            // Formatear incluso las respuestas parciales
-            try {
-              const formattedPartial = responseFormatter.formatResponse(command, partialResponse);
-              originalResolver(formattedPartial);
-            } catch (error) {
-              logger.error(`Error al formatear respuesta parcial: ${error.message}`);
-              originalResolver(partialResponse);
-            }
-          } else {
-            reject(new Error('Timeout esperando respuesta al comando'));
-          }
-          
-          // Limpiar estado
-          this.waitingForResponse = false;
-          this.responseResolver = null;
-          this.accumulatedResponse = '';
-          this.pageCount = 0;
-        }
-      }, timeoutDuration);
-      
-      // Guardar el ID del timeout para poder cancelarlo si es necesario
-      this.currentCommandTimeout = timeoutId;
+      // Si tenemos respuesta acumulada de paginación, la devolvemos aunque esté incompleta
+      if (this.accumulatedResponse && this.accumulatedResponse.length > 0) {
+        logger.warn(`Devolviendo respuesta parcial acumulada (${this.accumulatedResponse.length} caracteres)`);
+        const partialResponse = this.extractCommandResponse(this.accumulatedResponse);
+        this.completeCurrentCommand(null, partialResponse, true);
+      } else {
+        this.completeCurrentCommand(new Error('Timeout esperando respuesta al comando'), undefined, true);
+      }
+    }, entry.timeout);
+  }
+
+  /**
+   * Finaliza el comando en curso, limpia el estado de espera y continúa con la cola
+   * @param {Error|null} error - Error con el que rechazar el comando (null si terminó bien)
+   * @param {string} [rawResponse] - Respuesta cruda del comando
+   * @param {boolean} [abandoned=false] - true si la OLT aún no ha terminado la salida (cancelación, timeout o límite de páginas)
+   */
+  completeCurrentCommand(error, rawResponse, abandoned = false) {
+    const entry = this.currentCommand;
+    this.lastActivityAt = Date.now();
+    if (entry) {
+      entry.pages = this.pageCount;
+    }
+    if (abandoned) {
+      this.startDraining();
+    }
+
+    // Limpiar estado de espera y paginación antes de continuar con el siguiente comando
+    this.currentCommand = null;
+    this.waitingForResponse = false;
+    this.accumulatedResponse = '';
+    this.pageCount = 0;
+    this.buffer = '';
+
+    if (entry) {
+      if (!error) {
+        this.emitPage(entry, rawResponse, true);
+      }
+      this.settleCommand(entry, error, rawResponse);
+    }
+
+    this.processQueue();
+  }
+
+  /**
+   * Interrumpe la salida de un comando abandonado (tecla de salida de la paginación o Ctrl+C)
+   * y empieza a descartarla hasta que la OLT vuelva al prompt. Si no vuelve a tiempo,
+   * la sesión se marca como sucia y se reconecta.
+   */
+  startDraining() {
+    const paging = this.profile.pager.pattern.test(this.buffer);
+    logger.warn(`Recuperando el prompt tras abandonar el comando: ${this.lastCommand}`);
+    this.draining = {
+      timeoutId: setTimeout(() => this.handleDrainTimeout(), this.drainTimeout),
+      quietTimer: null
+    };
+    if (this.connected) {
+      this.client.write(paging ? this.profile.pager.quitKey : this.profile.interruptKey);
+    }
+  }
+
+  /**
+   * Da por recuperada la sesión cuando la OLT ha vuelto al prompt y continúa con la cola
+   */
+  finishDraining() {
+    this.updateCurrentPrompt();
+    this.stopDraining();
+    this.buffer = '';
+    logger.info(`La OLT volvió al prompt (${this.currentPrompt}), continuando con la cola`);
+    this.processQueue();
+  }
+
+  /**
+   * La OLT no volvió al prompt: la sesión queda sucia y se cierra la conexión para reconectarla
+   */
+  handleDrainTimeout() {
+    logger.error(`La OLT no volvió al prompt en ${this.drainTimeout}ms tras abandonar el comando, reconectando la sesión`);
+    this.stopDraining();
+    this.sessionDirty = true;
+    this.recordReconnectEvent('dirty', 'La OLT no volvió al prompt tras abandonar un comando');
+    if (this.client) {
+      this.client.destroy();
+    }
+  }
+
+  /**
+   * Detiene la recuperación del prompt en curso
+   */
+  stopDraining() {
+    if (!this.draining) {
+      return;
+    }
+    clearTimeout(this.draining.timeoutId);
+    clearTimeout(this.draining.quietTimer);
+    this.draining = null;
+  }
+
+  /**
+   * Entrega al callback onPage del comando la parte de la respuesta que aún no ha recibido
+   * @param {Object} entry - Entrada de la cola del comando
+   * @param {string} response - Respuesta extraída hasta el momento (sin eco, paginación ni prompt)
+   * @param {boolean} last - true si es la última página del comando
+   */
+  emitPage(entry, response, last) {
+    if (!entry || !entry.onPage || typeof response !== 'string') {
+      return;
+    }
+
+    const text = response.substring(entry.streamedLength);
+    entry.streamedLength = response.length;
+    entry.streamedPages++;
+    logger.debug(`Página ${entry.streamedPages} del comando #${entry.id} entregada (${text.length} caracteres)`);
+
+    // Las páginas de la configuración en ejecución se entregan sin sus secretos, como la respuesta completa
+    const page = responseFormatter.cleanResponse(text);
+    try {
+      entry.onPage({
+        page: entry.streamedPages,
+        text: entry.redact && entry.command.includes('show running-config') ? redaction.redactConfig(page) : page,
+        last
+      });
+    } catch (error) {
+      logger.error(`Error en el callback onPage del comando #${entry.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resuelve o rechaza la promesa de un comando y libera sus recursos
+   * @param {Object} entry - Entrada de la cola de comandos
+   * @param {Error|null} error - Error con el que rechazar el comando
+   * @param {string} [rawResponse] - Respuesta cruda del comando
+   */
+  settleCommand(entry, error, rawResponse) {
+    if (entry.timeoutId) {
+      clearTimeout(entry.timeoutId);
+      entry.timeoutId = null;
+    }
+    if (entry.signal && entry.abortHandler) {
+      entry.signal.removeEventListener('abort', entry.abortHandler);
+    }
+
+    if (error) {
+      logger.debug(`Comando #${entry.id} rechazado: ${error.message}`);
+      this.recordCommandResult(entry, entry.timedOut ? 'timeout' : (entry.cancelled ? 'cancelled' : 'error'), { error: error.message });
+      entry.reject(error);
+      return;
+    }
+
+    // Si la OLT rechazó el comando, la respuesta es el mensaje de error: se devuelve sin formatear
+    const deviceError = deviceProfiles.classifyError(this.profile, rawResponse, { promptLength: (entry.prompt || '').length });
+    this.recordCommandResult(entry, deviceError ? 'device_error' : (entry.timedOut ? 'timeout' : 'ok'), {
+      response: rawResponse,
+      error: deviceError ? deviceError.message : null
     });
+    if (deviceError) {
+      logger.warn(`La OLT rechazó el comando "${entry.command}": [${deviceError.code}] ${deviceError.message}`);
+      const cleanedResponse = responseFormatter.cleanResponse(rawResponse);
+      entry.resolve({
+        raw: cleanedResponse,
+        formatted: cleanedResponse,
+        data: null,
+        deviceError
+      });
+      return;
+    }
+
+    try {
+      // Formatear la respuesta según el tipo de comando
+      logger.debug(`Formateando respuesta para comando: ${entry.command}`);
+      const formatted = responseFormatter.formatResponse(entry.command, rawResponse, this.profile.parsers, { redact: entry.redact });
+      oltMetrics.recordOnuTelemetry(this.host, formatted.data);
+      entry.resolve(formatted);
+    } catch (formatError) {
+      logger.error(`Error al formatear respuesta: ${formatError.message}`);
+      // Si hay error en el formateo, devolver la respuesta sin formato
+      entry.resolve(rawResponse);
+    }
+  }
+
+  /**
+   * Registra en las métricas y en la auditoría un comando que llegó a enviarse a la OLT
+   * @param {Object} entry - Entrada de la cola del comando
+   * @param {string} outcome - 'ok', 'device_error', 'timeout', 'cancelled' o 'error'
+   * @param {Object} details - Respuesta cruda (response) y mensaje de error (error)
+   */
+  recordCommandResult(entry, outcome, { response, error }) {
+    if (!entry.sentAt) {
+      return;
+    }
+    const durationMs = Date.now() - entry.sentAt;
+    oltMetrics.recordCommand(entry.command, {
+      outcome,
+      durationMs,
+      pages: entry.pages || 0
+    });
+    auditLog.recordCommand({
+      user: entry.actor,
+      oltId: this.auditContext.oltId,
+      host: this.host,
+      sessionId: this.auditContext.sessionId,
+      mode: entry.mode,
+      command: redaction.redactConfig(this.redactSecrets(entry.command)),
+      outcome,
+      durationMs,
+      response,
+      error
+    });
+  }
+
+  /**
+   * Registra las contraseñas de la sesión para que se oculten en los logs mientras esté abierta
+   */
+  registerSecrets() {
+    this.unregisterSecrets();
+    this.registeredSecrets = [this.credentials.password, this.enablePassword];
+    this.registeredSecrets.forEach(secret => redaction.registerSecret(secret));
+  }
+
+  /**
+   * Libera las contraseñas registradas por la sesión
+   */
+  unregisterSecrets() {
+    (this.registeredSecrets || []).forEach(secret => redaction.unregisterSecret(secret));
+    this.registeredSecrets = null;
+  }
+
+  /**
+   * Oculta las contraseñas de la sesión (login y enable) en un texto
+   * @param {string} text - Texto (p. ej. un comando)
+   * @returns {string}
+   */
+  redactSecrets(text) {
+    return redaction.redactSecrets(text, [this.enablePassword, this.credentials && this.credentials.password]);
+  }
+
+  /**
+   * Cancela un comando encolado o en ejecución
+   * @param {number} commandId - ID del comando a cancelar
+   * @returns {boolean} - true si se encontró y canceló el comando
+   */
+  cancelCommand(commandId) {
+    if (this.currentCommand && this.currentCommand.id === commandId) {
+      logger.warn(`Cancelando comando en ejecución #${commandId}: ${this.currentCommand.command}`);
+      this.currentCommand.cancelled = true;
+      this.completeCurrentCommand(new Error('Comando cancelado'), undefined, true);
+      return true;
+    }
+
+    const index = this.commandQueue.findIndex(entry => entry.id === commandId);
+    if (index !== -1) {
+      const [entry] = this.commandQueue.splice(index, 1);
+      logger.warn(`Cancelando comando en cola #${commandId}: ${entry.command}`);
+      this.settleCommand(entry, new Error('Comando cancelado'));
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Rechaza el comando en curso y todos los comandos pendientes
+   * @param {Error} error - Error con el que rechazar los comandos
+   */
+  rejectAllCommands(error) {
+    this.stopDraining();
+    const pending = this.commandQueue.splice(0);
+    if (this.currentCommand) {
+      pending.unshift(this.currentCommand);
+      this.currentCommand = null;
+      this.waitingForResponse = false;
+      this.accumulatedResponse = '';
+      this.pageCount = 0;
+    }
+
+    if (pending.length > 0) {
+      logger.warn(`Rechazando ${pending.length} comando(s) pendiente(s): ${error.message}`);
+    }
+    pending.forEach(entry => this.settleCommand(entry, error));
   }
 
   /**
    * Entra en modo privilegiado (enable)
+   * @param {Object} [options] - Opciones para sendCommand
    * @returns {Promise<string>} - Promesa que se resuelve cuando se ha entrado en modo privilegiado
    */
-  async enterEnableMode() {
+  async enterEnableMode(options = {}) {
     logger.info('Intentando entrar en modo privilegiado (enable)');
     
     if (!this.connected || !this.loggedIn) {
@@ -469,24 +1224,29 @@ class OltTelnetManager {
       throw new Error('No hay una sesión activa');
     }
     
-    if (this.currentPrompt === '#' || this.inConfigMode) {
+    if (this.isPrivileged()) {
       logger.info('Ya en modo privilegiado, no es necesario enviar comando enable');
       return 'Ya en modo privilegiado';
     }
     
-    logger.debug('Enviando comando enable para entrar en modo privilegiado');
-    const response = await this.sendCommand('enable');
+    logger.debug(`Enviando comando ${this.profile.commands.enable} para entrar en modo privilegiado`);
+    const response = await this.sendCommand(this.profile.commands.enable, options);
+    if (!this.isPrivileged()) {
+      logger.warn(`La OLT no aceptó el comando ${this.profile.commands.enable} (prompt: ${this.currentPrompt})`);
+      throw new Error('No se pudo entrar en modo privilegiado');
+    }
     logger.info('Comando enable completado');
     logger.debug(`Respuesta: ${response}`);
     return response;
   }
 
   /**
-   * Entra en modo de configuración (configure terminal)
+   * Entra en modo de configuración (configure terminal o el comando equivalente del perfil)
+   * @param {Object} [options] - Opciones para sendCommand
    * @returns {Promise<string>} - Promesa que se resuelve cuando se ha entrado en modo configuración
    */
-  async enterConfigMode() {
-    logger.info('Intentando entrar en modo configuración (configure terminal)');
+  async enterConfigMode(options = {}) {
+    logger.info(`Intentando entrar en modo configuración (${this.profile.commands.configure})`);
     
     if (!this.connected || !this.loggedIn) {
       logger.error('Intento de entrar en modo configuración sin sesión activa');
@@ -494,32 +1254,126 @@ class OltTelnetManager {
     }
     
     if (this.inConfigMode) {
-      logger.info('Ya en modo configuración, no es necesario enviar comando configure terminal');
+      logger.info(`Ya en modo configuración, no es necesario enviar comando ${this.profile.commands.configure}`);
       return 'Ya en modo configuración';
     }
     
     // Si no estamos en modo privilegiado, primero entramos en él
-    if (this.currentPrompt !== '#') {
+    if (!this.isPrivileged()) {
       logger.debug('No estamos en modo privilegiado, entrando primero en modo enable');
-      await this.enterEnableMode();
-      logger.debug('Modo privilegiado activado, continuando con configure terminal');
+      await this.enterEnableMode(options);
+      logger.debug(`Modo privilegiado activado, continuando con ${this.profile.commands.configure}`);
     }
     
-    logger.debug('Enviando comando configure terminal');
-    const response = await this.sendCommand('configure terminal');
-    this.inConfigMode = true;
+    logger.debug(`Enviando comando ${this.profile.commands.configure}`);
+    const response = await this.sendCommand(this.profile.commands.configure, options);
+    if (!this.inConfigMode) {
+      logger.warn(`La OLT no aceptó el comando ${this.profile.commands.configure} (prompt: ${this.currentPrompt})`);
+      throw new Error('No se pudo entrar en modo configuración');
+    }
     logger.info('Modo configuración activado');
     logger.debug(`Respuesta: ${response}`);
     return response;
   }
 
   /**
-   * Cierra la conexión Telnet
+   * Entra en el submodo de configuración de una interfaz (interface <nombre>).
+   * Si la sesión no está en modo configuración, entra primero en él.
+   * @param {string} interfaceName - Interfaz a configurar (p. ej. "gpon 0/1")
+   * @param {Object} [options] - Opciones para sendCommand
+   * @returns {Promise<string>} - Promesa que se resuelve cuando se ha entrado en la interfaz
+   */
+  async enterInterfaceMode(interfaceName, options = {}) {
+    logger.info(`Intentando entrar en la interfaz ${interfaceName}`);
+
+    if (this.currentInterface === interfaceName) {
+      logger.info(`Ya en la interfaz ${interfaceName}`);
+      return `Ya en la interfaz ${interfaceName}`;
+    }
+
+    if (this.currentInterface) {
+      await this.exitInterfaceMode(options);
+    }
+    await this.enterConfigMode(options);
+
+    const response = await this.sendCommand(`interface ${interfaceName}`, options);
+
+    // Si la OLT rechaza la interfaz, el prompt sigue siendo el del modo configuración
+    if (this.getMode() === 'config') {
+      const text = response && typeof response === 'object' ? response.raw : response;
+      const reason = response && response.deviceError ? response.deviceError.message : (text || '').trim().split('\n')[0];
+      logger.warn(`La OLT no aceptó la interfaz ${interfaceName}`);
+      throw new Error(`No se pudo entrar en la interfaz ${interfaceName}: ${reason}`);
+    }
+
+    this.currentInterface = interfaceName;
+    logger.info(`Interfaz ${interfaceName} activa`);
+    logger.debug(`Respuesta: ${response}`);
+    return response;
+  }
+
+  /**
+   * Sale del submodo de interfaz y vuelve al modo configuración (exit o el comando equivalente del perfil)
+   * @param {Object} [options] - Opciones para sendCommand
+   * @returns {Promise<string>} - Promesa que se resuelve cuando se ha salido de la interfaz
+   */
+  async exitInterfaceMode(options = {}) {
+    if (!this.currentInterface) {
+      logger.info(`No hay ninguna interfaz activa, no es necesario enviar comando ${this.profile.commands.exitInterface}`);
+      return 'No hay ninguna interfaz activa';
+    }
+
+    logger.info(`Saliendo de la interfaz ${this.currentInterface}`);
+    const response = await this.sendCommand(this.profile.commands.exitInterface, options);
+    this.currentInterface = null;
+    logger.debug(`Respuesta: ${response}`);
+    return response;
+  }
+
+  /**
+   * Sale del modo de configuración y vuelve al modo privilegiado (end o el comando equivalente del perfil)
+   * @param {Object} [options] - Opciones para sendCommand
+   * @returns {Promise<string>} - Promesa que se resuelve cuando se ha salido del modo configuración
+   */
+  async exitConfigMode(options = {}) {
+    logger.info(`Intentando salir del modo configuración (${this.profile.commands.exitConfig})`);
+    
+    if (!this.inConfigMode) {
+      logger.info(`No está en modo configuración, no es necesario enviar comando ${this.profile.commands.exitConfig}`);
+      return 'No está en modo configuración';
+    }
+    
+    const response = await this.sendCommand(this.profile.commands.exitConfig, options);
+    if (this.inConfigMode) {
+      logger.warn(`La sesión sigue en modo configuración tras ${this.profile.commands.exitConfig} (prompt: ${this.currentPrompt})`);
+      throw new Error('No se pudo salir del modo configuración');
+    }
+    logger.info('Modo configuración desactivado');
+    logger.debug(`Respuesta: ${response}`);
+    return response;
+  }
+
+  /**
+   * Cierra la conexión con la OLT
    * @returns {Promise<void>} - Promesa que se resuelve cuando la conexión se ha cerrado
    */
   disconnect() {
     logger.info('Iniciando proceso de desconexión');
+    this.disconnecting = true;
+    this.unregisterSecrets();
     return new Promise((resolve) => {
+      // Cancelar una reconexión en curso
+      if (this.reconnecting) {
+        logger.info('Cancelando reconexión en curso');
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnecting = false;
+        this.rejectAllCommands(new Error('Sesión desconectada'));
+        if (this.client && !this.connected) {
+          this.client.destroy();
+        }
+      }
+
       if (!this.connected) {
         logger.debug('No hay conexión activa, nada que desconectar');
         resolve();
@@ -529,21 +1383,27 @@ class OltTelnetManager {
       // Si estamos en modo configuración, salimos primero
       if (this.inConfigMode) {
         logger.debug('Saliendo del modo configuración');
-        this.client.write('exit\n');
+        this.client.write(`${this.profile.commands.exitConfig}\n`);
       }
       
       // Enviar comando de logout
-      logger.debug('Enviando comando exit para cerrar sesión');
-      this.client.write('exit\n');
+      logger.debug(`Enviando comando ${this.profile.commands.logout} para cerrar sesión`);
+      this.client.write(`${this.profile.commands.logout}\n`);
       
-      // Cerrar la conexión
+      // Cerrar la conexión (y la terminal interactiva, si hay una conectada)
+      this.detachTerminal('Sesión desconectada');
       logger.debug('Cerrando socket de conexión');
       this.client.end();
       
+      // Rechazar los comandos pendientes
+      this.rejectAllCommands(new Error('Sesión desconectada'));
+      
       // Limpiar el estado
       this.connected = false;
       this.loggedIn = false;
       this.inConfigMode = false;
+      this.currentInterface = null;
+      this.modeStack = [];
       this.buffer = '';
       this.currentPrompt = '';
       logger.info('Estado de conexión limpiado');
@@ -553,6 +1413,95 @@ class OltTelnetManager {
     });
   }
 
+  /**
+   * Conecta una terminal interactiva a la sesión: la salida de la OLT se entrega tal cual a onOutput
+   * y los comandos de la API (sendCommand) se rechazan hasta que se desconecte
+   * @param {Function} onOutput - Callback que recibe el texto enviado por la OLT
+   * @param {Function} [onDetach] - Callback que recibe el motivo cuando la terminal se desconecta
+   */
+  attachTerminal(onOutput, onDetach = () => {}) {
+    if (!this.connected || !this.loggedIn) {
+      throw new Error('No hay una sesión activa');
+    }
+    if (this.terminal) {
+      throw new Error('La sesión ya tiene una terminal interactiva conectada');
+    }
+    if (this.isBusy()) {
+      throw new Error('La sesión está ejecutando comandos, inténtalo cuando terminen');
+    }
+
+    this.terminal = { onOutput, onDetach, attachedAt: Date.now() };
+    this.buffer = '';
+    this.lastActivityAt = Date.now();
+    logger.info(`Terminal interactiva conectada a ${this.host}`);
+  }
+
+  /**
+   * Envía a la OLT las pulsaciones de la terminal interactiva, sin procesar
+   * @param {string} data - Texto tecleado (incluye tabuladores, "?", Ctrl+C...)
+   */
+  writeTerminal(data) {
+    if (!this.terminal) {
+      throw new Error('No hay una terminal interactiva conectada');
+    }
+    this.lastActivityAt = Date.now();
+    this.client.write(data);
+  }
+
+  /**
+   * Entrega a la terminal interactiva el texto recibido de la OLT y guarda el final
+   * para conocer el prompt (y el modo) al desconectarla
+   * @param {string} text - Texto recibido
+   */
+  handleTerminalData(text) {
+    this.lastActivityAt = Date.now();
+    this.buffer = (this.buffer + text).slice(-TERMINAL_BUFFER_SIZE);
+
+    try {
+      this.terminal.onOutput(text);
+    } catch (error) {
+      logger.error(`Error al entregar la salida a la terminal interactiva: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desconecta la terminal interactiva y devuelve el control de la sesión a la API.
+   * El modo se toma del último prompt recibido, ya que el operador pudo cambiarlo.
+   * @param {string} [reason] - Motivo de la desconexión
+   */
+  detachTerminal(reason = 'Terminal desconectada') {
+    const { terminal } = this;
+    if (!terminal) {
+      return;
+    }
+
+    this.terminal = null;
+    if (this.connected) {
+      // La interfaz activa ya no se conoce con certeza: se vuelve a entrar en ella si se necesita
+      this.currentInterface = null;
+      this.updateCurrentPrompt();
+      if (!this.matchPrompt(this.buffer)) {
+        logger.warn(`La terminal interactiva se desconectó sin un prompt final; modo conservado: ${this.getMode()}`);
+      }
+    }
+    this.buffer = '';
+    logger.info(`Terminal interactiva desconectada de ${this.host} tras ${Date.now() - terminal.attachedAt}ms: ${reason}`);
+
+    try {
+      terminal.onDetach(reason);
+    } catch (error) {
+      logger.error(`Error al notificar la desconexión de la terminal interactiva: ${error.message}`);
+    }
+  }
+
+  /**
+   * Indica si hay una terminal interactiva conectada a la sesión
+   * @returns {boolean}
+   */
+  isTerminalAttached() {
+    return this.terminal !== null;
+  }
+
   /**
    * Obtiene el estado actual de la conexión
    * @returns {Object} - Objeto con el estado de la conexión
@@ -560,12 +1509,39 @@ class OltTelnetManager {
   getStatus() {
     return {
       connected: this.connected,
+      protocol: this.protocol,
+      deviceProfile: this.profile.name,
       loggedIn: this.loggedIn,
       inConfigMode: this.inConfigMode,
-      currentPrompt: this.currentPrompt
+      currentInterface: this.currentInterface,
+      currentPrompt: this.currentPrompt,
+      hostname: this.hostname,
+      mode: this.getMode(),
+      modeStack: this.getModeStack(),
+      terminalAttached: this.isTerminalAttached(),
+      commandInProgress: this.currentCommand ? this.currentCommand.command : null,
+      queueLength: this.commandQueue.length,
+      draining: this.draining !== null,
+      dirty: this.sessionDirty,
+      reconnect: {
+        enabled: this.autoReconnect,
+        reconnecting: this.reconnecting,
+        attempts: this.reconnectAttempts,
+        count: this.reconnectCount,
+        lastReconnectAt: this.lastReconnectAt ? new Date(this.lastReconnectAt).toISOString() : null,
+        events: this.reconnectEvents.slice()
+      }
     };
   }
 
+  /**
+   * Indica si la sesión está ocupada (comando en curso, comandos en cola o salida de un comando abandonado)
+   * @returns {boolean} - true si hay comandos pendientes
+   */
+  isBusy() {
+    return this.currentCommand !== null || this.draining !== null || this.commandQueue.length > 0;
+  }
+
   /**
    * Verifica si la sesión está en modo configuración
    * @returns {boolean} - true si está en modo configuración
@@ -0,0 +1,449 @@
+const logger = require('../utils/logger');
+const { createJsonStore } = require('../utils/jsonStore');
+const { parseOnuInfo, parseUnauthorizedOnus } = require('../utils/vsolOnuParsers');
+
+// ONU sin autorizar detectadas por OLT y número de serie, persistidas en data/discovered-onus.json
+const discoveryStore = createJsonStore('discovered-onus.json', {});
+
+// Puertos PON que se recorren si la OLT del inventario no define ponPorts
+const DEFAULT_PON_PORTS = (process.env.OLT_DEFAULT_PON_PORTS || '0/1,0/2,0/3,0/4,0/5,0/6,0/7,0/8')
+  .split(',')
+  .map(port => port.trim())
+  .filter(Boolean);
+
+// Límites de la OLT VSOL (ONU por puerto PON, VLAN y service-ports por ONU)
+const MAX_ONU_ID = 128;
+const MAX_VLAN = 4094;
+const MAX_SERVICE_PORT = 8;
+
+// Patrones de validación (evitan inyectar comandos adicionales en la CLI)
+const PON_PORT_PATTERN = /^\d+\/\d+$/;
+const SERIAL_NUMBER_PATTERN = /^[A-Za-z0-9]{4}[0-9A-Fa-f]{8}$/;
+const PROFILE_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+const DESCRIPTION_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Respuestas con las que la OLT indica que el service-port que se quiere eliminar no existe
+const SERVICE_PORT_NOT_FOUND_PATTERN = /not\s+exist|does\s*n[o']?t\s+exist|not\s+found|no\s+such/i;
+
+/**
+ * Crea un error de aprovisionamiento con el código HTTP y los comandos enviados
+ * @param {string} message - Mensaje del error
+ * @param {number} statusCode - Código HTTP de la respuesta
+ * @param {string[]} commands - Comandos enviados hasta el momento del error
+ * @returns {Error}
+ */
+function createProvisioningError(message, statusCode, commands) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.commands = commands.slice();
+  return error;
+}
+
+/**
+ * Comprueba si un valor es un entero dentro de un rango
+ * @param {*} value - Valor a comprobar
+ * @param {number} min - Mínimo permitido
+ * @param {number} max - Máximo permitido
+ * @returns {boolean}
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Valida los campos modificables de una ONU (comunes al alta y a la modificación)
+ * @param {Object} data - Datos recibidos
+ * @param {string[]} errors - Lista a la que se añaden los errores
+ */
+function validateOnuSettings(data, errors) {
+  if (data.profile !== undefined && (typeof data.profile !== 'string' || !PROFILE_PATTERN.test(data.profile))) {
+    errors.push('profile sólo puede contener letras, números, ".", "_" y "-" (máximo 32 caracteres)');
+  }
+  if (data.description !== undefined && (typeof data.description !== 'string' || !DESCRIPTION_PATTERN.test(data.description))) {
+    errors.push('description sólo puede contener letras, números, ".", "_" y "-" (máximo 64 caracteres)');
+  }
+  if (data.vlan !== undefined && !isIntegerInRange(data.vlan, 1, MAX_VLAN)) {
+    errors.push(`vlan debe ser un entero entre 1 y ${MAX_VLAN}`);
+  }
+  if (data.userVlan !== undefined && !isIntegerInRange(data.userVlan, 1, MAX_VLAN)) {
+    errors.push(`userVlan debe ser un entero entre 1 y ${MAX_VLAN}`);
+  }
+  if (data.servicePort !== undefined && !isIntegerInRange(data.servicePort, 1, MAX_SERVICE_PORT)) {
+    errors.push(`servicePort debe ser un entero entre 1 y ${MAX_SERVICE_PORT}`);
+  }
+  if (data.gemport !== undefined && !isIntegerInRange(data.gemport, 1, MAX_SERVICE_PORT)) {
+    errors.push(`gemport debe ser un entero entre 1 y ${MAX_SERVICE_PORT}`);
+  }
+  if (data.vlan === undefined && (data.userVlan !== undefined || data.gemport !== undefined)) {
+    errors.push('userVlan y gemport requieren vlan');
+  }
+}
+
+/**
+ * Valida un puerto PON y un id de ONU
+ * @param {string} ponPort - Puerto PON (p. ej. "0/1")
+ * @param {*} onuId - Id de la ONU en el puerto
+ * @param {string[]} errors - Lista a la que se añaden los errores
+ */
+function validateOnuLocation(ponPort, onuId, errors) {
+  if (typeof ponPort !== 'string' || !PON_PORT_PATTERN.test(ponPort)) {
+    errors.push('ponPort debe tener el formato <slot>/<puerto> (p. ej. "0/1")');
+  }
+  if (onuId !== undefined && !isIntegerInRange(onuId, 1, MAX_ONU_ID)) {
+    errors.push(`onuId debe ser un entero entre 1 y ${MAX_ONU_ID}`);
+  }
+}
+
+/**
+ * Valida los datos para autorizar una ONU
+ * @param {Object} data - Datos recibidos
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateAuthorization(data) {
+  const errors = [];
+
+  validateOnuLocation(data.ponPort, data.onuId, errors);
+  if (typeof data.serialNumber !== 'string' || !SERIAL_NUMBER_PATTERN.test(data.serialNumber)) {
+    errors.push('serialNumber debe tener 4 caracteres de fabricante y 8 dígitos hexadecimales (p. ej. "GPON00A1B2C3")');
+  }
+  if (data.profile === undefined) {
+    errors.push('profile es obligatorio');
+  }
+  validateOnuSettings(data, errors);
+
+  return errors;
+}
+
+/**
+ * Valida la ubicación (puerto PON e id) de una ONU autorizada
+ * @param {string} ponPort - Puerto PON
+ * @param {number} onuId - Id de la ONU
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateLocation(ponPort, onuId) {
+  const errors = [];
+  validateOnuLocation(ponPort, onuId, errors);
+  return errors;
+}
+
+/**
+ * Valida los datos para modificar una ONU
+ * @param {string} ponPort - Puerto PON
+ * @param {number} onuId - Id de la ONU
+ * @param {Object} data - Campos a modificar
+ * @returns {string[]} - Lista de errores de validación (vacía si los datos son válidos)
+ */
+function validateUpdate(ponPort, onuId, data) {
+  const errors = [];
+
+  validateOnuLocation(ponPort, onuId, errors);
+  if (['profile', 'description', 'vlan'].every(field => data[field] === undefined)) {
+    errors.push('Se requiere al menos uno de los campos: profile, description, vlan');
+  }
+  validateOnuSettings(data, errors);
+
+  return errors;
+}
+
+/**
+ * Envía un comando de configuración, lo anota y comprueba que la OLT no lo haya rechazado
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} command - Comando a enviar
+ * @param {string[]} commands - Comandos enviados en la operación
+ * @param {Object} principal - Identidad que solicita la operación (el comando se evalúa con la política de comandos)
+ * @returns {Promise<string>} - Respuesta del comando
+ */
+async function runCommand(manager, command, commands, principal) {
+  let response;
+  try {
+    response = await manager.sendCommand(command, { transcript: commands, principal, generated: true });
+  } catch (error) {
+    // Comando no autorizado por la política: se responde con los comandos enviados hasta entonces
+    if (error.statusCode) {
+      throw createProvisioningError(error.message, error.statusCode, commands);
+    }
+    throw error;
+  }
+  if (response && response.deviceError) {
+    throw createProvisioningError(`La OLT rechazó el comando "${command}": ${response.deviceError.message}`, 422, commands);
+  }
+  return response;
+}
+
+/**
+ * Comprueba que la OLT admite los comandos de aprovisionamiento (sintaxis de VSOL)
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ */
+function assertProvisioningSupported(manager) {
+  if (manager.profile.name !== 'vsol') {
+    throw createProvisioningError(`El aprovisionamiento de ONU no está disponible para OLT ${manager.profile.vendor}`, 501, []);
+  }
+}
+
+/**
+ * Entra en la interfaz GPON del puerto y obtiene las ONU registradas en él
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} ponPort - Puerto PON
+ * @param {string[]} commands - Comandos enviados en la operación
+ * @param {Object} principal - Identidad que solicita la operación
+ * @returns {Promise<Object[]>} - Registros de "show onu info"
+ */
+async function listPortOnus(manager, ponPort, commands, principal) {
+  await manager.enterInterfaceMode(`gpon ${ponPort}`, { transcript: commands });
+  const response = await runCommand(manager, 'show onu info', commands, principal);
+  return parseOnuInfo(response && typeof response === 'object' ? response.raw : response);
+}
+
+/**
+ * Genera los comandos de service-port de una ONU
+ * @param {number} onuId - Id de la ONU
+ * @param {Object} data - Datos de VLAN (vlan, userVlan, servicePort, gemport)
+ * @returns {string}
+ */
+function buildServicePortCommand(onuId, data) {
+  const servicePort = data.servicePort || 1;
+  const gemport = data.gemport || 1;
+  const userVlan = data.userVlan || data.vlan;
+  return `onu ${onuId} service-port ${servicePort} gemport ${gemport} uservlan ${userVlan} vlan ${data.vlan}`;
+}
+
+/**
+ * Elimina un service-port de una ONU. Si no existía, no es un error: se va a crear a continuación
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {number} onuId - Id de la ONU
+ * @param {number} servicePort - Número de service-port
+ * @param {string[]} commands - Comandos enviados en la operación
+ * @param {Object} principal - Identidad que solicita la operación
+ */
+async function removeServicePort(manager, onuId, servicePort, commands, principal) {
+  try {
+    await runCommand(manager, `no onu ${onuId} service-port ${servicePort}`, commands, principal);
+  } catch (error) {
+    if (error.statusCode !== 422 || !SERVICE_PORT_NOT_FOUND_PATTERN.test(error.message)) {
+      throw error;
+    }
+    logger.debug(`La ONU ${onuId} no tenía el service-port ${servicePort}, se crea directamente`);
+  }
+}
+
+/**
+ * Busca el primer id de ONU libre en un puerto PON
+ * @param {Object[]} onus - ONU registradas en el puerto
+ * @returns {number|null} - Id libre o null si el puerto está completo
+ */
+function findFreeOnuId(onus) {
+  const used = new Set(onus.map(onu => onu.onuId));
+  for (let onuId = 1; onuId <= MAX_ONU_ID; onuId++) {
+    if (!used.has(onuId)) {
+      return onuId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Autoriza una ONU por número de serie en un puerto PON y configura su perfil, descripción y VLAN
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {Object} data - Datos de la ONU (ya validados)
+ * @param {Object} principal - Identidad que solicita la operación
+ * @returns {Promise<{onu: Object|null, commands: string[]}>} - ONU registrada y comandos enviados
+ */
+async function authorizeOnu(manager, data, principal) {
+  assertProvisioningSupported(manager);
+  const commands = [];
+  const { ponPort, serialNumber, profile } = data;
+  logger.info(`Autorizando ONU ${serialNumber} en el puerto PON ${ponPort}`);
+
+  const onus = await listPortOnus(manager, ponPort, commands, principal);
+
+  const existing = onus.find(onu => (onu.serialNumber || '').toUpperCase() === serialNumber.toUpperCase());
+  if (existing) {
+    throw createProvisioningError(`La ONU ${serialNumber} ya está autorizada en ${existing.ponPort}:${existing.onuId}`, 409, commands);
+  }
+
+  let onuId = data.onuId;
+  if (onuId === undefined) {
+    onuId = findFreeOnuId(onus);
+    if (onuId === null) {
+      throw createProvisioningError(`No quedan ids de ONU libres en el puerto PON ${ponPort}`, 409, commands);
+    }
+    logger.debug(`Id de ONU asignado automáticamente: ${onuId}`);
+  } else if (onus.some(onu => onu.onuId === onuId)) {
+    throw createProvisioningError(`El id de ONU ${onuId} ya está en uso en el puerto PON ${ponPort}`, 409, commands);
+  }
+
+  await runCommand(manager, `onu add ${onuId} profile ${profile} sn ${serialNumber}`, commands, principal);
+  if (data.description !== undefined) {
+    await runCommand(manager, `onu ${onuId} desc ${data.description}`, commands, principal);
+  }
+  if (data.vlan !== undefined) {
+    await runCommand(manager, buildServicePortCommand(onuId, data), commands, principal);
+  }
+
+  const onu = (await listPortOnus(manager, ponPort, commands, principal)).find(record => record.onuId === onuId) || null;
+  await manager.exitConfigMode({ transcript: commands });
+
+  logger.info(`ONU ${serialNumber} autorizada en ${ponPort}:${onuId}`);
+  return { onu, commands };
+}
+
+/**
+ * Modifica el perfil, la descripción o la VLAN de una ONU autorizada
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} ponPort - Puerto PON
+ * @param {number} onuId - Id de la ONU
+ * @param {Object} data - Campos a modificar (ya validados)
+ * @param {Object} principal - Identidad que solicita la operación
+ * @returns {Promise<{onu: Object|null, commands: string[]}>} - ONU modificada y comandos enviados
+ */
+async function updateOnu(manager, ponPort, onuId, data, principal) {
+  assertProvisioningSupported(manager);
+  const commands = [];
+  logger.info(`Modificando ONU ${ponPort}:${onuId}`);
+
+  const onus = await listPortOnus(manager, ponPort, commands, principal);
+  if (!onus.some(onu => onu.onuId === onuId)) {
+    throw createProvisioningError(`La ONU ${ponPort}:${onuId} no está autorizada`, 404, commands);
+  }
+
+  if (data.profile !== undefined) {
+    await runCommand(manager, `onu ${onuId} profile ${data.profile}`, commands, principal);
+  }
+  if (data.description !== undefined) {
+    await runCommand(manager, `onu ${onuId} desc ${data.description}`, commands, principal);
+  }
+  if (data.vlan !== undefined) {
+    // El service-port se elimina (si existe) y se vuelve a crear con la nueva VLAN
+    await removeServicePort(manager, onuId, data.servicePort || 1, commands, principal);
+    await runCommand(manager, buildServicePortCommand(onuId, data), commands, principal);
+  }
+
+  const onu = (await listPortOnus(manager, ponPort, commands, principal)).find(record => record.onuId === onuId) || null;
+  await manager.exitConfigMode({ transcript: commands });
+
+  logger.info(`ONU ${ponPort}:${onuId} modificada`);
+  return { onu, commands };
+}
+
+/**
+ * Desautoriza (elimina) una ONU de un puerto PON
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} ponPort - Puerto PON
+ * @param {number} onuId - Id de la ONU
+ * @param {Object} principal - Identidad que solicita la operación
+ * @returns {Promise<{onu: Object, commands: string[]}>} - ONU eliminada y comandos enviados
+ */
+async function deauthorizeOnu(manager, ponPort, onuId, principal) {
+  assertProvisioningSupported(manager);
+  const commands = [];
+  logger.info(`Desautorizando ONU ${ponPort}:${onuId}`);
+
+  const onus = await listPortOnus(manager, ponPort, commands, principal);
+  const onu = onus.find(record => record.onuId === onuId);
+  if (!onu) {
+    throw createProvisioningError(`La ONU ${ponPort}:${onuId} no está autorizada`, 404, commands);
+  }
+
+  await runCommand(manager, `no onu ${onuId}`, commands, principal);
+  await manager.exitConfigMode({ transcript: commands });
+
+  logger.info(`ONU ${ponPort}:${onuId} desautorizada`);
+  return { onu, commands };
+}
+
+/**
+ * Registra las ONU detectadas en los puertos recorridos y devuelve cuándo se vio cada una por primera vez.
+ * Las ONU que ya no aparecen en un puerto recorrido (autorizadas o desconectadas) se olvidan.
+ * @param {string} oltId - Identificador de la OLT
+ * @param {string[]} scannedPorts - Puertos PON recorridos
+ * @param {Object[]} records - ONU detectadas
+ * @returns {Object[]} - ONU detectadas con serialNumber, ponPort, model y firstSeenAt
+ */
+function trackDiscoveredOnus(oltId, scannedPorts, records) {
+  const discovered = discoveryStore.read();
+  const previous = discovered[oltId] || {};
+  const now = new Date().toISOString();
+  const current = {};
+
+  // Conservar las ONU de los puertos que no se han recorrido en esta consulta
+  for (const [serialNumber, entry] of Object.entries(previous)) {
+    if (!scannedPorts.includes(entry.ponPort)) {
+      current[serialNumber] = entry;
+    }
+  }
+
+  const onus = records
+    .filter(record => record.serialNumber)
+    .map(record => {
+      const known = previous[record.serialNumber];
+      const entry = {
+        ponPort: record.ponPort,
+        firstSeenAt: known && known.ponPort === record.ponPort ? known.firstSeenAt : now,
+        lastSeenAt: now
+      };
+      current[record.serialNumber] = entry;
+      return {
+        serialNumber: record.serialNumber,
+        ponPort: record.ponPort,
+        model: record.model,
+        firstSeenAt: entry.firstSeenAt
+      };
+    });
+
+  discovered[oltId] = current;
+  discoveryStore.write(discovered);
+  return onus;
+}
+
+/**
+ * Lista las ONU detectadas y no autorizadas recorriendo los puertos PON con "show onu auto-find"
+ * @param {OltTelnetManager} manager - Conexión con la OLT
+ * @param {string} oltId - Identificador de la OLT
+ * @param {string[]|null} ponPorts - Puertos PON a recorrer (por defecto, OLT_DEFAULT_PON_PORTS)
+ * @param {Object} principal - Identidad que solicita la operación
+ * @returns {Promise<{onus: Object[], skippedPorts: Object[], commands: string[]}>}
+ */
+async function listUnauthorizedOnus(manager, oltId, ponPorts, principal) {
+  assertProvisioningSupported(manager);
+  const commands = [];
+  const ports = ponPorts && ponPorts.length > 0 ? ponPorts : DEFAULT_PON_PORTS;
+  const scannedPorts = [];
+  const skippedPorts = [];
+  const records = [];
+  logger.info(`Buscando ONU sin autorizar en ${ports.length} puerto(s) PON de la OLT ${oltId}`);
+
+  for (const ponPort of ports) {
+    try {
+      await manager.enterInterfaceMode(`gpon ${ponPort}`, { transcript: commands });
+      const response = await runCommand(manager, 'show onu auto-find', commands, principal);
+      const portRecords = parseUnauthorizedOnus(response && typeof response === 'object' ? response.raw : response);
+      logger.debug(`Puerto PON ${ponPort}: ${portRecords.length} ONU sin autorizar`);
+      records.push(...portRecords);
+      scannedPorts.push(ponPort);
+    } catch (error) {
+      // Un puerto inexistente no impide recorrer el resto; una conexión perdida o un comando no autorizado, sí
+      if (!manager.getStatus().connected || error.statusCode === 403) {
+        throw error;
+      }
+      logger.warn(`No se pudo consultar el puerto PON ${ponPort}: ${error.message}`);
+      skippedPorts.push({ ponPort, message: error.message });
+    }
+  }
+
+  await manager.exitConfigMode({ transcript: commands });
+
+  const onus = trackDiscoveredOnus(oltId, scannedPorts, records);
+  logger.info(`ONU sin autorizar encontradas en la OLT ${oltId}: ${onus.length}`);
+  return { onus, skippedPorts, commands };
+}
+
+module.exports = {
+  DEFAULT_PON_PORTS,
+  validateAuthorization,
+  validateLocation,
+  validateUpdate,
+  authorizeOnu,
+  updateOnu,
+  deauthorizeOnu,
+  listUnauthorizedOnus
+};
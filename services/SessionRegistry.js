@@ -0,0 +1,179 @@
+const logger = require('../utils/logger');
+
+// Sesiones activas, indexadas por sessionId (en producción debería usarse Redis u otra solución)
+const sessions = new Map();
+
+// Configuración del recolector de sesiones
+const idleTimeout = Number(process.env.SESSION_IDLE_TIMEOUT_MS) || 900000; // 15 minutos
+const maxLifetime = Number(process.env.SESSION_MAX_LIFETIME_MS) || 14400000; // 4 horas
+const reaperInterval = Number(process.env.SESSION_REAPER_INTERVAL_MS) || 60000; // 1 minuto
+
+let reaperTimer = null;
+
+/**
+ * Registra una sesión nueva
+ * @param {string} sessionId - ID de la sesión
+ * @param {OltTelnetManager} manager - Gestor de la conexión
+ * @param {Object} [metadata] - Datos adicionales de la sesión
+ * @param {string} [metadata.oltId] - Identificador de la OLT en el inventario
+ * @param {string} [metadata.owner] - Identidad que abrió la sesión (sólo ella y los administradores pueden usarla)
+ */
+function addSession(sessionId, manager, metadata = {}) {
+  sessions.set(sessionId, {
+    manager,
+    oltId: metadata.oltId || null,
+    owner: metadata.owner || null,
+    createdAt: Date.now()
+  });
+  manager.setAuditContext({ oltId: metadata.oltId || null, sessionId });
+  logger.debug(`Sesión registrada: ${sessionId} (${sessions.size} activas)`);
+  startReaper();
+}
+
+/**
+ * Obtiene el gestor de una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @returns {OltTelnetManager|null} - Gestor de la sesión o null si no existe
+ */
+function getSession(sessionId) {
+  const session = sessions.get(sessionId);
+  return session ? session.manager : null;
+}
+
+/**
+ * Elimina una sesión del registro (sin desconectarla)
+ * @param {string} sessionId - ID de la sesión
+ */
+function removeSession(sessionId) {
+  sessions.delete(sessionId);
+  logger.debug(`Sesión eliminada del registro: ${sessionId} (${sessions.size} activas)`);
+}
+
+/**
+ * Obtiene la identidad que abrió una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @returns {string|null} - Identidad o null si la sesión no existe o no tiene propietario
+ */
+function getSessionOwner(sessionId) {
+  const session = sessions.get(sessionId);
+  return session ? session.owner : null;
+}
+
+/**
+ * Obtiene la OLT del inventario con la que se abrió una sesión
+ * @param {string} sessionId - ID de la sesión
+ * @returns {string|null} - Identificador de la OLT o null si la sesión no existe o se abrió con credenciales directas
+ */
+function getSessionOltId(sessionId) {
+  const session = sessions.get(sessionId);
+  return session ? session.oltId : null;
+}
+
+/**
+ * Obtiene el número de sesiones activas
+ * @returns {number}
+ */
+function getSessionCount() {
+  return sessions.size;
+}
+
+/**
+ * Lista las sesiones activas con su antigüedad, tiempo de inactividad y estado
+ * @returns {Object[]}
+ */
+function listSessions() {
+  const now = Date.now();
+  return [...sessions.entries()].map(([sessionId, session]) => {
+    const { manager } = session;
+    return {
+      sessionId,
+      oltId: session.oltId,
+      owner: session.owner,
+      host: manager.host,
+      port: manager.port,
+      createdAt: new Date(session.createdAt).toISOString(),
+      ageMs: now - session.createdAt,
+      idleMs: now - (manager.lastActivityAt || session.createdAt),
+      status: manager.getStatus()
+    };
+  });
+}
+
+/**
+ * Determina si una sesión debe cerrarse y por qué motivo
+ * @param {Object} session - Sesión registrada
+ * @param {number} now - Momento actual
+ * @returns {string|null} - Motivo del cierre o null si la sesión sigue siendo válida
+ */
+function getReapReason(session, now) {
+  const { manager } = session;
+  const status = manager.getStatus();
+
+  if (!status.connected && !status.reconnect.reconnecting) {
+    return 'conexión cerrada';
+  }
+  if (now - session.createdAt > maxLifetime) {
+    return `tiempo de vida máximo superado (${maxLifetime}ms)`;
+  }
+  if (!manager.isBusy() && now - (manager.lastActivityAt || session.createdAt) > idleTimeout) {
+    return `inactividad superior a ${idleTimeout}ms`;
+  }
+  return null;
+}
+
+/**
+ * Cierra las sesiones caducadas, inactivas o cuya conexión se ha perdido
+ */
+async function reapSessions() {
+  const now = Date.now();
+
+  for (const [sessionId, session] of [...sessions.entries()]) {
+    const reason = getReapReason(session, now);
+    if (!reason) {
+      continue;
+    }
+
+    logger.info(`Cerrando sesión ${sessionId}: ${reason}`);
+    sessions.delete(sessionId);
+    try {
+      await session.manager.disconnect();
+    } catch (error) {
+      logger.warn(`Error al cerrar sesión ${sessionId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Inicia el recolector de sesiones si no está en marcha
+ */
+function startReaper() {
+  if (reaperTimer) {
+    return;
+  }
+  logger.info(`Recolector de sesiones iniciado (inactividad: ${idleTimeout}ms, vida máxima: ${maxLifetime}ms)`);
+  reaperTimer = setInterval(() => {
+    reapSessions().catch(error => logger.error(`Error en el recolector de sesiones: ${error.message}`));
+  }, reaperInterval);
+  reaperTimer.unref();
+}
+
+/**
+ * Detiene el recolector de sesiones
+ */
+function stopReaper() {
+  clearInterval(reaperTimer);
+  reaperTimer = null;
+}
+
+module.exports = {
+  addSession,
+  getSession,
+  getSessionOwner,
+  getSessionOltId,
+  removeSession,
+  getSessionCount,
+  listSessions,
+  reapSessions,
+  startReaper,
+  stopReaper
+};
@@ -0,0 +1,233 @@
+const { StringDecoder } = require('string_decoder');
+const logger = require('../utils/logger');
+
+// Bytes de control del protocolo Telnet (RFC 854)
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+
+// Opciones Telnet soportadas
+const OPTIONS = {
+  ECHO: 1, // RFC 857
+  SGA: 3, // RFC 858 (Suppress Go Ahead)
+  TTYPE: 24, // RFC 1091 (Terminal Type)
+  NAWS: 31 // RFC 1073 (Negotiate About Window Size)
+};
+
+// Subcomandos de TTYPE
+const TTYPE_IS = 0;
+const TTYPE_SEND = 1;
+
+// Estados del parser
+const STATE_DATA = 0;
+const STATE_IAC = 1;
+const STATE_OPTION = 2;
+const STATE_SB = 3;
+const STATE_SB_IAC = 4;
+
+const COMMAND_NAMES = { [DO]: 'DO', [DONT]: 'DONT', [WILL]: 'WILL', [WONT]: 'WONT' };
+
+/**
+ * Clase que implementa la negociación de opciones Telnet sobre un flujo binario.
+ * Separa las secuencias IAC del texto, responde a las negociaciones del servidor
+ * y entrega únicamente texto limpio (decodificado en UTF-8).
+ *
+ * Política de negociación:
+ * - El servidor puede hacer ECHO y SGA (respondemos DO); el resto se rechaza (DONT)
+ * - Nosotros aceptamos SGA, NAWS y TTYPE (respondemos WILL); ECHO y el resto se rechazan (WONT)
+ * - Con NAWS anunciamos una ventana muy grande para reducir la paginación de la OLT
+ */
+class TelnetNegotiator {
+  /**
+   * @param {Object} [options] - Opciones de la negociación
+   * @param {number} [options.windowWidth] - Ancho de la ventana anunciado con NAWS
+   * @param {number} [options.windowHeight] - Alto de la ventana anunciado con NAWS
+   * @param {string} [options.terminalType] - Tipo de terminal anunciado con TTYPE
+   */
+  constructor(options = {}) {
+    this.windowWidth = options.windowWidth || 1024;
+    this.windowHeight = options.windowHeight || 1024;
+    this.terminalType = options.terminalType || 'VT100';
+    this.decoder = new StringDecoder('utf8');
+    this.state = STATE_DATA;
+    this.command = null;
+    this.subnegotiation = [];
+    // Opciones activas en cada extremo para no responder dos veces a la misma petición
+    this.localOptions = new Set();
+    this.remoteOptions = new Set();
+  }
+
+  /**
+   * Procesa un bloque de datos binarios recibidos del socket
+   * @param {Buffer} chunk - Datos recibidos
+   * @returns {{text: string, replies: Buffer[]}} - Texto limpio y respuestas de negociación a enviar
+   */
+  parse(chunk) {
+    const textBytes = [];
+    const replies = [];
+
+    for (const byte of chunk) {
+      switch (this.state) {
+        case STATE_DATA:
+          if (byte === IAC) {
+            this.state = STATE_IAC;
+          } else {
+            textBytes.push(byte);
+          }
+          break;
+
+        case STATE_IAC:
+          if (byte === IAC) {
+            // IAC IAC representa un byte 0xFF literal
+            textBytes.push(byte);
+            this.state = STATE_DATA;
+          } else if (byte === DO || byte === DONT || byte === WILL || byte === WONT) {
+            this.command = byte;
+            this.state = STATE_OPTION;
+          } else if (byte === SB) {
+            this.subnegotiation = [];
+            this.state = STATE_SB;
+          } else {
+            // NOP, GA, AYT y demás comandos de un byte se descartan
+            logger.silly(`Comando Telnet ignorado: ${byte}`);
+            this.state = STATE_DATA;
+          }
+          break;
+
+        case STATE_OPTION:
+          this.handleNegotiation(this.command, byte, replies);
+          this.command = null;
+          this.state = STATE_DATA;
+          break;
+
+        case STATE_SB:
+          if (byte === IAC) {
+            this.state = STATE_SB_IAC;
+          } else {
+            this.subnegotiation.push(byte);
+          }
+          break;
+
+        case STATE_SB_IAC:
+          if (byte === SE) {
+            this.handleSubnegotiation(this.subnegotiation, replies);
+            this.subnegotiation = [];
+            this.state = STATE_DATA;
+          } else {
+            // IAC IAC dentro de una subnegociación es un 0xFF literal
+            this.subnegotiation.push(byte);
+            this.state = STATE_SB;
+          }
+          break;
+
+        default:
+          this.state = STATE_DATA;
+      }
+    }
+
+    return {
+      text: this.decoder.write(Buffer.from(textBytes)),
+      replies
+    };
+  }
+
+  /**
+   * Responde a una petición DO/DONT/WILL/WONT del servidor
+   * @param {number} command - Comando recibido
+   * @param {number} option - Opción negociada
+   * @param {Buffer[]} replies - Lista donde añadir las respuestas
+   */
+  handleNegotiation(command, option, replies) {
+    logger.debug(`Negociación Telnet recibida: ${COMMAND_NAMES[command]} ${option}`);
+
+    switch (command) {
+      case DO:
+        // El servidor nos pide activar una opción en nuestro extremo
+        if (option === OPTIONS.SGA || option === OPTIONS.NAWS || option === OPTIONS.TTYPE) {
+          if (!this.localOptions.has(option)) {
+            this.localOptions.add(option);
+            replies.push(Buffer.from([IAC, WILL, option]));
+          }
+          if (option === OPTIONS.NAWS) {
+            replies.push(this.buildWindowSize());
+          }
+        } else {
+          replies.push(Buffer.from([IAC, WONT, option]));
+        }
+        break;
+
+      case DONT:
+        if (this.localOptions.has(option)) {
+          this.localOptions.delete(option);
+          replies.push(Buffer.from([IAC, WONT, option]));
+        }
+        break;
+
+      case WILL:
+        // El servidor ofrece activar una opción en su extremo
+        if (option === OPTIONS.ECHO || option === OPTIONS.SGA) {
+          if (!this.remoteOptions.has(option)) {
+            this.remoteOptions.add(option);
+            replies.push(Buffer.from([IAC, DO, option]));
+          }
+        } else {
+          replies.push(Buffer.from([IAC, DONT, option]));
+        }
+        break;
+
+      case WONT:
+        if (this.remoteOptions.has(option)) {
+          this.remoteOptions.delete(option);
+          replies.push(Buffer.from([IAC, DONT, option]));
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Procesa una subnegociación (IAC SB ... IAC SE) del servidor
+   * @param {number[]} data - Contenido de la subnegociación
+   * @param {Buffer[]} replies - Lista donde añadir las respuestas
+   */
+  handleSubnegotiation(data, replies) {
+    const [option, subcommand] = data;
+
+    if (option === OPTIONS.TTYPE && subcommand === TTYPE_SEND) {
+      logger.debug(`Enviando tipo de terminal: ${this.terminalType}`);
+      replies.push(Buffer.concat([
+        Buffer.from([IAC, SB, OPTIONS.TTYPE, TTYPE_IS]),
+        Buffer.from(this.terminalType, 'ascii'),
+        Buffer.from([IAC, SE])
+      ]));
+    } else {
+      logger.silly(`Subnegociación Telnet ignorada para la opción ${option}`);
+    }
+  }
+
+  /**
+   * Construye la subnegociación NAWS con el tamaño de ventana configurado
+   * @returns {Buffer} - Secuencia IAC SB NAWS <ancho> <alto> IAC SE
+   */
+  buildWindowSize() {
+    const size = [
+      (this.windowWidth >> 8) & 0xff,
+      this.windowWidth & 0xff,
+      (this.windowHeight >> 8) & 0xff,
+      this.windowHeight & 0xff
+    ];
+    // Los bytes 0xFF dentro de la subnegociación deben duplicarse
+    const escaped = size.reduce((bytes, byte) => (byte === IAC ? bytes.concat(IAC, IAC) : bytes.concat(byte)), []);
+
+    logger.debug(`Anunciando tamaño de ventana: ${this.windowWidth}x${this.windowHeight}`);
+    return Buffer.from([IAC, SB, OPTIONS.NAWS, ...escaped, IAC, SE]);
+  }
+}
+
+module.exports = TelnetNegotiator;
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const { WebSocketServer } = require('ws');
+const logger = require('../utils/logger');
+const { getDataPath } = require('../utils/jsonStore');
+const { MASK, redactText } = require('../utils/redaction');
+const OltTelnetManager = require('./OltTelnetManager');
+const auditLog = require('./AuditLogService');
+const oltInventory = require('./OltInventory');
+const sessionRegistry = require('./SessionRegistry');
+const authService = require('./AuthService');
+const { getRequestToken } = require('../middleware/auth');
+
+// Ruta en la que se aceptan las conexiones WebSocket de la terminal
+const TERMINAL_PATH = '/api/olt/terminal';
+
+// Tamaño máximo (bytes) de un mensaje del navegador: pulsaciones o texto pegado
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+// Longitud máxima de una línea de la transcripción: una salida sin saltos de línea se guarda en trozos
+const MAX_TRANSCRIPT_LINE = 4096;
+
+/**
+ * Convierte una línea tecleada en la terminal en el comando que ve la OLT: aplica los borrados
+ * y quita los caracteres de control y las secuencias de escape (flechas, Ctrl+C...)
+ * @param {string} line - Línea tecleada, con su fin de línea
+ * @returns {string}
+ */
+function toTypedCommand(line) {
+  let command = '';
+  for (const char of line.replace(/\x1b\[[0-9;]*[A-Za-z~]|\x1b./g, '')) {
+    if (char === '\x7f' || char === '\b') {
+      command = command.slice(0, -1);
+    } else if (char >= ' ') {
+      command += char;
+    }
+  }
+  return command.trim();
+}
+
+/**
+ * Abre el fichero de transcripción de una terminal (data/terminal-transcripts/), en formato JSON Lines.
+ * La entrada y la salida se guardan por líneas completas y sin secretos: las pulsaciones sueltas o la salida
+ * troceada no permitirían reconocerlos. Lo que se teclea en un prompt de contraseña se guarda como ******.
+ * @param {string} sessionId - ID de la sesión
+ * @param {RegExp} passwordPattern - Prompt de contraseña del perfil de la OLT
+ * @param {Function} [onLine] - Recibe cada línea enviada a la OLT (ya oculta) y el prompt tras el que se tecleó
+ * @returns {{record: Function, recordOutput: Function, recordInput: Function, close: Function, filePath: string}}
+ */
+function openTranscript(sessionId, passwordPattern, onLine = () => {}) {
+  const fileName = `${sessionId.replace(/[^A-Za-z0-9._-]/g, '_')}-${Date.now()}.jsonl`;
+  const filePath = getDataPath('terminal-transcripts', fileName);
+  const stream = fs.createWriteStream(filePath, { flags: 'a', mode: 0o600 });
+  stream.on('error', error => logger.error(`Error al escribir la transcripción ${filePath}: ${error.message}`));
+
+  const write = (direction, data) => stream.write(`${JSON.stringify({ at: new Date().toISOString(), direction, data })}\n`);
+  let output = ''; // Última línea de la salida, aún sin salto de línea (p. ej. el prompt)
+  let input = ''; // Línea que se está tecleando
+  let secretInput = false; // La línea se empezó a teclear en un prompt de contraseña
+  let prompt = ''; // Salida pendiente cuando se empezó a teclear la línea
+
+  // completed: la línea terminó con Enter y llegó a la OLT como comando (o como contraseña)
+  const flushInput = (completed = false) => {
+    if (input) {
+      const line = secretInput ? MASK : redactText(input);
+      write('input', line);
+      if (completed) {
+        onLine(secretInput ? MASK : redactText(toTypedCommand(input)), prompt);
+      }
+    }
+    input = '';
+    secretInput = false;
+  };
+  const flushOutput = (end = output.length) => {
+    if (end > 0) {
+      write('output', redactText(output.slice(0, end)));
+      output = output.slice(end);
+    }
+  };
+
+  return {
+    filePath,
+    // Los demás eventos (attached, detached, error) se anotan después de lo pendiente de entrada y salida
+    record: (direction, data) => {
+      flushInput();
+      flushOutput();
+      write(direction, data);
+    },
+    recordOutput: (data) => {
+      output += data;
+      flushOutput(output.length > MAX_TRANSCRIPT_LINE ? output.length : output.lastIndexOf('\n') + 1);
+    },
+    recordInput: (data) => {
+      for (const char of data) {
+        if (input === '') {
+          secretInput = passwordPattern.test(output);
+          prompt = output;
+        }
+        input += char;
+        if (char === '\r' || char === '\n') {
+          flushInput(true);
+        }
+      }
+    },
+    close: () => {
+      flushInput();
+      flushOutput();
+      stream.end();
+    }
+  };
+}
+
+/**
+ * Añade a la auditoría de comandos una línea enviada desde la terminal interactiva. El resultado y la
+ * duración no se conocen (la salida va sin procesar al navegador), por lo que se guardan a null.
+ * @param {Object} context - Sesión de la terminal ({ sessionId, manager, principal })
+ * @param {string} command - Línea enviada, sin secretos
+ * @param {string} prompt - Salida pendiente al empezar a teclearla (su prompt indica el modo)
+ */
+function auditTerminalLine({ sessionId, manager, principal }, command, prompt) {
+  if (command === '') {
+    return;
+  }
+  // Sin prompt reconocible (p. ej. en un prompt de contraseña) se usa el último modo conocido de la sesión
+  const match = manager.matchPrompt(prompt);
+  auditLog.recordCommand({
+    user: principal.id,
+    oltId: sessionRegistry.getSessionOltId(sessionId),
+    host: manager.host,
+    sessionId,
+    source: 'terminal',
+    mode: match ? match.mode : manager.getMode(),
+    command,
+    outcome: null,
+    durationMs: null
+  });
+}
+
+/**
+ * Envía un mensaje JSON al navegador si el WebSocket sigue abierto
+ * @param {WebSocket} ws - WebSocket del navegador
+ * @param {Object} message - Mensaje ({ type, ... })
+ */
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Autentica la petición de upgrade: cabeceras Authorization o X-API-Key, o el parámetro access_token
+ * (los navegadores no permiten añadir cabeceras al abrir un WebSocket)
+ * @param {http.IncomingMessage} req - Petición de upgrade
+ * @param {URL} url - URL de la petición
+ * @returns {Object|null} - Identidad o null si no está autenticada
+ */
+function authenticateUpgrade(req, url) {
+  return authService.authenticateToken(getRequestToken(req) || url.searchParams.get('access_token'));
+}
+
+/**
+ * Rechaza una petición de upgrade con un estado HTTP y cierra el socket
+ * @param {net.Socket} socket - Socket de la petición
+ * @param {number} statusCode - Estado HTTP (401 o 403)
+ * @param {string} statusText - Texto del estado
+ */
+function rejectUpgrade(socket, statusCode, statusText) {
+  socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Obtiene la sesión a la que se conecta la terminal: una sesión existente (sessionId)
+ * o una sesión nueva con una OLT del inventario (oltId), que se cierra al salir de la terminal
+ * @param {URLSearchParams} params - Parámetros de la URL del WebSocket
+ * @param {Object} principal - Identidad autenticada (queda como propietaria de la sesión nueva)
+ * @returns {Promise<{sessionId: string, manager: OltTelnetManager, owned: boolean}>}
+ */
+async function resolveSession(params, principal) {
+  const sessionId = params.get('sessionId');
+  if (sessionId) {
+    const manager = sessionRegistry.getSession(sessionId);
+    if (!manager) {
+      throw new Error('Sesión no encontrada o expirada');
+    }
+    if (!authService.canUseSession(principal, sessionRegistry.getSessionOwner(sessionId))) {
+      throw new Error('La sesión pertenece a otro usuario');
+    }
+    return { sessionId, manager, owned: false };
+  }
+
+  const oltId = params.get('oltId');
+  if (!oltId) {
+    throw new Error('Se requiere el parámetro sessionId u oltId');
+  }
+  const target = oltInventory.getConnectionTarget(oltId);
+  if (!target) {
+    throw new Error('OLT no encontrada');
+  }
+
+  const { host, port, protocol, deviceProfile, username, password, enablePassword } = target;
+  const manager = new OltTelnetManager();
+  logger.info(`Abriendo sesión ${protocol} a ${host}:${port} para la terminal interactiva`);
+  await manager.connect(host, port, username, password, enablePassword, { protocol, deviceProfile });
+
+  const newSessionId = `${oltId}-${Date.now()}`;
+  sessionRegistry.addSession(newSessionId, manager, { oltId, owner: principal.id });
+  return { sessionId: newSessionId, manager, owned: true };
+}
+
+/**
+ * Cierra una sesión abierta para la terminal interactiva
+ * @param {string} sessionId - ID de la sesión
+ * @param {OltTelnetManager} manager - Gestor de la sesión
+ */
+async function closeOwnedSession(sessionId, manager) {
+  sessionRegistry.removeSession(sessionId);
+  try {
+    await manager.disconnect();
+  } catch (error) {
+    logger.warn(`Error al cerrar la sesión ${sessionId}: ${error.message}`);
+  }
+}
+
+/**
+ * Conecta un WebSocket del navegador a una sesión con la OLT.
+ * Mensajes del navegador: { type: 'input', data }. Mensajes al navegador:
+ * { type: 'attached', sessionId, status }, { type: 'output', data }, { type: 'detached', reason } y { type: 'error', message }.
+ * @param {WebSocket} ws - WebSocket del navegador
+ * @param {URLSearchParams} params - Parámetros de la URL del WebSocket
+ * @param {string} remoteAddress - Dirección del cliente (para la auditoría)
+ * @param {Object} principal - Identidad autenticada
+ */
+async function handleConnection(ws, params, remoteAddress, principal) {
+  let session;
+  try {
+    session = await resolveSession(params, principal);
+  } catch (error) {
+    logger.warn(`No se pudo abrir la sesión de la terminal interactiva: ${error.message}`);
+    send(ws, { type: 'error', message: error.message });
+    ws.close(1008, 'Terminal no disponible');
+    return;
+  }
+
+  const { sessionId, manager, owned } = session;
+  const transcript = openTranscript(
+    sessionId,
+    manager.profile.login.passwordPattern,
+    (command, prompt) => auditTerminalLine({ sessionId, manager, principal }, command, prompt)
+  );
+  transcript.record('attached', { remoteAddress, principal: principal.id, host: manager.host });
+
+  try {
+    manager.attachTerminal(
+      data => {
+        transcript.recordOutput(data);
+        send(ws, { type: 'output', data });
+      },
+      reason => {
+        transcript.record('detached', reason);
+        transcript.close();
+        send(ws, { type: 'detached', reason });
+        ws.close(1000, 'Terminal desconectada');
+      }
+    );
+  } catch (error) {
+    logger.warn(`No se pudo conectar la terminal interactiva a la sesión ${sessionId}: ${error.message}`);
+    transcript.record('error', error.message);
+    transcript.close();
+    send(ws, { type: 'error', message: error.message });
+    ws.close(1008, 'Terminal no disponible');
+    if (owned) {
+      await closeOwnedSession(sessionId, manager);
+    }
+    return;
+  }
+
+  logger.info(`Terminal interactiva de ${principal.id} (${remoteAddress}) conectada a la sesión ${sessionId} (transcripción: ${transcript.filePath})`);
+
+  ws.on('message', raw => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      send(ws, { type: 'error', message: 'Mensaje no válido: se esperaba JSON' });
+      return;
+    }
+    if (message.type !== 'input' || typeof message.data !== 'string') {
+      send(ws, { type: 'error', message: 'Mensaje no válido: se esperaba { type: "input", data }' });
+      return;
+    }
+
+    transcript.recordInput(message.data);
+    try {
+      manager.writeTerminal(message.data);
+    } catch (error) {
+      send(ws, { type: 'error', message: error.message });
+    }
+  });
+
+  const handleClose = async () => {
+    manager.detachTerminal('Navegador desconectado');
+    logger.info(`Terminal interactiva de ${remoteAddress} desconectada de la sesión ${sessionId}`);
+    // Las sesiones abiertas para la terminal se cierran con ella
+    if (owned) {
+      await closeOwnedSession(sessionId, manager);
+    }
+  };
+
+  // El navegador pudo cerrar el WebSocket mientras se abría la sesión
+  if (ws.readyState !== ws.OPEN) {
+    await handleClose();
+    return;
+  }
+  ws.on('close', handleClose);
+  send(ws, { type: 'attached', sessionId, status: manager.getStatus() });
+}
+
+/**
+ * Atiende las conexiones WebSocket de la terminal interactiva en el servidor HTTP de la API
+ * @param {http.Server} server - Servidor HTTP de Express
+ * @returns {WebSocketServer}
+ */
+function attachTerminalServer(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== TERMINAL_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    // La terminal envía cualquier comando a la OLT: sólo para administradores
+    const principal = authenticateUpgrade(req, url);
+    if (!principal) {
+      logger.warn(`Terminal interactiva rechazada: petición no autenticada de ${req.socket.remoteAddress}`);
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+    if (!authService.hasRole(principal.role, 'admin')) {
+      logger.warn(`Terminal interactiva rechazada: ${principal.id} (${principal.role}) no es administrador`);
+      rejectUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      handleConnection(ws, url.searchParams, req.socket.remoteAddress, principal).catch(error => {
+        logger.error(`Error en la terminal interactiva: ${error.message}`, { error: error.stack });
+        ws.close(1011, 'Error interno');
+      });
+    });
+  });
+
+  logger.info(`Terminal interactiva disponible en ws://<host>${TERMINAL_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  TERMINAL_PATH,
+  attachTerminalServer
+};
@@ -0,0 +1,24 @@
+const defaults = require('./defaults');
+
+// OLT C-Data (series FD1100 y FD1600)
+module.exports = {
+  ...defaults,
+  name: 'cdata',
+  vendor: 'C-Data',
+  models: ['FD1104', 'FD1108', 'FD1616'],
+  bannerPatterns: [/C-?Data/i, /FD1[16]\d\d/i],
+  pager: {
+    pattern: /--More \([^)]*\)--|--More--/,
+    key: ' ',
+    quitKey: 'q'
+  },
+  commands: {
+    ...defaults.commands,
+    configure: 'config'
+  },
+  errorPatterns: [
+    ...defaults.errorPatterns,
+    /^\s*Unknown command/i,
+    /^\s*Command incomplete/i
+  ]
+};
@@ -0,0 +1,74 @@
+/**
+ * Valores comunes a todos los perfiles de dispositivo.
+ * Cada perfil parte de estos valores y sobrescribe sólo lo que cambia en su fabricante.
+ */
+module.exports = {
+  // Textos del proceso de login
+  login: {
+    usernamePattern: /(user\s?name|login)\s*:\s*$/i,
+    passwordPattern: /password\s*:\s*$/i,
+    failurePatterns: [
+      /Login incorrect/i,
+      /Authentication failed/i,
+      /Login failed/i,
+      /Invalid username or password/i
+    ]
+  },
+
+  // Línea de prompt: hostname, contexto opcional entre paréntesis ("config", "config-if"...) y terminador
+  promptPattern: /^(?<hostname>[^\s()#>]+)(?:\((?<context>[^()\s]+)\))?(?<terminator>[>#])$/,
+
+  // Nombre del submodo de configuración según su contexto (el primero que coincida)
+  subModes: [
+    { pattern: /onu/i, mode: 'onu' },
+    { pattern: /^config-(if|interface)\b|pon/i, mode: 'interface' }
+  ],
+
+  // Marcador de paginación, tecla para continuar y tecla para interrumpir la salida
+  pager: {
+    pattern: /--More--/,
+    key: ' ',
+    quitKey: 'q'
+  },
+
+  // Tecla que interrumpe el comando en curso (Ctrl+C) cuando se abandona sin paginación
+  interruptKey: '\x03',
+
+  // Preguntas interactivas que la OLT hace durante un comando y su respuesta automática
+  interactivePrompts: [],
+
+  // Comandos para cambiar de modo y cerrar la sesión
+  commands: {
+    enable: 'enable',
+    configure: 'configure terminal',
+    exitInterface: 'exit',
+    exitConfig: 'end',
+    logout: 'exit',
+    showRunningConfig: 'show running-config'
+  },
+
+  // Líneas de la configuración que cambian sin que cambie la configuración (fechas, uptime...): no cuentan en los diff
+  volatileConfigPatterns: [
+    /^\s*!?\s*(Last configuration change|NVRAM config last updated|Current configuration|Building configuration)/i,
+    /^\s*!?\s*(Time|Date|Uptime|System uptime)\s*[:=]/i,
+    /\b\d{4}[-/.]\d{2}[-/.]\d{2}[ T]\d{2}:\d{2}(:\d{2})?\b/,
+    /^\s*ntp clock-period\b/i
+  ],
+
+  // Líneas con las que la OLT rechaza un comando
+  errorPatterns: [
+    /^\s*%\s*(unknown command|invalid input|incomplete command|ambiguous command)/i,
+    /^\s*%?\s*error\b/i
+  ],
+
+  // Código con el que se clasifica cada línea de error (el primero que coincida; si ninguno coincide, COMMAND_FAILED)
+  errorCodes: [
+    { pattern: /unknown command|unrecognized command/i, code: 'UNKNOWN_COMMAND' },
+    { pattern: /incomplete command|command incomplete/i, code: 'INCOMPLETE_COMMAND' },
+    { pattern: /ambiguous command/i, code: 'AMBIGUOUS_COMMAND' },
+    { pattern: /invalid input|parameter error|too many parameters/i, code: 'INVALID_INPUT' }
+  ],
+
+  // Parsers dedicados por comando ({ pattern, parse })
+  parsers: []
+};
@@ -0,0 +1,45 @@
+const defaults = require('./defaults');
+
+// OLT Huawei SmartAX (MA5600T/MA5608T/MA5800)
+module.exports = {
+  ...defaults,
+  name: 'huawei',
+  vendor: 'Huawei',
+  models: ['MA5600T', 'MA5608T', 'MA5800'],
+  bannerPatterns: [/Huawei/i, /MA5[68]\d\dT?/i],
+  login: {
+    ...defaults.login,
+    failurePatterns: [
+      ...defaults.login.failurePatterns,
+      /Username or password invalid/i,
+      /The user has been locked/i
+    ]
+  },
+  pager: {
+    pattern: /---- More \( Press 'Q' to break \) ----/,
+    key: ' ',
+    quitKey: 'q'
+  },
+  // Muchos comandos piden confirmar los parámetros opcionales con "{ <cr>||<K> }:"
+  interactivePrompts: [
+    { pattern: /\{ <cr>(\|\|<K>)?[^}]*\}:\s*$/, reply: '\n' }
+  ],
+  commands: {
+    enable: 'enable',
+    configure: 'config',
+    exitInterface: 'quit',
+    exitConfig: 'return',
+    logout: 'quit',
+    showRunningConfig: 'display current-configuration'
+  },
+  volatileConfigPatterns: [
+    ...defaults.volatileConfigPatterns,
+    // Cabecera con la versión y el contador de cambios: "[MA5600V800R018: 1234]"
+    /^\s*\[[A-Z0-9]+V\d+R\d+\S*:\s*\d+\]\s*$/
+  ],
+  errorPatterns: [
+    ...defaults.errorPatterns,
+    /^\s*%\s*(Parameter error|Too many parameters)/i,
+    /^\s*Failure:/i
+  ]
+};
@@ -0,0 +1,149 @@
+const vsol = require('./vsol');
+const huawei = require('./huawei');
+const zte = require('./zte');
+const cdata = require('./cdata');
+
+// Perfiles disponibles, en el orden en que se prueban al detectar el fabricante por el banner
+const profiles = {
+  huawei,
+  zte,
+  cdata,
+  vsol
+};
+
+// Perfil usado si no se indica ninguno y no se reconoce el banner
+const DEFAULT_PROFILE = 'vsol';
+
+/**
+ * Obtiene un perfil de dispositivo por su nombre
+ * @param {string} name - Nombre del perfil ('vsol', 'huawei', 'zte' o 'cdata')
+ * @returns {Object} - Perfil de dispositivo
+ */
+function getProfile(name) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Perfil de dispositivo no soportado: ${name}`);
+  }
+  return profile;
+}
+
+/**
+ * Obtiene el perfil por defecto
+ * @returns {Object} - Perfil de dispositivo
+ */
+function getDefaultProfile() {
+  return profiles[DEFAULT_PROFILE];
+}
+
+/**
+ * Indica si existe un perfil con el nombre indicado
+ * @param {string} name - Nombre del perfil
+ * @returns {boolean}
+ */
+function isSupportedProfile(name) {
+  return Object.prototype.hasOwnProperty.call(profiles, name);
+}
+
+/**
+ * Lista los perfiles disponibles
+ * @returns {Object[]} - Nombre, fabricante y modelos de cada perfil
+ */
+function listProfiles() {
+  return Object.values(profiles).map(({ name, vendor, models }) => ({ name, vendor, models }));
+}
+
+/**
+ * Detecta el perfil a partir del banner o del prompt que muestra la OLT al conectar
+ * @param {string} text - Texto recibido de la OLT
+ * @returns {Object|null} - Perfil detectado o null si no se reconoce el fabricante
+ */
+function detectProfile(text) {
+  return Object.values(profiles).find(profile => profile.bannerPatterns.some(pattern => pattern.test(text))) || null;
+}
+
+/**
+ * Interpreta una línea como prompt del dispositivo
+ * @param {Object} profile - Perfil del dispositivo
+ * @param {string} line - Línea a interpretar (sin espacios al final)
+ * @returns {{hostname: string, context: string|null, mode: string, prompt: string}|null} - Prompt reconocido o null
+ */
+function parsePrompt(profile, line) {
+  const match = line.match(profile.promptPattern);
+  if (!match) {
+    return null;
+  }
+
+  const { hostname, context = null, terminator } = match.groups;
+  let mode;
+  if (terminator === '>') {
+    mode = 'user';
+  } else if (!context) {
+    mode = 'enable';
+  } else if (context === 'config') {
+    mode = 'config';
+  } else {
+    // Submodos: interfaz, ONU... (o el propio contexto si el perfil no lo reconoce)
+    const subMode = profile.subModes.find(({ pattern }) => pattern.test(context));
+    mode = subMode ? subMode.mode : context.replace(/^config-/, '');
+  }
+
+  return { hostname, context: context || null, mode, prompt: line };
+}
+
+// Código de los errores que no coinciden con ningún errorCodes del perfil
+const DEFAULT_ERROR_CODE = 'COMMAND_FAILED';
+
+// Línea con el marcador "^" que señala dónde falla el comando
+const ERROR_MARKER_PATTERN = /^\s*\^\s*$/;
+
+/**
+ * Clasifica el error con el que la OLT rechaza un comando
+ * @param {Object} profile - Perfil del dispositivo
+ * @param {string} text - Respuesta del comando
+ * @param {Object} [options] - Opciones
+ * @param {number} [options.promptLength=0] - Longitud del prompt que precedía al comando (para situar el marcador "^")
+ * @returns {{code: string, message: string, column: number|null}|null} - Error del dispositivo o null si el comando no fue rechazado
+ */
+function classifyError(profile, text, options = {}) {
+  const lines = (text || '').split('\n');
+  const index = lines.findIndex(candidate => profile.errorPatterns.some(pattern => pattern.test(candidate)));
+  if (index === -1) {
+    return null;
+  }
+
+  const message = lines[index].trim();
+  const errorCode = profile.errorCodes.find(({ pattern }) => pattern.test(message));
+
+  // El marcador "^" se imprime bajo la línea del prompt y el comando: su posición en el comando descuenta el prompt
+  const markerLine = lines.slice(0, index).reverse().find(line => ERROR_MARKER_PATTERN.test(line));
+  const column = markerLine ? Math.max(markerLine.indexOf('^') - (options.promptLength || 0), 0) : null;
+
+  return {
+    code: errorCode ? errorCode.code : DEFAULT_ERROR_CODE,
+    message,
+    column
+  };
+}
+
+/**
+ * Busca en la respuesta de un comando la línea con la que la OLT lo rechaza
+ * @param {Object} profile - Perfil del dispositivo
+ * @param {string} text - Respuesta del comando
+ * @returns {string|null} - Línea de error o null si el comando no fue rechazado
+ */
+function findErrorLine(profile, text) {
+  const error = classifyError(profile, text);
+  return error ? error.message : null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getProfile,
+  getDefaultProfile,
+  isSupportedProfile,
+  listProfiles,
+  detectProfile,
+  parsePrompt,
+  classifyError,
+  findErrorLine
+};
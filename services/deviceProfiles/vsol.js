@@ -0,0 +1,30 @@
+const defaults = require('./defaults');
+const {
+  parseOnuInfo,
+  parseOnuState,
+  parseOnuAuthList,
+  parseOnuOpticalPower,
+  parseUnauthorizedOnus
+} = require('../../utils/vsolOnuParsers');
+
+// OLT VSOL GPON/EPON (series V1600D y V1600G)
+module.exports = {
+  ...defaults,
+  name: 'vsol',
+  vendor: 'VSOL',
+  models: ['V1600D', 'V1600G'],
+  bannerPatterns: [/V-?SOL/i, /V1600[DG]/i],
+  errorPatterns: [
+    ...defaults.errorPatterns,
+    /^\s*%\s*\S/,
+    /^\s*(invalid|failed)\b/i
+  ],
+  // El orden importa: "auth" y "state" también aparecen en otros comandos de ONU
+  parsers: [
+    { pattern: /show\s+onu\s+(\S+\s+)?auto-?find/, parse: parseUnauthorizedOnus },
+    { pattern: /show\s+onu\s+(\S+\s+)?optical/, parse: parseOnuOpticalPower },
+    { pattern: /show\s+onu\s+(\S+\s+)?auth[-_ ]?(info|list)?/, parse: parseOnuAuthList },
+    { pattern: /show\s+onu\s+(\S+\s+)?state/, parse: parseOnuState },
+    { pattern: /show\s+onu\s+(\S+\s+)?info/, parse: parseOnuInfo }
+  ]
+};
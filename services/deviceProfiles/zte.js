@@ -0,0 +1,23 @@
+const defaults = require('./defaults');
+
+// OLT ZTE ZXA10 (C300/C320)
+module.exports = {
+  ...defaults,
+  name: 'zte',
+  vendor: 'ZTE',
+  models: ['C300', 'C320'],
+  bannerPatterns: [/ZXAN/i, /ZXA10/i, /ZTE/],
+  login: {
+    ...defaults.login,
+    failurePatterns: [
+      ...defaults.login.failurePatterns,
+      /%Error 20203/i,
+      /Username or password error/i
+    ]
+  },
+  errorPatterns: [
+    ...defaults.errorPatterns,
+    /^\s*%Error \d+/i,
+    /^\s*%Code \d+/i
+  ]
+};
@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { Client } = require('ssh2');
+const logger = require('../../utils/logger');
+const { createJsonStore } = require('../../utils/jsonStore');
+
+// Claves de host conocidas, persistidas en data/ssh-known-hosts.json: "host:puerto" -> { fingerprint, addedAt }
+const knownHosts = createJsonStore('ssh-known-hosts.json', {});
+
+/**
+ * Calcula la huella de una clave de host en el formato de OpenSSH
+ * @param {Buffer} key - Clave de host recibida
+ * @returns {string} - Huella "SHA256:..."
+ */
+function getFingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Transporte SSH que abre un shell interactivo sobre la conexión.
+ * La autenticación se realiza en la capa SSH (password o keyboard-interactive);
+ * si la OLT vuelve a pedir usuario y contraseña dentro del shell, el login del
+ * gestor se encarga de responderlos igual que en Telnet.
+ *
+ * Eventos: 'connect', 'data' (string), 'error' (Error), 'close'
+ */
+class SshTransport extends EventEmitter {
+  /**
+   * @param {Object} [options] - Opciones del transporte
+   * @param {number} [options.cols] - Columnas del pseudo-terminal
+   * @param {number} [options.rows] - Filas del pseudo-terminal
+   * @param {string} [options.term] - Tipo de terminal del pseudo-terminal
+   * @param {string} [options.hostFingerprint] - Huella fijada de la clave de host ("SHA256:..."); sustituye a las claves conocidas
+   * @param {string} [options.hostKeyChecking] - Comprobación de la clave de host (por defecto SSH_HOST_KEY_CHECKING o 'accept-new'):
+   *   'accept-new' guarda la primera clave de cada OLT y rechaza los cambios, 'strict' sólo admite claves ya conocidas y 'off' no comprueba
+   * @param {Object} [options.ssh] - Opciones adicionales para ssh2 (algorithms, hostVerifier, readyTimeout...)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.connection = null;
+    this.stream = null;
+    this.hostKeyError = null;
+  }
+
+  /**
+   * Comprueba la clave de host presentada por la OLT con la huella fijada o con las claves conocidas
+   * @param {string} host - Dirección de la OLT
+   * @param {number} port - Puerto SSH
+   * @param {Buffer} key - Clave de host recibida
+   * @returns {boolean} - true si se acepta la clave
+   */
+  verifyHostKey(host, port, key) {
+    const fingerprint = getFingerprint(key);
+    const hostId = `${host}:${port}`;
+
+    if (this.options.hostFingerprint) {
+      if (fingerprint === this.options.hostFingerprint) {
+        return true;
+      }
+      this.hostKeyError = new Error(`La clave de host de ${hostId} (${fingerprint}) no coincide con la huella fijada (${this.options.hostFingerprint})`);
+      logger.error(this.hostKeyError.message);
+      return false;
+    }
+
+    const checking = this.options.hostKeyChecking || process.env.SSH_HOST_KEY_CHECKING || 'accept-new';
+    if (checking === 'off') {
+      return true;
+    }
+
+    const hosts = knownHosts.read();
+    const known = hosts[hostId];
+    if (known) {
+      if (known.fingerprint === fingerprint) {
+        return true;
+      }
+      this.hostKeyError = new Error(`La clave de host de ${hostId} ha cambiado (${fingerprint}, se esperaba ${known.fingerprint}): si el cambio es legítimo, elimínala de ssh-known-hosts.json`);
+      logger.error(this.hostKeyError.message);
+      return false;
+    }
+    if (checking === 'strict') {
+      this.hostKeyError = new Error(`Clave de host desconocida para ${hostId} (${fingerprint})`);
+      logger.error(this.hostKeyError.message);
+      return false;
+    }
+
+    hosts[hostId] = { fingerprint, addedAt: new Date().toISOString() };
+    knownHosts.write(hosts);
+    logger.info(`Clave de host SSH de ${hostId} guardada: ${fingerprint}`);
+    return true;
+  }
+
+  /**
+   * Abre la conexión SSH y solicita un shell interactivo
+   * @param {Object} params - Parámetros de conexión
+   * @param {string} params.host - Dirección IP de la OLT
+   * @param {number} params.port - Puerto SSH
+   * @param {string} params.username - Nombre de usuario
+   * @param {string} params.password - Contraseña
+   */
+  connect({ host, port, username, password }) {
+    logger.debug(`Creando conexión SSH a ${host}:${port}`);
+    this.connection = new Client();
+    this.hostKeyError = null;
+    // stdout y stderr llevan cada uno su decodificador: un carácter multibyte puede quedar partido entre dos fragmentos
+    const decoder = new StringDecoder('utf8');
+    const stderrDecoder = new StringDecoder('utf8');
+    let closed = false;
+
+    const emitClose = () => {
+      if (!closed) {
+        closed = true;
+        this.emit('close');
+      }
+    };
+
+    // Responder a la autenticación keyboard-interactive con la contraseña
+    this.connection.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+      logger.debug(`Autenticación keyboard-interactive solicitada (${prompts.length} prompts)`);
+      finish(prompts.map(() => password));
+    });
+
+    this.connection.on('ready', () => {
+      logger.debug('Autenticación SSH completada, solicitando shell interactivo');
+      const pty = {
+        term: this.options.term || 'vt100',
+        cols: this.options.cols || 1024,
+        rows: this.options.rows || 1024
+      };
+
+      this.connection.shell(pty, (err, stream) => {
+        if (err) {
+          logger.error(`Error al abrir shell SSH: ${err.message}`);
+          this.emit('error', err);
+          this.connection.end();
+          return;
+        }
+
+        this.stream = stream;
+        this.emit('connect');
+
+        stream.on('data', (chunk) => {
+          logger.debug(`Datos recibidos (${chunk.length} bytes)`);
+          const text = decoder.write(chunk);
+          if (text.length > 0) {
+            this.emit('data', text);
+          }
+        });
+        stream.stderr.on('data', (chunk) => {
+          logger.debug(`Datos recibidos por stderr (${chunk.length} bytes)`);
+          const text = stderrDecoder.write(chunk);
+          if (text.length > 0) {
+            this.emit('data', text);
+          }
+        });
+        stream.on('close', () => {
+          logger.debug('Shell SSH cerrado');
+          this.connection.end();
+        });
+      });
+    });
+
+    // Si se rechazó la clave de host, ssh2 sólo informa de "Host denied": se emite el motivo
+    this.connection.on('error', (err) => this.emit('error', this.hostKeyError || err));
+    this.connection.on('close', emitClose);
+
+    this.connection.connect({
+      host,
+      port,
+      username,
+      password,
+      tryKeyboard: true,
+      readyTimeout: 30000,
+      hostVerifier: key => this.verifyHostKey(host, port, key),
+      ...this.options.ssh
+    });
+  }
+
+  /**
+   * Escribe datos en el shell interactivo
+   * @param {string} data - Datos a enviar
+   */
+  write(data) {
+    if (this.stream) {
+      this.stream.write(data);
+    }
+  }
+
+  /**
+   * Cierra el shell y la conexión SSH de forma ordenada
+   */
+  end() {
+    if (this.stream) {
+      this.stream.end();
+    }
+    this.connection.end();
+  }
+
+  /**
+   * Destruye la conexión inmediatamente
+   */
+  destroy() {
+    if (this.connection) {
+      this.connection.destroy();
+    }
+  }
+}
+
+module.exports = SshTransport;
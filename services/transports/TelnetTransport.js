@@ -0,0 +1,80 @@
+const net = require('net');
+const EventEmitter = require('events');
+const logger = require('../../utils/logger');
+const TelnetNegotiator = require('../TelnetNegotiator');
+
+/**
+ * Transporte Telnet sobre un socket TCP del módulo net.
+ * Separa las negociaciones Telnet (IAC) del texto y emite únicamente texto limpio.
+ *
+ * Eventos: 'connect', 'data' (string), 'error' (Error), 'close'
+ */
+class TelnetTransport extends EventEmitter {
+  /**
+   * @param {Object} [options] - Opciones del transporte
+   * @param {Object} [options.negotiation] - Opciones para TelnetNegotiator (tamaño de ventana, terminal)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.socket = null;
+  }
+
+  /**
+   * Abre la conexión TCP con la OLT
+   * @param {Object} params - Parámetros de conexión
+   * @param {string} params.host - Dirección IP de la OLT
+   * @param {number} params.port - Puerto Telnet
+   */
+  connect({ host, port }) {
+    // El flujo se procesa en binario para separar las negociaciones Telnet (IAC) del texto
+    const negotiator = new TelnetNegotiator(this.options.negotiation);
+    logger.debug('Negociador de opciones Telnet configurado');
+
+    logger.debug(`Creando conexión Telnet a ${host}:${port}`);
+    this.socket = net.createConnection({ host, port }, () => {
+      this.emit('connect');
+    });
+
+    this.socket.on('data', (chunk) => {
+      logger.debug(`Datos recibidos (${chunk.length} bytes)`);
+      const { text, replies } = negotiator.parse(chunk);
+      
+      // Responder a las negociaciones del servidor
+      replies.forEach(reply => this.socket.write(reply));
+      
+      if (text.length > 0) {
+        this.emit('data', text);
+      }
+    });
+
+    this.socket.on('error', (err) => this.emit('error', err));
+    this.socket.on('close', () => this.emit('close'));
+  }
+
+  /**
+   * Escribe datos en el socket
+   * @param {string} data - Datos a enviar
+   */
+  write(data) {
+    this.socket.write(data);
+  }
+
+  /**
+   * Cierra la conexión de forma ordenada
+   */
+  end() {
+    this.socket.end();
+  }
+
+  /**
+   * Destruye la conexión inmediatamente
+   */
+  destroy() {
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+}
+
+module.exports = TelnetTransport;
@@ -0,0 +1,46 @@
+const TelnetTransport = require('./TelnetTransport');
+const SshTransport = require('./SshTransport');
+
+// Transportes disponibles y su puerto por defecto
+const transports = {
+  telnet: { Transport: TelnetTransport, defaultPort: 23 },
+  ssh: { Transport: SshTransport, defaultPort: 22 }
+};
+
+/**
+ * Crea una instancia del transporte indicado
+ * @param {string} protocol - Protocolo del transporte ('telnet' o 'ssh')
+ * @param {Object} [options] - Opciones específicas del transporte
+ * @returns {TelnetTransport|SshTransport} - Instancia del transporte
+ */
+function createTransport(protocol, options = {}) {
+  const entry = transports[protocol];
+  if (!entry) {
+    throw new Error(`Protocolo no soportado: ${protocol}`);
+  }
+  return new entry.Transport(options);
+}
+
+/**
+ * Indica si un protocolo está soportado
+ * @param {string} protocol - Protocolo a comprobar
+ * @returns {boolean} - true si existe un transporte para el protocolo
+ */
+function isSupportedProtocol(protocol) {
+  return Object.prototype.hasOwnProperty.call(transports, protocol);
+}
+
+/**
+ * Obtiene el puerto por defecto de un protocolo
+ * @param {string} protocol - Protocolo del transporte
+ * @returns {number} - Puerto por defecto
+ */
+function getDefaultPort(protocol) {
+  return transports[protocol].defaultPort;
+}
+
+module.exports = {
+  createTransport,
+  isSupportedProtocol,
+  getDefaultPort
+};
@@ -0,0 +1,627 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+// Bytes del protocolo Telnet que usa el simulador
+const IAC = 255;
+const SB = 250;
+const SE = 240;
+const WILL = 251;
+const DONT = 254;
+const OPTION_ECHO = 1;
+const OPTION_SGA = 3;
+
+// Salidas de una OLT VSOL real: un fichero por comando ("show onu state" -> show-onu-state.txt)
+const DEFAULT_OUTPUTS_DIR = path.join(__dirname, '../test/fixtures/vsol');
+
+// Marcador de paginación y secuencia con la que la OLT lo borra al continuar
+const MORE_MARKER = ' --More-- ';
+const MORE_ERASE = '\b'.repeat(MORE_MARKER.length) + ' '.repeat(MORE_MARKER.length) + '\b'.repeat(MORE_MARKER.length);
+
+// Tipos de fallo que se pueden inyectar
+const FAULT_TYPES = ['delay', 'drop', 'garbage'];
+
+/**
+ * Normaliza un comando: sin espacios al inicio ni al final y con un único espacio entre palabras
+ * @param {string} command - Comando recibido
+ * @returns {string}
+ */
+function normalizeCommand(command) {
+  return command.trim().split(/\s+/).join(' ');
+}
+
+/**
+ * Comprueba si un comando coincide con un texto (mismo comando normalizado) o con una expresión regular
+ * @param {string|RegExp} match - Texto o expresión regular
+ * @param {string} command - Comando normalizado
+ * @returns {boolean}
+ */
+function matchesCommand(match, command) {
+  if (match instanceof RegExp) {
+    return match.test(command);
+  }
+  return normalizeCommand(match).toLowerCase() === command.toLowerCase();
+}
+
+/**
+ * Carga las salidas de un directorio: el nombre del fichero sin extensión es el comando
+ * con guiones en lugar de espacios (las salidas más específicas primero)
+ * @param {string} dir - Directorio con ficheros .txt
+ * @returns {Array<{name: string, output: string}>}
+ */
+function loadOutputs(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.txt'))
+    .map(name => ({
+      name: name.slice(0, -4).toLowerCase(),
+      output: fs.readFileSync(path.join(dir, name), 'utf8')
+    }))
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+/**
+ * Simulador de una OLT VSOL por Telnet, para los tests y el desarrollo local sin una OLT real.
+ * Reproduce el login y la contraseña de enable, el prompt con el hostname, los modos user > enable >
+ * config > interface, la paginación con --More-- y las salidas de los comandos show, que pueden
+ * programarse (texto o función). Permite inyectar fallos: respuestas lentas, cortes y basura.
+ *
+ * Eventos: 'connection' (socket), 'command' ({ command, mode, hostname })
+ */
+class VsolOltSimulator extends EventEmitter {
+  /**
+   * @param {Object} [options] - Opciones del simulador
+   * @param {string} [options.hostname='OLT'] - Hostname inicial del prompt
+   * @param {string} [options.username='admin'] - Usuario del login
+   * @param {string} [options.password='admin'] - Contraseña del login
+   * @param {string} [options.enablePassword=''] - Contraseña de enable (vacía: enable no la pide)
+   * @param {string} [options.banner] - Texto que se envía al conectar, antes del login
+   * @param {number} [options.pageLines=20] - Líneas por página antes de --More-- (0 desactiva la paginación)
+   * @param {number} [options.maxLoginAttempts=3] - Intentos de login antes de cerrar la conexión
+   * @param {string} [options.outputsDir] - Directorio con las salidas de los comandos (por defecto test/fixtures/vsol)
+   * @param {Array<{match: string|RegExp, output: string|Function}>} [options.outputs] - Salidas programadas
+   * @param {Object[]} [options.faults] - Fallos inyectados desde el inicio (ver addFault)
+   */
+  constructor(options = {}) {
+    super();
+    this.hostname = options.hostname || 'OLT';
+    this.username = options.username || 'admin';
+    this.password = options.password || 'admin';
+    this.enablePassword = options.enablePassword || '';
+    this.banner = options.banner !== undefined ? options.banner : 'V-SOL V1600G GPON OLT\r\n';
+    this.pageLines = options.pageLines !== undefined ? options.pageLines : 20;
+    this.maxLoginAttempts = options.maxLoginAttempts || 3;
+    this.defaultOutputs = loadOutputs(options.outputsDir || DEFAULT_OUTPUTS_DIR);
+    this.outputs = [];
+    (options.outputs || []).forEach(({ match, output }) => this.setOutput(match, output));
+    this.faults = [];
+    (options.faults || []).forEach(fault => this.addFault(fault));
+    this.commands = []; // Comandos recibidos ({ command, mode, hostname }), para las comprobaciones de los tests
+    this.sockets = new Set();
+    this.server = null;
+  }
+
+  /**
+   * Arranca el servidor Telnet
+   * @param {number} [port=0] - Puerto (0 elige uno libre)
+   * @param {string} [host='127.0.0.1'] - Dirección en la que escucha
+   * @returns {Promise<number>} - Puerto en el que escucha
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(socket => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        logger.info(`Simulador de OLT VSOL escuchando en ${host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Detiene el servidor y cierra todas las conexiones
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.dropConnections();
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Corta todas las conexiones abiertas sin cerrar el servidor (como una OLT que se reinicia)
+   */
+  dropConnections() {
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+  }
+
+  /**
+   * Programa la salida de un comando. Las salidas programadas prevalecen sobre las de los ficheros
+   * y la última programada para un comando prevalece sobre las anteriores.
+   * @param {string|RegExp} match - Comando exacto (sin distinguir mayúsculas ni espacios repetidos) o expresión regular
+   * @param {string|Function} output - Texto, o función (command, session) que devuelve el texto
+   *   (null para responder "% Unknown command.")
+   */
+  setOutput(match, output) {
+    this.outputs.unshift({ match, output });
+  }
+
+  /**
+   * Inyecta un fallo en la respuesta a los comandos que coincidan
+   * @param {Object} fault - Fallo
+   * @param {string} fault.type - 'delay' (responde tarde), 'drop' (corta la conexión) o 'garbage' (envía basura antes de la respuesta)
+   * @param {string|RegExp} [fault.match] - Comandos afectados (todos si no se indica)
+   * @param {number} [fault.delayMs=1000] - Espera antes de responder ('delay')
+   * @param {number} [fault.afterLines=0] - Líneas de la salida que se envían antes del corte ('drop')
+   * @param {number} [fault.bytes=32] - Bytes de basura ('garbage')
+   * @param {number} [fault.probability=1] - Probabilidad (0-1) de que el fallo se produzca en cada comando
+   * @param {number} [fault.times] - Número de veces que se produce (sin límite si no se indica)
+   */
+  addFault(fault) {
+    if (!FAULT_TYPES.includes(fault.type)) {
+      throw new Error(`Tipo de fallo no válido: ${fault.type} (${FAULT_TYPES.join(', ')})`);
+    }
+    this.faults.push({ probability: 1, times: Infinity, ...fault });
+  }
+
+  /**
+   * Elimina todos los fallos inyectados
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Obtiene los fallos que afectan a un comando y descuenta sus usos
+   * @param {string} command - Comando normalizado
+   * @returns {Object[]}
+   */
+  takeFaults(command) {
+    const triggered = this.faults.filter(fault => fault.times > 0
+      && (fault.match === undefined || matchesCommand(fault.match, command))
+      && Math.random() < fault.probability);
+    triggered.forEach(fault => {
+      fault.times--;
+    });
+    this.faults = this.faults.filter(fault => fault.times > 0);
+    return triggered;
+  }
+
+  /**
+   * Atiende una conexión Telnet nueva
+   * @param {net.Socket} socket - Socket del cliente
+   */
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', error => logger.debug(`Simulador: error en la conexión: ${error.message}`));
+    this.emit('connection', socket);
+    logger.debug(`Simulador: conexión desde ${socket.remoteAddress}:${socket.remotePort}`);
+
+    const session = {
+      socket,
+      stage: 'username', // 'username', 'password', 'cli', 'enable-password' o 'more'
+      loginAttempts: 0,
+      pendingUsername: null,
+      hostname: this.hostname,
+      modes: [{ mode: 'user', context: null }],
+      line: '',
+      lastWasCr: false,
+      telnet: { state: 'data' },
+      queue: [], // Líneas recibidas pendientes de tratar
+      pending: [], // Líneas pendientes de la salida paginada
+      busy: false // true mientras se responde a un comando (las líneas recibidas esperan)
+    };
+
+    // La OLT hace el eco y suprime el go-ahead, como un terminal de línea de comandos
+    socket.write(Buffer.from([IAC, WILL, OPTION_ECHO, IAC, WILL, OPTION_SGA]));
+    this.write(session, `${this.banner}\r\nLogin: `);
+
+    socket.on('data', chunk => this.handleInput(session, chunk));
+  }
+
+  /**
+   * Escribe texto en el socket de una sesión si sigue abierto
+   * @param {Object} session - Sesión
+   * @param {string} text - Texto
+   */
+  write(session, text) {
+    if (!session.socket.destroyed) {
+      session.socket.write(text);
+    }
+  }
+
+  /**
+   * Procesa los bytes recibidos: descarta las negociaciones Telnet y trata el texto carácter a carácter
+   * @param {Object} session - Sesión
+   * @param {Buffer} chunk - Datos recibidos
+   */
+  handleInput(session, chunk) {
+    for (const byte of chunk) {
+      const { telnet } = session;
+      if (telnet.state === 'iac') {
+        telnet.state = byte === SB ? 'sb' : (byte >= WILL && byte <= DONT ? 'option' : 'data');
+      } else if (telnet.state === 'option') {
+        telnet.state = 'data';
+      } else if (telnet.state === 'sb') {
+        telnet.state = byte === IAC ? 'sb-iac' : 'sb';
+      } else if (telnet.state === 'sb-iac') {
+        telnet.state = byte === SE ? 'data' : 'sb';
+      } else if (byte === IAC) {
+        telnet.state = 'iac';
+      } else {
+        this.handleChar(session, String.fromCharCode(byte));
+      }
+    }
+  }
+
+  /**
+   * Trata un carácter recibido según el estado de la sesión
+   * @param {Object} session - Sesión
+   * @param {string} char - Carácter
+   */
+  handleChar(session, char) {
+    // Mientras se muestra --More-- cada tecla decide cómo continuar
+    if (session.stage === 'more') {
+      this.continuePaging(session, char);
+      return;
+    }
+
+    // "\r\n" y "\r\0" cuentan como un único fin de línea
+    if (session.lastWasCr && (char === '\n' || char === '\0')) {
+      session.lastWasCr = false;
+      return;
+    }
+    session.lastWasCr = char === '\r';
+
+    const echo = session.stage === 'username' || session.stage === 'cli';
+    if (char === '\r' || char === '\n') {
+      const line = session.line;
+      session.line = '';
+      if (echo) {
+        this.write(session, '\r\n');
+      }
+      session.queue.push(line);
+      this.processLines(session);
+    } else if (char === '\x7f' || char === '\b') {
+      if (session.line.length > 0) {
+        session.line = session.line.slice(0, -1);
+        if (echo) {
+          this.write(session, '\b \b');
+        }
+      }
+    } else if (char >= ' ') {
+      session.line += char;
+      if (echo) {
+        this.write(session, char);
+      }
+    }
+  }
+
+  /**
+   * Procesa en orden las líneas recibidas (una a una: las que llegan durante una respuesta esperan)
+   * @param {Object} session - Sesión
+   */
+  async processLines(session) {
+    if (session.busy) {
+      return;
+    }
+    session.busy = true;
+    while (session.queue.length > 0 && !session.socket.destroyed && session.stage !== 'more') {
+      await this.handleLine(session, session.queue.shift());
+    }
+    session.busy = false;
+  }
+
+  /**
+   * Trata una línea completa según la fase de la sesión (login, contraseña o línea de comandos)
+   * @param {Object} session - Sesión
+   * @param {string} line - Línea recibida
+   * @returns {Promise<void>}
+   */
+  async handleLine(session, line) {
+    if (session.stage === 'username') {
+      session.pendingUsername = line.trim();
+      session.stage = 'password';
+      this.write(session, 'Password: ');
+    } else if (session.stage === 'password') {
+      this.checkLogin(session, line);
+    } else if (session.stage === 'enable-password') {
+      if (line === this.enablePassword) {
+        session.modes = [{ mode: 'user', context: null }, { mode: 'enable', context: null }];
+        this.write(session, `\r\n${this.getPrompt(session)}`);
+      } else {
+        this.write(session, `\r\n% Bad passwords\r\n${this.getPrompt(session)}`);
+      }
+      session.stage = 'cli';
+    } else {
+      await this.handleCommand(session, line);
+    }
+  }
+
+  /**
+   * Comprueba las credenciales: si son correctas muestra el prompt; si no, vuelve a pedirlas
+   * o cierra la conexión al agotar los intentos
+   * @param {Object} session - Sesión
+   * @param {string} password - Contraseña recibida
+   */
+  checkLogin(session, password) {
+    if (session.pendingUsername === this.username && password === this.password) {
+      logger.debug(`Simulador: login correcto de ${session.pendingUsername}`);
+      session.stage = 'cli';
+      this.write(session, `\r\n\r\n${this.getPrompt(session)}`);
+      return;
+    }
+
+    session.loginAttempts++;
+    logger.debug(`Simulador: login fallido (${session.loginAttempts}/${this.maxLoginAttempts})`);
+    this.write(session, '\r\nLogin failed!\r\n');
+    if (session.loginAttempts >= this.maxLoginAttempts) {
+      session.socket.end();
+      return;
+    }
+    session.stage = 'username';
+    setTimeout(() => this.write(session, '\r\nLogin: '), 100);
+  }
+
+  /**
+   * Construye el prompt de la sesión: hostname, contexto entre paréntesis y ">" o "#"
+   * @param {Object} session - Sesión
+   * @returns {string}
+   */
+  getPrompt(session) {
+    const { mode, context } = session.modes[session.modes.length - 1];
+    return `${session.hostname}${context ? `(${context})` : ''}${mode === 'user' ? '>' : '#'}`;
+  }
+
+  /**
+   * Obtiene el modo actual de la sesión
+   * @param {Object} session - Sesión
+   * @returns {string} - 'user', 'enable', 'config' o 'interface'
+   */
+  getMode(session) {
+    return session.modes[session.modes.length - 1].mode;
+  }
+
+  /**
+   * Ejecuta un comando de la línea de comandos, aplicando antes los fallos inyectados
+   * @param {Object} session - Sesión
+   * @param {string} line - Línea recibida
+   * @returns {Promise<void>}
+   */
+  async handleCommand(session, line) {
+    const command = normalizeCommand(line);
+    if (command === '') {
+      this.write(session, this.getPrompt(session));
+      return;
+    }
+
+    const record = { command, mode: this.getMode(session), hostname: session.hostname };
+    this.commands.push(record);
+    this.emit('command', record);
+    logger.debug(`Simulador: comando recibido en modo ${record.mode}: ${command}`);
+
+    const faults = this.takeFaults(command);
+    for (const fault of faults.filter(({ type }) => type === 'delay')) {
+      await new Promise(resolve => setTimeout(resolve, fault.delayMs || 1000));
+    }
+    for (const fault of faults.filter(({ type }) => type === 'garbage')) {
+      // Bytes al azar sin IAC (255) para no abrir una negociación Telnet
+      const garbage = [...crypto.randomBytes(fault.bytes || 32)].map(byte => byte % 255);
+      session.socket.write(Buffer.from(garbage));
+      session.socket.write('\r\n');
+    }
+
+    const output = this.runCommand(session, command);
+    const drop = faults.find(({ type }) => type === 'drop');
+    if (drop) {
+      const lines = typeof output === 'string' ? output.split('\n').slice(0, drop.afterLines || 0) : [];
+      if (lines.length > 0) {
+        this.write(session, `${lines.join('\n')}\r\n`);
+      }
+      logger.debug(`Simulador: conexión cortada por el fallo inyectado en: ${command}`);
+      session.socket.destroy();
+      return;
+    }
+
+    if (output === null) {
+      // La conexión se cierra (exit en modo usuario o privilegiado)
+      session.socket.end();
+      return;
+    }
+    this.sendOutput(session, output);
+  }
+
+  /**
+   * Ejecuta un comando y devuelve su salida (sin el prompt final); cambia el modo o el hostname si procede
+   * @param {Object} session - Sesión
+   * @param {string} command - Comando normalizado
+   * @returns {string|null} - Salida, o null si la conexión debe cerrarse
+   */
+  runCommand(session, command) {
+    const mode = this.getMode(session);
+    const words = command.split(' ');
+    const keyword = words[0].toLowerCase();
+
+    // Las salidas programadas tienen prioridad sobre todo lo demás
+    const scripted = this.outputs.find(({ match }) => matchesCommand(match, command));
+    if (scripted) {
+      const output = typeof scripted.output === 'function'
+        ? scripted.output(command, { hostname: session.hostname, mode })
+        : scripted.output;
+      return output === null || output === undefined ? this.unknownCommand(session, command, 0) : output;
+    }
+
+    if (keyword === 'show') {
+      return this.showCommand(session, command);
+    }
+
+    if (['exit', 'quit', 'logout'].includes(keyword) && (mode === 'user' || mode === 'enable')) {
+      return null;
+    }
+
+    if (mode === 'user') {
+      if (keyword === 'enable') {
+        if (this.enablePassword) {
+          session.stage = 'enable-password';
+          this.write(session, 'Password: ');
+          return undefined;
+        }
+        session.modes.push({ mode: 'enable', context: null });
+        return '';
+      }
+      return this.unknownCommand(session, command, 0);
+    }
+
+    if (mode === 'enable') {
+      if (/^conf(igure)?( t(erminal)?)?$/i.test(command)) {
+        session.modes.push({ mode: 'config', context: 'config' });
+        return '';
+      }
+      if (keyword === 'disable') {
+        session.modes = [{ mode: 'user', context: null }];
+        return '';
+      }
+      if (keyword === 'enable') {
+        return '';
+      }
+      return this.unknownCommand(session, command, 0);
+    }
+
+    // Modo configuración y sus submodos
+    if (keyword === 'end') {
+      session.modes = session.modes.slice(0, 2);
+      return '';
+    }
+    if (keyword === 'exit') {
+      session.modes.pop();
+      return '';
+    }
+    if (keyword === 'hostname' || keyword === 'sysname') {
+      if (words.length !== 2) {
+        return this.incompleteCommand();
+      }
+      session.hostname = words[1];
+      return '';
+    }
+    if (keyword === 'interface') {
+      const match = command.match(/^interface\s+(gpon|epon|ge|xge)\s+(\d+\/\d+)$/i);
+      if (!match) {
+        return words.length < 3 ? this.incompleteCommand() : this.unknownCommand(session, command, 1);
+      }
+      const type = match[1].toLowerCase();
+      const context = ['gpon', 'epon'].includes(type) ? `config-pon-${match[2]}` : `config-if-${type}-${match[2]}`;
+      session.modes = [...session.modes.slice(0, 3), { mode: 'interface', context }];
+      return '';
+    }
+
+    // El resto de comandos de configuración se aceptan sin salida
+    return '';
+  }
+
+  /**
+   * Busca la salida de un comando show en las salidas de los ficheros
+   * (el fichero cuyo nombre es el comando o el comienzo más largo del comando)
+   * @param {Object} session - Sesión
+   * @param {string} command - Comando normalizado
+   * @returns {string}
+   */
+  showCommand(session, command) {
+    const name = command.toLowerCase().split(' ').join('-');
+    const found = this.defaultOutputs.find(output => name === output.name || name.startsWith(`${output.name}-`));
+    if (!found) {
+      return this.unknownCommand(session, command, Math.min(command.split(' ').length - 1, 1));
+    }
+
+    const output = found.output.replace(/\r?\n$/, '');
+    // La configuración en ejecución muestra el hostname actual
+    if (found.name === 'show-running-config') {
+      return output.replace(/^hostname \S+/m, `hostname ${session.hostname}`);
+    }
+    return output;
+  }
+
+  /**
+   * Respuesta de la OLT a un comando desconocido: marcador "^" bajo la palabra no reconocida y el error
+   * @param {Object} session - Sesión
+   * @param {string} command - Comando normalizado
+   * @param {number} wordIndex - Posición de la palabra no reconocida
+   * @returns {string}
+   */
+  unknownCommand(session, command, wordIndex) {
+    const column = command.split(' ').slice(0, wordIndex).join(' ').length + (wordIndex > 0 ? 1 : 0);
+    return `${' '.repeat(this.getPrompt(session).length + column)}^\r\n% Unknown command.`;
+  }
+
+  /**
+   * Respuesta de la OLT a un comando al que le faltan parámetros
+   * @returns {string}
+   */
+  incompleteCommand() {
+    return '% Incomplete command.';
+  }
+
+  /**
+   * Envía la salida de un comando seguida del prompt, paginándola si es más larga que una página
+   * @param {Object} session - Sesión
+   * @param {string|undefined} output - Salida (undefined si el comando ya respondió, p. ej. pidiendo una contraseña)
+   */
+  sendOutput(session, output) {
+    if (output === undefined) {
+      return;
+    }
+    const lines = output === '' ? [] : output.split(/\r?\n/);
+    if (this.pageLines > 0 && lines.length > this.pageLines) {
+      session.pending = lines.slice(this.pageLines);
+      session.stage = 'more';
+      this.write(session, `${lines.slice(0, this.pageLines).join('\r\n')}\r\n${MORE_MARKER}`);
+      return;
+    }
+    this.write(session, `${lines.map(line => `${line}\r\n`).join('')}${this.getPrompt(session)}`);
+  }
+
+  /**
+   * Continúa la salida paginada: espacio muestra otra página, Enter una línea y "q" la interrumpe
+   * @param {Object} session - Sesión
+   * @param {string} key - Tecla recibida
+   */
+  continuePaging(session, key) {
+    if (key === '\n' || key === '\0') {
+      // Segundo carácter de un fin de línea ya tratado
+      return;
+    }
+    session.lastWasCr = key === '\r';
+    this.write(session, MORE_ERASE);
+
+    let count = this.pageLines;
+    if (key === 'q' || key === 'Q') {
+      count = 0;
+      session.pending = [];
+    } else if (key === '\r') {
+      count = 1;
+    }
+
+    const lines = session.pending.splice(0, count);
+    if (session.pending.length > 0) {
+      this.write(session, `${lines.join('\r\n')}\r\n${MORE_MARKER}`);
+      return;
+    }
+
+    session.stage = 'cli';
+    this.write(session, `${lines.map(line => `${line}\r\n`).join('')}${this.getPrompt(session)}`);
+    this.processLines(session);
+  }
+}
+
+module.exports = VsolOltSimulator;
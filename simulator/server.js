@@ -0,0 +1,57 @@
+const dotenv = require('dotenv');
+const VsolOltSimulator = require('./VsolOltSimulator');
+const logger = require('../utils/logger');
+
+// Cargar variables de entorno
+dotenv.config();
+
+/**
+ * Lee una expresión regular de una variable de entorno
+ * @param {string} name - Nombre de la variable
+ * @returns {RegExp|undefined}
+ */
+function readPattern(name) {
+  return process.env[name] ? new RegExp(process.env[name], 'i') : undefined;
+}
+
+// Fallos inyectados desde el arranque (para probar la API ante una OLT lenta o inestable)
+const probability = process.env.SIMULATOR_FAULT_PROBABILITY !== undefined ? Number(process.env.SIMULATOR_FAULT_PROBABILITY) : 1;
+const faults = [];
+if (process.env.SIMULATOR_DELAY_MS) {
+  faults.push({ type: 'delay', delayMs: Number(process.env.SIMULATOR_DELAY_MS), match: readPattern('SIMULATOR_DELAY_ON'), probability });
+}
+if (process.env.SIMULATOR_DROP_ON) {
+  faults.push({ type: 'drop', match: readPattern('SIMULATOR_DROP_ON'), probability });
+}
+if (process.env.SIMULATOR_GARBAGE_ON) {
+  faults.push({ type: 'garbage', match: readPattern('SIMULATOR_GARBAGE_ON'), probability });
+}
+
+const simulator = new VsolOltSimulator({
+  hostname: process.env.SIMULATOR_HOSTNAME,
+  username: process.env.SIMULATOR_USERNAME,
+  password: process.env.SIMULATOR_PASSWORD,
+  enablePassword: process.env.SIMULATOR_ENABLE_PASSWORD !== undefined ? process.env.SIMULATOR_ENABLE_PASSWORD : 'enable',
+  pageLines: process.env.SIMULATOR_PAGE_LINES !== undefined ? Number(process.env.SIMULATOR_PAGE_LINES) : undefined,
+  outputsDir: process.env.SIMULATOR_OUTPUTS_DIR,
+  faults
+});
+
+const port = Number(process.env.SIMULATOR_PORT) || 2323;
+const host = process.env.SIMULATOR_HOST || '127.0.0.1';
+
+simulator.start(port, host)
+  .then(() => {
+    console.log(`Simulador de OLT VSOL escuchando en ${host}:${port}`);
+  })
+  .catch((error) => {
+    logger.error(`No se pudo arrancar el simulador: ${error.message}`);
+    process.exit(1);
+  });
+
+simulator.on('command', ({ command, mode }) => logger.info(`Simulador: [${mode}] ${command}`));
+
+// Cerrar las conexiones al detener el proceso
+process.on('SIGINT', () => {
+  simulator.stop().then(() => process.exit(0));
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-audit-test-'));
+const auditLog = require('../services/AuditLogService');
+
+/**
+ * Añade un comando a la auditoría con valores por defecto
+ * @param {Object} record - Campos que se sobrescriben
+ */
+function record(record) {
+  auditLog.recordCommand({
+    user: 'key:a',
+    oltId: 'olt-1',
+    host: '10.0.0.1',
+    sessionId: 's1',
+    mode: 'enable',
+    command: 'show version',
+    outcome: 'ok',
+    durationMs: 12,
+    response: 'V1.0',
+    ...record
+  });
+}
+
+test('runWithActor atribuye los comandos a una identidad en las llamadas asíncronas', async () => {
+  assert.strictEqual(auditLog.getActor(), 'system');
+  const actor = await auditLog.runWithActor('key:a', async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    return auditLog.getActor();
+  });
+  assert.strictEqual(actor, 'key:a');
+});
+
+test('queryEntries filtra por OLT, usuario, resultado y patrón de comando', () => {
+  record({});
+  record({ user: 'jwt:ana', command: 'show onu state gpon 0/1' });
+  record({ oltId: 'olt-2', command: 'reboot', outcome: 'device_error', response: '% Unknown command.', error: 'Unknown command' });
+
+  const all = auditLog.queryEntries({});
+  assert.strictEqual(all.length, 3);
+  assert.strictEqual(all[0].command, 'reboot');
+  assert.strictEqual(all[2].responseHash, require('crypto').createHash('sha256').update('V1.0').digest('hex'));
+  assert.strictEqual(all[2].response, undefined);
+
+  assert.deepStrictEqual(auditLog.queryEntries({ user: 'jwt:ana' }).map(entry => entry.command), ['show onu state gpon 0/1']);
+  assert.strictEqual(auditLog.queryEntries({ oltId: 'olt-1', command: 'SHOW' }).length, 2);
+  // El filtro command es un texto literal, no una expresión regular
+  assert.deepStrictEqual(auditLog.queryEntries({ command: 'STATE gpon' }).map(entry => entry.command), ['show onu state gpon 0/1']);
+  assert.strictEqual(auditLog.queryEntries({ command: '^show' }).length, 0);
+  assert.strictEqual(auditLog.queryEntries({ command: '(a+)+$' }).length, 0);
+  assert.strictEqual(auditLog.queryEntries({ outcome: 'device_error' })[0].error, 'Unknown command');
+  assert.strictEqual(auditLog.queryEntries({}, 2).length, 2);
+  assert.strictEqual(auditLog.queryEntries({ from: new Date(Date.now() + 60000).toISOString() }).length, 0);
+  assert.strictEqual(auditLog.queryEntries({ to: '2000-01-01' }).length, 0);
+});
+
+test('validateQuery rechaza fechas, textos de búsqueda, resultados y límites no válidos', () => {
+  assert.deepStrictEqual(auditLog.validateQuery({ from: 'ayer', command: 'x'.repeat(201), outcome: 'fallo', limit: '0' }), [
+    'from debe ser una fecha ISO 8601',
+    'command debe ser un texto de como máximo 200 caracteres',
+    'outcome debe ser uno de: ok, device_error, timeout, cancelled, error',
+    'limit debe ser un entero entre 1 y 1000'
+  ]);
+  assert.deepStrictEqual(auditLog.validateQuery({ command: ['show', 'reboot'] }), ['command debe ser un texto de como máximo 200 caracteres']);
+  assert.deepStrictEqual(auditLog.validateQuery({ source: 'web' }), ['source debe ser uno de: api, terminal']);
+  assert.deepStrictEqual(auditLog.validateQuery({ from: '2024-05-01', command: '(', limit: '50' }), []);
+});
+
+test('exportEntries genera JSON Lines y CSV en orden cronológico', () => {
+  const entries = auditLog.queryEntries({ oltId: 'olt-1' });
+  const jsonl = auditLog.exportEntries(entries, 'jsonl').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(jsonl.map(entry => entry.command), ['show version', 'show onu state gpon 0/1']);
+
+  record({ command: 'show "a,b"' });
+  const csv = auditLog.exportEntries(auditLog.queryEntries({}, 1), 'csv').split('\r\n');
+  assert.strictEqual(csv[0], 'at,user,oltId,host,sessionId,source,mode,command,outcome,durationMs,responseHash,error');
+  assert.match(csv[1], /,key:a,olt-1,10\.0\.0\.1,s1,api,enable,"show ""a,b""",ok,12,[0-9a-f]{64},$/);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-auth-test-'));
+process.env.AUTH_ADMIN_KEY = 'clave-de-administracion';
+process.env.AUTH_JWT_SECRET = 'secreto-jwt';
+const { signJwt, verifyJwt } = require('../utils/jwt');
+const authService = require('../services/AuthService');
+
+test('verifyJwt acepta tokens HS256 válidos y rechaza firma, algoritmo y caducidad', () => {
+  const token = signJwt({ sub: 'ana', role: 'operator' }, 'secreto');
+  assert.deepStrictEqual(verifyJwt(token, 'secreto'), { sub: 'ana', role: 'operator' });
+  assert.throws(() => verifyJwt(token, 'otro'), /Firma/);
+  assert.throws(() => verifyJwt('a.b', 'secreto'), /mal formado/);
+
+  const [, payload] = token.split('.');
+  const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${payload}.`;
+  assert.throws(() => verifyJwt(unsigned, 'secreto'), /Algoritmo/);
+
+  const expired = signJwt({ sub: 'ana', exp: Math.floor(Date.now() / 1000) - 120 }, 'secreto');
+  assert.throws(() => verifyJwt(expired, 'secreto'), /caducado/);
+});
+
+test('authenticateToken reconoce la clave de administración, las claves de API y los JWT', () => {
+  assert.strictEqual(authService.authenticateToken('clave-de-administracion').role, 'admin');
+  assert.strictEqual(authService.authenticateToken('incorrecta'), null);
+  assert.strictEqual(authService.authenticateToken(null), null);
+
+  const { apiKey, key } = authService.createApiKey({ name: 'monitorización', role: 'read-only' }, 'admin-key');
+  assert.ok(key.startsWith('olt_'));
+  assert.strictEqual(apiKey.keyHash, undefined);
+  assert.deepStrictEqual(authService.authenticateToken(key), { id: `key:${apiKey.id}`, name: 'monitorización', role: 'read-only', type: 'api-key' });
+  assert.ok(authService.revokeApiKey(apiKey.id));
+  assert.strictEqual(authService.authenticateToken(key), null);
+
+  const jwt = signJwt({ sub: 'ana', role: 'operator' }, 'secreto-jwt');
+  assert.strictEqual(authService.authenticateToken(jwt).id, 'jwt:ana');
+  assert.strictEqual(authService.authenticateToken(signJwt({ sub: 'ana', role: 'root' }, 'secreto-jwt')), null);
+});
+
+test('canUseSession permite usar una sesión a quien la abrió y a los administradores', () => {
+  const readOnly = { id: 'a', role: 'read-only' };
+  const admin = { id: 'b', role: 'admin' };
+
+  assert.ok(authService.canUseSession(readOnly, 'a'));
+  assert.ok(!authService.canUseSession(readOnly, 'b'));
+  assert.ok(authService.canUseSession(admin, 'a'));
+});
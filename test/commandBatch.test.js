@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const commandBatch = require('../services/CommandBatchService');
+
+/**
+ * Sesión en memoria que rechaza los comandos indicados como haría la OLT
+ * @param {string[]} rejected - Comandos que la OLT rechaza
+ */
+function createSession(rejected = []) {
+  return {
+    sent: [],
+    inConfigMode: false,
+    isInConfigMode() {
+      return this.inConfigMode;
+    },
+    async enterConfigMode() {
+      this.sent.push('configure terminal');
+      this.inConfigMode = true;
+    },
+    async exitConfigMode() {
+      this.sent.push('end');
+      this.inConfigMode = false;
+    },
+    async sendCommand(command) {
+      this.sent.push(command);
+      if (rejected.includes(command)) {
+        return { raw: '% Unknown command.', formatted: '% Unknown command.', data: null, deviceError: { code: 'UNKNOWN_COMMAND', message: '% Unknown command.', column: null } };
+      }
+      return { raw: `${command} ok`, formatted: `${command} ok`, data: null };
+    },
+    getStatus() {
+      return { connected: true };
+    }
+  };
+}
+
+test('validateBatch rechaza listas vacías, modos desconocidos y comandos de varias líneas', () => {
+  assert.deepStrictEqual(commandBatch.validateBatch({ commands: [] }), ['commands debe ser una lista no vacía de comandos']);
+  assert.deepStrictEqual(
+    commandBatch.validateBatch({ commands: ['show version', { command: 'a\nb', mode: 'interface', rollback: [1] }], stopOnError: 'no' }),
+    [
+      'stopOnError debe ser booleano',
+      'commands[1].command debe ser un comando de una sola línea',
+      'commands[1].mode debe ser "exec" o "config"',
+      'commands[1].rollback debe ser un comando o una lista de comandos de una sola línea'
+    ]
+  );
+  assert.deepStrictEqual(commandBatch.validateBatch({ commands: ['show version', { command: 'vlan 100', mode: 'config', rollback: 'no vlan 100' }] }), []);
+});
+
+test('runBatch cambia de modo por paso y se detiene en el primer error deshaciendo los pasos completados', async () => {
+  const session = createSession(['onu 1 bad']);
+  const result = await commandBatch.runBatch(session, [
+    { command: 'show version', mode: 'exec' },
+    { command: 'vlan 100', mode: 'config', rollback: 'no vlan 100' },
+    { command: 'onu 1 bad', mode: 'config' },
+    'show running-config'
+  ]);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.failedStep, 2);
+  assert.deepStrictEqual(result.results.map(step => step.status), ['ok', 'ok', 'failed', 'skipped']);
+  assert.strictEqual(result.results[2].deviceError.code, 'UNKNOWN_COMMAND');
+  assert.strictEqual(typeof result.results[0].durationMs, 'number');
+  assert.deepStrictEqual(result.rollback.results.map(step => [step.step, step.command, step.status]), [[1, 'no vlan 100', 'ok']]);
+  assert.deepStrictEqual(session.sent, ['show version', 'configure terminal', 'vlan 100', 'onu 1 bad', 'no vlan 100']);
+});
+
+test('runBatch con stopOnError false ejecuta todos los pasos y no hace rollback', async () => {
+  const session = createSession(['bad']);
+  const result = await commandBatch.runBatch(session, [{ command: 'bad', rollback: 'undo' }, 'show version'], { stopOnError: false });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.failedStep, 0);
+  assert.deepStrictEqual(result.results.map(step => step.status), ['failed', 'ok']);
+  assert.strictEqual(result.rollback, null);
+});
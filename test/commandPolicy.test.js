@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-policy-test-'));
+const commandPolicy = require('../services/CommandPolicyService');
+
+const readOnly = { id: 'key:a', role: 'read-only' };
+const admin = { id: 'admin-key', role: 'admin' };
+
+test('la política por defecto limita los roles no administradores a comandos de consulta', () => {
+  assert.deepStrictEqual(commandPolicy.evaluateCommand(readOnly, 'show onu state gpon 0/1'), { allowed: true, reason: null, confirmRequired: false });
+  assert.ok(commandPolicy.evaluateCommand({ id: 'c', role: 'operator' }, ' display board 0').allowed);
+  assert.match(commandPolicy.evaluateCommand(readOnly, 'configure terminal').reason, /no permitido para el rol read-only/);
+  assert.match(commandPolicy.evaluateCommand(readOnly, 'show version', { configMode: true }).reason, /modo configuración/);
+  assert.ok(commandPolicy.evaluateCommand(admin, 'vlan 10', { configMode: true }).allowed);
+});
+
+test('los saltos de línea se rechazan para cualquier rol', () => {
+  const result = commandPolicy.evaluateCommand(admin, 'show version\nreboot');
+  assert.strictEqual(result.allowed, false);
+  assert.match(result.reason, /saltos de línea/);
+  assert.strictEqual(commandPolicy.evaluateCommand(admin, ['show version', 'reboot']).reason, 'El comando debe ser un texto');
+});
+
+test('los comandos destructivos requieren confirmación', () => {
+  assert.ok(commandPolicy.evaluateCommand(admin, 'reboot').confirmRequired);
+  assert.ok(commandPolicy.evaluateCommand(admin, 'Erase startup-config').confirmRequired);
+  assert.ok(!commandPolicy.evaluateCommand(admin, 'show startup-config').confirmRequired);
+});
+
+test('los comandos destructivos abreviados también requieren confirmación', () => {
+  ['rel', 'reboo', 'RESTA now', 'wr erase', 'wr e', 'write er startup-config', 'del flash:/cfg', 'era', 'form', 'restor', 'res'].forEach((command) => {
+    assert.ok(commandPolicy.evaluateCommand(admin, command).confirmRequired, `${command} debería requerir confirmación`);
+  });
+  ['write', 'wr mem', 'reloaded', 'deletes', 'debug', 'show reload'].forEach((command) => {
+    assert.ok(!commandPolicy.evaluateCommand(admin, command).confirmRequired, `${command} no debería requerir confirmación`);
+  });
+});
+
+test('las reglas por rol y por OLT se combinan y deny prevalece sobre allow', () => {
+  assert.deepStrictEqual(commandPolicy.validatePolicy({ roles: { root: {} }, olts: { a: { deny: ['('] } }, confirm: 'x' }), [
+    'roles.root no es un rol válido (read-only, operator, admin)',
+    'olts.a.deny debe ser una lista de expresiones regulares válidas',
+    'confirm debe ser una lista de expresiones regulares válidas'
+  ]);
+
+  const policy = commandPolicy.updatePolicy({
+    roles: { admin: { deny: ['^write\\b'] } },
+    olts: { 'olt-lab': { allow: ['^show\\b'] }, 'olt-core': { deny: ['^no\\s+onu\\b'] } }
+  });
+  // Los roles que no define la política guardada conservan las reglas por defecto
+  assert.deepStrictEqual(policy.roles['read-only'], commandPolicy.DEFAULT_POLICY.roles['read-only']);
+  assert.deepStrictEqual(policy.confirm, commandPolicy.DEFAULT_POLICY.confirm);
+
+  assert.match(commandPolicy.evaluateCommand(admin, 'write').reason, /prohibido para el rol admin/);
+  assert.match(commandPolicy.evaluateCommand(admin, 'display board', { oltId: 'olt-lab' }).reason, /no permitido para la OLT olt-lab/);
+  assert.match(commandPolicy.evaluateCommand(admin, 'no onu 3', { oltId: 'olt-core' }).reason, /prohibido para la OLT olt-core/);
+  assert.ok(commandPolicy.evaluateCommand(admin, 'no onu 3', { oltId: 'olt-lab2' }).allowed);
+  commandPolicy.updatePolicy({});
+});
+
+test('los comandos generados por la API sólo se limitan con la lista deny del rol y las reglas de la OLT', () => {
+  const operator = { id: 'op', role: 'operator' };
+  assert.ok(commandPolicy.evaluateCommand(operator, 'onu add 3 profile p sn VSOL0001', { configMode: true, generated: true }).allowed);
+
+  commandPolicy.updatePolicy({ roles: { operator: { deny: ['^no\\s+onu\\b'] } }, olts: { 'olt-lab': { allow: ['^show\\b'] } } });
+  assert.match(commandPolicy.evaluateCommand(operator, 'no onu 3', { generated: true }).reason, /prohibido para el rol operator/);
+  assert.match(commandPolicy.evaluateCommand(operator, 'onu 3 desc a', { oltId: 'olt-lab', generated: true }).reason, /no permitido para la OLT olt-lab/);
+  commandPolicy.updatePolicy({});
+});
+
+test('un token de confirmación sólo vale una vez, para la misma identidad y la misma petición', () => {
+  const scope = { target: 'session:s1', commands: [{ command: 'reboot', configMode: false }] };
+  const { confirmationToken, expiresAt } = commandPolicy.requestConfirmation(admin, scope);
+  assert.ok(Date.parse(expiresAt) > Date.now());
+
+  assert.ok(!commandPolicy.consumeConfirmation(confirmationToken, { id: 'otro', role: 'admin' }, scope));
+  assert.ok(!commandPolicy.consumeConfirmation(confirmationToken, admin, { ...scope, target: 'session:s2' }));
+  assert.ok(commandPolicy.consumeConfirmation(confirmationToken, admin, scope));
+  assert.ok(!commandPolicy.consumeConfirmation(confirmationToken, admin, scope));
+});
@@ -0,0 +1,135 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-queue-test-'));
+const OltTelnetManager = require('../services/OltTelnetManager');
+const VsolOltSimulator = require('../simulator/VsolOltSimulator');
+
+const CREDENTIALS = { username: 'admin', password: 'Queue-Pass-1', enablePassword: 'Queue-Enable-1' };
+const MAC_TABLE = fs.readFileSync(path.join(__dirname, 'fixtures/vsol/show-mac-address-table.txt'), 'utf8');
+
+// Páginas cortas para que la tabla MAC y la configuración se paginen
+const simulator = new VsolOltSimulator({ ...CREDENTIALS, pageLines: 4 });
+let port;
+let manager;
+
+/**
+ * Texto de la respuesta de un comando
+ * @param {Object|string} response - Respuesta de sendCommand
+ * @returns {string}
+ */
+function rawOf(response) {
+  return typeof response === 'object' ? response.raw : response;
+}
+
+before(async () => {
+  port = await simulator.start();
+  for (let index = 1; index <= 5; index++) {
+    simulator.setOutput(`show marker ${index}`, `Marcador ${index}`);
+  }
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+beforeEach(async () => {
+  manager = new OltTelnetManager();
+  await manager.connect('127.0.0.1', port, CREDENTIALS.username, CREDENTIALS.password, CREDENTIALS.enablePassword, {
+    deviceProfile: 'vsol',
+    reconnect: { initialDelay: 50 }
+  });
+  simulator.commands.length = 0;
+});
+
+afterEach(async () => {
+  simulator.clearFaults();
+  await manager.disconnect();
+});
+
+test('los comandos concurrentes se envían y se resuelven en orden de llegada', async () => {
+  const responses = await Promise.all([1, 2, 3, 4, 5].map(index => manager.sendCommand(`show marker ${index}`)));
+
+  assert.deepStrictEqual(responses.map(rawOf), ['Marcador 1', 'Marcador 2', 'Marcador 3', 'Marcador 4', 'Marcador 5']);
+  assert.deepStrictEqual(simulator.commands.map(({ command }) => command), [1, 2, 3, 4, 5].map(index => `show marker ${index}`));
+});
+
+test('un comando cancelado en la cola no llega a la OLT y los demás siguen en orden', async () => {
+  simulator.addFault({ type: 'delay', match: 'show marker 1', delayMs: 200, times: 1 });
+  const controller = new AbortController();
+
+  const first = manager.sendCommand('show marker 1');
+  const cancelled = manager.sendCommand('show marker 2', { signal: controller.signal });
+  const third = manager.sendCommand('show marker 3');
+  controller.abort();
+
+  await assert.rejects(cancelled, /Comando cancelado/);
+  assert.strictEqual(rawOf(await first), 'Marcador 1');
+  assert.strictEqual(rawOf(await third), 'Marcador 3');
+  assert.deepStrictEqual(simulator.commands.map(({ command }) => command), ['show marker 1', 'show marker 3']);
+});
+
+test('tras cancelar un comando en curso, el siguiente no recibe la salida del cancelado', async () => {
+  simulator.addFault({ type: 'delay', match: 'show mac address-table', delayMs: 200, times: 1 });
+  const controller = new AbortController();
+
+  const cancelled = manager.sendCommand('show mac address-table', { signal: controller.signal });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  controller.abort();
+  await assert.rejects(cancelled, /Comando cancelado/);
+  assert.strictEqual(manager.getStatus().draining, true);
+
+  const next = rawOf(await manager.sendCommand('show marker 1'));
+  assert.strictEqual(next, 'Marcador 1');
+  assert.ok(!next.includes('MAC'));
+  assert.strictEqual(manager.getStatus().draining, false);
+});
+
+test('al cancelar un comando paginado se interrumpe la paginación antes de enviar el siguiente', async () => {
+  const controller = new AbortController();
+  const pages = [];
+
+  const cancelled = manager.sendCommand('show mac address-table', {
+    signal: controller.signal,
+    onPage: (page) => {
+      pages.push(page);
+      controller.abort();
+    }
+  });
+  await assert.rejects(cancelled, /Comando cancelado/);
+  assert.strictEqual(pages.length, 1);
+
+  assert.strictEqual(rawOf(await manager.sendCommand('show marker 2')), 'Marcador 2');
+  // La tabla completa sigue disponible: la OLT no se quedó a mitad de la paginación
+  const table = rawOf(await manager.sendCommand('show mac address-table'));
+  assert.strictEqual(table.split('\n').length, MAC_TABLE.trim().split('\n').length);
+});
+
+test('tras el timeout de un comando, el siguiente recibe su propia salida', async () => {
+  simulator.addFault({ type: 'delay', match: 'show mac address-table', delayMs: 300, times: 1 });
+
+  const timedOut = manager.sendCommand('show mac address-table', { timeout: 100 });
+  const next = manager.sendCommand('show marker 3');
+
+  await assert.rejects(timedOut, /Timeout esperando respuesta al comando/);
+  assert.strictEqual(rawOf(await next), 'Marcador 3');
+});
+
+test('si la OLT no vuelve al prompt, la sesión se marca como sucia y se reconecta', async () => {
+  simulator.addFault({ type: 'delay', match: 'show mac address-table', delayMs: 3000, times: 1 });
+  manager.drainTimeout = 100;
+
+  const timedOut = manager.sendCommand('show mac address-table', { timeout: 100 });
+  const next = manager.sendCommand('show marker 4');
+
+  await assert.rejects(timedOut, /Timeout esperando respuesta al comando/);
+  assert.strictEqual(rawOf(await next), 'Marcador 4');
+
+  const status = manager.getStatus();
+  assert.strictEqual(status.dirty, false);
+  assert.strictEqual(status.reconnect.count, 1);
+  assert.deepStrictEqual(status.reconnect.events.map(event => event.type), ['dirty', 'attempt', 'reconnected']);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const configPush = require('../services/ConfigPushService');
+const deviceProfiles = require('../services/deviceProfiles');
+
+test('parseConfigLines separa las líneas globales, las de bloque y las que abren cada bloque', () => {
+  const profile = deviceProfiles.getDefaultProfile();
+  const lines = configPush.parseConfigLines(
+    '!\r\n! Last configuration change at 2026-10-19 10:00:00\r\nhostname OLT\r\ninterface gpon 0/1\r\n onu 1 desc a\r\n exit\r\n!\r\nend',
+    profile
+  );
+
+  assert.deepStrictEqual(lines, [
+    { section: 'global', line: 'hostname OLT', topLevel: true, opener: false },
+    { section: 'interface:gpon 0/1', line: 'interface gpon 0/1', topLevel: true, opener: true },
+    { section: 'interface:gpon 0/1', line: 'onu 1 desc a', topLevel: false, opener: false }
+  ]);
+});
+
+test('planPush sólo marca como presentes las líneas de la misma sección', () => {
+  const profile = deviceProfiles.getDefaultProfile();
+  const target = configPush.parseConfigLines('vlan 100\ninterface gpon 0/1\n shutdown\ninterface gpon 0/2\n shutdown', profile);
+  const current = configPush.parseConfigLines('vlan 100\ninterface gpon 0/1\n shutdown\ninterface gpon 0/2', profile);
+
+  assert.deepStrictEqual(
+    configPush.planPush(target, current).map(({ line, present }) => [line, present]),
+    [['vlan 100', true], ['interface gpon 0/1', true], ['shutdown', true], ['interface gpon 0/2', true], ['shutdown', false]]
+  );
+  assert.deepStrictEqual(configPush.validatePush({ version: 1, dryRun: 'yes' }), ['dryRun debe ser booleano']);
+});
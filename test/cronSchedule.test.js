@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, matchesCron, getNextRun } = require('../utils/cronSchedule');
+
+test('parseCron admite listas, rangos, pasos, nombres y abreviaturas', () => {
+  const schedule = parseCron('*/15 8-10,22 * jan-mar mon-fri');
+
+  assert.deepStrictEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...schedule.hours], [8, 9, 10, 22]);
+  assert.deepStrictEqual([...schedule.months], [1, 2, 3]);
+  assert.deepStrictEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+  assert.deepStrictEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.deepStrictEqual([...parseCron('@daily').hours], [0]);
+
+  for (const expression of ['* * * *', '60 * * * *', '* * 0 * *', '5-1 * * * *', '*/0 * * * *', 'x * * * *']) {
+    assert.throws(() => parseCron(expression), Error, expression);
+  }
+});
+
+test('matchesCron y getNextRun siguen las reglas de cron (día del mes o día de la semana)', () => {
+  const schedule = parseCron('30 6 1 * mon');
+
+  // 2026-10-19 es lunes y 2026-11-01, domingo
+  assert.ok(matchesCron(schedule, new Date(2026, 9, 19, 6, 30)));
+  assert.ok(matchesCron(schedule, new Date(2026, 10, 1, 6, 30)));
+  assert.ok(!matchesCron(schedule, new Date(2026, 9, 20, 6, 30)));
+
+  assert.deepStrictEqual(getNextRun(schedule, new Date(2026, 9, 19, 6, 30, 10)), new Date(2026, 9, 26, 6, 30));
+  assert.deepStrictEqual(getNextRun(parseCron('*/5 * * * *'), new Date(2026, 9, 19, 23, 58)), new Date(2026, 9, 20, 0, 0));
+  assert.deepStrictEqual(getNextRun(parseCron('0 0 29 2 *'), new Date(2026, 9, 19)), new Date(2028, 1, 29, 0, 0));
+  assert.strictEqual(getNextRun(parseCron('0 0 31 2 *'), new Date(2026, 9, 19)), null);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const deviceProfiles = require('../services/deviceProfiles');
+
+test('detectProfile reconoce el fabricante por el banner', () => {
+  assert.strictEqual(deviceProfiles.detectProfile('  Huawei Integrated Access Software (MA5600T).').name, 'huawei');
+  assert.strictEqual(deviceProfiles.detectProfile('ZXAN>').name, 'zte');
+  assert.strictEqual(deviceProfiles.detectProfile('Welcome to C-Data FD1104SN').name, 'cdata');
+  assert.strictEqual(deviceProfiles.detectProfile('V1600G1 login banner').name, 'vsol');
+  assert.strictEqual(deviceProfiles.detectProfile('Login: '), null);
+});
+
+test('getProfile rechaza perfiles desconocidos', () => {
+  assert.throws(() => deviceProfiles.getProfile('nokia'), /no soportado/);
+  assert.strictEqual(deviceProfiles.getDefaultProfile().name, deviceProfiles.DEFAULT_PROFILE);
+});
+
+test('findErrorLine devuelve la línea con la que la OLT rechaza el comando', () => {
+  const huawei = deviceProfiles.getProfile('huawei');
+  const zte = deviceProfiles.getProfile('zte');
+
+  assert.strictEqual(
+    deviceProfiles.findErrorLine(huawei, "              ^\n  % Unknown command, the error locates at '^'"),
+    "% Unknown command, the error locates at '^'"
+  );
+  assert.strictEqual(deviceProfiles.findErrorLine(zte, '%Error 20209: No such ONU.'), '%Error 20209: No such ONU.');
+  assert.strictEqual(deviceProfiles.findErrorLine(zte, 'ONU Number: 3'), null);
+});
+
+test('parsePrompt distingue hostname y modo en todos los perfiles', () => {
+  for (const { name } of deviceProfiles.listProfiles()) {
+    const profile = deviceProfiles.getProfile(name);
+    const modeOf = line => deviceProfiles.parsePrompt(profile, line).mode;
+
+    assert.strictEqual(modeOf('OLT>'), 'user', name);
+    assert.strictEqual(modeOf('OLT#'), 'enable', name);
+    assert.strictEqual(modeOf('OLT(config)#'), 'config', name);
+    assert.strictEqual(modeOf('OLT(config-if-gpon-0/1)#'), 'interface', name);
+    assert.strictEqual(modeOf('OLT(config-gpon-olt)#'), 'interface', name);
+    assert.strictEqual(modeOf('OLT(config-onu)#'), 'onu', name);
+    assert.strictEqual(deviceProfiles.parsePrompt(profile, 'MA5600T(config)#').hostname, 'MA5600T', name);
+  }
+});
+
+test('parsePrompt no confunde con un prompt las líneas de salida que terminan en # o >', () => {
+  const profile = deviceProfiles.getDefaultProfile();
+
+  assert.strictEqual(deviceProfiles.parsePrompt(profile, 'description cliente piso 3 #'), null);
+  assert.strictEqual(deviceProfiles.parsePrompt(profile, '##########'), null);
+  assert.strictEqual(deviceProfiles.parsePrompt(profile, '  -> uplink >'), null);
+});
+
+test('classifyError clasifica el error y sitúa el marcador "^" en el comando', () => {
+  const profile = deviceProfiles.getDefaultProfile();
+
+  assert.deepStrictEqual(
+    deviceProfiles.classifyError(profile, "      ^\n% Invalid input detected at '^' marker.", { promptLength: 4 }),
+    { code: 'INVALID_INPUT', message: "% Invalid input detected at '^' marker.", column: 2 }
+  );
+  assert.deepStrictEqual(
+    deviceProfiles.classifyError(profile, '% Unknown command.'),
+    { code: 'UNKNOWN_COMMAND', message: '% Unknown command.', column: null }
+  );
+  assert.strictEqual(deviceProfiles.classifyError(profile, '% Incomplete command.').code, 'INCOMPLETE_COMMAND');
+  assert.strictEqual(deviceProfiles.classifyError(profile, 'Error: ONU 0/1:3 does not exist').code, 'COMMAND_FAILED');
+  assert.strictEqual(deviceProfiles.classifyError(profile, 'Onu Number: 3\nOnline: 2'), null);
+});
@@ -0,0 +1,191 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-jobs-test-'));
+process.env.OLT_CREDENTIALS_KEY = 'clave-de-credenciales';
+process.env.JOB_RUN_MAX_RUNS = '3';
+const jobScheduler = require('../services/JobScheduler');
+const oltInventory = require('../services/OltInventory');
+const poolRegistry = require('../services/OltPoolRegistry');
+const commandPolicy = require('../services/CommandPolicyService');
+const VsolOltSimulator = require('../simulator/VsolOltSimulator');
+
+const CREDENTIALS = { username: 'admin', password: 'Job-Pass-1', enablePassword: 'Job-Enable-1' };
+const ADMIN = { id: 'key:admin', role: 'admin' };
+const OPERATOR = { id: 'key:operator', role: 'operator' };
+
+const simulator = new VsolOltSimulator(CREDENTIALS);
+
+/**
+ * Espera a que se cumpla una condición, comprobándola cada 20 ms
+ * @param {Function} predicate - Condición
+ */
+async function waitUntil(predicate) {
+  const deadline = Date.now() + 5000;
+  while (!predicate()) {
+    assert.ok(Date.now() < deadline, 'Timeout esperando la ejecución del trabajo');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+before(async () => {
+  const port = await simulator.start();
+  oltInventory.createOlt({ id: 'sim', host: '127.0.0.1', port, deviceProfile: 'vsol', tags: ['lab'], ponPorts: ['0/1', '0/2'], ...CREDENTIALS });
+});
+
+after(async () => {
+  await poolRegistry.closeAll();
+  await simulator.stop();
+});
+
+test('validateJob exige programación, un comando o plantilla y un destino', () => {
+  assert.deepStrictEqual(jobScheduler.validateJob({}), [
+    'schedule es obligatorio',
+    'Se requiere uno de los campos: command o template',
+    'Se requiere al menos un destino: oltIds o tag'
+  ]);
+  assert.deepStrictEqual(jobScheduler.validateJob({
+    schedule: '61 * * * *',
+    command: 'show version\nreboot',
+    template: 'onu-info',
+    oltIds: 'sim',
+    configMode: 'si'
+  }), [
+    'schedule no válido: Valor no válido para el minuto: "61" (0-59)',
+    'Indica command o template, no ambos',
+    'command debe ser un comando no vacío de una sola línea',
+    'oltIds debe ser una lista de identificadores de OLT',
+    'configMode debe ser booleano'
+  ]);
+  assert.deepStrictEqual(jobScheduler.validateJob({ template: 'no-existe' }, true), ['template debe ser uno de: onu-info, onu-state, optical-power, mac-table']);
+  assert.deepStrictEqual(jobScheduler.validateJob({ enabled: false }, true), []);
+});
+
+test('alta, modificación y baja de un trabajo', () => {
+  const job = jobScheduler.createJob({ id: 'crud', schedule: ' 0 3 * * * ', command: ' show version ', oltIds: ['sim'] }, ADMIN);
+  assert.strictEqual(job.schedule, '0 3 * * *');
+  assert.strictEqual(job.command, 'show version');
+  assert.ok(Date.parse(job.nextRunAt) > Date.now());
+  assert.throws(() => jobScheduler.createJob({ id: 'crud', schedule: '* * * * *', command: 'show version', oltIds: ['sim'] }, ADMIN), { statusCode: 409 });
+
+  // command y template se sustituyen el uno al otro
+  const updated = jobScheduler.updateJob('crud', { template: 'onu-state', enabled: false }, ADMIN);
+  assert.strictEqual(updated.command, null);
+  assert.strictEqual(updated.template, 'onu-state');
+  assert.strictEqual(updated.nextRunAt, null);
+  assert.throws(() => jobScheduler.updateJob('crud', { oltIds: [] }, ADMIN), { statusCode: 400 });
+
+  jobScheduler.deleteJob('crud');
+  assert.throws(() => jobScheduler.getJob('crud'), { statusCode: 404 });
+  assert.throws(() => jobScheduler.updateJob('crud', { enabled: true }, ADMIN), { statusCode: 404 });
+});
+
+test('cada ejecución queda en el historial del trabajo con el resultado por puerto PON', async () => {
+  jobScheduler.createJob({ id: 'onus', schedule: '0 * * * *', template: 'onu-info', tag: 'lab', enabled: false }, ADMIN);
+
+  const run = await jobScheduler.runJob('onus');
+  assert.strictEqual(run.status, 'success');
+  assert.strictEqual(run.trigger, 'manual');
+  assert.deepStrictEqual(run.summary, { targets: 1, ok: 2, failed: 0 });
+  assert.deepStrictEqual(run.results.map(({ oltId, ponPort }) => `${oltId}:${ponPort}`), ['sim:0/1', 'sim:0/2']);
+  assert.ok(run.results.every(result => result.data.length > 0));
+
+  assert.deepStrictEqual(jobScheduler.getRun('onus', run.id), run);
+  assert.deepStrictEqual(jobScheduler.getJob('onus').lastRun, {
+    id: 1,
+    trigger: 'manual',
+    status: 'success',
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  });
+});
+
+test('un trabajo no se ejecuta dos veces a la vez: la ejecución manual responde 409 y la programada se omite', async () => {
+  simulator.addFault({ type: 'delay', match: /show mac/, delayMs: 200, times: 1 });
+  jobScheduler.createJob({ id: 'macs', schedule: '* * * * *', template: 'mac-table', oltIds: ['sim'] }, ADMIN);
+
+  const first = jobScheduler.runJob('macs');
+  await assert.rejects(jobScheduler.runJob('macs'), { statusCode: 409 });
+  jobScheduler.runDueJobs(new Date());
+  assert.strictEqual((await first).status, 'success');
+  assert.deepStrictEqual(jobScheduler.listRuns('macs').map(run => run.trigger), ['manual']);
+
+  // Una vez terminada, la siguiente comprobación del planificador sí la lanza
+  jobScheduler.runDueJobs(new Date());
+  await waitUntil(() => jobScheduler.listRuns('macs').length === 2);
+  assert.deepStrictEqual(jobScheduler.listRuns('macs').map(run => run.trigger), ['scheduled', 'manual']);
+  jobScheduler.updateJob('macs', { enabled: false }, ADMIN);
+});
+
+test('el historial conserva sólo las últimas JOB_RUN_MAX_RUNS ejecuciones', async () => {
+  jobScheduler.createJob({ id: 'retained', schedule: '0 * * * *', command: 'show version', oltIds: ['no-existe'], enabled: false }, ADMIN);
+  for (let index = 0; index < 5; index++) {
+    const run = await jobScheduler.runJob('retained');
+    assert.strictEqual(run.status, 'failed');
+  }
+
+  assert.deepStrictEqual(jobScheduler.listRuns('retained').map(run => run.id), [5, 4, 3]);
+  assert.deepStrictEqual(jobScheduler.listRuns('retained', 2).map(run => run.id), [5, 4]);
+  assert.throws(() => jobScheduler.getRun('retained', 1), { statusCode: 404 });
+  assert.strictEqual(jobScheduler.getJob('retained').lastRun.id, 5);
+
+  // Al eliminar el trabajo se elimina también su historial
+  jobScheduler.deleteJob('retained');
+  assert.ok(!fs.existsSync(path.join(process.env.DATA_DIR, 'job-runs', 'retained.json')));
+});
+
+test('los ids de trabajo formados sólo por puntos o heredados de Object.prototype no se confunden con trabajos', () => {
+  assert.deepStrictEqual(jobScheduler.validateJob({ id: '..' }, true), ['id no puede estar formado sólo por puntos']);
+
+  for (const id of ['constructor', 'toString', '__proto__']) {
+    assert.throws(() => jobScheduler.getJob(id), { statusCode: 404 });
+    assert.throws(() => jobScheduler.updateJob(id, { enabled: true }, ADMIN), { statusCode: 404 });
+    assert.throws(() => jobScheduler.deleteJob(id), { statusCode: 404 });
+  }
+
+  const job = jobScheduler.createJob({ id: '__proto__', schedule: '0 * * * *', command: 'show version', oltIds: ['sim'], enabled: false }, ADMIN);
+  assert.strictEqual(job.id, '__proto__');
+  assert.strictEqual(jobScheduler.getJob('__proto__').command, 'show version');
+  assert.ok(jobScheduler.listJobs().some(listed => listed.id === '__proto__'));
+  jobScheduler.deleteJob('__proto__');
+  assert.throws(() => jobScheduler.getJob('__proto__'), { statusCode: 404 });
+});
+
+test('el comando de un trabajo se evalúa con la política al definirlo y se ejecuta con el rol de quien lo definió', async () => {
+  const job = { schedule: '0 * * * *', oltIds: ['sim'], enabled: false };
+  assert.throws(() => jobScheduler.createJob({ ...job, id: 'denied', command: 'configure terminal' }, OPERATOR), {
+    statusCode: 403,
+    message: 'Comando no autorizado: Comando no permitido para el rol operator'
+  });
+  // Nadie confirma una ejecución programada: los comandos destructivos se rechazan también para admin
+  assert.throws(() => jobScheduler.createJob({ ...job, id: 'denied', command: 'reload' }, ADMIN), { statusCode: 403, message: /requieren confirmación/ });
+
+  // Las reglas de la OLT se aplican a las de oltIds y a las que tienen la etiqueta tag
+  commandPolicy.updatePolicy({ olts: { sim: { deny: ['^show\\s+mac\\b'] } } });
+  assert.throws(() => jobScheduler.createJob({ ...job, id: 'denied', command: 'show mac address-table' }, ADMIN), { statusCode: 403, message: /la OLT sim/ });
+  assert.throws(() => jobScheduler.createJob({ ...job, id: 'denied', command: 'show mac address-table', oltIds: [], tag: 'lab' }, ADMIN), { statusCode: 403 });
+  commandPolicy.updatePolicy({});
+  assert.throws(() => jobScheduler.getJob('denied'), { statusCode: 404 });
+
+  const created = jobScheduler.createJob({ ...job, id: 'by-operator', command: 'show mac address-table' }, OPERATOR);
+  assert.strictEqual(created.role, 'operator');
+  assert.strictEqual(created.createdBy, 'key:operator');
+  assert.throws(() => jobScheduler.updateJob('by-operator', { command: 'reload' }, ADMIN), { statusCode: 403 });
+  assert.strictEqual(jobScheduler.getJob('by-operator').command, 'show mac address-table');
+
+  // Se ejecuta con el rol operator, no con admin
+  commandPolicy.updatePolicy({ roles: { operator: { allow: ['^display\\b'] } } });
+  const refused = await jobScheduler.runJob('by-operator');
+  assert.strictEqual(refused.status, 'failed');
+  assert.match(refused.results[0].error, /Comando no permitido para el rol operator/);
+
+  // Quien lo modifica pasa a ser quien lo define
+  const updated = jobScheduler.updateJob('by-operator', { name: 'versión' }, ADMIN);
+  assert.strictEqual(updated.role, 'admin');
+  assert.strictEqual(updated.updatedBy, 'key:admin');
+  assert.strictEqual((await jobScheduler.runJob('by-operator')).status, 'success');
+  commandPolicy.updatePolicy({});
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.METRICS_DEVICE_GAUGES = 'true';
+const { Registry } = require('../utils/metrics');
+const oltMetrics = require('../services/OltMetrics');
+
+test('Registry genera el formato de texto de Prometheus', () => {
+  const registry = new Registry();
+  const counter = registry.counter({ name: 'test_total', help: 'Contador', labelNames: ['kind'] });
+  const histogram = registry.histogram({ name: 'test_seconds', help: 'Histograma', buckets: [0.1, 1] });
+  counter.inc({ kind: 'a"b' });
+  counter.inc({ kind: 'a"b' }, 2);
+  histogram.observe({}, 0.5);
+
+  assert.strictEqual(registry.render(), [
+    '# HELP test_total Contador',
+    '# TYPE test_total counter',
+    'test_total{kind="a\\"b"} 3',
+    '# HELP test_seconds Histograma',
+    '# TYPE test_seconds histogram',
+    'test_seconds_bucket{le="0.1"} 0',
+    'test_seconds_bucket{le="1"} 1',
+    'test_seconds_bucket{le="+Inf"} 1',
+    'test_seconds_sum 0.5',
+    'test_seconds_count 1',
+    ''
+  ].join('\n'));
+  assert.throws(() => registry.gauge({ name: 'test_total', help: 'Duplicada' }));
+});
+
+test('las familias de comandos agrupan los argumentos', () => {
+  assert.strictEqual(oltMetrics.getCommandFamily('show onu state gpon 0/1'), 'show onu');
+  assert.strictEqual(oltMetrics.getCommandFamily('interface gpon 0/1'), 'interface');
+  assert.strictEqual(oltMetrics.getCommandFamily('  display board 0'), 'display board');
+  assert.strictEqual(oltMetrics.getCommandFamily('?'), 'other');
+});
+
+test('los indicadores de ONU sustituyen los valores anteriores del puerto PON', () => {
+  const render = () => oltMetrics.registry.render().split('\n').filter(line => line.startsWith('olt_onu_'));
+
+  oltMetrics.recordOnuTelemetry('10.0.0.1', [
+    { ponPort: '0/1', onuId: 1, operState: 'working', rxPower: -20.5 },
+    { ponPort: '0/1', onuId: 2, operState: 'LOS', rxPower: -28 }
+  ]);
+  oltMetrics.recordOnuTelemetry('10.0.0.1', [{ ponPort: '0/1', onuId: 1, operState: null, rxPower: -21 }]);
+
+  assert.deepStrictEqual(render(), [
+    'olt_onu_count{host="10.0.0.1",pon_port="0/1",status="online"} 1',
+    'olt_onu_count{host="10.0.0.1",pon_port="0/1",status="offline"} 1',
+    'olt_onu_rx_power_dbm{host="10.0.0.1",pon_port="0/1",onu_id="1"} -21'
+  ]);
+});
@@ -0,0 +1,336 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-api-test-'));
+process.env.AUTH_ADMIN_KEY = 'clave-de-administracion';
+process.env.OLT_CREDENTIALS_KEY = 'clave-de-credenciales';
+const app = require('../app');
+const poolRegistry = require('../services/OltPoolRegistry');
+const VsolOltSimulator = require('../simulator/VsolOltSimulator');
+
+const CREDENTIALS = { username: 'admin', password: 'Sim-Pass-1', enablePassword: 'Sim-Enable-1' };
+
+const simulator = new VsolOltSimulator({ ...CREDENTIALS, pageLines: 10 });
+let server;
+let baseUrl;
+let oltPort;
+
+/**
+ * Hace una petición a la API, por defecto con la clave de administración
+ * @param {string} method - Método HTTP
+ * @param {string} url - Ruta (p. ej. /api/olt/connect)
+ * @param {Object} [body] - Cuerpo JSON
+ * @param {string} [token] - Credencial (por defecto AUTH_ADMIN_KEY)
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function api(method, url, body, token = process.env.AUTH_ADMIN_KEY) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Abre una sesión contra el simulador
+ * @param {Object} [extra] - Parámetros adicionales de /connect
+ * @returns {Promise<string>} - ID de la sesión
+ */
+async function connect(extra = {}) {
+  const { status, body } = await api('POST', '/api/olt/connect', { ip: '127.0.0.1', port: oltPort, ...CREDENTIALS, ...extra });
+  assert.strictEqual(status, 200, body.message);
+  return body.sessionId;
+}
+
+before(async () => {
+  oltPort = await simulator.start();
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await poolRegistry.closeAll();
+  await simulator.stop();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('connect hace login, detecta el perfil VSOL por el banner y aprende el hostname', async () => {
+  const { status, body } = await api('POST', '/api/olt/connect', { ip: '127.0.0.1', port: oltPort, ...CREDENTIALS });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status.deviceProfile, 'vsol');
+  assert.strictEqual(body.status.currentPrompt, 'OLT>');
+  assert.deepStrictEqual(body.status.modeStack, ['user']);
+
+  const failed = await api('POST', '/api/olt/connect', { ip: '127.0.0.1', port: oltPort, ...CREDENTIALS, password: 'incorrecta' });
+  assert.strictEqual(failed.status, 500);
+  assert.match(failed.body.message, /Credenciales incorrectas/);
+
+  assert.strictEqual((await api('POST', '/api/olt/disconnect', { sessionId: body.sessionId })).status, 200);
+});
+
+test('connect y enable requieren el rol operator', async () => {
+  const readOnly = await api('POST', '/api/auth/keys', { name: 'consulta', role: 'read-only' });
+  assert.strictEqual(readOnly.status, 201, readOnly.body.message);
+  const operator = await api('POST', '/api/auth/keys', { name: 'operación', role: 'operator' });
+  assert.strictEqual(operator.status, 201, operator.body.message);
+  const sent = simulator.commands.length;
+
+  const refused = await api('POST', '/api/olt/connect', { ip: '127.0.0.1', port: oltPort, ...CREDENTIALS }, readOnly.body.key);
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.message, 'Esta operación requiere el rol operator');
+
+  const opened = await api('POST', '/api/olt/connect', { ip: '127.0.0.1', port: oltPort, ...CREDENTIALS }, operator.body.key);
+  assert.strictEqual(opened.status, 200, opened.body.message);
+  const { sessionId } = opened.body;
+  assert.strictEqual((await api('POST', '/api/olt/enable', { sessionId }, readOnly.body.key)).status, 403);
+  assert.deepStrictEqual(simulator.commands.slice(sent).map(({ command }) => command).filter(command => command === 'enable'), []);
+
+  const enabled = await api('POST', '/api/olt/enable', { sessionId }, operator.body.key);
+  assert.strictEqual(enabled.status, 200, enabled.body.message);
+
+  assert.strictEqual((await api('POST', '/api/olt/disconnect', { sessionId })).status, 200);
+});
+
+test('send-command devuelve las ONU de show onu state y la tabla de show mac address-table', async () => {
+  const sessionId = await connect();
+
+  const onus = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu state' });
+  assert.strictEqual(onus.status, 200);
+  assert.deepStrictEqual(onus.body.data.map(onu => [onu.ponPort, onu.onuId, onu.operState]), [
+    ['0/1', 1, 'working'],
+    ['0/1', 2, 'offline'],
+    ['0/1', 3, 'offline']
+  ]);
+
+  const macs = await api('POST', '/api/olt/send-command', { sessionId, command: 'show mac address-table' });
+  assert.strictEqual(macs.status, 200);
+  assert.deepStrictEqual(macs.body.data[0], { vlan: '100', macAddress: 'a0b1.c2d3.e4f5', type: 'dynamic', port: 'GPON 0/1:1', state: 'learned' });
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('show running-config se recibe completo a través de --More-- y sin secretos', async () => {
+  const sessionId = await connect();
+
+  const { status, body } = await api('POST', '/api/olt/send-command', { sessionId, command: 'show running-config' });
+  assert.strictEqual(status, 200);
+  assert.doesNotMatch(body.response, /--More--/);
+  assert.match(body.response, /^hostname OLT$/m);
+  assert.match(body.response, /^interface ge 0\/1$/m);
+  assert.match(body.response, /^end$/m);
+  assert.match(body.response, /snmp-server community \*\*\*\*\*\* rw/);
+  assert.doesNotMatch(body.response, /Pr1vateRW|Pppoe001|Adm1nPass/);
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('stream-command entrega la salida paginada página a página', async () => {
+  const sessionId = await connect();
+
+  const response = await fetch(`${baseUrl}/api/olt/stream-command?sessionId=${encodeURIComponent(sessionId)}&command=${encodeURIComponent('show running-config')}`, {
+    headers: { Authorization: `Bearer ${process.env.AUTH_ADMIN_KEY}` }
+  });
+  const events = (await response.text()).trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+  const pages = events.filter(({ event }) => event === 'page');
+  assert.ok(pages.length > 1);
+  assert.ok(pages[pages.length - 1].data.last);
+  assert.strictEqual(events[events.length - 1].event, 'result');
+  assert.strictEqual(pages.map(({ data }) => data.text).join('\n').split('\n').filter(line => line.startsWith('interface ')).length, 3);
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('configMode entra con la contraseña de enable y los submodos y el hostname se siguen por el prompt', async () => {
+  const sessionId = await connect();
+
+  const renamed = await api('POST', '/api/olt/send-command', { sessionId, command: 'hostname OLT-LAB', configMode: true });
+  assert.strictEqual(renamed.status, 200);
+  assert.strictEqual(renamed.body.status.currentPrompt, 'OLT-LAB(config)#');
+
+  const batch = await api('POST', '/api/olt/send-commands', {
+    sessionId,
+    commands: ['interface gpon 0/1', 'onu 4 type HG325AX sn GPON00FFEE01']
+  });
+  assert.strictEqual(batch.status, 200, batch.body.message);
+  assert.deepStrictEqual(batch.body.status.modeStack, ['user', 'enable', 'config', 'interface']);
+  assert.strictEqual(batch.body.status.currentPrompt, 'OLT-LAB(config-pon-0/1)#');
+
+  const back = await api('POST', '/api/olt/send-command', { sessionId, command: 'end' });
+  assert.deepStrictEqual(back.body.status.modeStack, ['user', 'enable']);
+
+  const received = simulator.commands.slice(-5).map(({ command, mode }) => `${mode}: ${command}`);
+  assert.deepStrictEqual(received, [
+    'enable: configure terminal',
+    'config: hostname OLT-LAB',
+    'config: interface gpon 0/1',
+    'interface: onu 4 type HG325AX sn GPON00FFEE01',
+    'interface: end'
+  ]);
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('los comandos que la OLT no reconoce responden 422 con el error y su columna', async () => {
+  const sessionId = await connect();
+
+  const { status, body } = await api('POST', '/api/olt/send-command', { sessionId, command: 'show frobnicate' });
+  assert.strictEqual(status, 422);
+  assert.deepStrictEqual(body.deviceError, { code: 'UNKNOWN_COMMAND', message: '% Unknown command.', column: 5 });
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('un comando que no es texto responde 400 sin llegar a la política ni a la OLT', async () => {
+  const single = await api('POST', '/api/olt/send-command', { sessionId: 'cualquiera', command: ['show version', 'reboot'] });
+  assert.strictEqual(single.status, 400);
+  assert.strictEqual(single.body.message, 'command debe ser un texto');
+
+  assert.strictEqual((await api('POST', '/api/olt/execute', { oltId: 'cualquiera', command: 42 })).status, 400);
+
+  const batch = await api('POST', '/api/olt/send-commands', { sessionId: 'cualquiera', commands: ['show version', { command: { text: 'reboot' } }] });
+  assert.strictEqual(batch.status, 400);
+  assert.match(batch.body.message, /commands\[1\]\.command/);
+
+  const stream = await fetch(`${baseUrl}/api/olt/stream-command?sessionId=cualquiera&command=a&command=b`, {
+    headers: { Authorization: `Bearer ${process.env.AUTH_ADMIN_KEY}` },
+    signal: AbortSignal.timeout(5000)
+  });
+  assert.strictEqual(stream.status, 400);
+  assert.strictEqual((await stream.json()).message, 'command debe ser un texto');
+});
+
+test('las salidas programadas del simulador prevalecen sobre las de los ficheros', async () => {
+  const sessionId = await connect();
+
+  const found = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu auto-find' });
+  assert.strictEqual(found.body.data.length, 3);
+
+  simulator.setOutput('show onu auto-find', (command, session) => `  Onuindex    Sn              Model             Password    LOID\r\n  ${'-'.repeat(70)}\r\n  GPON0/8:1   SIMU${session.hostname}01    V2802GWT          N/A         N/A`);
+  const scripted = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu auto-find' });
+  assert.strictEqual(scripted.status, 200);
+  assert.deepStrictEqual(scripted.body.data.map(onu => [onu.ponPort, onu.serialNumber]), [['0/8', 'SIMUOLT01']]);
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('las respuestas lentas y la basura antes de la respuesta no impiden reconocer el prompt', async () => {
+  const sessionId = await connect();
+
+  simulator.addFault({ type: 'delay', match: 'show onu state', delayMs: 300, times: 1 });
+  const start = Date.now();
+  const slow = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu state' });
+  assert.strictEqual(slow.status, 200);
+  assert.ok(Date.now() - start >= 300);
+  assert.strictEqual(slow.body.data.length, 3);
+
+  simulator.addFault({ type: 'garbage', match: /^show onu/, bytes: 64, times: 1 });
+  const noisy = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu state' });
+  assert.strictEqual(noisy.status, 200);
+  assert.strictEqual(noisy.body.data.length, 3);
+
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
+
+test('un corte de la conexión falla el comando o, con autoReconnect, lo repite tras reconectar', async () => {
+  const sessionId = await connect();
+  simulator.addFault({ type: 'drop', match: 'show onu info', afterLines: 2, times: 1 });
+  const dropped = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu info' });
+  assert.strictEqual(dropped.status, 500);
+  assert.match(dropped.body.message, /Conexión/);
+  const status = await api('GET', `/api/olt/status/${encodeURIComponent(sessionId)}`);
+  assert.strictEqual(status.body.status.connected, false);
+  await api('POST', '/api/olt/disconnect', { sessionId });
+
+  const resilient = await connect({ autoReconnect: true });
+  simulator.addFault({ type: 'drop', match: 'show onu info', times: 1 });
+  const replayed = await api('POST', '/api/olt/send-command', { sessionId: resilient, command: 'show onu info' });
+  assert.strictEqual(replayed.status, 200);
+  assert.strictEqual(replayed.body.data.length, 5);
+  assert.strictEqual(replayed.body.status.reconnect.count, 1);
+  await api('POST', '/api/olt/disconnect', { sessionId: resilient });
+});
+
+test('execute usa el pool de conexiones de una OLT del inventario', async () => {
+  const created = await api('POST', '/api/olts', { id: 'sim', host: '127.0.0.1', port: oltPort, deviceProfile: 'vsol', ...CREDENTIALS });
+  assert.strictEqual(created.status, 201);
+
+  const { status, body } = await api('POST', '/api/olt/execute', { oltId: 'sim', command: 'show onu auth-info' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.oltId, 'sim');
+  assert.ok(body.data.length > 0);
+});
+
+test('las copias de configuración, sus diff y el envío se devuelven sin secretos', async () => {
+  const secrets = ['Pr1vateRW', 'Pr1vateRW2', 'Adm1nPass', 'NocPass99', 'EnablePass1', 'Pppoe001', 'Pppoe001-new', 'Pppoe002', 'Pppoe101'];
+  const assertNoSecrets = (body) => secrets.forEach(secret => assert.ok(!JSON.stringify(body).includes(secret), `${secret} aparece en la respuesta`));
+  const running = fs.readFileSync(path.join(__dirname, 'fixtures/vsol/show-running-config.txt'), 'utf8').replace(/\r?\n$/, '');
+  const base = '/api/olt/sim/config-backups';
+
+  assert.strictEqual((await api('POST', base)).status, 201);
+  simulator.setOutput('show running-config', running.replace('Pppoe001', 'Pppoe001-new').replace('Pr1vateRW', 'Pr1vateRW2'));
+  assert.strictEqual((await api('POST', base)).status, 201);
+
+  const version = await api('GET', `${base}/1`);
+  assert.strictEqual(version.status, 200);
+  assert.match(version.body.content, /snmp-server community \*\*\*\*\*\* rw/);
+  assertNoSecrets(version.body);
+
+  const unified = await api('GET', `${base}/diff?from=1&to=2`);
+  assert.strictEqual(unified.status, 200);
+  assert.strictEqual(unified.body.stats.added, 2);
+  assertNoSecrets(unified.body);
+
+  const sections = await api('GET', `${base}/diff?from=1&to=2&format=sections`);
+  assert.deepStrictEqual(sections.body.sections.map(({ section }) => section), ['global', 'interface:gpon 0/1']);
+  assertNoSecrets(sections.body);
+
+  const dryRun = await api('POST', `${base}/push`, { version: 1, dryRun: true });
+  assert.strictEqual(dryRun.status, 200);
+  assert.strictEqual(dryRun.body.summary.toApply, 2);
+  assertNoSecrets(dryRun.body);
+
+  const pushed = await api('POST', `${base}/push`, { version: 1 });
+  assert.strictEqual(pushed.status, 200, pushed.body.message);
+  assertNoSecrets(pushed.body);
+  assert.ok(simulator.commands.some(({ command }) => command.endsWith('password Pppoe001')));
+});
+
+test('la política de comandos se aplica a los trabajos programados, al envío de configuración y al aprovisionamiento', async () => {
+  const jobScheduler = require('../services/JobScheduler');
+  const job = await api('POST', '/api/jobs', { id: 'mac-sim', schedule: '*/5 * * * *', command: 'show mac address-table', oltIds: ['sim'], enabled: false });
+  assert.strictEqual(job.status, 201, job.body.message);
+  assert.strictEqual(job.body.job.role, 'admin');
+
+  const policy = await api('PUT', '/api/auth/policy', { olts: { sim: { deny: ['^show\\s+mac\\b', '^snmp-server\\b', '^no\\s+onu\\b'] } } });
+  assert.strictEqual(policy.status, 200, policy.body.message);
+  const sent = simulator.commands.length;
+
+  // Un trabajo nuevo se rechaza al crearlo; uno que ya existía, al ejecutarse
+  const rejected = await api('POST', '/api/jobs', { id: 'mac-sim-2', schedule: '*/5 * * * *', command: 'show mac address-table', oltIds: ['sim'], enabled: false });
+  assert.strictEqual(rejected.status, 403);
+  assert.match(rejected.body.message, /Comando no autorizado: Comando prohibido para la OLT sim/);
+  const run = await jobScheduler.runJob('mac-sim', 'scheduled');
+  assert.strictEqual(run.status, 'failed');
+  assert.match(run.results[0].error, /Comando no autorizado: Comando prohibido para la OLT sim/);
+
+  const pushed = await api('POST', '/api/olt/sim/config-backups/push', { version: 1 });
+  assert.strictEqual(pushed.status, 422);
+  assert.match(pushed.body.results.find(result => result.status === 'rejected').error, /Comando no autorizado/);
+
+  const deleted = await api('DELETE', '/api/olt/sim/onus/0/1/1');
+  assert.strictEqual(deleted.status, 403);
+  assert.ok(deleted.body.commands.includes('show onu info'));
+
+  const denied = simulator.commands.slice(sent).filter(({ command }) => /^(show mac|snmp-server|no onu)/.test(command));
+  assert.deepStrictEqual(denied, []);
+  await api('PUT', '/api/auth/policy', {});
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-pool-test-'));
+const OltConnectionPool = require('../services/OltConnectionPool');
+const VsolOltSimulator = require('../simulator/VsolOltSimulator');
+
+const CREDENTIALS = { username: 'admin', password: 'Pool-Pass-1', enablePassword: 'Pool-Enable-1' };
+
+const simulator = new VsolOltSimulator(CREDENTIALS);
+let target;
+
+/**
+ * Espera a que se cumpla una condición, comprobándola cada 20 ms
+ * @param {Function} predicate - Condición
+ */
+async function waitUntil(predicate) {
+  const deadline = Date.now() + 5000;
+  while (!predicate()) {
+    assert.ok(Date.now() < deadline, 'Timeout esperando el estado del pool');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+before(async () => {
+  const port = await simulator.start();
+  target = { host: '127.0.0.1', port, deviceProfile: 'vsol', ...CREDENTIALS };
+});
+
+after(async () => {
+  await simulator.stop();
+});
+
+test('las conexiones se prestan hasta el máximo, se reutilizan al devolverlas y las peticiones en espera las reciben', async () => {
+  const pool = new OltConnectionPool('sim', target, { min: 0, max: 2, acquireTimeout: 300 });
+  try {
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert.notStrictEqual(first, second);
+    assert.deepStrictEqual(pool.getStats(), { oltId: 'sim', host: '127.0.0.1', min: 0, max: 2, idle: 0, borrowed: 2, creating: 0, waiting: 0 });
+
+    // Con el pool lleno, la petición espera a que se devuelva una conexión
+    const waiting = pool.acquire();
+    assert.strictEqual(pool.getStats().waiting, 1);
+    await first.enterConfigMode();
+    await pool.release(first);
+    assert.strictEqual(await waiting, first);
+    assert.strictEqual(first.isInConfigMode(), false, 'la conexión se devuelve fuera del modo configuración');
+
+    await assert.rejects(pool.acquire(), /Timeout esperando una conexión libre/);
+    assert.strictEqual(pool.getStats().waiting, 0);
+
+    // Se reutiliza la conexión libre más reciente
+    await pool.release(second);
+    await pool.release(first);
+    assert.strictEqual(await pool.withConnection(async manager => manager), first);
+    assert.strictEqual(pool.getStats().idle, 2);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('las conexiones caídas se descartan al prestar y al devolver', async () => {
+  const pool = new OltConnectionPool('sim', target, { min: 0, max: 2 });
+  try {
+    const borrowed = await pool.acquire();
+    const idle = await pool.acquire();
+    await pool.release(idle);
+
+    simulator.dropConnections();
+    await waitUntil(() => !borrowed.getStatus().connected && !idle.getStatus().connected);
+
+    await pool.release(borrowed);
+    assert.strictEqual(pool.getStats().idle, 1, 'una conexión caída no vuelve a la lista de libres');
+    const fresh = await pool.acquire();
+    assert.ok(fresh !== idle && fresh !== borrowed);
+    assert.ok(pool.isHealthy(fresh));
+    assert.deepStrictEqual(pool.getStats(), { oltId: 'sim', host: '127.0.0.1', min: 0, max: 2, idle: 0, borrowed: 1, creating: 0, waiting: 0 });
+  } finally {
+    await pool.close();
+  }
+});
+
+test('el mantenimiento cierra las conexiones ociosas por encima del mínimo y las que fallan la comprobación de salud', async () => {
+  const pool = new OltConnectionPool('sim', target, { min: 1, max: 3, idleTimeout: 50, healthCheckCommand: 'show version' });
+  try {
+    await waitUntil(() => pool.getStats().idle === 1);
+    const managers = [await pool.acquire(), await pool.acquire(), await pool.acquire()];
+    for (const manager of managers) {
+      await pool.release(manager);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Se conserva el mínimo, con la conexión usada más recientemente
+    await pool.runMaintenance();
+    assert.strictEqual(pool.getStats().idle, 1);
+    assert.strictEqual(pool.idle[0].manager, managers[2]);
+    assert.ok(!managers[0].getStatus().connected && !managers[1].getStatus().connected);
+
+    // Una conexión que no responde a la comprobación se cierra y se abre otra para mantener el mínimo
+    simulator.addFault({ type: 'drop', match: 'show version', times: 1 });
+    await pool.runMaintenance();
+    await waitUntil(() => pool.getStats().idle === 1 && pool.idle[0].manager !== managers[2]);
+    assert.strictEqual(managers[2].getStatus().connected, false);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('al cerrar el pool se rechazan las peticiones en espera y las nuevas', async () => {
+  const pool = new OltConnectionPool('sim', target, { min: 0, max: 1 });
+  const manager = await pool.acquire();
+  const waiting = pool.acquire();
+
+  await pool.close();
+  await assert.rejects(waiting, /El pool de conexiones está cerrado/);
+  await assert.rejects(pool.acquire(), /El pool de conexiones está cerrado/);
+  assert.strictEqual(manager.getStatus().connected, false);
+});
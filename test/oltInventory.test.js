@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-inventory-test-'));
+process.env.OLT_CREDENTIALS_KEY = 'clave-de-credenciales';
+const oltInventory = require('../services/OltInventory');
+
+const CREDENTIALS = { username: 'admin', password: 'Inv-Pass-1', enablePassword: 'Inv-Enable-1' };
+
+test('validateOlt rechaza los ids formados sólo por puntos', () => {
+  for (const id of ['.', '..', '...']) {
+    assert.deepStrictEqual(oltInventory.validateOlt({ id }, true), ['id no puede estar formado sólo por puntos']);
+  }
+  assert.deepStrictEqual(oltInventory.validateOlt({ id: 'olt.1' }, true), []);
+});
+
+test('los ids que coinciden con propiedades de Object.prototype no se confunden con OLT existentes', () => {
+  for (const id of ['constructor', 'toString', '__proto__']) {
+    assert.strictEqual(oltInventory.getOlt(id), null);
+    assert.strictEqual(oltInventory.getConnectionTarget(id), null);
+    assert.strictEqual(oltInventory.updateOlt(id, { name: 'x' }), null);
+    assert.strictEqual(oltInventory.deleteOlt(id), false);
+  }
+
+  // También se pueden dar de alta, consultar y eliminar como cualquier otro id
+  for (const id of ['constructor', '__proto__']) {
+    assert.strictEqual(oltInventory.createOlt({ id, host: '10.0.0.1', ...CREDENTIALS }).id, id);
+    assert.strictEqual(oltInventory.getOlt(id).host, '10.0.0.1');
+    assert.strictEqual(oltInventory.getConnectionTarget(id).password, CREDENTIALS.password);
+    assert.strictEqual(oltInventory.createOlt({ id, host: '10.0.0.2', ...CREDENTIALS }), null);
+  }
+  assert.deepStrictEqual(oltInventory.listOlts().map(olt => olt.id).sort(), ['__proto__', 'constructor']);
+  assert.strictEqual(oltInventory.deleteOlt('__proto__'), true);
+  assert.strictEqual(oltInventory.getOlt('__proto__'), null);
+  assert.deepStrictEqual(oltInventory.listOlts().map(olt => olt.id), ['constructor']);
+});
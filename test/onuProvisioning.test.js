@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-onu-test-'));
+const onuProvisioning = require('../services/OnuProvisioningService');
+
+const ONU_INFO = fs.readFileSync(path.join(__dirname, 'fixtures/vsol/show-onu-info.txt'), 'utf8');
+const operator = { id: 'op', role: 'operator' };
+
+/**
+ * Crea un gestor de conexión simulado que responde "show onu info" con la salida de ejemplo
+ * @param {Object} [errors] - Mensaje de error de la OLT por comando
+ * @returns {Object}
+ */
+function createManager(errors = {}) {
+  return {
+    profile: { name: 'vsol', vendor: 'VSOL' },
+    enterInterfaceMode: async (name, { transcript }) => transcript.push(`interface ${name}`),
+    exitConfigMode: async ({ transcript }) => transcript.push('end'),
+    sendCommand: async (command, { transcript }) => {
+      transcript.push(command);
+      if (errors[command]) {
+        return { raw: errors[command], deviceError: { code: 'COMMAND_FAILED', message: errors[command] } };
+      }
+      return { raw: command === 'show onu info' ? ONU_INFO : '' };
+    }
+  };
+}
+
+test('validateAuthorization aplica los límites de la OLT VSOL', () => {
+  const valid = { ponPort: '0/1', serialNumber: 'GPON00FFFFFF', profile: 'HG325AX' };
+  assert.deepStrictEqual(onuProvisioning.validateAuthorization({ ...valid, onuId: 128, vlan: 4094, servicePort: 8, gemport: 8 }), []);
+
+  assert.deepStrictEqual(onuProvisioning.validateAuthorization({
+    ...valid,
+    onuId: 129,
+    vlan: 4095,
+    servicePort: 9,
+    gemport: 0
+  }), [
+    'onuId debe ser un entero entre 1 y 128',
+    'vlan debe ser un entero entre 1 y 4094',
+    'servicePort debe ser un entero entre 1 y 8',
+    'gemport debe ser un entero entre 1 y 8'
+  ]);
+  assert.deepStrictEqual(onuProvisioning.validateAuthorization({ ponPort: '0/1; reboot', serialNumber: 'GPON00FFFFF', userVlan: 10 }), [
+    'ponPort debe tener el formato <slot>/<puerto> (p. ej. "0/1")',
+    'serialNumber debe tener 4 caracteres de fabricante y 8 dígitos hexadecimales (p. ej. "GPON00A1B2C3")',
+    'profile es obligatorio',
+    'userVlan y gemport requieren vlan'
+  ]);
+});
+
+test('los campos de texto no admiten espacios ni saltos de línea que añadan comandos', () => {
+  assert.deepStrictEqual(onuProvisioning.validateUpdate('0/1', 1, { description: 'cliente\nreboot', profile: 'a b' }), [
+    'profile sólo puede contener letras, números, ".", "_" y "-" (máximo 32 caracteres)',
+    'description sólo puede contener letras, números, ".", "_" y "-" (máximo 64 caracteres)'
+  ]);
+  assert.deepStrictEqual(onuProvisioning.validateUpdate('0/1', 1, {}), ['Se requiere al menos uno de los campos: profile, description, vlan']);
+});
+
+test('authorizeOnu usa el primer id libre y construye los comandos de alta y de service-port', async () => {
+  const { commands } = await onuProvisioning.authorizeOnu(createManager(), {
+    ponPort: '0/1',
+    serialNumber: 'GPON00FFFFFF',
+    profile: 'HG325AX',
+    description: 'cliente-4',
+    vlan: 100
+  }, operator);
+
+  assert.deepStrictEqual(commands, [
+    'interface gpon 0/1',
+    'show onu info',
+    'onu add 4 profile HG325AX sn GPON00FFFFFF',
+    'onu 4 desc cliente-4',
+    'onu 4 service-port 1 gemport 1 uservlan 100 vlan 100',
+    'interface gpon 0/1',
+    'show onu info',
+    'end'
+  ]);
+
+  const custom = await onuProvisioning.authorizeOnu(createManager(), {
+    ponPort: '0/1', serialNumber: 'GPON00FFFFFF', profile: 'HG325AX', onuId: 20, vlan: 100, userVlan: 10, servicePort: 2, gemport: 3
+  }, operator);
+  assert.ok(custom.commands.includes('onu 20 service-port 2 gemport 3 uservlan 10 vlan 100'));
+
+  await assert.rejects(
+    onuProvisioning.authorizeOnu(createManager(), { ponPort: '0/1', serialNumber: 'gpon00a1b2c3', profile: 'HG325AX' }, operator),
+    error => error.statusCode === 409 && /ya está autorizada en 0\/1:1/.test(error.message)
+  );
+});
+
+test('updateOnu crea el service-port aunque no existiera, pero no oculta otros rechazos de la OLT', async () => {
+  const missing = createManager({ 'no onu 1 service-port 1': '% The service-port does not exist.' });
+  const { commands } = await onuProvisioning.updateOnu(missing, '0/1', 1, { vlan: 200 }, operator);
+  assert.deepStrictEqual(commands.slice(2, 4), ['no onu 1 service-port 1', 'onu 1 service-port 1 gemport 1 uservlan 200 vlan 200']);
+
+  const rejected = createManager({ 'no onu 1 service-port 1': '% Unknown command.' });
+  await assert.rejects(
+    onuProvisioning.updateOnu(rejected, '0/1', 1, { vlan: 200 }, operator),
+    error => error.statusCode === 422 && error.commands[error.commands.length - 1] === 'no onu 1 service-port 1'
+  );
+});
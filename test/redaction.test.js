@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const redaction = require('../utils/redaction');
+const net = require('net');
+const { formatRunningConfig } = require('../utils/responseFormatter');
+const OltTelnetManager = require('../services/OltTelnetManager');
+
+const CONFIG = [
+  'hostname OLT-Central',
+  'snmp-server community public ro',
+  'snmp-agent community read cipher %^%#abc%^%#',
+  'username admin password 0 Adm1nPass',
+  'interface gpon 0/1',
+  ' onu 1 pppoe 1 username cliente1 password Pp0e!secret',
+  'exit'
+].join('\n');
+
+test('redactConfig oculta comunidades SNMP y contraseñas', () => {
+  assert.strictEqual(redaction.redactConfig(CONFIG), [
+    'hostname OLT-Central',
+    'snmp-server community ****** ro',
+    'snmp-agent community read cipher ******',
+    'username admin password 0 ******',
+    'interface gpon 0/1',
+    ' onu 1 pppoe 1 username cliente1 password ******',
+    'exit'
+  ].join('\n'));
+});
+
+test('los nombres en mayúsculas que contienen SECRET o PASSWORD no se confunden con una contraseña', () => {
+  const message = 'define AUTH_ADMIN_KEY o AUTH_JWT_SECRET para poder usar la API';
+  assert.strictEqual(redaction.redactText(message), message);
+});
+
+test('las contraseñas se ocultan sin distinguir mayúsculas, también tras un "\\n" del volcado del buffer', () => {
+  assert.strictEqual(
+    redaction.redactConfig('Password xyz1\nPASSWORD cipher xyz2\nSecret 5 $1$abc\nBuffer actual: \\npasswd Xyz3'),
+    'Password ******\nPASSWORD cipher ******\nSecret 5 ******\nBuffer actual: \\npasswd ******'
+  );
+});
+
+test('los secretos registrados se ocultan mientras alguna sesión los usa', () => {
+  redaction.registerSecret('Sup3rSecreta');
+  redaction.registerSecret('Sup3rSecreta');
+  redaction.registerSecret('abc');
+  assert.strictEqual(redaction.redactText('enviado Sup3rSecreta y abc'), 'enviado ****** y abc');
+
+  redaction.unregisterSecret('Sup3rSecreta');
+  assert.strictEqual(redaction.redactText('Sup3rSecreta'), '******');
+  redaction.unregisterSecret('Sup3rSecreta');
+  assert.strictEqual(redaction.redactText('Sup3rSecreta'), 'Sup3rSecreta');
+});
+
+test('redactSecrets oculta los secretos indicados, los más largos primero', () => {
+  assert.strictEqual(redaction.redactSecrets('clave clave-larga', ['clave', 'clave-larga', null]), '****** ******');
+});
+
+test('una conexión fallida libera las contraseñas que registró', async () => {
+  // Puerto en el que no escucha nadie: la conexión se rechaza antes del login
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const manager = new OltTelnetManager();
+  await assert.rejects(manager.connect('127.0.0.1', port, 'admin', 'Login-Fallido-1', 'Enable-Fallido-1', { deviceProfile: 'vsol' }));
+  assert.strictEqual(redaction.redactText('Login-Fallido-1 Enable-Fallido-1'), 'Login-Fallido-1 Enable-Fallido-1');
+});
+
+test('redactText oculta el eco del login en los volcados del buffer', () => {
+  assert.strictEqual(
+    redaction.redactText('Buffer actual: \\nLogin: admin\\nPassword: '),
+    'Buffer actual: \\nLogin: ******\\nPassword: '
+  );
+});
+
+test('redactValue oculta los campos sensibles de los metadatos', () => {
+  assert.deepStrictEqual(redaction.redactValue({
+    host: '10.0.0.1',
+    username: 'admin',
+    enablePassword: 'x',
+    nested: { apiKey: 'olt_abc', lines: ['snmp-server community private rw'] },
+    port: 23
+  }), {
+    host: '10.0.0.1',
+    username: '******',
+    enablePassword: '******',
+    nested: { apiKey: '******', lines: ['snmp-server community ****** rw'] },
+    port: 23
+  });
+});
+
+test('formatRunningConfig oculta los secretos salvo con redact: false', () => {
+  const redacted = formatRunningConfig(CONFIG);
+  assert.ok(!redacted.raw.includes('public') && !redacted.raw.includes('Pp0e!secret'));
+  assert.ok(!JSON.stringify(redacted.data).includes('Adm1nPass'));
+  assert.ok(!redacted.formatted.includes('Adm1nPass'));
+
+  const full = formatRunningConfig(CONFIG, { redact: false });
+  assert.strictEqual(full.raw, CONFIG);
+  assert.ok(full.data.sections['interface:gpon 0/1'].includes('onu 1 pppoe 1 username cliente1 password Pp0e!secret'));
+});
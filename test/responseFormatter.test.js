@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { formatRunningConfig } = require('../utils/responseFormatter');
+
+test('formatRunningConfig cierra la sección en la primera línea sin sangría que no pertenece al bloque', () => {
+  const { sections, configData } = formatRunningConfig([
+    'hostname OLT',
+    'interface gpon 0/1',
+    ' description PON-CENTRO',
+    ' onu 1 type HG325AX sn GPON00A1B2C3',
+    'ntp server 10.0.0.1',
+    'interface gpon 0/2',
+    ' description PON-NORTE',
+    '!',
+    'vlan 100',
+    ' name INTERNET',
+    'interface ge 0/1',
+    ' switchport mode trunk',
+    'exit',
+    'end'
+  ].join('\n'), { redact: false }).data;
+
+  assert.deepStrictEqual(sections, {
+    global: ['hostname OLT', 'ntp server 10.0.0.1', 'vlan 100', 'name INTERNET', 'end'],
+    'interface:gpon 0/1': ['interface gpon 0/1', 'description PON-CENTRO', 'onu 1 type HG325AX sn GPON00A1B2C3'],
+    'interface:gpon 0/2': ['interface gpon 0/2', 'description PON-NORTE', '!'],
+    'interface:ge 0/1': ['interface ge 0/1', 'switchport mode trunk', 'exit']
+  });
+  assert.deepStrictEqual(configData[4], { section: 'global', command: 'ntp server 10.0.0.1' });
+});
@@ -0,0 +1,79 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-secret-test-'));
+const secretBox = require('../utils/secretBox');
+const oltInventory = require('../services/OltInventory');
+
+const KEY = 'clave-de-credenciales';
+const CREDENTIALS = { username: 'admin', password: 'Inv-Pass-1', enablePassword: 'Inv-Enable-1' };
+
+afterEach(() => {
+  process.env.OLT_CREDENTIALS_KEY = KEY;
+});
+
+test('encrypt/decrypt recuperan el valor con claves hexadecimales, base64 y frases de paso', () => {
+  const value = { username: 'admin', password: 'contraseña', port: 23 };
+  for (const key of [crypto.randomBytes(32).toString('hex'), crypto.randomBytes(32).toString('base64'), KEY]) {
+    process.env.OLT_CREDENTIALS_KEY = key;
+    const first = secretBox.encrypt(value);
+    const second = secretBox.encrypt(value);
+
+    assert.match(first, /^v1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+    assert.notStrictEqual(first, second, 'cada cifrado usa un IV nuevo');
+    assert.ok(!first.includes('contraseña'));
+    assert.deepStrictEqual(secretBox.decrypt(first), value);
+    assert.deepStrictEqual(secretBox.decrypt(second), value);
+  }
+});
+
+test('decrypt falla con otra clave, con datos alterados o con un formato no válido', () => {
+  process.env.OLT_CREDENTIALS_KEY = KEY;
+  const payload = secretBox.encrypt(CREDENTIALS);
+
+  process.env.OLT_CREDENTIALS_KEY = 'otra-clave';
+  assert.throws(() => secretBox.decrypt(payload), /unable to authenticate data/);
+
+  process.env.OLT_CREDENTIALS_KEY = KEY;
+  const [version, iv, tag, data] = payload.split(':');
+  const tampered = Buffer.from(data, 'base64');
+  tampered[0] ^= 1;
+  assert.throws(() => secretBox.decrypt([version, iv, tag, tampered.toString('base64')].join(':')), /unable to authenticate data/);
+
+  assert.throws(() => secretBox.decrypt(`v2:${iv}:${tag}:${data}`), /Formato de secreto cifrado no válido/);
+  assert.throws(() => secretBox.decrypt(undefined), /Formato de secreto cifrado no válido/);
+
+  delete process.env.OLT_CREDENTIALS_KEY;
+  assert.throws(() => secretBox.encrypt(CREDENTIALS), /No se ha configurado la clave de cifrado OLT_CREDENTIALS_KEY/);
+});
+
+test('el inventario guarda las credenciales cifradas y sólo las descifra con la misma clave', () => {
+  process.env.OLT_CREDENTIALS_KEY = KEY;
+  const olt = oltInventory.createOlt({ id: 'central', host: '10.0.0.1', ...CREDENTIALS });
+  assert.strictEqual(olt.hasCredentials, true);
+  assert.ok(!('credentials' in olt) && !('password' in olt));
+
+  const stored = fs.readFileSync(path.join(process.env.DATA_DIR, 'olts.json'), 'utf8');
+  Object.values(CREDENTIALS).forEach(secret => assert.ok(!stored.includes(secret), `${secret} se guarda en claro`));
+
+  assert.deepStrictEqual(oltInventory.getConnectionTarget('central'), {
+    host: '10.0.0.1',
+    port: 23,
+    protocol: 'telnet',
+    deviceProfile: 'auto',
+    ...CREDENTIALS
+  });
+
+  // Al cambiar una credencial se conservan las demás
+  oltInventory.updateOlt('central', { enablePassword: 'Inv-Enable-2' });
+  assert.strictEqual(oltInventory.getConnectionTarget('central').enablePassword, 'Inv-Enable-2');
+  assert.strictEqual(oltInventory.getConnectionTarget('central').password, CREDENTIALS.password);
+
+  process.env.OLT_CREDENTIALS_KEY = 'otra-clave';
+  assert.throws(() => oltInventory.getConnectionTarget('central'), /unable to authenticate data/);
+  assert.throws(() => oltInventory.updateOlt('central', { password: 'Inv-Pass-2' }), /unable to authenticate data/);
+});
@@ -0,0 +1,85 @@
+const { test, mock, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.SESSION_IDLE_TIMEOUT_MS = '1000';
+process.env.SESSION_MAX_LIFETIME_MS = '5000';
+const logger = require('../utils/logger');
+const sessionRegistry = require('../services/SessionRegistry');
+
+after(() => {
+  sessionRegistry.stopReaper();
+});
+
+/**
+ * Crea un gestor de conexión falso con el estado indicado
+ * @param {Object} [state] - Estado de la conexión
+ * @returns {Object}
+ */
+function createManager({ connected = true, reconnecting = false, busy = false, lastActivityAt = null, disconnectError = null } = {}) {
+  return {
+    connected,
+    lastActivityAt,
+    disconnected: false,
+    setAuditContext() {},
+    isBusy: () => busy,
+    getStatus() {
+      return { connected: this.connected, reconnect: { reconnecting } };
+    },
+    async disconnect() {
+      this.disconnected = true;
+      if (disconnectError) {
+        throw new Error(disconnectError);
+      }
+    }
+  };
+}
+
+test('el recolector cierra las sesiones desconectadas, caducadas o inactivas e indica el motivo', async () => {
+  const start = Date.now();
+  mock.method(Date, 'now', () => start);
+  const reasons = new Map();
+  mock.method(logger, 'info', (message) => {
+    const match = /^Cerrando sesión (\S+): (.*)$/.exec(message);
+    if (match) {
+      reasons.set(match[1], match[2]);
+    }
+  });
+
+  try {
+    // Sesión abierta hace más del tiempo de vida máximo (aunque esté ocupada)
+    sessionRegistry.addSession('caducada', createManager({ busy: true }));
+    Date.now.mock.mockImplementation(() => start + 4000);
+
+    const managers = {
+      cerrada: createManager({ connected: false, lastActivityAt: start + 4000, disconnectError: 'socket ya cerrado' }),
+      reconectando: createManager({ connected: false, reconnecting: true, lastActivityAt: start + 5500 }),
+      inactiva: createManager({ lastActivityAt: start + 2500 }),
+      ocupada: createManager({ busy: true, lastActivityAt: start + 2500 }),
+      activa: createManager({ lastActivityAt: start + 5500 })
+    };
+    Object.entries(managers).forEach(([sessionId, manager]) => sessionRegistry.addSession(sessionId, manager));
+
+    Date.now.mock.mockImplementation(() => start + 6000);
+    await sessionRegistry.reapSessions();
+
+    assert.deepStrictEqual(Object.fromEntries(reasons), {
+      caducada: 'tiempo de vida máximo superado (5000ms)',
+      cerrada: 'conexión cerrada',
+      inactiva: 'inactividad superior a 1000ms'
+    });
+    assert.deepStrictEqual(sessionRegistry.listSessions().map(session => session.sessionId), ['reconectando', 'ocupada', 'activa']);
+    // Un error al cerrar la conexión no impide retirar la sesión
+    assert.strictEqual(managers.cerrada.disconnected, true);
+    assert.strictEqual(sessionRegistry.getSession('cerrada'), null);
+    assert.strictEqual(managers.ocupada.disconnected, false);
+
+    // La sesión que se reconectaba y no lo consigue se cierra en la siguiente pasada
+    managers.reconectando.getStatus = () => ({ connected: false, reconnect: { reconnecting: false } });
+    await sessionRegistry.reapSessions();
+    assert.strictEqual(reasons.get('reconectando'), 'conexión cerrada');
+    assert.strictEqual(sessionRegistry.getSessionCount(), 2);
+  } finally {
+    mock.restoreAll();
+    ['ocupada', 'activa'].forEach(sessionId => sessionRegistry.removeSession(sessionId));
+  }
+});
@@ -0,0 +1,128 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-ssh-test-'));
+const { Server, utils } = require('ssh2');
+const OltTelnetManager = require('../services/OltTelnetManager');
+const SshTransport = require('../services/transports/SshTransport');
+const VsolOltSimulator = require('../simulator/VsolOltSimulator');
+
+const CREDENTIALS = { username: 'admin', password: 'Ssh-Pass-1', enablePassword: 'Ssh-Enable-1' };
+
+// La OLT simulada atiende el shell de cada conexión SSH (pide de nuevo usuario y contraseña, como algunas VSOL)
+const simulator = new VsolOltSimulator({ ...CREDENTIALS, pageLines: 10 });
+const hostKey = utils.generateKeyPairSync('ed25519');
+const fingerprint = `SHA256:${crypto.createHash('sha256').update(utils.parseKey(hostKey.public).getPublicSSH()).digest('base64').replace(/=+$/, '')}`;
+let server;
+let port;
+let onShell = channel => simulator.handleConnection(channel);
+
+before(async () => {
+  server = new Server({ hostKeys: [hostKey.private] }, (client) => {
+    client.on('authentication', (ctx) => {
+      if (ctx.method === 'password' && ctx.username === CREDENTIALS.username && ctx.password === CREDENTIALS.password) {
+        ctx.accept();
+      } else {
+        ctx.reject(['password']);
+      }
+    });
+    client.on('ready', () => {
+      client.on('session', (accept) => {
+        const session = accept();
+        session.on('pty', accept => accept());
+        session.on('shell', accept => onShell(accept()));
+      });
+    });
+    client.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  simulator.dropConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Lee las claves de host guardadas
+ * @returns {Object}
+ */
+function readKnownHosts() {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'ssh-known-hosts.json'), 'utf8'));
+}
+
+test('por SSH se hace login en el shell, se detecta el prompt y se recorre la paginación', async () => {
+  const manager = new OltTelnetManager();
+  await manager.connect('127.0.0.1', port, CREDENTIALS.username, CREDENTIALS.password, CREDENTIALS.enablePassword, { protocol: 'ssh', deviceProfile: 'vsol' });
+  try {
+    assert.strictEqual(manager.getStatus().protocol, 'ssh');
+    assert.strictEqual(manager.getStatus().currentPrompt, 'OLT>');
+
+    const response = await manager.sendCommand('show running-config', { redact: false });
+    const raw = typeof response === 'object' ? response.raw : response;
+    assert.ok(!raw.includes('--More--'));
+    assert.match(raw, /hostname OLT/);
+    assert.ok(raw.split('\n').length > 10, 'la respuesta debe incluir todas las páginas');
+
+    // Con accept-new, la primera conexión guarda la clave de host
+    assert.strictEqual(readKnownHosts()[`127.0.0.1:${port}`].fingerprint, fingerprint);
+  } finally {
+    manager.disconnect();
+  }
+});
+
+test('la conexión se rechaza si la clave de host no coincide con la fijada o con la conocida', async () => {
+  const connect = transportOptions => new OltTelnetManager().connect('127.0.0.1', port, CREDENTIALS.username, CREDENTIALS.password, CREDENTIALS.enablePassword, {
+    protocol: 'ssh',
+    deviceProfile: 'vsol',
+    transportOptions
+  });
+
+  await assert.rejects(connect({ hostFingerprint: `SHA256:${'A'.repeat(43)}` }), /no coincide con la huella fijada/);
+
+  // Una clave distinta de la guardada para el mismo host:puerto (la OLT ha cambiado o alguien la suplanta)
+  const hostsFile = path.join(process.env.DATA_DIR, 'ssh-known-hosts.json');
+  const saved = fs.readFileSync(hostsFile, 'utf8');
+  fs.writeFileSync(hostsFile, JSON.stringify({ [`127.0.0.1:${port}`]: { fingerprint: `SHA256:${'B'.repeat(43)}` } }));
+  try {
+    await assert.rejects(connect(), /ha cambiado/);
+  } finally {
+    fs.writeFileSync(hostsFile, saved);
+  }
+
+  // En modo strict no se admite un host desconocido
+  fs.writeFileSync(hostsFile, '{}');
+  await assert.rejects(connect({ hostKeyChecking: 'strict' }), /Clave de host desconocida/);
+  assert.deepStrictEqual(readKnownHosts(), {});
+});
+
+test('stderr se decodifica sin romper los caracteres multibyte partidos entre fragmentos', async () => {
+  onShell = (channel) => {
+    const text = Buffer.from('Señal baja\r\n');
+    channel.stderr.write(text.subarray(0, 3));
+    setTimeout(() => channel.stderr.write(text.subarray(3)), 20);
+  };
+  const transport = new SshTransport({ hostFingerprint: fingerprint });
+  let received = '';
+  try {
+    await new Promise((resolve, reject) => {
+      transport.on('error', reject);
+      transport.on('data', (text) => {
+        received += text;
+        if (received.endsWith('\r\n')) {
+          resolve();
+        }
+      });
+      transport.connect({ host: '127.0.0.1', port, ...CREDENTIALS });
+    });
+    assert.strictEqual(received, 'Señal baja\r\n');
+  } finally {
+    transport.destroy();
+    onShell = channel => simulator.handleConnection(channel);
+  }
+});
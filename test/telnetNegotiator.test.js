@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TelnetNegotiator = require('../services/TelnetNegotiator');
+
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const NOP = 241;
+const ECHO = 1;
+const SGA = 3;
+const TTYPE = 24;
+const NAWS = 31;
+
+/**
+ * Procesa un bloque y devuelve las respuestas como listas de bytes
+ * @param {TelnetNegotiator} negotiator - Negociador
+ * @param {number[]} bytes - Bytes recibidos
+ * @returns {{text: string, replies: number[][]}}
+ */
+function parse(negotiator, bytes) {
+  const { text, replies } = negotiator.parse(Buffer.from(bytes));
+  return { text, replies: replies.map(reply => [...reply]) };
+}
+
+test('las secuencias IAC se separan del texto aunque lleguen partidas entre bloques', () => {
+  const negotiator = new TelnetNegotiator();
+  const login = [...Buffer.from('Login: ')];
+
+  assert.deepStrictEqual(parse(negotiator, [...login, IAC]), { text: 'Login: ', replies: [] });
+  assert.deepStrictEqual(parse(negotiator, [WILL]), { text: '', replies: [] });
+  assert.deepStrictEqual(parse(negotiator, [ECHO, IAC, NOP, 0x41]), { text: 'A', replies: [[IAC, DO, ECHO]] });
+
+  // IAC IAC es un 0xFF literal, y un carácter UTF-8 partido se entrega cuando está completo
+  const enie = [...Buffer.from('ñ')];
+  assert.strictEqual(parse(negotiator, [0x42, enie[0]]).text, 'B');
+  assert.strictEqual(parse(negotiator, [enie[1]]).text, 'ñ');
+  assert.strictEqual(negotiator.parse(Buffer.from([IAC, IAC])).text, '�');
+});
+
+test('se aceptan ECHO y SGA del servidor y SGA, NAWS y TTYPE en nuestro extremo; el resto se rechaza', () => {
+  const negotiator = new TelnetNegotiator();
+
+  assert.deepStrictEqual(parse(negotiator, [IAC, WILL, ECHO, IAC, WILL, SGA, IAC, WILL, 99]).replies, [
+    [IAC, DO, ECHO],
+    [IAC, DO, SGA],
+    [IAC, DONT, 99]
+  ]);
+  // Una opción ya activa no se vuelve a confirmar
+  assert.deepStrictEqual(parse(negotiator, [IAC, WILL, ECHO]).replies, []);
+
+  assert.deepStrictEqual(parse(negotiator, [IAC, DO, SGA, IAC, DO, TTYPE, IAC, DO, ECHO]).replies, [
+    [IAC, WILL, SGA],
+    [IAC, WILL, TTYPE],
+    [IAC, WONT, ECHO]
+  ]);
+
+  // DONT/WONT sólo se responden si la opción estaba activa
+  assert.deepStrictEqual(parse(negotiator, [IAC, DONT, SGA, IAC, DONT, SGA, IAC, WONT, ECHO, IAC, WONT, 99]).replies, [
+    [IAC, WONT, SGA],
+    [IAC, DONT, ECHO]
+  ]);
+});
+
+test('NAWS anuncia el tamaño de ventana y TTYPE el tipo de terminal', () => {
+  const negotiator = new TelnetNegotiator({ windowWidth: 255, windowHeight: 1024, terminalType: 'ANSI' });
+
+  // Los bytes 0xFF del tamaño se duplican dentro de la subnegociación
+  assert.deepStrictEqual(parse(negotiator, [IAC, DO, NAWS]).replies, [
+    [IAC, WILL, NAWS],
+    [IAC, SB, NAWS, 0, IAC, IAC, 4, 0, IAC, SE]
+  ]);
+  // Una nueva petición de NAWS vuelve a enviar el tamaño, sin repetir WILL
+  assert.deepStrictEqual(parse(negotiator, [IAC, DO, NAWS]).replies, [[IAC, SB, NAWS, 0, IAC, IAC, 4, 0, IAC, SE]]);
+
+  assert.deepStrictEqual(parse(negotiator, [IAC, SB, TTYPE, 1, IAC, SE]).replies, [
+    [IAC, SB, TTYPE, 0, ...Buffer.from('ANSI'), IAC, SE]
+  ]);
+  // Otras subnegociaciones se ignoran sin mezclarse con el texto
+  assert.deepStrictEqual(parse(negotiator, [IAC, SB, NAWS, IAC, IAC, 1, IAC, SE, 0x4f, 0x4b]), { text: 'OK', replies: [] });
+});
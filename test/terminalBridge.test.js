@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'olt-terminal-test-'));
+process.env.AUTH_ADMIN_KEY = 'clave-de-administracion';
+const WebSocket = require('ws');
+const app = require('../app');
+const { TERMINAL_PATH, attachTerminalServer } = require('../services/TerminalBridge');
+const auditLog = require('../services/AuditLogService');
+const VsolOltSimulator = require('../simulator/VsolOltSimulator');
+
+const CREDENTIALS = { username: 'admin', password: 'Term-Pass-1', enablePassword: 'Term-Enable-1' };
+
+const simulator = new VsolOltSimulator(CREDENTIALS);
+let server;
+let wss;
+let baseUrl;
+let oltPort;
+
+/**
+ * Hace una petición a la API con la clave de administración
+ * @param {string} method - Método HTTP
+ * @param {string} url - Ruta
+ * @param {Object} [body] - Cuerpo JSON
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function api(method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { Authorization: `Bearer ${process.env.AUTH_ADMIN_KEY}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Espera a que se cumpla una condición, comprobándola cada 20 ms
+ * @param {Function} predicate - Condición
+ * @param {Function} describe - Descripción del estado para el error de timeout
+ */
+async function waitUntil(predicate, describe = () => '') {
+  const deadline = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timeout esperando la terminal ${describe()}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Abre una terminal sobre una sesión y acumula los mensajes que recibe
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Promise<{ws: WebSocket, messages: Object[], waitForOutput: Function}>}
+ */
+async function openTerminal(sessionId) {
+  const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}${TERMINAL_PATH}?sessionId=${encodeURIComponent(sessionId)}&access_token=${process.env.AUTH_ADMIN_KEY}`);
+  const messages = [];
+  ws.on('message', raw => messages.push(JSON.parse(raw.toString())));
+
+  const output = () => messages.filter(message => message.type === 'output').map(message => message.data).join('');
+  const waitForOutput = pattern => waitUntil(() => pattern.test(output()), () => JSON.stringify(output()));
+
+  await waitUntil(() => messages.length > 0);
+  return { ws, messages, waitForOutput };
+}
+
+/**
+ * Teclea un texto carácter a carácter, como un navegador
+ * @param {WebSocket} ws - WebSocket de la terminal
+ * @param {string} text - Texto
+ */
+function type(ws, text) {
+  for (const char of text) {
+    ws.send(JSON.stringify({ type: 'input', data: char }));
+  }
+}
+
+before(async () => {
+  oltPort = await simulator.start();
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  wss = attachTerminalServer(server);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  wss.close();
+  await simulator.stop();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('la terminal bloquea la sesión y su transcripción no guarda contraseñas ni secretos de la salida', async () => {
+  simulator.setOutput('show snmp', 'snmp-server community Term-Community-1 rw');
+  const connected = await api('POST', '/api/olt/connect', { ip: '127.0.0.1', port: oltPort, ...CREDENTIALS });
+  assert.strictEqual(connected.status, 200, connected.body.message);
+  const { sessionId } = connected.body;
+
+  const terminal = await openTerminal(sessionId);
+  assert.strictEqual(terminal.messages[0].type, 'attached');
+
+  // Con la terminal conectada, la API no puede usar la sesión ni conectar otra terminal
+  assert.strictEqual((await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu info' })).status, 423);
+  const second = await openTerminal(sessionId);
+  assert.deepStrictEqual(second.messages[0], { type: 'error', message: 'La sesión ya tiene una terminal interactiva conectada' });
+
+  // Una contraseña de enable equivocada (no registrada como secreto) y la correcta
+  type(terminal.ws, 'enable\r');
+  await terminal.waitForOutput(/Password: $/);
+  type(terminal.ws, 'Otra-Clave-9\r');
+  await terminal.waitForOutput(/Bad passwords\r\nOLT>$/);
+  type(terminal.ws, 'enable\r');
+  await terminal.waitForOutput(/Password: $/);
+  type(terminal.ws, `${CREDENTIALS.enablePassword}\r`);
+  await terminal.waitForOutput(/OLT#$/);
+  type(terminal.ws, 'show snmp\r');
+  await terminal.waitForOutput(/Term-Community-1 rw\r\nOLT#$/);
+
+  terminal.ws.close();
+  const transcriptDir = path.join(process.env.DATA_DIR, 'terminal-transcripts');
+  let entries = [];
+  await waitUntil(() => {
+    const file = fs.readdirSync(transcriptDir).find(name => name.startsWith(sessionId));
+    entries = file ? fs.readFileSync(path.join(transcriptDir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+    return entries.some(entry => entry.direction === 'detached');
+  });
+
+  const text = JSON.stringify(entries);
+  ['Otra-Clave-9', CREDENTIALS.enablePassword, 'Term-Community-1'].forEach(secret => assert.ok(!text.includes(secret), `${secret} aparece en la transcripción`));
+  assert.deepStrictEqual(
+    entries.filter(entry => entry.direction === 'input').map(entry => entry.data),
+    ['enable\r', '******', 'enable\r', '******', 'show snmp\r']
+  );
+  assert.ok(entries.some(entry => entry.direction === 'output' && entry.data.includes('snmp-server community ****** rw')));
+  assert.strictEqual(entries[entries.length - 1].direction, 'detached');
+
+  // Cada línea enviada desde la terminal queda en la auditoría de comandos, con las contraseñas ocultas
+  const audited = auditLog.queryEntries({ sessionId, source: 'terminal' }).reverse();
+  assert.deepStrictEqual(audited.map(({ command, mode }) => ({ command, mode })), [
+    { command: 'enable', mode: 'user' },
+    { command: '******', mode: 'user' },
+    { command: 'enable', mode: 'user' },
+    { command: '******', mode: 'user' },
+    { command: 'show snmp', mode: 'enable' }
+  ]);
+  assert.ok(audited.every(entry => entry.user === 'admin-key' && entry.host === '127.0.0.1' && entry.outcome === null));
+
+  // Al desconectar la terminal, la sesión vuelve a estar disponible en el modo que dejó el operador
+  const status = await api('POST', '/api/olt/send-command', { sessionId, command: 'show onu info' });
+  assert.strictEqual(status.status, 200, status.body.message);
+  assert.deepStrictEqual(status.body.status.modeStack, ['user', 'enable']);
+  await api('POST', '/api/olt/disconnect', { sessionId });
+});
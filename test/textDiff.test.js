@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffLines, formatUnifiedDiff } = require('../utils/textDiff');
+const configBackup = require('../services/ConfigBackupService');
+const deviceProfiles = require('../services/deviceProfiles');
+
+const toText = operations => operations.map(({ type, text }) => ({ equal: ' ', delete: '-', insert: '+' })[type] + text);
+
+test('diffLines encuentra el diff mínimo y conserva ambos textos', () => {
+  const a = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+  const b = ['c', 'b', 'a', 'b', 'a', 'c'];
+  const operations = diffLines(a, b);
+
+  assert.strictEqual(operations.filter(operation => operation.type !== 'equal').length, 5);
+  assert.deepStrictEqual(operations.filter(operation => operation.type !== 'insert').map(operation => operation.text), a);
+  assert.deepStrictEqual(operations.filter(operation => operation.type !== 'delete').map(operation => operation.text), b);
+  assert.deepStrictEqual(toText(diffLines([], ['x'])), ['+x']);
+  assert.deepStrictEqual(toText(diffLines(['x'], ['x'])), [' x']);
+});
+
+test('formatUnifiedDiff agrupa los cambios en bloques con contexto', () => {
+  const oldLines = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+  const newLines = ['1', '2', 'x', '4', '5', '6', '7', '8', '9', '10', '11'];
+
+  assert.strictEqual(
+    formatUnifiedDiff(diffLines(oldLines, newLines), { fromLabel: 'v1', toLabel: 'v2', context: 1 }),
+    '--- v1\n+++ v2\n@@ -2,3 +2,3 @@\n 2\n-3\n+x\n 4\n@@ -10,1 +10,2 @@\n 10\n+11\n'
+  );
+  assert.strictEqual(formatUnifiedDiff(diffLines(oldLines, oldLines)), '');
+});
+
+test('las líneas volátiles de la configuración no cuentan en el diff por secciones', () => {
+  const profile = deviceProfiles.getDefaultProfile();
+  const strip = content => configBackup.stripVolatileLines(content, profile);
+
+  assert.strictEqual(strip('! Last configuration change at 2026-10-19 10:00:00\nhostname OLT'), 'hostname OLT');
+  assert.deepStrictEqual(
+    configBackup.diffSections(
+      { global: ['hostname OLT', 'vlan 100'], 'interface:gpon 0/1': ['interface gpon 0/1', 'onu 1 desc a'] },
+      { global: ['hostname OLT', 'vlan 100', 'vlan 200'], 'interface:gpon 0/2': ['interface gpon 0/2'] }
+    ),
+    [
+      { section: 'global', status: 'changed', added: ['vlan 200'], removed: [] },
+      { section: 'interface:gpon 0/1', status: 'removed', added: [], removed: ['interface gpon 0/1', 'onu 1 desc a'] },
+      { section: 'interface:gpon 0/2', status: 'added', added: ['interface gpon 0/2'], removed: [] }
+    ]
+  );
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { cleanResponse, formatResponse } = require('../utils/responseFormatter');
+const vsolProfile = require('../services/deviceProfiles/vsol');
+const {
+  parseOnuInfo,
+  parseOnuState,
+  parseOnuAuthList,
+  parseOnuOpticalPower,
+  parseUnauthorizedOnus
+} = require('../utils/vsolOnuParsers');
+
+const readFixture = (name) => cleanResponse(fs.readFileSync(path.join(__dirname, 'fixtures/vsol', name), 'utf8'));
+
+test('parseOnuInfo extrae puerto, id, modelo, perfil y número de serie', () => {
+  const records = parseOnuInfo(readFixture('show-onu-info.txt'));
+
+  assert.strictEqual(records.length, 5);
+  assert.deepStrictEqual(
+    { ponPort: records[0].ponPort, onuId: records[0].onuId, model: records[0].model, profile: records[0].profile, authMode: records[0].authMode, serialNumber: records[0].serialNumber },
+    { ponPort: '0/1', onuId: 1, model: 'HG325AX', profile: 'HG325AX', authMode: 'sn', serialNumber: 'GPON00A1B2C3' }
+  );
+  assert.strictEqual(records[2].model, null);
+});
+
+test('parseOnuInfo tolera valores más anchos que su columna', () => {
+  const records = parseOnuInfo(readFixture('show-onu-info.txt'));
+  const wide = records.find(record => record.onuId === 12);
+
+  assert.strictEqual(wide.model, 'HG8145V5-EXTENDED-MODEL');
+  assert.strictEqual(wide.profile, 'HG8145V5');
+  assert.strictEqual(wide.serialNumber, 'HWTC9F3E2A11');
+});
+
+test('parseOnuInfo no toma AuthInfo como número de serie si la autenticación no es por sn', () => {
+  const records = parseOnuInfo(readFixture('show-onu-info.txt'));
+  const loid = records.find(record => record.onuId === 14);
+
+  assert.strictEqual(loid.authMode, 'loid');
+  assert.strictEqual(loid.serialNumber, null);
+});
+
+test('parseOnuState extrae los estados administrativo, OMCC y operativo', () => {
+  const records = parseOnuState(readFixture('show-onu-state.txt'));
+
+  assert.strictEqual(records.length, 3);
+  assert.deepStrictEqual(
+    records.map(record => [record.onuId, record.adminState, record.omccState, record.operState]),
+    [[1, 'enable', 'enable', 'working'], [2, 'enable', 'enable', 'offline'], [3, 'disable', 'disable', 'offline']]
+  );
+  assert.strictEqual(records[0].distance, null);
+});
+
+test('parseOnuState interpreta la distancia y la causa de la última caída', () => {
+  const records = parseOnuState(readFixture('show-onu-state-extended.txt'));
+
+  assert.deepStrictEqual(
+    records.map(record => [record.ponPort, record.onuId, record.distance, record.lastDownCause]),
+    [['0/2', 1, 1523, 'dying-gasp'], ['0/2', 2, null, 'LOSi'], ['0/2', 7, 12874, null]]
+  );
+});
+
+test('parseOnuAuthList extrae número de serie y descripción sin exponer contraseñas', () => {
+  const records = parseOnuAuthList(readFixture('show-onu-auth-info.txt'));
+
+  assert.strictEqual(records.length, 3);
+  assert.strictEqual(records[0].serialNumber, 'GPON00A1B2C3');
+  assert.strictEqual(records[1].description, 'torre norte piso 3');
+  assert.strictEqual(records[2].description, null);
+  assert.ok(records.every(record => !('password' in record)));
+});
+
+test('parseOnuOpticalPower devuelve las potencias como números', () => {
+  const records = parseOnuOpticalPower(readFixture('show-onu-optical-info.txt'));
+
+  assert.strictEqual(records.length, 3);
+  assert.strictEqual(records[0].rxPower, -19.52);
+  assert.strictEqual(records[0].txPower, 2.31);
+  assert.strictEqual(records[0].oltRxPower, -21.3);
+  assert.strictEqual(records[1].rxPower, null);
+  assert.strictEqual(records[2].rxPower, -27.96);
+});
+
+test('parseUnauthorizedOnus extrae número de serie, puerto y modelo de las ONU detectadas', () => {
+  const records = parseUnauthorizedOnus(readFixture('show-onu-auto-find.txt'));
+
+  assert.strictEqual(records.length, 3);
+  assert.deepStrictEqual(
+    { ponPort: records[0].ponPort, serialNumber: records[0].serialNumber, model: records[0].model },
+    { ponPort: '0/2', serialNumber: 'VSOL5E6F7A8B', model: 'V2802GWT' }
+  );
+  assert.strictEqual(records[1].model, 'HG8145V5-EXTENDED');
+  assert.strictEqual(records[2].model, null);
+});
+
+test('formatResponse usa el parser dedicado del perfil según el comando', () => {
+  const raw = fs.readFileSync(path.join(__dirname, 'fixtures/vsol/show-onu-state.txt'), 'utf8');
+  const result = formatResponse('show onu state', raw, vsolProfile.parsers);
+
+  assert.strictEqual(result.data.length, 3);
+  assert.strictEqual(result.data[1].operState, 'offline');
+});
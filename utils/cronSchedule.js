@@ -0,0 +1,185 @@
+/**
+ * Utilidad para interpretar expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana)
+ * y calcular su próxima ejecución en la hora local del servidor
+ */
+
+// Rango de valores de cada campo y nombres admitidos (ene=1..., dom=0...)
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'día del mes', min: 1, max: 31 },
+  { name: 'mes', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'día de la semana', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Abreviaturas habituales
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Años que se recorren como máximo buscando la próxima ejecución (p. ej. "0 0 29 2 *")
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * Convierte un valor de un campo (número o nombre) en número
+ * @param {string} value - Valor
+ * @param {Object} field - Definición del campo
+ * @returns {number}
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + field.offset : (/^\d+$/.test(value) ? Number(value) : NaN);
+  if (Number.isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Valor no válido para el ${field.name}: "${value}" (${field.min}-${field.max})`);
+  }
+  return number;
+}
+
+/**
+ * Interpreta un campo de la expresión (*, valores, rangos a-b, listas y pasos /n)
+ * @param {string} text - Texto del campo
+ * @param {Object} field - Definición del campo
+ * @returns {Set<number>} - Valores que coinciden
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Paso no válido para el ${field.name}: "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Rango no válido para el ${field.name}: "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" equivale a "5-max/15"
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Interpreta una expresión cron
+ * @param {string} expression - Expresión de 5 campos o abreviatura (@hourly, @daily, @weekly, @monthly, @yearly)
+ * @returns {Object} - Valores de cada campo
+ * @throws {Error} - Si la expresión no es válida
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('La expresión cron debe ser un texto');
+  }
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`La expresión cron debe tener ${FIELDS.length} campos (minuto hora día mes día-de-la-semana)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // El domingo puede indicarse como 0 o como 7
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Como en cron, si se restringen ambos días basta con que coincida uno de ellos
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Indica si un día coincide con los campos de día del mes y día de la semana
+ * @param {Object} schedule - Resultado de parseCron
+ * @param {Date} date - Fecha
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Indica si un minuto coincide con la expresión
+ * @param {Object} schedule - Resultado de parseCron
+ * @param {Date} date - Fecha (se ignoran segundos y milisegundos)
+ * @returns {boolean}
+ */
+function matchesCron(schedule, date) {
+  return schedule.minutes.has(date.getMinutes())
+    && schedule.hours.has(date.getHours())
+    && schedule.months.has(date.getMonth() + 1)
+    && matchesDay(schedule, date);
+}
+
+/**
+ * Calcula la próxima ejecución posterior a una fecha
+ * @param {Object} schedule - Resultado de parseCron
+ * @param {Date} [from=new Date()] - Fecha de referencia
+ * @returns {Date|null} - Próxima ejecución o null si la expresión no coincide nunca
+ */
+function getNextRun(schedule, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Se avanza por mes, día u hora completos mientras no coincidan, y después minuto a minuto
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  matchesCron,
+  getNextRun
+};
@@ -0,0 +1,58 @@
+/**
+ * Utilidad para persistir datos en ficheros JSON locales
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directorio de datos de la aplicación
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+/**
+ * Obtiene la ruta de un fichero dentro del directorio de datos, creando los directorios necesarios
+ * @param {...string} segments - Segmentos de la ruta relativa al directorio de datos
+ * @returns {string} - Ruta absoluta del fichero
+ */
+function getDataPath(...segments) {
+  const filePath = path.join(dataDir, ...segments);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  return filePath;
+}
+
+/**
+ * Crea un almacén respaldado por un fichero JSON
+ * @param {string} fileName - Nombre del fichero dentro del directorio de datos
+ * @param {*} defaultValue - Valor inicial si el fichero no existe
+ * @returns {{read: Function, write: Function, filePath: string}} - Funciones para leer y escribir el almacén
+ */
+function createJsonStore(fileName, defaultValue) {
+  const filePath = getDataPath(fileName);
+
+  /**
+   * Lee el contenido actual del almacén
+   * @returns {*} - Datos almacenados
+   */
+  const read = () => {
+    if (!fs.existsSync(filePath)) {
+      return JSON.parse(JSON.stringify(defaultValue));
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  };
+
+  /**
+   * Reemplaza el contenido del almacén (escritura atómica mediante fichero temporal)
+   * @param {*} data - Datos a guardar
+   */
+  const write = (data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return { read, write, filePath };
+}
+
+module.exports = {
+  getDataPath,
+  createJsonStore
+};
@@ -0,0 +1,87 @@
+/**
+ * Utilidad para verificar tokens JWT firmados con HS256 (secreto compartido)
+ */
+
+const crypto = require('crypto');
+
+// Margen (segundos) para las diferencias de reloj al comprobar exp y nbf
+const CLOCK_TOLERANCE = 30;
+
+/**
+ * Decodifica una parte del token (base64url + JSON)
+ * @param {string} part - Parte del token
+ * @returns {Object}
+ */
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Firma un contenido con HMAC-SHA256
+ * @param {string} content - "<cabecera>.<payload>" en base64url
+ * @param {string} secret - Secreto compartido
+ * @returns {Buffer}
+ */
+function sign(content, secret) {
+  return crypto.createHmac('sha256', secret).update(content).digest();
+}
+
+/**
+ * Crea un token JWT HS256
+ * @param {Object} payload - Claims del token
+ * @param {string} secret - Secreto compartido
+ * @returns {string}
+ */
+function signJwt(payload, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${header}.${body}.${sign(`${header}.${body}`, secret).toString('base64url')}`;
+}
+
+/**
+ * Verifica la firma y la vigencia (exp, nbf) de un token JWT HS256
+ * @param {string} token - Token
+ * @param {string} secret - Secreto compartido
+ * @returns {Object} - Claims del token
+ * @throws {Error} - Si el token no es válido, no está firmado con HS256 o ha caducado
+ */
+function verifyJwt(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Token JWT mal formado');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodePart(parts[0]);
+    payload = decodePart(parts[1]);
+  } catch (error) {
+    throw new Error('Token JWT mal formado');
+  }
+  // Sólo se acepta HS256: evita tokens sin firma ("none") o con otro algoritmo
+  if (header.alg !== 'HS256') {
+    throw new Error(`Algoritmo de JWT no admitido: ${header.alg}`);
+  }
+
+  const expected = sign(`${parts[0]}.${parts[1]}`, secret);
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new Error('Firma del token JWT no válida');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_TOLERANCE) {
+    throw new Error('Token JWT caducado');
+  }
+  if (typeof payload.nbf === 'number' && now + CLOCK_TOLERANCE < payload.nbf) {
+    throw new Error('Token JWT todavía no válido');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
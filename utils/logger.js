@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { redactText, redactValue } = require('./redaction');
 
 // Asegurarse de que el directorio de logs exista
 const logDir = path.join(__dirname, '../logs');
@@ -17,8 +18,23 @@ const getLogFileName = () => {
   return `${year}-${month}-${day}.log`;
 };
 
+// Ocultar los secretos (contraseñas de las sesiones, comunidades SNMP, contraseñas PPPoE...)
+// del mensaje y de los metadatos de cada línea, antes de escribirla en cualquier transporte
+const redactFormat = winston.format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = redactText(info.message);
+  }
+  Object.keys(info).forEach((key) => {
+    if (key !== 'level' && key !== 'message') {
+      info[key] = redactValue(info[key], key);
+    }
+  });
+  return info;
+});
+
 // Crear el formato personalizado para los logs
 const logFormat = winston.format.combine(
+  redactFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
   winston.format.printf(({ timestamp, level, message, ...meta }) => {
     return `${timestamp} [${level.toUpperCase()}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta, null, 2) : ''}`;
@@ -65,9 +81,10 @@ const updateLogFile = () => {
 };
 
 // Actualizar el archivo de log cada día a medianoche
+// (unref para que el temporizador no mantenga vivo el proceso, p. ej. en los tests)
 setInterval(() => {
   updateLogFile();
-}, 24 * 60 * 60 * 1000);
+}, 24 * 60 * 60 * 1000).unref();
 
 // También actualizar al iniciar la aplicación
 updateLogFile();
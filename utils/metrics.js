@@ -0,0 +1,254 @@
+/**
+ * Utilidad para registrar métricas (contadores, indicadores e histogramas con etiquetas)
+ * y exponerlas en el formato de texto de Prometheus (versión 0.0.4)
+ */
+
+// Tipo de contenido de la respuesta de /metrics
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escapa el valor de una etiqueta
+ * @param {*} value - Valor de la etiqueta
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formatea un valor numérico como lo espera Prometheus
+ * @param {number} value - Valor
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Formatea un conjunto de etiquetas ({a="1",b="2"})
+ * @param {Object} labels - Etiquetas y sus valores
+ * @returns {string} - Texto de las etiquetas (vacío si no hay ninguna)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Métrica base: guarda una serie por cada combinación de valores de sus etiquetas
+ */
+class Metric {
+  /**
+   * @param {string} type - 'counter', 'gauge' o 'histogram'
+   * @param {Object} options - Definición de la métrica
+   * @param {string} options.name - Nombre (p. ej. "olt_commands_total")
+   * @param {string} options.help - Descripción
+   * @param {string[]} [options.labelNames] - Nombres de las etiquetas
+   */
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Obtiene (o crea) la serie de unas etiquetas
+   * @param {Object} labels - Valores de las etiquetas
+   * @param {Function} create - Crea el valor inicial de la serie
+   * @returns {Object} - Serie ({ labels, ... })
+   */
+  getSeries(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, index) => { seriesLabels[name] = values[index]; });
+      this.series.set(key, { labels: seriesLabels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Elimina las series cuyas etiquetas coinciden con las indicadas
+   * @param {Object} labels - Etiquetas que deben coincidir (el resto da igual)
+   */
+  remove(labels) {
+    for (const [key, series] of this.series) {
+      if (Object.entries(labels).every(([name, value]) => series.labels[name] === String(value))) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Elimina todas las series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Líneas de las muestras de la métrica
+   * @returns {string[]}
+   */
+  renderSamples() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+
+  /**
+   * Texto de la métrica con sus cabeceras HELP y TYPE
+   * @returns {string}
+   */
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+  }
+}
+
+/**
+ * Contador: sólo aumenta
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * Incrementa el contador
+   * @param {Object} [labels] - Valores de las etiquetas
+   * @param {number} [amount=1] - Incremento
+   */
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+/**
+ * Indicador: valor que sube y baja
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  /**
+   * Fija el valor del indicador
+   * @param {Object} labels - Valores de las etiquetas
+   * @param {number} value - Valor
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Histograma: distribución de observaciones en buckets acumulados
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Definición de la métrica (como Metric)
+   * @param {number[]} options.buckets - Límites superiores de los buckets, en orden creciente
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets;
+  }
+
+  /**
+   * Registra una observación
+   * @param {Object} labels - Valores de las etiquetas
+   * @param {number} value - Valor observado
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Conjunto de métricas que se exponen juntas
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Registra una métrica
+   * @param {Metric} metric - Métrica
+   * @returns {Metric} - La misma métrica
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Métrica ya registrada: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Crea y registra un contador
+   * @param {Object} options - Definición de la métrica
+   * @returns {Counter}
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * Crea y registra un indicador
+   * @param {Object} options - Definición de la métrica
+   * @returns {Gauge}
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * Crea y registra un histograma
+   * @param {Object} options - Definición de la métrica (con buckets)
+   * @returns {Histogram}
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Texto de todas las métricas en el formato de Prometheus
+   * @returns {string}
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Registry
+};
@@ -0,0 +1,129 @@
+/**
+ * Utilidad para ocultar secretos (contraseñas de sesión, comunidades SNMP, contraseñas PPPoE...)
+ * en los logs y en las configuraciones que devuelve la API
+ */
+
+// Texto con el que se sustituye cada secreto
+const MASK = '******';
+
+// Longitud mínima de un secreto registrado (uno más corto ocultaría texto corriente)
+const MIN_SECRET_LENGTH = 4;
+
+// Secretos de las sesiones abiertas y el número de sesiones que usa cada uno
+const secrets = new Map();
+
+// Secretos dentro de líneas de configuración: el primer grupo se conserva y el segundo se oculta.
+// Sin \b inicial: en los volcados del buffer los saltos de línea aparecen como "\n" pegado a la palabra.
+const CONFIG_PATTERNS = [
+  // Comunidades SNMP: "snmp-server community public ro", "snmp-agent community read cipher public"
+  /(snmp-(?:server|agent)\s+community\s+(?:(?:read|write|ro|rw)\s+)?(?:(?:cipher|simple)\s+)?)(\S+)/gi,
+  // Contraseñas (incluidas las de PPPoE de las ONU): "password 0 secreto", "pppoe ... password secreto", "Secret 5 $1$...".
+  // La palabra no puede ir pegada a otra (AUTH_JWT_SECRET), salvo a un "\n" de los volcados del buffer.
+  /((?:(?<![A-Za-z0-9_])|(?<=\\n))(?:password|passwd|pwd|secret)\s+(?:(?:0|5|7|cipher|simple|irreversible-cipher)\s+)?)(\S+)/gi
+];
+
+// Eco del usuario en la pantalla de login ("Login: admin"), sólo en los logs
+const LOGIN_ECHO_PATTERN = /((?:login|username|user name)\s*:\s*)([^\s\\]+)/gi;
+
+// Campos de los metadatos del log cuyo valor se oculta entero
+const SENSITIVE_KEY_PATTERN = /pass(word)?|secret|token|community|api-?key|credentials|^username$/i;
+
+/**
+ * Registra un secreto para ocultarlo mientras lo use alguna sesión
+ * @param {string} secret - Secreto (p. ej. la contraseña de login o de enable)
+ */
+function registerSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+    return;
+  }
+  secrets.set(secret, (secrets.get(secret) || 0) + 1);
+}
+
+/**
+ * Libera un secreto registrado: deja de ocultarse cuando ninguna sesión lo usa
+ * @param {string} secret - Secreto
+ */
+function unregisterSecret(secret) {
+  const count = secrets.get(secret);
+  if (count === undefined) {
+    return;
+  }
+  if (count > 1) {
+    secrets.set(secret, count - 1);
+  } else {
+    secrets.delete(secret);
+  }
+}
+
+/**
+ * Oculta secretos en un texto (los más largos primero, por si uno contiene a otro)
+ * @param {string} text - Texto
+ * @param {string[]} [values] - Secretos a ocultar (por defecto, los registrados)
+ * @returns {string}
+ */
+function redactSecrets(text, values = [...secrets.keys()]) {
+  return values
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, secret) => result.split(secret).join(MASK), text);
+}
+
+/**
+ * Oculta los secretos de una configuración (comunidades SNMP, contraseñas) y los secretos registrados
+ * @param {string} text - Configuración o salida de la OLT
+ * @returns {string}
+ */
+function redactConfig(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return CONFIG_PATTERNS.reduce((result, pattern) => result.replace(pattern, `$1${MASK}`), redactSecrets(text));
+}
+
+/**
+ * Oculta los secretos de un texto del log: los de una configuración y el eco del usuario al hacer login
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function redactText(text) {
+  return redactConfig(text).replace(LOGIN_ECHO_PATTERN, `$1${MASK}`);
+}
+
+/**
+ * Oculta los secretos de un valor de los metadatos del log (recorre objetos y listas)
+ * @param {*} value - Valor
+ * @param {string} [key] - Nombre del campo que lo contiene
+ * @returns {*} - Copia del valor sin secretos
+ */
+function redactValue(value, key = '') {
+  if (SENSITIVE_KEY_PATTERN.test(key) && value !== null && value !== undefined && value !== '') {
+    return MASK;
+  }
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item));
+  }
+  if (value instanceof Error) {
+    return redactText(value.stack || value.message);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([name, item]) => {
+      result[name] = redactValue(item, name);
+    });
+    return result;
+  }
+  return value;
+}
+
+module.exports = {
+  MASK,
+  registerSecret,
+  unregisterSecret,
+  redactSecrets,
+  redactConfig,
+  redactText,
+  redactValue
+};
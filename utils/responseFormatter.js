@@ -3,26 +3,46 @@
  */
 
 const logger = require('./logger');
+const { redactConfig } = require('./redaction');
+
+// Líneas sin sangría que terminan el bloque de una sección de la configuración en ejecución
+const SECTION_END_PATTERN = /^(!|exit$)/;
 
 /**
  * Limpia y formatea la salida de comandos específicos de la OLT
  * @param {string} command - El comando ejecutado
  * @param {string} response - La respuesta cruda de la OLT
+ * @param {Array<{pattern: RegExp, parse: Function}>} [parsers] - Parsers dedicados del perfil del dispositivo
+ * @param {Object} [options] - Opciones de formateo
+ * @param {boolean} [options.redact=true] - Ocultar los secretos de la configuración en ejecución
  * @returns {object} - La respuesta formateada según el tipo de comando
  */
-function formatResponse(command, response) {
+function formatResponse(command, response, parsers = [], options = {}) {
   logger.debug(`Formateando respuesta para comando: ${command}`);
   
   // Primero aplicamos la limpieza básica a todas las respuestas
   const cleanedResponse = cleanResponse(response);
   
+  // Usar el parser dedicado del perfil si el comando lo tiene y la salida contiene datos reconocibles
+  const dedicatedParser = parsers.find(parser => parser.pattern.test(command));
+  if (dedicatedParser) {
+    const records = dedicatedParser.parse(cleanedResponse);
+    if (records.length > 0) {
+      return {
+        raw: cleanedResponse,
+        formatted: formatAsTable(records),
+        data: records
+      };
+    }
+  }
+  
   // Comandos que devuelven tablas específicas
   if (command.includes('show mac address-table')) {
     return formatMacAddressTable(response);
   } else if (command.includes('show interface') || command.match(/show int(erface)?\s+\S+/)) {
     return formatInterfaceInfo(cleanedResponse, command);
   } else if (command.includes('show running-config')) {
-    return formatRunningConfig(cleanedResponse);
+    return formatRunningConfig(cleanedResponse, options);
   } else if (command.includes('show onu')) {
     return formatOnuInfo(cleanedResponse);
   } else if (command.match(/show\s+(\S+\s+)?table/)) {
@@ -260,23 +280,29 @@ function formatInterfaceInfo(response, command) {
 }
 
 /**
- * Formatea la configuración en ejecución
+ * Formatea la configuración en ejecución. Por defecto oculta sus secretos (comunidades SNMP,
+ * contraseñas PPPoE y de usuarios, contraseñas de las sesiones) en todos los campos.
  * @param {string} response - La respuesta limpia del comando show running-config
+ * @param {Object} [options] - Opciones de formateo
+ * @param {boolean} [options.redact=true] - false para conservar los secretos (copias y envío de configuración)
  * @returns {object} - Objeto con la configuración formateada
  */
-function formatRunningConfig(response) {
+function formatRunningConfig(response, { redact = true } = {}) {
   logger.debug('Formateando configuración en ejecución');
+  const config = redact ? redactConfig(response) : response;
   
   // Dividir por secciones
   const sections = {};
   let currentSection = 'global';
   
-  const lines = response.split('\n');
+  const lines = config.split('\n');
   const configData = [];
   
   for (const line of lines) {
     const trimmedLine = line.trim();
     
+    let closesSection = false;
+    
     // Detectar cambios de sección
     if (trimmedLine.startsWith('interface ')) {
       currentSection = 'interface:' + trimmedLine.substring(10).trim();
@@ -284,6 +310,14 @@ function formatRunningConfig(response) {
       currentSection = 'router:' + trimmedLine.substring(7).trim();
     } else if (trimmedLine.startsWith('line ')) {
       currentSection = 'line:' + trimmedLine.substring(5).trim();
+    } else if (currentSection !== 'global' && trimmedLine !== '' && !/^\s/.test(line)) {
+      // Los comandos de una sección van sangrados: la primera línea sin sangría la cierra.
+      // "!" y "exit" terminan el bloque y se quedan en él; cualquier otra línea ya es global.
+      if (SECTION_END_PATTERN.test(trimmedLine)) {
+        closesSection = true;
+      } else {
+        currentSection = 'global';
+      }
     }
     
     // Almacenar la línea en la sección actual
@@ -297,6 +331,10 @@ function formatRunningConfig(response) {
       section: currentSection,
       command: trimmedLine
     });
+    
+    if (closesSection) {
+      currentSection = 'global';
+    }
   }
   
   // Formatear la salida
@@ -308,7 +346,7 @@ function formatRunningConfig(response) {
   }
   
   return {
-    raw: response,
+    raw: config,
     formatted: formatted.trim(),
     data: {
       sections,
@@ -634,5 +672,6 @@ function formatAsNestedKeyValue(data) {
 
 module.exports = {
   formatResponse,
+  formatRunningConfig,
   cleanResponse
 };
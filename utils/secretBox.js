@@ -0,0 +1,67 @@
+/**
+ * Utilidad para cifrar secretos en reposo (AES-256-GCM)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Obtiene la clave de cifrado desde la variable de entorno OLT_CREDENTIALS_KEY.
+ * Acepta 32 bytes en hexadecimal (64 caracteres) o en base64; cualquier otro valor
+ * se trata como frase de paso y se deriva con scrypt.
+ * @returns {Buffer} - Clave de 32 bytes
+ */
+function getKey() {
+  const rawKey = process.env.OLT_CREDENTIALS_KEY;
+  if (!rawKey) {
+    throw new Error('No se ha configurado la clave de cifrado OLT_CREDENTIALS_KEY');
+  }
+
+  if (/^[0-9a-fA-F]{64}$/.test(rawKey)) {
+    return Buffer.from(rawKey, 'hex');
+  }
+
+  const decoded = Buffer.from(rawKey, 'base64');
+  if (decoded.length === 32) {
+    return decoded;
+  }
+
+  return crypto.scryptSync(rawKey, 'api-olt-telnet', 32);
+}
+
+/**
+ * Cifra un valor serializable en JSON
+ * @param {*} value - Valor a cifrar
+ * @returns {string} - Texto cifrado con el formato v1:iv:tag:datos (base64)
+ */
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+/**
+ * Descifra un valor cifrado con encrypt()
+ * @param {string} payload - Texto cifrado
+ * @returns {*} - Valor original
+ */
+function decrypt(payload) {
+  const [version, iv, tag, data] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !data) {
+    throw new Error('Formato de secreto cifrado no válido');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,177 @@
+/**
+ * Utilidad para comparar textos línea a línea (algoritmo de Myers) y formatear el resultado como diff unificado
+ */
+
+// Distancia de edición a partir de la cual se deja de buscar el diff mínimo (limita memoria y tiempo)
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Calcula el diff mínimo entre dos listas de líneas con el algoritmo O(ND) de Myers
+ * @param {string[]} a - Líneas originales
+ * @param {string[]} b - Líneas nuevas
+ * @returns {Array<{type: string, text: string}>} - Operaciones 'equal', 'delete' e 'insert' en orden
+ */
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Cambios demasiado grandes: se sustituye el bloque completo
+    if (d > MAX_EDIT_DISTANCE) {
+      return [
+        ...a.map(text => ({ type: 'delete', text })),
+        ...b.map(text => ({ type: 'insert', text }))
+      ];
+    }
+
+    // Copia de las diagonales -d-1..d+1 tal como quedaron en el paso anterior (para reconstruir el camino)
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Reconstruye las operaciones del diff recorriendo hacia atrás las diagonales guardadas
+ * @param {Int32Array[]} trace - Diagonales de cada paso
+ * @param {string[]} a - Líneas originales
+ * @param {string[]} b - Líneas nuevas
+ * @returns {Array<{type: string, text: string}>}
+ */
+function backtrack(trace, a, b) {
+  const operations = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const saved = trace[d];
+    const get = k => saved[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      operations.push({ type: 'equal', text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      operations.push(x === prevX ? { type: 'insert', text: b[y - 1] } : { type: 'delete', text: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Compara dos listas de líneas
+ * @param {string[]} oldLines - Líneas originales
+ * @param {string[]} newLines - Líneas nuevas
+ * @returns {Array<{type: string, text: string}>} - Operaciones 'equal', 'delete' e 'insert' en orden
+ */
+function diffLines(oldLines, newLines) {
+  // Las líneas comunes del principio y del final no necesitan pasar por el algoritmo
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  return [
+    ...oldLines.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...myersDiff(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)),
+    ...oldLines.slice(oldEnd).map(text => ({ type: 'equal', text }))
+  ];
+}
+
+/**
+ * Formatea las operaciones de un diff como diff unificado
+ * @param {Array<{type: string, text: string}>} operations - Resultado de diffLines
+ * @param {Object} [options] - Opciones de formato
+ * @param {string} [options.fromLabel='a'] - Nombre del texto original (cabecera ---)
+ * @param {string} [options.toLabel='b'] - Nombre del texto nuevo (cabecera +++)
+ * @param {number} [options.context=3] - Líneas de contexto alrededor de cada cambio
+ * @returns {string} - Diff unificado (vacío si no hay cambios)
+ */
+function formatUnifiedDiff(operations, options = {}) {
+  const { fromLabel = 'a', toLabel = 'b', context = 3 } = options;
+
+  // Número de línea de cada operación en ambos textos
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = operations.map(operation => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== 'insert') oldLine++;
+    if (operation.type !== 'delete') newLine++;
+    return entry;
+  });
+
+  // Agrupar los cambios en bloques (hunks) con su contexto
+  const hunks = [];
+  let hunk = null;
+  numbered.forEach((operation, index) => {
+    if (operation.type === 'equal') {
+      return;
+    }
+    const start = Math.max(index - context, 0);
+    const end = Math.min(index + context + 1, numbered.length);
+    if (hunk && start <= hunk.end) {
+      hunk.end = end;
+    } else {
+      hunk = { start, end };
+      hunks.push(hunk);
+    }
+  });
+
+  if (hunks.length === 0) {
+    return '';
+  }
+
+  const prefixes = { equal: ' ', delete: '-', insert: '+' };
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const { start, end } of hunks) {
+    const slice = numbered.slice(start, end);
+    const oldCount = slice.filter(operation => operation.type !== 'insert').length;
+    const newCount = slice.filter(operation => operation.type !== 'delete').length;
+    // En el formato unificado un bloque vacío se numera con la línea anterior
+    const oldStart = oldCount > 0 ? slice[0].oldLine + 1 : slice[0].oldLine;
+    const newStart = newCount > 0 ? slice[0].newLine + 1 : slice[0].newLine;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(operation => lines.push(`${prefixes[operation.type]}${operation.text}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  formatUnifiedDiff
+};
@@ -0,0 +1,342 @@
+/**
+ * Parsers específicos para las salidas de ONU de las OLT VSOL
+ * (show onu info, show onu state, show onu auth-info, show onu optical-info)
+ *
+ * Las columnas se identifican por el nombre del encabezado (y no por su posición),
+ * de modo que los registros mantienen las mismas claves aunque cambien el ancho o
+ * el orden de las columnas entre versiones de firmware.
+ */
+
+const logger = require('./logger');
+
+// Sinónimos de encabezados (normalizados: minúsculas, sin unidades ni separadores) por campo
+const HEADER_FIELDS = {
+  index: ['onuindex', 'onu', 'onuid', 'index'],
+  model: ['model', 'type', 'onutype', 'equipmentid'],
+  profile: ['profile', 'onuprofile'],
+  authMode: ['mode', 'authmode'],
+  authInfo: ['authinfo'],
+  serialNumber: ['sn', 'serial', 'serialnumber', 'serialno'],
+  password: ['password', 'pwd'],
+  adminState: ['adminstate', 'admin'],
+  omccState: ['omccstate', 'omcc'],
+  operState: ['phasestate', 'operstate', 'status', 'state', 'runstate'],
+  channel: ['channel'],
+  distance: ['distance'],
+  rxPower: ['rxpower', 'onurxpower', 'rx'],
+  txPower: ['txpower', 'onutxpower', 'tx'],
+  oltRxPower: ['oltrxpower', 'oltrx'],
+  temperature: ['temperature', 'temp'],
+  voltage: ['voltage'],
+  biasCurrent: ['bias', 'biascurrent'],
+  lastDownCause: ['lastdowncause', 'lastdownreason', 'downcause'],
+  description: ['description', 'desc', 'name']
+};
+
+// Campos numéricos
+const NUMERIC_FIELDS = ['distance', 'rxPower', 'txPower', 'oltRxPower', 'temperature', 'voltage', 'biasCurrent'];
+
+// Valores que indican ausencia de dato
+const EMPTY_VALUES = ['', '-', '--', 'n/a', 'na', 'null', 'none', 'unknown'];
+
+/**
+ * Crea un registro de ONU con todas las claves inicializadas
+ * @returns {object} - Registro de ONU vacío
+ */
+function createOnuRecord() {
+  return {
+    ponPort: null,
+    onuId: null,
+    serialNumber: null,
+    model: null,
+    profile: null,
+    authMode: null,
+    adminState: null,
+    omccState: null,
+    operState: null,
+    distance: null,
+    rxPower: null,
+    txPower: null,
+    oltRxPower: null,
+    lastDownCause: null,
+    description: null
+  };
+}
+
+/**
+ * Normaliza el texto de un encabezado para buscarlo en la tabla de sinónimos
+ * @param {string} header - Encabezado original (p. ej. "Rx Power(dBm)")
+ * @returns {string} - Encabezado normalizado (p. ej. "rxpower")
+ */
+function normalizeHeader(header) {
+  return header
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Obtiene el campo correspondiente a un encabezado
+ * @param {string} header - Encabezado original
+ * @returns {string|null} - Nombre del campo o null si no se reconoce
+ */
+function getFieldForHeader(header) {
+  const normalized = normalizeHeader(header);
+  const field = Object.keys(HEADER_FIELDS).find(key => HEADER_FIELDS[key].includes(normalized));
+  return field || null;
+}
+
+/**
+ * Obtiene el factor de unidad de una columna de distancia a partir de su encabezado
+ * @param {string} header - Encabezado original
+ * @returns {number} - Factor para convertir a metros
+ */
+function getDistanceFactor(header) {
+  return /\(\s*km\s*\)/i.test(header) ? 1000 : 1;
+}
+
+/**
+ * Convierte un valor a número (null si no hay dato)
+ * @param {string} value - Valor de la celda
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (value === null || EMPTY_VALUES.includes(value.toLowerCase())) {
+    return null;
+  }
+  const match = value.match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Convierte una distancia a metros (admite los sufijos m y km)
+ * @param {string} value - Valor de la celda
+ * @param {number} factor - Factor de la columna (según su encabezado)
+ * @returns {number|null}
+ */
+function parseDistance(value, factor) {
+  const number = parseNumber(value);
+  if (number === null) {
+    return null;
+  }
+  if (/km\s*$/i.test(value)) {
+    return Math.round(number * 1000);
+  }
+  return Math.round(number * factor);
+}
+
+/**
+ * Separa el índice de ONU (p. ej. "GPON0/1:5") en puerto PON e id de ONU
+ * @param {string} index - Índice de la ONU
+ * @returns {{ponPort: string, onuId: number}|null}
+ */
+function parseOnuIndex(index) {
+  const match = index.match(/^(?:[GE]PON)?\s*(\d+(?:\/\d+){1,2}):(\d+)$/i);
+  if (!match) {
+    return null;
+  }
+  return {
+    ponPort: match[1],
+    onuId: parseInt(match[2], 10)
+  };
+}
+
+/**
+ * Divide una línea en celdas con su posición
+ * @param {string} line - Línea de la tabla
+ * @param {RegExp} [regex] - Patrón de celda (por defecto, texto separado por dos o más espacios)
+ * @returns {Array<{text: string, start: number}>}
+ */
+function splitCells(line, regex = /\S+(?: \S+)*/g) {
+  const cells = [];
+  let match;
+  while ((match = regex.exec(line)) !== null) {
+    cells.push({ text: match[0], start: match.index });
+  }
+  return cells;
+}
+
+/**
+ * Localiza la tabla (encabezado, separador y filas) en la salida de un comando
+ * @param {string} response - Respuesta limpia del comando
+ * @returns {{columns: Array, rows: string[]}|null} - Columnas del encabezado y filas de datos
+ */
+function extractTable(response) {
+  const lines = response.split('\n');
+  const isSeparator = line => /^\s*[-=]{5,}\s*$/.test(line);
+
+  // El encabezado es la primera línea con un índice de ONU reconocible seguida de un separador
+  const headerIndex = lines.findIndex((line, i) => {
+    if (!isSeparator(lines[i + 1] || '')) {
+      return false;
+    }
+    return splitCells(line).some(cell => getFieldForHeader(cell.text) === 'index');
+  });
+
+  if (headerIndex === -1) {
+    return null;
+  }
+
+  const columns = splitCells(lines[headerIndex]).map(cell => ({
+    header: cell.text,
+    field: getFieldForHeader(cell.text),
+    start: cell.start
+  }));
+
+  const rows = [];
+  for (const line of lines.slice(headerIndex + 2)) {
+    if (line.trim() === '' || isSeparator(line)) {
+      continue;
+    }
+    // Fin de la tabla (resúmenes como "ONU Number: 3")
+    if (!parseOnuIndex(line.trim().split(/\s+/)[0])) {
+      continue;
+    }
+    rows.push(line);
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Asigna las celdas de una fila a las columnas del encabezado.
+ * Si el número de celdas no coincide (valores vacíos o más anchos que su columna),
+ * cada palabra se asigna a la última columna que empieza antes que ella (con un margen).
+ * @param {string} line - Fila de datos
+ * @param {Array} columns - Columnas del encabezado
+ * @returns {string[]} - Valor de cada columna
+ */
+function mapRowToColumns(line, columns) {
+  const values = columns.map(() => null);
+  const cells = splitCells(line);
+
+  // Si hay tantas celdas como columnas, la correspondencia es directa
+  if (cells.length === columns.length) {
+    return cells.map(cell => cell.text);
+  }
+
+  for (const cell of splitCells(line, /\S+/g)) {
+    let columnIndex = 0;
+    for (let i = 0; i < columns.length; i++) {
+      if (columns[i].start <= cell.start + 2) {
+        columnIndex = i;
+      }
+    }
+    values[columnIndex] = values[columnIndex] ? `${values[columnIndex]} ${cell.text}` : cell.text;
+  }
+
+  return values;
+}
+
+/**
+ * Convierte una fila de datos en un registro de ONU tipado
+ * @param {string} line - Fila de datos
+ * @param {Array} columns - Columnas del encabezado
+ * @returns {object|null} - Registro de ONU o null si la fila no tiene un índice válido
+ */
+function parseRow(line, columns) {
+  const values = mapRowToColumns(line, columns);
+  const record = createOnuRecord();
+  let authInfo = null;
+
+  columns.forEach((column, i) => {
+    const value = values[i] !== null ? values[i].trim() : null;
+    if (!column.field || value === null) {
+      return;
+    }
+
+    if (column.field === 'index') {
+      Object.assign(record, parseOnuIndex(value));
+    } else if (column.field === 'distance') {
+      record.distance = parseDistance(value, getDistanceFactor(column.header));
+    } else if (NUMERIC_FIELDS.includes(column.field)) {
+      record[column.field] = parseNumber(value);
+    } else if (column.field === 'authInfo') {
+      authInfo = value;
+    } else if (column.field in record) {
+      record[column.field] = EMPTY_VALUES.includes(value.toLowerCase()) ? null : value;
+    }
+  });
+
+  // En "show onu info" el número de serie aparece en AuthInfo cuando el modo de autenticación es sn
+  if (authInfo && !record.serialNumber && (!record.authMode || record.authMode.toLowerCase() === 'sn')) {
+    record.serialNumber = authInfo;
+  }
+
+  if (record.onuId === null) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Parser genérico para las tablas de ONU de VSOL
+ * @param {string} response - Respuesta limpia del comando
+ * @param {string} name - Nombre del parser (para el log)
+ * @returns {object[]} - Registros de ONU
+ */
+function parseOnuTable(response, name) {
+  const table = extractTable(response);
+  if (!table) {
+    logger.debug(`Parser ${name}: no se encontró una tabla de ONU`);
+    return [];
+  }
+
+  const records = table.rows.map(row => parseRow(row, table.columns)).filter(Boolean);
+  logger.debug(`Parser ${name}: ${records.length} ONU procesadas`);
+  return records;
+}
+
+/**
+ * Parsea la salida de "show onu info"
+ * @param {string} response - Respuesta limpia del comando
+ * @returns {object[]} - Registros con ponPort, onuId, model, profile, authMode y serialNumber
+ */
+function parseOnuInfo(response) {
+  return parseOnuTable(response, 'onu info');
+}
+
+/**
+ * Parsea la salida de "show onu state"
+ * @param {string} response - Respuesta limpia del comando
+ * @returns {object[]} - Registros con adminState, omccState, operState y, según el firmware, distance y lastDownCause
+ */
+function parseOnuState(response) {
+  return parseOnuTable(response, 'onu state');
+}
+
+/**
+ * Parsea la salida de "show onu auth-info"
+ * @param {string} response - Respuesta limpia del comando
+ * @returns {object[]} - Registros con authMode, serialNumber y description
+ */
+function parseOnuAuthList(response) {
+  return parseOnuTable(response, 'onu auth-info');
+}
+
+/**
+ * Parsea la salida de "show onu optical-info"
+ * @param {string} response - Respuesta limpia del comando
+ * @returns {object[]} - Registros con rxPower, txPower y oltRxPower en dBm
+ */
+function parseOnuOpticalPower(response) {
+  return parseOnuTable(response, 'onu optical-info');
+}
+
+/**
+ * Parsea la salida de "show onu auto-find" (ONU detectadas en el puerto PON y no autorizadas)
+ * @param {string} response - Respuesta limpia del comando
+ * @returns {object[]} - Registros con ponPort, onuId (índice temporal), serialNumber y model
+ */
+function parseUnauthorizedOnus(response) {
+  return parseOnuTable(response, 'onu auto-find');
+}
+
+module.exports = {
+  parseOnuInfo,
+  parseOnuState,
+  parseOnuAuthList,
+  parseOnuOpticalPower,
+  parseUnauthorizedOnus,
+  parseOnuIndex
+};